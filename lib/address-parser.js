@@ -0,0 +1,96 @@
+/**
+ * Address Parser
+ * Splits an address written as free text ("Πανεπιστημίου 10, 106 71 Αθήνα",
+ * "Ermou 5, Thessaloniki 54623, Greece") into street, city, postal code and country.
+ * - Postal code: Greek 5-digit code, with or without "ΤΚ"/"T.K." and the space ("106 71")
+ * - Country: ISO code from a country name in Greek or English; GR when the address
+ *   has a Greek postal code or is written in Greek
+ * - Street: the part with a house number; city: the part with the postal code, or what is left
+ * Parts that are not found are null.
+ */
+
+const POSTAL_CODE_PATTERN = /(?:(?<!\p{L})(?:Τ\.?\s?Κ\.?|T\.?\s?K\.?|P\.?C\.?)\s*:?\s*)?(?<!\d)(\d{3})\s?(\d{2})(?!\d)/iu;
+const HOUSE_NUMBER_PATTERN = /\p{L}.*\s\d+[\p{L}]?(?:\s*-\s*\d+)?$|^\d+[\p{L}]?\s+\p{L}/u;
+const GREEK_LETTERS = /[Ͱ-Ͽ]/;
+
+const COUNTRIES = {
+    GR: ['greece', 'ελλάδα', 'ελλαδα', 'ελλάς', 'ελλας', 'hellas', 'gr'],
+    CY: ['cyprus', 'κύπρος', 'κυπρος', 'cy'],
+    DE: ['germany', 'deutschland', 'γερμανία', 'γερμανια', 'de'],
+    IT: ['italy', 'italia', 'ιταλία', 'ιταλια', 'it'],
+    FR: ['france', 'γαλλία', 'γαλλια', 'fr'],
+    ES: ['spain', 'españa', 'ισπανία', 'ισπανια', 'es'],
+    BG: ['bulgaria', 'βουλγαρία', 'βουλγαρια', 'bg'],
+    NL: ['netherlands', 'the netherlands', 'holland', 'ολλανδία', 'ολλανδια', 'nl'],
+    GB: ['united kingdom', 'uk', 'england', 'great britain', 'ηνωμένο βασίλειο', 'αγγλία', 'αγγλια', 'gb']
+};
+
+function countryCode(part) {
+    const name = part.trim().toLowerCase().replace(/\.$/, '');
+    const match = Object.entries(COUNTRIES).find(([, names]) => names.includes(name));
+    return match ? match[0] : null;
+}
+
+function clean(value) {
+    const text = (value || '').replace(/\s+/g, ' ').replace(/^[\s,.-]+|[\s,.-]+$/g, '');
+    return text || null;
+}
+
+class AddressParser {
+    /**
+     * Parse an address
+     * @param {string} raw - Address as written
+     * @returns {Object|null} - { street, city, postalCode, country }, null for an empty address
+     */
+    parse(raw) {
+        if (raw === null || raw === undefined || String(raw).trim() === '') return null;
+
+        const text = String(raw).trim();
+        let parts = text.split(/\s*[,\n;]\s*/).map(part => part.trim()).filter(Boolean);
+
+        let country = null;
+        if (parts.length > 1 && countryCode(parts[parts.length - 1])) {
+            country = countryCode(parts.pop());
+        }
+
+        let postalCode = null;
+        let city = null;
+        const postalIndex = parts.findIndex(part => POSTAL_CODE_PATTERN.test(part));
+        if (postalIndex !== -1) {
+            const match = parts[postalIndex].match(POSTAL_CODE_PATTERN);
+            postalCode = `${match[1]}${match[2]}`;
+            // "106 71 Αθήνα" / "Αθήνα 10671": the rest of that part is the city
+            const rest = clean(parts[postalIndex].replace(match[0], ' '));
+            if (rest && !HOUSE_NUMBER_PATTERN.test(rest)) {
+                city = rest;
+                parts.splice(postalIndex, 1);
+            } else {
+                parts[postalIndex] = rest;
+                parts = parts.filter(Boolean);
+            }
+        }
+
+        let street = null;
+        const streetIndex = parts.findIndex(part => HOUSE_NUMBER_PATTERN.test(part));
+        if (streetIndex !== -1) {
+            street = clean(parts.splice(streetIndex, 1)[0]);
+        } else if (parts.length > 1 || (parts.length === 1 && city)) {
+            street = clean(parts.shift());
+        }
+
+        if (!city && parts.length > 0) {
+            city = clean(parts[parts.length - 1]);
+        }
+
+        if (!country && (postalCode || GREEK_LETTERS.test(text))) {
+            country = 'GR';
+        }
+
+        return { street, city, postalCode, country };
+    }
+}
+
+const addressParser = new AddressParser();
+addressParser.COUNTRIES = COUNTRIES;
+
+module.exports = addressParser;
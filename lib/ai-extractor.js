@@ -1,8 +1,16 @@
-const { OpenAI } = require('openai');
-const { ChatOpenAI } = require('@langchain/openai');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { LLMChain } = require('langchain/chains');
 const pdfProcessor = require('./pdf-processor');
+const categoryRegistry = require('./category-registry');
+const extractionSchema = require('./extraction-schema');
+const llmProvider = require('./llm-provider');
+const jsonOutputParser = require('./json-output-parser');
+const confidenceScorer = require('./confidence-scorer');
+
+// Asks the model for a confidence and a source quote per field (checked by the confidence scorer)
+const EVIDENCE_INSTRUCTIONS = `Also add an "_evidence" key: an object with one entry per field you filled in, shaped like
+{"fieldName": {"confidence": 0.0-1.0, "quote": "exact text copied from the email or PDF that the value came from"}}.
+Use a low confidence when a value is inferred rather than written in the text.`;
 
 /**
  * Dedicated AI Data Extraction Agent
@@ -11,14 +19,8 @@ const pdfProcessor = require('./pdf-processor');
  */
 class AIExtractionAgent {
     constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-
-        this.llm = new ChatOpenAI({
-            openAIApiKey: process.env.OPENAI_API_KEY,
-            modelName: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-            temperature: 0.1,
+        // null when no LLM is configured; extraction then uses the rule-based provider
+        this.llm = llmProvider.getChatModel({
             maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 1500 // Higher limit for extraction
         });
 
@@ -37,16 +39,12 @@ class AIExtractionAgent {
         this.extractionStats = {
             successful: 0,
             failed: 0,
+            ruleBased: 0,
+            structured: 0,
             byCategory: {}
         };
 
-        if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_api_key_here') {
-            console.error('WARNING: OPENAI_API_KEY not found or not configured in environment variables');
-            this.isConfigured = false;
-        } else {
-            console.log('AI Extraction Agent: OpenAI API key loaded successfully');
-            this.isConfigured = true;
-        }
+        this.isConfigured = this.llm !== null;
     }
 
     /**
@@ -93,10 +91,152 @@ class AIExtractionAgent {
             tokenUsage: this.tokenUsage,
             dailyLimit: this.dailyLimit,
             remainingRequests: this.dailyLimit - this.requestCount,
-            extractionStats: this.extractionStats
+            extractionStats: this.extractionStats,
+            provider: llmProvider.describe()
+        };
+    }
+
+    /**
+     * PDF and OCR text read from the attachments, kept on the email for search
+     * @param {Object} sources - { pdf, ocr } (undefined when no attachment was read)
+     */
+    joinAttachmentText(sources) {
+        return sources ? [sources.pdf, sources.ocr].filter(Boolean).join('\n\n') : '';
+    }
+
+    /**
+     * Deterministic extraction from labelled values in the email (and invoice PDFs)
+     * Used when no LLM is available, the daily limit is reached or the LLM call fails
+     */
+    async extractWithRules(email, category) {
+        let attachmentContent = { text: '', pdf: '', ocr: '' };
+        if (category === 'invoice' && email.attachments && email.attachments.length > 0 && email.gmailId && this.oauth2Client) {
+            attachmentContent = await pdfProcessor.extractAttachmentContent(email.attachments, email.gmailId);
+        }
+
+        const text = [email.subject, email.body, attachmentContent.text].filter(Boolean).join('\n');
+        const extractedData = llmProvider.fallback.extract(category, text);
+        const fieldConfidence = confidenceScorer.scoreRuleFields(category, extractedData, {
+            subject: email.subject,
+            body: email.body,
+            pdf: attachmentContent.pdf,
+            ocr: attachmentContent.ocr
+        });
+
+        this.extractionStats.ruleBased++;
+        this.extractionStats.successful++;
+        this.extractionStats.byCategory[category] = (this.extractionStats.byCategory[category] || 0) + 1;
+
+        return {
+            success: true,
+            category,
+            extractedData,
+            extractedAt: new Date().toISOString(),
+            agent: 'rule-based',
+            parseOutcome: { status: 'rule-based', attempts: 0, errors: [], parsedAt: new Date().toISOString() },
+            fieldConfidence,
+            attachmentText: this.joinAttachmentText(attachmentContent)
         };
     }
 
+    /**
+     * Parse model output against the category schema, with one repair round on failure
+     * @param {string} text - Raw model output
+     * @param {string} category - Category key
+     * @returns {Promise<Object>} - { data, parseOutcome }
+     */
+    async parseModelOutput(text, category) {
+        const { data, outcome } = await jsonOutputParser.parse(text, category, async (errors, output) => {
+            console.warn(`⚠️ ${category} extraction output failed validation, requesting repair: ${errors.join('; ')}`);
+
+            const repairPrompt = new PromptTemplate({
+                template: `Your previous answer could not be used. Fix it and return ONLY a valid JSON object with exactly these keys:
+{fieldList}
+
+Problems found:
+{errors}
+
+Previous answer:
+{output}
+
+Use null for values that are not known. Keep the "_evidence" object if there was one.
+Return ONLY the corrected JSON, no additional text.`,
+                inputVariables: ['fieldList', 'errors', 'output']
+            });
+
+            const chain = new LLMChain({ llm: this.llm, prompt: repairPrompt });
+            this.requestCount++;
+
+            const result = await chain.call({
+                fieldList: extractionSchema.buildFieldList(category),
+                errors: errors.map(error => `- ${error}`).join('\n'),
+                output: (output || '').substring(0, 4000)
+            });
+
+            return result.text;
+        });
+
+        if (outcome.status !== 'parsed') {
+            console.warn(`⚠️ ${category} extraction output ${outcome.status} after ${outcome.attempts} attempt(s)`);
+        }
+
+        return { data, parseOutcome: outcome };
+    }
+
+    /**
+     * Read invoice data from a structured e-invoice attachment (UBL, Peppol BIS, myDATA).
+     * The values come straight from the XML, so they are fully confident and no model is called.
+     * @returns {Promise<Object|null>} - Extraction result, or null when the email has no e-invoice
+     */
+    async extractFromEInvoice(email) {
+        if (!email.attachments || email.attachments.length === 0 || !email.gmailId || !this.oauth2Client) {
+            return null;
+        }
+
+        const einvoice = await pdfProcessor.extractEInvoice(email.attachments, email.gmailId);
+        if (!einvoice) {
+            return null;
+        }
+
+        const fieldConfidence = {};
+        for (const [field, evidence] of Object.entries(einvoice.evidence)) {
+            fieldConfidence[field] = { confidence: 1, evidence, source: 'xml', verified: true };
+        }
+
+        this.extractionStats.structured++;
+        this.extractionStats.successful++;
+        this.extractionStats.byCategory.invoice = (this.extractionStats.byCategory.invoice || 0) + 1;
+
+        return {
+            success: true,
+            category: 'invoice',
+            extractedData: { ...einvoice.data, lineItems: einvoice.lineItems },
+            extractedAt: new Date().toISOString(),
+            agent: 'e-invoice',
+            parseOutcome: {
+                status: 'structured',
+                format: einvoice.format,
+                documentType: einvoice.documentType,
+                attachment: einvoice.filename,
+                attempts: 0,
+                errors: [],
+                parsedAt: new Date().toISOString()
+            },
+            fieldConfidence
+        };
+    }
+
+    /**
+     * Content hashes of the email's document attachments, for duplicate detection
+     * @returns {Promise<Array>} - [{ filename, sha256 }]
+     */
+    async hashAttachments(email) {
+        if (!email.attachments || email.attachments.length === 0 || !email.gmailId || !this.oauth2Client) {
+            return [];
+        }
+        return pdfProcessor.hashAttachments(email.attachments, email.gmailId);
+    }
+
     /**
      * Main extraction method - determines type and extracts appropriate data
      * @param {Object} email - Email object with subject, body, category
@@ -105,54 +245,52 @@ class AIExtractionAgent {
     async extractData(email) {
         const category = email.category?.toLowerCase() || 'unknown';
 
-        // Check if AI service is configured
-        if (!this.isConfigured) {
-            console.warn('AI Extraction Agent not configured, skipping extraction');
+        if (!categoryRegistry.get(category)?.extractable) {
+            console.log(`❌ Unsupported category for extraction: ${category}`);
             this.updateUsageStats(null, false, category);
             return {
                 success: false,
                 category,
                 extractedData: null,
-                error: 'AI service not configured'
+                error: 'Unsupported category for data extraction'
             };
         }
 
+        // Structured e-invoices are read directly, without the LLM
+        if (category === 'invoice') {
+            const structured = await this.extractFromEInvoice(email);
+            if (structured) {
+                return structured;
+            }
+        }
+
+        // Check if an LLM provider is configured
+        if (!this.isConfigured) {
+            return await this.extractWithRules(email, category);
+        }
+
         // Check daily limits
         if (!this.checkDailyLimit()) {
-            console.warn('AI extraction daily limit exceeded, skipping extraction');
-            this.updateUsageStats(null, false, category);
-            return {
-                success: false,
-                category,
-                extractedData: null,
-                error: 'Daily extraction limit exceeded'
-            };
+            console.warn('AI extraction daily limit exceeded, using rule-based extraction');
+            return await this.extractWithRules(email, category);
         }
 
         try {
             // Route to appropriate extraction method based on category
-            let extractedData = null;
-            let usage = null;
+            let result = null;
 
             if (category === 'customer_inquiry') {
-                const result = await this.extractCustomerInquiryData(email.subject, email.body);
-                extractedData = result.data;
-                usage = result.usage;
+                result = await this.extractCustomerInquiryData(email.subject, email.body);
             } else if (category === 'invoice') {
-                const result = await this.extractInvoiceData(email.subject, email.body, email.attachments || [], email.gmailId);
-                extractedData = result.data;
-                usage = result.usage;
+                result = await this.extractInvoiceData(email.subject, email.body, email.attachments || [], email.gmailId);
             } else {
-                console.log(`❌ Unsupported category for extraction: ${category}`);
-                this.updateUsageStats(null, false, category);
-                return {
-                    success: false,
-                    category,
-                    extractedData: null,
-                    error: 'Unsupported category for data extraction'
-                };
+                result = await this.extractCustomCategoryData(email.subject, email.body, categoryRegistry.get(category));
             }
 
+            const { usage, parseOutcome } = result;
+            const { _evidence, ...extractedData } = result.data;
+            const fieldConfidence = confidenceScorer.scoreModelFields(category, extractedData, _evidence, result.sources);
+
             // Update usage statistics
             this.updateUsageStats(usage, true, category);
 
@@ -161,19 +299,26 @@ class AIExtractionAgent {
                 category,
                 extractedData,
                 extractedAt: new Date().toISOString(),
-                agent: 'ai-extractor-v2'
+                agent: 'ai-extractor-v2',
+                parseOutcome,
+                fieldConfidence,
+                attachmentText: this.joinAttachmentText(result.sources)
             };
 
         } catch (error) {
-            console.error('❌ AI Extraction Agent error:', error);
+            console.error('❌ AI Extraction Agent error, using rule-based extraction:', error);
             this.updateUsageStats(null, false, category);
-            return {
-                success: false,
-                category,
-                extractedData: null,
-                error: error.message,
-                extractedAt: new Date().toISOString()
-            };
+            try {
+                return await this.extractWithRules(email, category);
+            } catch (fallbackError) {
+                return {
+                    success: false,
+                    category,
+                    extractedData: null,
+                    error: error.message,
+                    extractedAt: new Date().toISOString()
+                };
+            }
         }
     }
 
@@ -190,25 +335,17 @@ class AIExtractionAgent {
 Email Subject: {subject}
 Email Body: {body}
 
-Extract the following customer information and return as valid JSON:
-{{
-  "customerName": "Full customer name (Όνομα/Name) or null",
-  "customerEmail": "Customer email address or null",
-  "customerPhone": "Customer phone number (Τηλέφωνο/Phone) or null",
-  "company": "Company name (Εταιρεία/Company) or null",
-  "serviceInterest": "Service or product they're interested in (Υπηρεσία/Service) or null",
-  "location": "Customer location/address if mentioned or null",
-  "budget": "Budget mentioned if any or null",
-  "timeline": "Timeline/deadline mentioned if any or null",
-  "additionalNotes": "Any other relevant business details or null"
-}}
+Extract the following customer information and return as valid JSON with exactly these keys:
+{fieldList}
+
+{evidenceInstructions}
 
 EXTRACTION RULES:
 1. Support both Greek and English text
 2. Look for contact information in signatures, email body, or headers
 3. For Greek text, look for: Όνομα, Επωνυμία, Τηλ, Κιν, Email, Εταιρεία, Διεύθυνση
 4. For English text, look for: Name, Tel, Phone, Email, Company, Address
-5. Phone patterns: +30, 210, 694, 69X, etc.
+5. Phone patterns: +30, 210, 694, 69X, etc.; copy phone numbers and addresses as written (they are normalized afterwards)
 6. If information is clearly not found, use null (not empty string)
 7. Return ONLY valid JSON, no additional text
 8. Extract service interest from email content context
@@ -219,7 +356,7 @@ Examples to look for:
 - "Ονομάζομαι..." / "My name is..."
 - "Εταιρεία μας..." / "Our company..."
 - Service requests like "website development", "e-commerce", etc.`,
-                inputVariables: ['subject', 'body']
+                inputVariables: ['subject', 'body', 'fieldList', 'evidenceInstructions']
             });
 
             const chain = new LLMChain({ llm: this.llm, prompt: extractionPrompt });
@@ -227,7 +364,9 @@ Examples to look for:
             const result = await retryUtils.withRetry(
                 async () => await chain.call({
                     subject,
-                    body: body.substring(0, 2000) // Limit body length for processing
+                    body: body.substring(0, 2000), // Limit body length for processing
+                    fieldList: extractionSchema.buildFieldList('customer_inquiry'),
+                    evidenceInstructions: EVIDENCE_INSTRUCTIONS
                 }),
                 {
                     maxAttempts: 2, // Fewer retries for extraction to save costs
@@ -249,30 +388,13 @@ Examples to look for:
                 }
             );
 
-            try {
-                const parsed = JSON.parse(result.text.trim());
-                return {
-                    data: parsed,
-                    usage: result.usage
-                };
-            } catch (parseError) {
-                console.error('❌ Failed to parse customer data JSON:', parseError);
-                console.error('Raw text was:', result.text);
-                return {
-                    data: {
-                        customerName: null,
-                        customerEmail: null,
-                        customerPhone: null,
-                        company: null,
-                        serviceInterest: null,
-                        location: null,
-                        budget: null,
-                        timeline: null,
-                        additionalNotes: null
-                    },
-                    usage: result.usage
-                };
-            }
+            const { data, parseOutcome } = await this.parseModelOutput(result.text, 'customer_inquiry');
+            return {
+                data,
+                parseOutcome,
+                sources: { subject, body: body.substring(0, 2000) },
+                usage: result.usage
+            };
         } catch (error) {
             console.error('❌ Customer inquiry extraction error:', error);
             throw error;
@@ -287,12 +409,13 @@ Examples to look for:
         const retryUtils = require('./retry-utils');
 
         try {
-            // Process PDF attachments to extract their content
-            let pdfContent = '';
+            // Process PDF (and scanned/image) attachments to extract their content
+            let attachmentContent = { text: '', pdf: '', ocr: '' };
             if (attachments && attachments.length > 0 && gmailId && this.oauth2Client) {
                 console.log('📄 Processing PDF attachments for invoice data extraction...');
-                pdfContent = await pdfProcessor.extractPDFContent(attachments, gmailId);
+                attachmentContent = await pdfProcessor.extractAttachmentContent(attachments, gmailId);
             }
+            const pdfContent = attachmentContent.text;
 
             const extractionPrompt = new PromptTemplate({
                 template: `You are a specialized AI invoice data extraction agent. Your task is to extract invoice information from emails and PDF attachments.
@@ -302,23 +425,16 @@ Email Body: {body}
 Attachments: {attachments}
 PDF Content: {pdfContent}
 
-Extract the following invoice information and return as valid JSON:
-{{
-  "invoiceNumber": "Invoice number (Αριθμός τιμολογίου/Invoice #) or null",
-  "invoiceDate": "Invoice date in YYYY-MM-DD format (Ημερομηνία) or null",
-  "customerName": "Customer/client name (Πελάτης/Client) or null",
-  "totalAmount": "Total amount as number without currency (Συνολικό ποσό) or null",
-  "vatAmount": "VAT amount as number (ΦΠΑ/VAT) or null",
-  "currency": "Currency (EUR, USD, etc.) or null",
-  "dueDate": "Payment due date in YYYY-MM-DD format or null",
-  "paymentStatus": "Payment status if mentioned (paid, pending, overdue) or null",
-  "description": "Invoice description or services provided or null"
-}}
+Extract the following invoice information and return as valid JSON with exactly these keys:
+{fieldList}
+
+{evidenceInstructions}
 
 EXTRACTION RULES:
 1. Support both Greek and English text
 2. Look for invoice numbers, dates, amounts in email content, attachment names, AND PDF content
 3. PRIORITIZE PDF content over email body when both are available (PDFs usually contain the actual invoice)
+   Sections marked "(OCR ...)" were read from scanned images and may contain recognition errors (e.g. 0/O, 1/l, 5/S)
 4. For Greek text, look for: Αριθμός, Ημερομηνία, Πελάτης, Ποσό, ΦΠΑ, Σύνολο, Τιμολόγιο
 5. For English text, look for: Invoice #, Number, Date, Amount, Total, VAT, Tax, Customer
 6. Convert dates to ISO format (YYYY-MM-DD) if found
@@ -334,7 +450,7 @@ Common patterns:
 - PDF attachments: "invoice_123.pdf", "bill_456.pdf"
 
 IMPORTANT: If PDF content is provided, use it as the primary source for invoice data extraction.`,
-                inputVariables: ['subject', 'body', 'attachments', 'pdfContent']
+                inputVariables: ['subject', 'body', 'attachments', 'pdfContent', 'fieldList', 'evidenceInstructions']
             });
 
             const chain = new LLMChain({ llm: this.llm, prompt: extractionPrompt });
@@ -351,7 +467,9 @@ IMPORTANT: If PDF content is provided, use it as the primary source for invoice
                     subject,
                     body: body.substring(0, 2000),
                     attachments: attachmentInfo,
-                    pdfContent: pdfContent || 'No PDF content available'
+                    pdfContent: pdfContent || 'No PDF content available',
+                    fieldList: extractionSchema.buildFieldList('invoice'),
+                    evidenceInstructions: EVIDENCE_INSTRUCTIONS
                 }),
                 {
                     maxAttempts: 2,
@@ -372,36 +490,92 @@ IMPORTANT: If PDF content is provided, use it as the primary source for invoice
                 }
             );
 
-            try {
-                const parsed = JSON.parse(result.text.trim());
-                return {
-                    data: parsed,
-                    usage: result.usage
-                };
-            } catch (parseError) {
-                console.error('❌ Failed to parse invoice data JSON:', parseError);
-                console.error('Raw text was:', result.text);
-                return {
-                    data: {
-                        invoiceNumber: null,
-                        invoiceDate: null,
-                        customerName: null,
-                        totalAmount: null,
-                        vatAmount: null,
-                        currency: null,
-                        dueDate: null,
-                        paymentStatus: null,
-                        description: null
-                    },
-                    usage: result.usage
-                };
-            }
+            const { data, parseOutcome } = await this.parseModelOutput(result.text, 'invoice');
+            return {
+                data,
+                parseOutcome,
+                sources: { subject, body: body.substring(0, 2000), pdf: attachmentContent.pdf, ocr: attachmentContent.ocr },
+                usage: result.usage
+            };
         } catch (error) {
             console.error('❌ Invoice extraction error:', error);
             throw error;
         }
     }
 
+    /**
+     * Extract data for a user-defined category using the fields declared in settings
+     * @param {Object} definition - Category definition from the registry
+     */
+    async extractCustomCategoryData(subject, body, definition) {
+        const retryUtils = require('./retry-utils');
+
+        try {
+            const extractionPrompt = new PromptTemplate({
+                template: `You are a specialized AI data extraction agent. Your task is to extract structured data from emails of type "{categoryLabel}".
+
+Category description: {categoryDescription}
+
+Email Subject: {subject}
+Email Body: {body}
+
+Extract the following fields and return as valid JSON with exactly these keys:
+{fieldList}
+
+{evidenceInstructions}
+
+EXTRACTION RULES:
+1. Support both Greek and English text
+2. If information is clearly not found, use null (not empty string)
+3. Return ONLY valid JSON, no additional text`,
+                inputVariables: ['categoryLabel', 'categoryDescription', 'subject', 'body', 'fieldList', 'evidenceInstructions']
+            });
+
+            const chain = new LLMChain({ llm: this.llm, prompt: extractionPrompt });
+
+            const fieldList = extractionSchema.buildFieldList(definition.key);
+
+            const result = await retryUtils.withRetry(
+                async () => await chain.call({
+                    categoryLabel: definition.label,
+                    categoryDescription: definition.description,
+                    subject,
+                    body: body.substring(0, 2000),
+                    fieldList,
+                    evidenceInstructions: EVIDENCE_INSTRUCTIONS
+                }),
+                {
+                    maxAttempts: 2,
+                    initialDelay: 1500,
+                    onRetry: (error, attempt) => {
+                        console.log(`AI ${definition.key} extraction retry attempt ${attempt}: ${error.message}`);
+                    },
+                    shouldRetry: (error) => {
+                        if (error.message && (
+                            error.message.includes('rate limit') ||
+                            error.message.includes('429') ||
+                            error.message.includes('timeout')
+                        )) {
+                            return true;
+                        }
+                        return false;
+                    }
+                }
+            );
+
+            const { data, parseOutcome } = await this.parseModelOutput(result.text, definition.key);
+            return {
+                data,
+                parseOutcome,
+                sources: { subject, body: body.substring(0, 2000) },
+                usage: result.usage
+            };
+        } catch (error) {
+            console.error(`❌ ${definition.key} extraction error:`, error);
+            throw error;
+        }
+    }
+
     /**
      * Batch extract data from multiple emails
      * @param {Array} emails - Array of email objects
@@ -487,7 +661,7 @@ IMPORTANT: If PDF content is provided, use it as the primary source for invoice
     resetDailyStats() {
         this.requestCount = 0;
         this.tokenUsage = { prompt: 0, completion: 0, total: 0 };
-        this.extractionStats = { successful: 0, failed: 0, byCategory: {} };
+        this.extractionStats = { successful: 0, failed: 0, ruleBased: 0, structured: 0, byCategory: {} };
         this.lastResetDate = new Date().toDateString();
         console.log('AI Extraction Agent daily stats reset');
     }
@@ -1,19 +1,14 @@
-const { OpenAI } = require('openai');
-const { ChatOpenAI } = require('@langchain/openai');
 const { PromptTemplate } = require('@langchain/core/prompts');
 const { LLMChain } = require('langchain/chains');
 const retryUtils = require('./retry-utils');
+const categoryRegistry = require('./category-registry');
+const llmProvider = require('./llm-provider');
+const correctionMemory = require('./correction-memory');
 
 class AIService {
     constructor() {
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
-
-        this.llm = new ChatOpenAI({
-            openAIApiKey: process.env.OPENAI_API_KEY,
-            modelName: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-            temperature: 0.1,
+        // null when no LLM is configured; categorization then uses the rule-based provider
+        this.llm = llmProvider.getChatModel({
             maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 1000
         });
 
@@ -27,13 +22,8 @@ class AIService {
         this.dailyLimit = parseInt(process.env.AI_DAILY_REQUEST_LIMIT) || 1000;
         this.lastResetDate = new Date().toDateString();
 
-        if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your_openai_api_key_here') {
-            console.error('WARNING: OPENAI_API_KEY not found or not configured in environment variables');
-            this.isConfigured = false;
-        } else {
-            console.log('OpenAI API key loaded successfully');
-            this.isConfigured = true;
-        }
+        this.isConfigured = this.llm !== null;
+        this.fallbackCount = 0;
     }
 
     checkDailyLimit() {
@@ -61,35 +51,45 @@ class AIService {
             requestCount: this.requestCount,
             tokenUsage: this.tokenUsage,
             dailyLimit: this.dailyLimit,
-            remainingRequests: this.dailyLimit - this.requestCount
+            remainingRequests: this.dailyLimit - this.requestCount,
+            fallbackCount: this.fallbackCount,
+            provider: llmProvider.describe()
         };
     }
 
-    async categorizeEmail(subject, body, attachments = []) {
-        // Check if AI service is configured
+    /**
+     * Deterministic categorization used when no LLM is available or the LLM call fails
+     */
+    categorizeWithRules(subject, body, attachments = []) {
+        this.fallbackCount++;
+        return llmProvider.fallback.categorize(subject, body, attachments);
+    }
+
+    async categorizeEmail(subject, body, attachments = [], from = '') {
+        // Check if an LLM provider is configured
         if (!this.isConfigured) {
-            console.warn('AI service not configured, defaulting to "other" category');
-            return 'other';
+            return this.categorizeWithRules(subject, body, attachments);
         }
 
         // Check daily limits
         if (!this.checkDailyLimit()) {
-            console.warn('AI daily request limit exceeded, defaulting to "other" category');
-            return 'other';
+            console.warn('AI daily request limit exceeded, using rule-based categorization');
+            return this.categorizeWithRules(subject, body, attachments);
         }
 
         try {
             const categoryPrompt = new PromptTemplate({
-                template: `Analyze this email and categorize it as either "customer_inquiry" or "invoice" or "other".
+                template: `Analyze this email and categorize it as one of: {categoryList}.
 
 Email Subject: {subject}
 Email Body: {body}
 Attachments: {attachments}
 
 Rules:
-- "customer_inquiry": Emails asking for information, services, quotes, support, or any customer request
-- "invoice": Emails containing invoices, bills, receipts, or payment-related documents
-- "other": Everything else that doesn't fit the above categories
+{categoryRules}
+
+The user corrected these similar emails by hand. Their category choice takes precedence over the rules above:
+{corrections}
 
 Examples of customer inquiries (in Greek or English):
 - Θα θέλαμε να μάθουμε τις τιμές σας για...
@@ -103,19 +103,33 @@ Examples of invoices:
 - Body contains: amount, total, payment due, invoice number
 - PDF attachments with invoice-like names
 
-Respond with ONLY one word: "customer_inquiry", "invoice", or "other"`,
-                inputVariables: ['subject', 'body', 'attachments']
+Respond with ONLY one word: {categoryList}`,
+                inputVariables: ['subject', 'body', 'attachments', 'categoryList', 'categoryRules', 'corrections']
             });
 
             const chain = new LLMChain({ llm: this.llm, prompt: categoryPrompt });
 
             const attachmentInfo = attachments.map(att => `${att.filename} (${att.mimeType})`).join(', ') || 'None';
 
+            // Categories (built-in and user-defined) come from the registry
+            const categories = categoryRegistry.getAll();
+            const categoryList = categories.map(c => `"${c.key}"`).join(', ');
+            const categoryRules = categories.map(c => `- "${c.key}": ${c.description}`).join('\n');
+
+            // Past manual corrections most like this email, as few-shot examples
+            const corrections = correctionMemory.formatExamples(
+                correctionMemory.findSimilar({ subject, body, from })
+                    .filter(example => categoryRegistry.has(example.toCategory))
+            );
+
             const result = await retryUtils.withRetry(
                 async () => await chain.call({
                     subject,
                     body: body.substring(0, 1000), // Limit body length
-                    attachments: attachmentInfo
+                    attachments: attachmentInfo,
+                    categoryList,
+                    categoryRules,
+                    corrections
                 }),
                 {
                     maxAttempts: 3,
@@ -138,23 +152,24 @@ Respond with ONLY one word: "customer_inquiry", "invoice", or "other"`,
                 }
             );
 
-            const category = result.text.toLowerCase().trim();
+            // Local models sometimes wrap the answer in quotes or add punctuation
+            const category = result.text.toLowerCase().trim().replace(/[^a-z0-9_]/g, '');
 
             // Update usage statistics
             this.updateUsageStats(result.usage);
 
             // Validate response
-            if (['customer_inquiry', 'invoice', 'other'].includes(category)) {
+            if (categoryRegistry.has(category)) {
                 return category;
             }
 
-            console.warn('AI returned invalid category:', category, 'defaulting to "other"');
-            return 'other';
+            console.warn('AI returned invalid category:', category, 'using rule-based categorization');
+            return this.categorizeWithRules(subject, body, attachments);
         } catch (error) {
             console.error('Error categorizing email:', error);
             // Update request count even on error
             this.updateUsageStats(null);
-            return 'other';
+            return this.categorizeWithRules(subject, body, attachments);
         }
     }
 
@@ -168,7 +183,8 @@ Respond with ONLY one word: "customer_inquiry", "invoice", or "other"`,
             const batchPromises = batch.map(email => this.categorizeEmail(
                 email.subject,
                 email.body,
-                email.attachments
+                email.attachments,
+                email.from
             ));
 
             const batchResults = await Promise.all(batchPromises);
@@ -178,6 +178,35 @@ class AuditLogger {
     await this.writeToLog(this.auditFile, entry);
   }
 
+  /**
+   * Log a reviewer resolving failed invoice checks without changing the data
+   */
+  async logCheckResolution(emailId, issues, note, userId) {
+    const entry = this.formatLogEntry('CHECKS_RESOLVED', {
+      emailId,
+      issues: issues.map(issue => issue.code),
+      note,
+      userId
+    });
+
+    await this.writeToLog(this.auditFile, entry);
+  }
+
+  /**
+   * Log how a possible duplicate invoice was handled ('merge' or 'decline')
+   */
+  async logDuplicateResolution(emailId, originalEmailId, action, userId, metadata = {}) {
+    const entry = this.formatLogEntry('DUPLICATE_RESOLVED', {
+      emailId,
+      originalEmailId,
+      action,
+      userId,
+      ...metadata
+    });
+
+    await this.writeToLog(this.auditFile, entry);
+  }
+
   /**
    * Log bulk operations
    */
@@ -208,6 +237,19 @@ class AuditLogger {
     await this.writeToLog(this.auditFile, entry);
   }
 
+  /**
+   * Log configuration changes (custom categories, rules, etc.)
+   */
+  async logSettingsChange(setting, action, details = {}) {
+    const entry = this.formatLogEntry('SETTINGS_CHANGE', {
+      setting, // 'customCategories', ...
+      action, // 'create', 'update', 'delete'
+      ...details
+    });
+    
+    await this.writeToLog(this.auditFile, entry);
+  }
+
   // ======================
   // SECURITY LOGGING METHODS
   // ======================
@@ -0,0 +1,212 @@
+const db = require('./database');
+const gmailService = require('./gmail');
+
+/**
+ * Backfill Manager
+ * Fetches every email in a date range page by page (Gmail nextPageToken), with
+ * the same categorization and duplicate check as the regular sync.
+ * - The checkpoint (settings.backfillJob) is saved after each page, so a job
+ *   interrupted by a restart resumes from the last finished page
+ * - Progress goes out on the notification SSE stream as bulk_progress/bulk_complete
+ * - Cancellation takes effect between pages
+ */
+
+const PAGE_SIZE = 50;
+const JOB_TITLE = 'Backfilling Emails';
+
+class BackfillManager {
+    constructor() {
+        this.running = false;
+        this.cancelRequested = false;
+    }
+
+    /**
+     * Current or last job from the checkpoint
+     */
+    async getJob() {
+        const settings = await db.getSettings();
+        return settings.backfillJob || null;
+    }
+
+    /**
+     * Start a backfill for a date range (runs in the background)
+     * @returns {Promise<Object>} - The new job
+     */
+    async start(fromDate, toDate) {
+        if (this.running) {
+            throw new Error('A backfill is already running');
+        }
+
+        const job = {
+            id: Date.now().toString(36),
+            fromDate,
+            toDate,
+            status: 'running',
+            pageToken: null,
+            pages: 0,
+            processed: 0,
+            saved: 0,
+            skipped: 0,
+            errors: 0,
+            totalEstimate: 0,
+            categoryStats: {},
+            error: null,
+            startedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            finishedAt: null
+        };
+
+        await this.saveCheckpoint(job);
+        this.launch(job);
+        return job;
+    }
+
+    /**
+     * Ask the running job to stop after the current page
+     * @returns {boolean} - false when nothing is running
+     */
+    cancel() {
+        if (!this.running) {
+            return false;
+        }
+        this.cancelRequested = true;
+        return true;
+    }
+
+    /**
+     * Resume a job that was still running when the server stopped
+     */
+    async resumeInterrupted() {
+        const job = await this.getJob();
+        if (!job || job.status !== 'running' || this.running) {
+            return;
+        }
+
+        const user = await gmailService.getConnectedUser();
+        if (!user) {
+            return;
+        }
+
+        console.log(`📥 Resuming backfill ${job.id} (${job.fromDate} → ${job.toDate}) after ${job.pages} page(s)`);
+        this.launch(job);
+    }
+
+    launch(job) {
+        this.running = true;
+        this.cancelRequested = false;
+
+        this.run(job)
+            .catch(error => console.error('Backfill crashed:', error))
+            .finally(() => {
+                this.running = false;
+                this.cancelRequested = false;
+            });
+    }
+
+    async run(job) {
+        try {
+            const isInitialized = await gmailService.initializeFromStoredTokens();
+            if (!isInitialized) {
+                throw new Error('Gmail not connected or tokens expired');
+            }
+
+            const gmail = gmailService.getGmailClient();
+            const query = gmailService.buildDateRangeQuery(job.fromDate, job.toDate);
+
+            do {
+                if (this.cancelRequested) {
+                    job.status = 'cancelled';
+                    break;
+                }
+
+                const page = await gmailService.listMessagePage(gmail, query, PAGE_SIZE, job.pageToken || undefined);
+                job.totalEstimate = Math.max(job.totalEstimate, page.resultSizeEstimate, job.processed + page.messageIds.length);
+
+                const newIds = await gmailService.filterNewMessageIds(page.messageIds);
+                const rawEmails = await gmailService.fetchMessagesByIds(gmail, newIds);
+                const { categorizedEmails, errors } = await gmailService.categorizeEmails(rawEmails);
+                const savedEmails = await db.addMultipleFetchedEmails(categorizedEmails);
+                await gmailService.autoApproveEmails(savedEmails);
+
+                savedEmails.forEach(email => {
+                    job.categoryStats[email.category] = (job.categoryStats[email.category] || 0) + 1;
+                });
+                job.processed += page.messageIds.length;
+                job.saved += savedEmails.length;
+                job.skipped += page.messageIds.length - newIds.length + categorizedEmails.length - savedEmails.length;
+                job.errors += errors.length + (newIds.length - rawEmails.length);
+                job.pages++;
+                job.pageToken = page.nextPageToken;
+
+                await this.saveCheckpoint(job);
+                this.broadcast({
+                    type: 'bulk_progress',
+                    title: JOB_TITLE,
+                    jobId: job.id,
+                    cancellable: true,
+                    current: job.processed,
+                    total: Math.max(job.totalEstimate, job.processed),
+                    message: `${job.saved} new, ${job.skipped} already synced`
+                });
+            } while (job.pageToken);
+
+            if (job.status === 'running') {
+                job.status = 'completed';
+            }
+        } catch (error) {
+            console.error('Backfill failed:', error.message);
+            job.status = 'failed';
+            job.error = error.message;
+        }
+
+        job.finishedAt = new Date().toISOString();
+        await this.saveCheckpoint(job);
+        await this.notifyFinished(job);
+    }
+
+    async saveCheckpoint(job) {
+        job.updatedAt = new Date().toISOString();
+        await db.updateSettings({ backfillJob: job });
+    }
+
+    async notifyFinished(job) {
+        const outcome = {
+            completed: 'finished',
+            cancelled: 'cancelled',
+            failed: `failed: ${job.error}`
+        }[job.status];
+        const message = `Backfill ${job.fromDate} → ${job.toDate} ${outcome}. ` +
+            `${job.saved} emails fetched${gmailService.formatCategoryStats(job.categoryStats)}, ${job.skipped} duplicates skipped`;
+
+        await db.createNotification({
+            type: 'OLD_EMAILS_FETCHED',
+            title: 'Old Emails Synced',
+            message,
+            payload: {
+                count: job.saved,
+                categoryStats: job.categoryStats,
+                dateRange: { fromDate: job.fromDate, toDate: job.toDate },
+                status: job.status
+            },
+            userId: 'single-user'
+        });
+
+        this.broadcast({
+            type: 'bulk_complete',
+            title: JOB_TITLE,
+            jobId: job.id,
+            status: job.status,
+            message
+        });
+    }
+
+    broadcast(payload) {
+        global.notificationClients?.forEach(client => {
+            if (client.response && !client.response.destroyed) {
+                client.response.write(`data: ${JSON.stringify(payload)}\n\n`);
+            }
+        });
+    }
+}
+
+module.exports = new BackfillManager();
@@ -1,6 +1,6 @@
 /**
  * Backup Manager for AEMS
- * Handles automated backups of JSON data files
+ * Handles automated backups of the data directory (JSON files or the SQLite database)
  */
 
 const fs = require('fs').promises;
@@ -8,6 +8,9 @@ const path = require('path');
 const { createReadStream, createWriteStream } = require('fs');
 const { pipeline } = require('stream/promises');
 
+// SQLite database files, with their WAL and shared-memory files
+const SQLITE_FILE = /\.sqlite(-wal|-shm|-journal)?$/;
+
 class BackupManager {
   constructor() {
     this.dataDir = path.join(__dirname, '../data');
@@ -108,12 +111,29 @@ class BackupManager {
       if (item.isDirectory()) {
         await fs.mkdir(targetPath, { recursive: true });
         await this.backupDirectory(sourcePath, targetPath);
+      } else if (SQLITE_FILE.test(item.name)) {
+        // A live SQLite database is copied with its online backup, which includes the WAL
+        if (item.name.endsWith('.sqlite')) {
+          await this.backupSqlite(sourcePath, targetPath);
+        }
       } else if (item.isFile()) {
         await this.copyFile(sourcePath, targetPath);
       }
     }
   }
 
+  /**
+   * Back up the SQLite database in use by the app, or copy one that is not
+   */
+  async backupSqlite(source, target) {
+    const { storage } = require('./database');
+    if (storage.filepath && path.resolve(storage.filepath) === path.resolve(source)) {
+      await storage.backup(target);
+    } else {
+      await this.copyFile(source, target);
+    }
+  }
+
   /**
    * Copy a file with error handling
    */
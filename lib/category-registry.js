@@ -0,0 +1,253 @@
+/**
+ * Category Registry
+ * Single source of truth for email categories: the built-in ones plus any
+ * user-defined categories stored in settings.customCategories.
+ * Built-in extraction fields are declared in lib/schemas/<key>.json
+ */
+
+const customerInquirySchema = require('./schemas/customer_inquiry.json');
+const invoiceSchema = require('./schemas/invoice.json');
+
+const BUILT_IN_CATEGORIES = [
+    {
+        key: 'customer_inquiry',
+        label: 'Customer Inquiry',
+        description: 'Emails asking for information, services, quotes, support, or any customer request',
+        storageFile: 'customer-inquiries.json',
+        sheetName: customerInquirySchema.sheetName,
+        extractable: true,
+        fields: customerInquirySchema.fields,
+        builtIn: true
+    },
+    {
+        key: 'invoice',
+        label: 'Invoice',
+        description: 'Emails containing invoices, bills, receipts, or payment-related documents',
+        storageFile: 'invoices.json',
+        sheetName: invoiceSchema.sheetName,
+        extractable: true,
+        fields: invoiceSchema.fields,
+        lineItems: invoiceSchema.lineItems,
+        builtIn: true
+    },
+    {
+        key: 'other',
+        label: 'Other',
+        description: 'Everything else that doesn\'t fit the above categories',
+        storageFile: 'other.json',
+        sheetName: 'Other',
+        extractable: false,
+        fields: [],
+        builtIn: true
+    }
+];
+
+const FALLBACK_CATEGORY = 'other';
+const CATEGORY_KEY_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const FIELD_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,49}$/;
+const RESERVED_KEYS = ['all', 'deleted', 'unknown'];
+const MAX_CUSTOM_CATEGORIES = 20;
+const MAX_FIELDS_PER_CATEGORY = 30;
+const FIELD_TYPES = ['string', 'text', 'number', 'date', 'email', 'phone', 'address', 'vatId', 'enum'];
+
+class CategoryRegistry {
+    constructor() {
+        this.categories = new Map();
+        this.load([]);
+    }
+
+    /**
+     * Rebuild the registry from the built-ins plus the custom definitions in settings
+     * @param {Array} customCategories - settings.customCategories
+     */
+    load(customCategories = []) {
+        const categories = new Map();
+        BUILT_IN_CATEGORIES.forEach(category => categories.set(category.key, { ...category }));
+
+        for (const definition of customCategories || []) {
+            const errors = this.validateDefinition(definition, categories);
+            if (errors.length > 0) {
+                console.warn(`Skipping invalid custom category "${definition && definition.key}": ${errors.join('; ')}`);
+                continue;
+            }
+            categories.set(definition.key, this.normalizeDefinition(definition));
+        }
+
+        this.categories = categories;
+    }
+
+    /**
+     * Validate a custom category definition
+     * @param {Object} definition - { key, label, description, fields }
+     * @param {Map} existing - Categories to check key collisions against
+     * @returns {Array<string>} - Validation errors (empty when valid)
+     */
+    validateDefinition(definition, existing = this.categories) {
+        const errors = [];
+
+        if (!definition || typeof definition !== 'object') {
+            return ['Category definition must be an object'];
+        }
+
+        if (!CATEGORY_KEY_PATTERN.test(definition.key || '')) {
+            errors.push('key must be 2-40 lowercase letters, digits or underscores, starting with a letter');
+        } else if (RESERVED_KEYS.includes(definition.key)) {
+            errors.push(`key "${definition.key}" is reserved`);
+        } else if (existing.has(definition.key) && existing.get(definition.key).builtIn) {
+            errors.push(`key "${definition.key}" is a built-in category`);
+        } else {
+            // Two categories sharing a file would mix their emails and extracted data
+            const storageFile = this.getCustomStorageFile(definition.key);
+            const sharing = Array.from(existing.values())
+                .find(category => category.key !== definition.key && category.storageFile === storageFile);
+            if (sharing) {
+                errors.push(`key "${definition.key}" would share the storage file of category "${sharing.key}"`);
+            }
+        }
+
+        if (!definition.label || typeof definition.label !== 'string' || definition.label.length > 60) {
+            errors.push('label is required (max 60 characters)');
+        }
+
+        if (!definition.description || typeof definition.description !== 'string' || definition.description.length > 500) {
+            errors.push('description is required (max 500 characters) so the AI knows when to use the category');
+        }
+
+        const fields = definition.fields || [];
+        if (!Array.isArray(fields)) {
+            errors.push('fields must be an array');
+        } else {
+            if (fields.length > MAX_FIELDS_PER_CATEGORY) {
+                errors.push(`at most ${MAX_FIELDS_PER_CATEGORY} fields are allowed`);
+            }
+            const seen = new Set();
+            fields.forEach((field, index) => {
+                if (!field || !FIELD_NAME_PATTERN.test(field.name || '')) {
+                    errors.push(`fields[${index}].name must be an identifier (letters, digits, underscores)`);
+                    return;
+                }
+                if (seen.has(field.name)) {
+                    errors.push(`fields[${index}].name "${field.name}" is duplicated`);
+                }
+                seen.add(field.name);
+
+                if (field.type !== undefined && !FIELD_TYPES.includes(field.type)) {
+                    errors.push(`fields[${index}].type must be one of: ${FIELD_TYPES.join(', ')}`);
+                }
+                if (field.type === 'enum' && (!Array.isArray(field.values) || field.values.length === 0)) {
+                    errors.push(`fields[${index}].values must list the allowed values of an enum field`);
+                }
+                if (field.required !== undefined && typeof field.required !== 'boolean') {
+                    errors.push(`fields[${index}].required must be true or false`);
+                }
+                if (field.labels !== undefined && (typeof field.labels !== 'object' ||
+                    Object.values(field.labels).some(label => typeof label !== 'string' || label.length > 60))) {
+                    errors.push(`fields[${index}].labels must map language codes to labels (max 60 characters)`);
+                }
+                if (field.aliases !== undefined && (!Array.isArray(field.aliases) ||
+                    field.aliases.some(alias => typeof alias !== 'string' || alias.length > 60))) {
+                    errors.push(`fields[${index}].aliases must be a list of alternative labels (max 60 characters)`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    normalizeDefinition(definition) {
+        const fields = (definition.fields || []).map(field => ({
+            name: field.name,
+            type: field.type || 'string',
+            ...(field.type === 'enum' ? { values: field.values.map(String) } : {}),
+            required: field.required === true,
+            description: field.description || '',
+            labels: {
+                en: (field.labels && field.labels.en) || field.name,
+                el: (field.labels && field.labels.el) || (field.labels && field.labels.en) || field.name
+            },
+            ...(Array.isArray(field.aliases) && field.aliases.length > 0 ? { aliases: field.aliases } : {})
+        }));
+
+        return {
+            key: definition.key,
+            label: definition.label,
+            description: definition.description,
+            storageFile: this.getCustomStorageFile(definition.key),
+            sheetName: definition.label,
+            extractable: fields.length > 0,
+            fields,
+            builtIn: false
+        };
+    }
+
+    getCustomStorageFile(key) {
+        return `${key.replace(/_/g, '-')}.json`;
+    }
+
+    /**
+     * Normalize a raw category value to a registered key ('INVOICE' -> 'invoice')
+     * Unknown categories fall back to 'other'
+     */
+    normalizeKey(category) {
+        const key = (category || '').toString().toLowerCase().trim();
+        return this.categories.has(key) ? key : FALLBACK_CATEGORY;
+    }
+
+    has(key) {
+        return this.categories.has((key || '').toString().toLowerCase());
+    }
+
+    get(key) {
+        return this.categories.get((key || '').toString().toLowerCase()) || null;
+    }
+
+    /**
+     * All categories, with the fallback category last
+     */
+    getAll() {
+        const all = Array.from(this.categories.values());
+        return [
+            ...all.filter(category => category.key !== FALLBACK_CATEGORY),
+            this.categories.get(FALLBACK_CATEGORY)
+        ];
+    }
+
+    getKeys() {
+        return this.getAll().map(category => category.key);
+    }
+
+    getCustom() {
+        return this.getAll().filter(category => !category.builtIn);
+    }
+
+    /**
+     * Categories that have an extraction step and an extracted-data file
+     */
+    getExtractable() {
+        return this.getAll().filter(category => category.extractable);
+    }
+
+    getStorageFile(key) {
+        const category = this.get(key) || this.categories.get(FALLBACK_CATEGORY);
+        return category.storageFile;
+    }
+
+    /**
+     * Map of storage file -> category key, used to lay out data/ directories
+     * @param {boolean} extractableOnly - Only include categories with extracted data
+     */
+    getFileMap(extractableOnly = false) {
+        const categories = extractableOnly ? this.getExtractable() : this.getAll();
+        return categories.reduce((acc, category) => {
+            acc[category.storageFile] = category.key;
+            return acc;
+        }, {});
+    }
+}
+
+const registry = new CategoryRegistry();
+registry.FALLBACK_CATEGORY = FALLBACK_CATEGORY;
+registry.MAX_CUSTOM_CATEGORIES = MAX_CUSTOM_CATEGORIES;
+registry.FIELD_TYPES = FIELD_TYPES;
+
+module.exports = registry;
@@ -0,0 +1,229 @@
+const extractionSchema = require('./extraction-schema');
+
+/**
+ * Confidence Scorer
+ * Gives every extracted field a confidence value and the source snippet it came from.
+ * The model's own confidence is only trusted as far as its quoted evidence can be
+ * found in the email subject, body, PDF text or OCR text of scanned attachments.
+ *
+ * Stored on extracted data as:
+ *   fieldConfidence: { [field]: { confidence, evidence, source, verified } }
+ *   confidence: lowest field confidence (0 when a required field is missing)
+ */
+
+const DEFAULT_MODEL_CONFIDENCE = 0.7;
+const RULE_BASED_CONFIDENCE = 0.6;
+const UNVERIFIED_QUOTE_CAP = 0.4;
+const VALUE_ONLY_CAP = 0.8;
+const NO_EVIDENCE_CAP = 0.5;
+const MAX_EVIDENCE_LENGTH = 200;
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Lowercase, strip accents and collapse whitespace so quotes match despite formatting
+ */
+function normalizeForMatch(text) {
+    return (text || '')
+        .toString()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function clamp(value) {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(number)) return null;
+    return Math.min(1, Math.max(0, number));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+class ConfidenceScorer {
+    constructor() {
+        this.lowThreshold = clamp(process.env.LOW_CONFIDENCE_THRESHOLD) ?? 0.6;
+    }
+
+    /**
+     * Score fields extracted by the model
+     * @param {string} category - Category key
+     * @param {Object} data - Extracted values
+     * @param {Object} evidence - Model-reported { [field]: { confidence, quote } }
+     * @param {Object} sources - { subject, body, pdf, ocr } text the model saw
+     * @returns {Object} - fieldConfidence map
+     */
+    scoreModelFields(category, data, evidence = {}, sources = {}) {
+        const fieldConfidence = {};
+
+        for (const field of extractionSchema.getFields(category)) {
+            const value = data[field.name];
+            if (value === null || value === undefined || value === '') continue;
+
+            const claim = (evidence && typeof evidence[field.name] === 'object' && evidence[field.name]) || {};
+            const modelConfidence = clamp(claim.confidence) ?? DEFAULT_MODEL_CONFIDENCE;
+            const quote = typeof claim.quote === 'string' ? claim.quote.trim() : '';
+
+            if (quote) {
+                const source = this.locate(quote, sources);
+                fieldConfidence[field.name] = {
+                    confidence: round(source ? modelConfidence : Math.min(modelConfidence, UNVERIFIED_QUOTE_CAP)),
+                    evidence: quote.substring(0, MAX_EVIDENCE_LENGTH),
+                    source,
+                    verified: source !== null
+                };
+                continue;
+            }
+
+            fieldConfidence[field.name] = this.scoreFromValue(value, sources, modelConfidence, VALUE_ONLY_CAP);
+        }
+
+        return fieldConfidence;
+    }
+
+    /**
+     * Score fields from the rule-based provider: values are only as good as
+     * the label match they came from, so they start at a fixed confidence
+     */
+    scoreRuleFields(category, data, sources = {}) {
+        const fieldConfidence = {};
+
+        for (const field of extractionSchema.getFields(category)) {
+            const value = data[field.name];
+            if (value === null || value === undefined || value === '') continue;
+
+            fieldConfidence[field.name] = this.scoreFromValue(value, sources, RULE_BASED_CONFIDENCE, RULE_BASED_CONFIDENCE);
+        }
+
+        return fieldConfidence;
+    }
+
+    /**
+     * No quote given: look for the value itself in the sources
+     */
+    scoreFromValue(value, sources, baseConfidence, foundCap) {
+        const located = this.findSnippet(String(value), sources);
+        if (located) {
+            return {
+                confidence: round(Math.min(baseConfidence, foundCap)),
+                evidence: located.snippet,
+                source: located.source,
+                verified: true
+            };
+        }
+
+        return {
+            confidence: round(Math.min(baseConfidence, NO_EVIDENCE_CAP)),
+            evidence: null,
+            source: null,
+            verified: false
+        };
+    }
+
+    /**
+     * Name of the source ('subject', 'body', 'pdf', 'ocr') containing the quote, or null
+     */
+    locate(quote, sources) {
+        const needle = normalizeForMatch(quote);
+        if (!needle) return null;
+
+        for (const [source, text] of Object.entries(sources)) {
+            if (text && normalizeForMatch(text).includes(needle)) {
+                return source;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Snippet of source text around the first occurrence of a value
+     */
+    findSnippet(value, sources) {
+        const needle = value.trim().toLowerCase();
+        if (needle.length < 2) return null;
+
+        for (const [source, text] of Object.entries(sources)) {
+            if (!text) continue;
+            const index = text.toLowerCase().indexOf(needle);
+            if (index === -1) continue;
+
+            const start = Math.max(0, index - SNIPPET_CONTEXT);
+            const end = Math.min(text.length, index + needle.length + SNIPPET_CONTEXT);
+            return {
+                source,
+                snippet: text.substring(start, end).replace(/\s+/g, ' ').trim().substring(0, MAX_EVIDENCE_LENGTH)
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Reconcile field confidence with the validated record and set the overall confidence.
+     * Values cleared by validation drop to 0; reviewer corrections are fully trusted.
+     * @param {Object} record - Mapped extracted data (values + validationIssues)
+     * @param {Object} fieldConfidence - Scores from the extraction step
+     * @returns {Object} - The same record with fieldConfidence and confidence set
+     */
+    applyToRecord(record, fieldConfidence = {}) {
+        const invalidFields = new Set((record.validationIssues || [])
+            .filter(issue => issue.code === 'invalid')
+            .map(issue => issue.field));
+        const result = {};
+        let lowest = null;
+
+        for (const field of extractionSchema.getFields(record.category)) {
+            const value = record[field.name];
+            const score = fieldConfidence[field.name];
+
+            if (value === null || value === undefined) {
+                if (invalidFields.has(field.name)) {
+                    result[field.name] = { ...(score || { evidence: null, source: null }), confidence: 0, verified: false };
+                    lowest = 0;
+                } else if (field.required) {
+                    lowest = 0;
+                }
+                continue;
+            }
+
+            const entry = score || { confidence: NO_EVIDENCE_CAP, evidence: null, source: null, verified: false };
+            result[field.name] = entry;
+            lowest = lowest === null ? entry.confidence : Math.min(lowest, entry.confidence);
+        }
+
+        record.fieldConfidence = result;
+        record.confidence = lowest;
+        return record;
+    }
+
+    /**
+     * Field confidence after a reviewer edit: changed values become reviewer-verified
+     * @param {Object} previous - Previous extracted data record (may be null)
+     * @param {Object} updated - Newly validated values
+     * @param {string} category - Category key
+     */
+    mergeReviewerEdits(previous, updated, category) {
+        const previousConfidence = (previous && previous.fieldConfidence) || {};
+        const merged = {};
+
+        for (const field of extractionSchema.getFields(category)) {
+            const before = previous ? previous[field.name] ?? null : null;
+            const after = updated[field.name] ?? null;
+
+            if (after !== null && String(after) !== String(before)) {
+                merged[field.name] = { confidence: 1, evidence: null, source: 'reviewer', verified: true };
+            } else if (previousConfidence[field.name]) {
+                merged[field.name] = previousConfidence[field.name];
+            }
+        }
+
+        return merged;
+    }
+
+    isLow(confidence) {
+        return confidence !== null && confidence !== undefined && confidence < this.lowThreshold;
+    }
+}
+
+module.exports = new ConfidenceScorer();
@@ -0,0 +1,286 @@
+/**
+ * Contact Matcher
+ * Builds contacts (people and companies) from extracted data and decides which
+ * existing contact a new record belongs to, so the same customer writing from
+ * several emails ends up as one contact:
+ * - same email address: same contact
+ * - same phone number or VAT ID, unless the names are clearly different (a company
+ *   switchboard or a company VAT ID shared by colleagues): same contact
+ * - similar name (accent-, order- and script-insensitive, "Γιάννης Παπαδόπουλος" ~
+ *   "Giannis Papadopoulos") with nothing that tells them apart: same contact
+ * Matching never overwrites a contact's values; it only fills the ones it is missing.
+ * Phones are kept in E.164 form and addresses with their parsed parts (see
+ * lib/phone-number.js and lib/address-parser.js).
+ */
+
+const phoneNumber = require('./phone-number');
+
+// Name similarity (0-1) above which two names are the same contact
+const NAME_MATCH_THRESHOLD = 0.88;
+// Lower bar when the company matches too
+const NAME_AND_COMPANY_THRESHOLD = 0.75;
+// Below this, a shared phone or VAT ID (switchboard, company VAT) is someone else at the same place
+const DIFFERENT_NAME_THRESHOLD = 0.5;
+// Phone numbers are compared on their last digits (drops +30 / 0030 / trunk prefixes)
+const PHONE_DIGITS = 10;
+
+// Legal forms left out when comparing company names
+const COMPANY_SUFFIXES = /\b(ae|a e|epe|ike|oe|ee|ltd|llc|inc|gmbh|sa|srl|bv|plc|co|corp|company|limited)\b/g;
+
+const GREEK_TO_LATIN = {
+    α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k',
+    λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't',
+    υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o'
+};
+// Digraphs first, so "ου" reads "ou" rather than "oy"
+const GREEK_DIGRAPHS = [['ου', 'ou'], ['μπ', 'b'], ['ντ', 'd'], ['γκ', 'g'], ['αι', 'e'], ['ει', 'i'], ['οι', 'i']];
+
+const CONTACT_FIELDS = {
+    customer_inquiry: record => ({
+        type: 'person',
+        name: record.customerName,
+        company: record.company,
+        email: record.customerEmail,
+        phone: record.customerPhone,
+        vatId: record.vatId,
+        location: record.location,
+        address: record.normalizedFields ? record.normalizedFields.location : null
+    }),
+    invoice: record => ({
+        type: 'company',
+        name: record.invoiceClient,
+        company: record.invoiceClient,
+        email: null,
+        phone: null,
+        vatId: record.clientVatId,
+        location: null,
+        address: null
+    })
+};
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+function present(value) {
+    return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+class ContactMatcher {
+    /**
+     * Whether records of a category feed the contact registry
+     */
+    appliesTo(category) {
+        return Object.prototype.hasOwnProperty.call(CONTACT_FIELDS, category);
+    }
+
+    /**
+     * Contact details carried by an extracted data record
+     * @returns {Object|null} - { type, name, company, email, phone, vatId, location, address }
+     *   or null when the record names nobody
+     */
+    fromRecord(record) {
+        const extract = CONTACT_FIELDS[record.category];
+        if (!extract) return null;
+
+        const details = extract(record);
+        details.email = present(details.email) ? this.normalizeEmail(details.email) : null;
+        // Records extracted before phones were normalized still hold them as written
+        details.phone = present(details.phone)
+            ? phoneNumber.normalize(details.phone) || String(details.phone).trim()
+            : null;
+        for (const key of ['name', 'company', 'vatId', 'location']) {
+            details[key] = present(details[key]) ? String(details[key]).trim() : null;
+        }
+        details.address = this.addressParts(details.address);
+
+        return details.name || details.email || details.phone || details.vatId ? details : null;
+    }
+
+    /**
+     * Street, city, postal code and country of a parsed address; null when none is known
+     */
+    addressParts(address) {
+        if (!address) return null;
+        const { street = null, city = null, postalCode = null, country = null } = address;
+        return street || city || postalCode ? { street, city, postalCode, country } : null;
+    }
+
+    normalizeEmail(value) {
+        return String(value).trim().toLowerCase();
+    }
+
+    /**
+     * Comparable phone number: its last digits ("+30 210 123 4567" = "210-1234567")
+     */
+    normalizePhone(value) {
+        const digits = String(value || '').replace(/\D/g, '');
+        return digits.length >= 7 ? digits.slice(-PHONE_DIGITS) : null;
+    }
+
+    /**
+     * Comparable name: lowercase Latin letters, no accents, legal forms or punctuation
+     */
+    normalizeName(value) {
+        let text = String(value || '')
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .toLowerCase();
+
+        for (const [greek, latin] of GREEK_DIGRAPHS) {
+            text = text.split(greek).join(latin);
+        }
+        text = text.replace(/[α-ω]/g, letter => GREEK_TO_LATIN[letter] || letter);
+
+        return text
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .replace(COMPANY_SUFFIXES, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Name similarity from 0 to 1, ignoring word order
+     */
+    nameSimilarity(a, b) {
+        const sortTokens = value => this.normalizeName(value).split(' ').filter(Boolean).sort().join(' ');
+        const left = sortTokens(a);
+        const right = sortTokens(b);
+        if (!left || !right) return 0;
+
+        const longest = Math.max(left.length, right.length);
+        return 1 - levenshtein(left, right) / longest;
+    }
+
+    /**
+     * The existing contact a record's details belong to
+     * @param {Object} details - From fromRecord()
+     * @param {Array} contacts - Registry
+     * @returns {Object|null} - { contact, reason } or null for a new contact
+     */
+    match(details, contacts) {
+        const phone = this.normalizePhone(details.phone);
+
+        for (const contact of contacts) {
+            if (details.email && contact.emails.includes(details.email)) {
+                return { contact, reason: 'email' };
+            }
+            if (this.namesDiffer(details, contact)) continue;
+            if (details.vatId && contact.vatId === details.vatId) {
+                return { contact, reason: 'vatId' };
+            }
+            if (phone && contact.phones.some(known => this.normalizePhone(known) === phone)) {
+                return { contact, reason: 'phone' };
+            }
+        }
+
+        if (!details.name) return null;
+
+        let best = null;
+        for (const contact of contacts) {
+            if (contact.type !== details.type || this.conflicts(details, contact)) continue;
+
+            const similarity = this.nameSimilarity(details.name, contact.name);
+            const sameCompany = details.company && contact.company &&
+                this.nameSimilarity(details.company, contact.company) >= NAME_MATCH_THRESHOLD;
+            const threshold = sameCompany ? NAME_AND_COMPANY_THRESHOLD : NAME_MATCH_THRESHOLD;
+
+            if (similarity >= threshold && (!best || similarity > best.similarity)) {
+                best = { contact, reason: 'name', similarity };
+            }
+        }
+
+        return best ? { contact: best.contact, reason: best.reason } : null;
+    }
+
+    namesDiffer(details, contact) {
+        return Boolean(details.name) && Boolean(contact.name) &&
+            this.nameSimilarity(details.name, contact.name) < DIFFERENT_NAME_THRESHOLD;
+    }
+
+    /**
+     * Known values that say a similarly named contact is someone else
+     */
+    conflicts(details, contact) {
+        if (details.vatId && contact.vatId && details.vatId !== contact.vatId) return true;
+        if (details.company && contact.company && details.type === 'person' &&
+            this.nameSimilarity(details.company, contact.company) < NAME_AND_COMPANY_THRESHOLD) return true;
+        return false;
+    }
+
+    /**
+     * New contact from a record's details
+     */
+    create(details, id, now) {
+        return {
+            id,
+            type: details.type,
+            name: details.name || details.company || details.email || details.phone || details.vatId,
+            company: details.company,
+            emails: details.email ? [details.email] : [],
+            phones: details.phone ? [details.phone] : [],
+            vatId: details.vatId,
+            location: details.location,
+            address: details.address,
+            sources: [],
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Fill a contact's missing values from a record's details; emails and phones
+     * are added to the contact's lists, other values only set when missing
+     * @returns {Array} - Names of the values that were added
+     */
+    fillGaps(contact, details) {
+        const added = [];
+
+        for (const key of ['company', 'vatId', 'location', 'address']) {
+            if (!contact[key] && details[key]) {
+                contact[key] = details[key];
+                added.push(key);
+            }
+        }
+        if (details.email && !contact.emails.includes(details.email)) {
+            contact.emails.push(details.email);
+            added.push('email');
+        }
+        const phone = this.normalizePhone(details.phone);
+        if (details.phone && !contact.phones.some(known => (phone ? this.normalizePhone(known) === phone : known === details.phone))) {
+            contact.phones.push(details.phone);
+            added.push('phone');
+        }
+
+        return added;
+    }
+
+    /**
+     * Record that an email's extracted data belongs to the contact
+     */
+    addSource(contact, record, now) {
+        if (!contact.sources.some(source => source.emailId === record.emailId)) {
+            contact.sources.push({ emailId: record.emailId, category: record.category, addedAt: now });
+        }
+    }
+}
+
+const contactMatcher = new ContactMatcher();
+contactMatcher.NAME_MATCH_THRESHOLD = NAME_MATCH_THRESHOLD;
+
+module.exports = contactMatcher;
@@ -0,0 +1,177 @@
+/**
+ * Correction Memory
+ * Manual category corrections (PUT /api/emails/fetched/:id/category) kept as
+ * labelled examples. The most similar ones are injected into the
+ * categorization prompt as few-shot examples, and the senders/domains that
+ * get corrected most often are reported so they can be turned into rules.
+ *
+ * Stored in data/corrections.json, loaded here by the database on startup.
+ */
+
+const MAX_CORRECTIONS = 500;
+const MAX_SNIPPET_LENGTH = 300;
+const MIN_SIMILARITY = 0.15;
+const SAME_SENDER_BONUS = 0.5;
+const SAME_DOMAIN_BONUS = 0.25;
+
+/**
+ * Lowercase, strip accents and split into words of 3+ letters
+ */
+function tokenize(text) {
+    return new Set((text || '')
+        .toString()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/ς/g, 'σ')
+        .split(/[^a-z0-9\u0370-\u03ff]+/)
+        .filter(word => word.length >= 3));
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const word of a) {
+        if (b.has(word)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
+
+function senderOf(from) {
+    const text = (from || '').toString();
+    const match = text.match(/<([^>]+)>/);
+    return (match ? match[1] : text).trim().toLowerCase();
+}
+
+class CorrectionMemory {
+    constructor() {
+        this.corrections = [];
+    }
+
+    /**
+     * Replace the in-memory corrections
+     * @param {Array} corrections - Contents of data/corrections.json
+     */
+    load(corrections = []) {
+        this.corrections = Array.isArray(corrections) ? corrections : [];
+    }
+
+    /**
+     * Correction record for an email whose category was changed by hand
+     * @param {Object} email - Email before the change
+     * @param {string} newCategory - Category chosen by the user
+     */
+    createCorrection(email, newCategory) {
+        const fromAddress = senderOf(email.fromAddress || email.from);
+
+        return {
+            emailId: email.id,
+            fromAddress,
+            domain: fromAddress.split('@')[1] || null,
+            subject: (email.subject || '').substring(0, MAX_SNIPPET_LENGTH),
+            snippet: (email.body || email.snippet || '').replace(/\s+/g, ' ').trim().substring(0, MAX_SNIPPET_LENGTH),
+            fromCategory: email.category,
+            toCategory: newCategory,
+            correctedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Add a correction, newest first, replacing any earlier one for the same email
+     * @returns {Array} - Updated corrections (capped at MAX_CORRECTIONS) to persist
+     */
+    add(correction) {
+        this.corrections = [
+            correction,
+            ...this.corrections.filter(c => c.emailId !== correction.emailId)
+        ].slice(0, MAX_CORRECTIONS);
+        return this.corrections;
+    }
+
+    /**
+     * Past corrections most similar to an email: word overlap of subject and
+     * body, boosted when the sender or their domain match
+     * @param {Object} email - { subject, body, from }
+     * @param {number} limit - Maximum examples to return
+     * @returns {Array} - Corrections with a similarity score, best first
+     */
+    findSimilar({ subject, body, from }, limit = 3) {
+        if (this.corrections.length === 0) return [];
+
+        const words = tokenize(`${subject || ''} ${(body || '').substring(0, 1000)}`);
+        const sender = senderOf(from);
+        const domain = sender.split('@')[1] || null;
+
+        return this.corrections
+            .map(correction => {
+                let similarity = jaccard(words, tokenize(`${correction.subject} ${correction.snippet}`));
+                if (sender && correction.fromAddress === sender) {
+                    similarity += SAME_SENDER_BONUS;
+                } else if (domain && correction.domain === domain) {
+                    similarity += SAME_DOMAIN_BONUS;
+                }
+                return { ...correction, similarity: Math.round(similarity * 100) / 100 };
+            })
+            .filter(correction => correction.similarity >= MIN_SIMILARITY)
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+
+    /**
+     * Few-shot block for the categorization prompt
+     */
+    formatExamples(examples) {
+        if (examples.length === 0) {
+            return 'None';
+        }
+
+        return examples.map(example =>
+            `- From: ${example.domain || example.fromAddress || 'unknown'} | Subject: "${example.subject}" | ` +
+            `Body: "${example.snippet.substring(0, 150)}" → "${example.toCategory}" (not "${example.fromCategory}")`
+        ).join('\n');
+    }
+
+    /**
+     * Senders and domains corrected most often, with the categories they were moved to
+     * @param {number} limit - Entries per list
+     * @returns {Object} - { total, senders: [...], domains: [...], transitions: [...] }
+     */
+    buildReport(limit = 20) {
+        const group = keyOf => {
+            const groups = new Map();
+            for (const correction of this.corrections) {
+                const key = keyOf(correction);
+                if (!key) continue;
+
+                const entry = groups.get(key) || { key, count: 0, categories: {}, lastCorrectedAt: null };
+                entry.count++;
+                entry.categories[correction.toCategory] = (entry.categories[correction.toCategory] || 0) + 1;
+                if (!entry.lastCorrectedAt || correction.correctedAt > entry.lastCorrectedAt) {
+                    entry.lastCorrectedAt = correction.correctedAt;
+                }
+                groups.set(key, entry);
+            }
+
+            return [...groups.values()]
+                .map(entry => ({
+                    ...entry,
+                    // The category this sender/domain is usually corrected to - a candidate rule
+                    suggestedCategory: Object.entries(entry.categories).sort((a, b) => b[1] - a[1])[0][0]
+                }))
+                .sort((a, b) => b.count - a.count)
+                .slice(0, limit);
+        };
+
+        return {
+            total: this.corrections.length,
+            senders: group(c => c.fromAddress),
+            domains: group(c => c.domain),
+            transitions: group(c => `${c.fromCategory} → ${c.toCategory}`)
+        };
+    }
+}
+
+const correctionMemory = new CorrectionMemory();
+correctionMemory.MAX_CORRECTIONS = MAX_CORRECTIONS;
+
+module.exports = correctionMemory;
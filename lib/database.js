@@ -1,36 +1,20 @@
-const fs = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const writeFileAtomic = require('write-file-atomic');
-
-// File locking mechanism to prevent race conditions
-class FileLock {
-    constructor() {
-        this.locks = new Map();
-    }
-
-    async acquireLock(filepath, timeout = 5000) {
-        const lockKey = path.resolve(filepath);
-
-        // Wait for existing lock to be released
-        const startTime = Date.now();
-        while (this.locks.has(lockKey)) {
-            if (Date.now() - startTime > timeout) {
-                throw new Error(`Lock timeout for file: ${filepath}`);
-            }
-            await new Promise(resolve => setTimeout(resolve, 10));
-        }
-
-        // Acquire lock
-        this.locks.set(lockKey, Date.now());
-
-        return () => {
-            this.locks.delete(lockKey);
-        };
-    }
-}
-
-const fileLock = new FileLock();
+const { createStorage } = require('./storage');
+const DataDirLock = require('./storage/data-dir-lock');
+const categoryRegistry = require('./category-registry');
+const extractionSchema = require('./extraction-schema');
+const confidenceScorer = require('./confidence-scorer');
+const rulesEngine = require('./rules-engine');
+const correctionMemory = require('./correction-memory');
+const threadBuilder = require('./thread-builder');
+const auditLogger = require('./audit-logger');
+const invoiceChecks = require('./invoice-checks');
+const vatId = require('./vat-id');
+const duplicateDetector = require('./duplicate-detector');
+const contactMatcher = require('./contact-matcher');
+const searchIndex = require('./search-index');
+const savedViews = require('./saved-views');
 
 // Email status enum: FETCHED, REVIEW, MANAGED, DELETED
 const EMAIL_STATUS = {
@@ -47,115 +31,71 @@ const EMAIL_CATEGORY = {
     OTHER: 'OTHER'
 };
 
-// Modular JSON database with separate files by status and category
-class ModularJsonDatabase {
+// Characters of attachment (PDF/OCR) text kept on an email for search
+const MAX_ATTACHMENT_TEXT = 100000;
+
+// Email database; records are kept by a storage adapter (SQLite or JSON files, see lib/storage)
+class EmailDatabase {
     constructor() {
         this.dataDir = path.join(__dirname, '../data');
-        this.structure = {
-            emails: {
-                fetched: {
-                    'customer-inquiries.json': 'customer_inquiry',
-                    'invoices.json': 'invoice',
-                    'other.json': 'other'
-                },
-                review: {
-                    'customer-inquiries.json': 'customer_inquiry',
-                    'invoices.json': 'invoice',
-                    'other.json': 'other'
-                },
-                managed: {
-                    'customer-inquiries.json': 'customer_inquiry',
-                    'invoices.json': 'invoice',
-                    'other.json': 'other'
-                },
-                deleted: {
-                    'all.json': 'all'
-                }
-            },
-            'extracted-data': {
-                'customer-inquiries.json': 'customer_inquiry',
-                'invoices.json': 'invoice'
-            },
-            attachments: {
-                'all.json': 'all'
-            },
-            notifications: {
-                'all.json': 'all'
-            }
-        };
-
-        this.singleFiles = {
-            users: 'users.json',
-            settings: 'settings.json'
-        };
+        // One server process per data directory, taken in start()
+        this.lock = new DataDirLock(this.dataDir);
+        this.storage = createStorage(this.dataDir);
 
         this.EMAIL_STATUS = EMAIL_STATUS;
         this.EMAIL_CATEGORY = EMAIL_CATEGORY;
-        this.init();
+        this.categories = categoryRegistry;
+        this.ready = null;
+        // Settings updates still to run, in call order (see updateSettings)
+        this.settingsQueue = Promise.resolve();
     }
 
-    async init() {
-        // Ensure data directory exists
-        try {
-            await fs.access(this.dataDir);
-        } catch (error) {
-            await fs.mkdir(this.dataDir, { recursive: true });
+    /**
+     * Lock the data directory and initialize the storage, once (server startup)
+     * @returns {Promise} - The same promise on every call; rejects when another
+     *   process holds the data directory or the storage cannot be initialized
+     */
+    start() {
+        if (!this.ready) {
+            this.ready = Promise.resolve()
+                .then(() => this.lock.acquire())
+                .then(() => this.init());
         }
+        return this.ready;
+    }
 
-        // Create modular directory structure
-        for (const [mainDir, structure] of Object.entries(this.structure)) {
-            const mainDirPath = path.join(this.dataDir, mainDir);
+    async init() {
+        // Documents the storage did not have yet are created with their initial value
+        const createdDocuments = await this.storage.init({
+            users: [],
+            settings: this.getDefaultSettings(),
+            corrections: [],
+            contacts: []
+        });
+        console.log(`🗄️ Storage: ${this.storage.name}`);
 
-            try {
-                await fs.access(mainDirPath);
-            } catch (error) {
-                await fs.mkdir(mainDirPath, { recursive: true });
-            }
+        // Load user-defined categories before laying out the category storage
+        const settings = await this.getSettings();
+        categoryRegistry.load(settings.customCategories || []);
+        rulesEngine.load(settings.categoryRules || []);
+        correctionMemory.load((await this.storage.readDocument('corrections')) || []);
 
-            // Create subdirectories and files
-            if (typeof structure === 'object' && !Array.isArray(structure)) {
-                for (const [subDir, files] of Object.entries(structure)) {
-                    if (typeof files === 'object') {
-                        // It's a subdirectory with files
-                        const subDirPath = path.join(mainDirPath, subDir);
-                        try {
-                            await fs.access(subDirPath);
-                        } catch (error) {
-                            await fs.mkdir(subDirPath, { recursive: true });
-                        }
-
-                        // Initialize files in subdirectory
-                        for (const filename of Object.keys(files)) {
-                            const filepath = path.join(subDirPath, filename);
-                            try {
-                                await fs.access(filepath);
-                            } catch (error) {
-                                await fs.writeFile(filepath, JSON.stringify([], null, 2));
-                            }
-                        }
-                    } else {
-                        // It's a direct file in main directory
-                        const filepath = path.join(mainDirPath, subDir);
-                        try {
-                            await fs.access(filepath);
-                        } catch (error) {
-                            await fs.writeFile(filepath, JSON.stringify([], null, 2));
-                        }
-                    }
-                }
-            }
-        }
+        await this.storage.ensureCategories();
 
-        // Initialize single files
-        for (const [key, filename] of Object.entries(this.singleFiles)) {
-            const filepath = path.join(this.dataDir, filename);
-            try {
-                await fs.access(filepath);
-            } catch (error) {
-                const initialData = key === 'settings' ? this.getDefaultSettings() : [];
-                await fs.writeFile(filepath, JSON.stringify(initialData, null, 2));
-            }
+        // First start with a contact registry: build it from the data extracted so far
+        if (createdDocuments.includes('contacts')) {
+            await this.rebuildContacts();
         }
+
+        await this.rebuildSearchIndex();
+    }
+
+    /**
+     * Close the storage and release the data directory (shutdown)
+     */
+    close() {
+        this.storage.close();
+        this.lock.release();
     }
 
     getDefaultSettings() {
@@ -163,91 +103,32 @@ class ModularJsonDatabase {
             syncInterval: 5, // minutes
             autoSync: true,
             emailCategories: ['customer_inquiry', 'invoice'],
+            customCategories: [],
+            categoryRules: [],
+            savedViews: [],
             language: 'both', // 'greek', 'english', 'both'
             notifications: true,
-            lastSync: null
+            lastSync: null,
+            historyId: null // Gmail history position for incremental sync
         };
     }
 
-    // Helper methods to get file paths
-    getEmailFilePath(status, category) {
-        const statusDir = status.toLowerCase();
-        let filename;
-
-        if (status === 'DELETED') {
-            filename = 'all.json';
-        } else {
-            switch (category.toLowerCase()) {
-                case 'customer_inquiry':
-                    filename = 'customer-inquiries.json';
-                    break;
-                case 'invoice':
-                    filename = 'invoices.json';
-                    break;
-                default:
-                    filename = 'other.json';
-            }
-        }
-
-        return path.join(this.dataDir, 'emails', statusDir, filename);
-    }
-
-    getExtractedDataFilePath(category) {
-        const filename = category === 'customer_inquiry' ? 'customer-inquiries.json' : 'invoices.json';
-        return path.join(this.dataDir, 'extracted-data', filename);
-    }
-
-    getAttachmentsFilePath() {
-        return path.join(this.dataDir, 'attachments', 'all.json');
-    }
-
-    getNotificationsFilePath() {
-        return path.join(this.dataDir, 'notifications', 'all.json');
-    }
-
-    // Generic file operations
-    async readJsonFile(filepath) {
-        try {
-            const data = await fs.readFile(filepath, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            return [];
-        }
-    }
-
-    async writeJsonFile(filepath, data) {
-        const releaseLock = await fileLock.acquireLock(filepath);
-        try {
-            // Use atomic write to prevent race conditions and data corruption
-            await writeFileAtomic(filepath, JSON.stringify(data, null, 2));
-            return true;
-        } catch (error) {
-            console.error('Error writing file:', filepath, error);
-            return false;
-        } finally {
-            releaseLock();
-        }
-    }
-
     // User management
     async getUser() {
-        const filepath = path.join(this.dataDir, this.singleFiles.users);
-        const users = await this.readJsonFile(filepath);
+        const users = (await this.storage.readDocument('users')) || [];
         return users.length > 0 ? users[0] : null;
     }
 
     async saveUser(userData) {
-        const filepath = path.join(this.dataDir, this.singleFiles.users);
-        return await this.writeJsonFile(filepath, [userData]);
+        return await this.storage.writeDocument('users', [userData]);
     }
 
     async removeUser() {
-        const filepath = path.join(this.dataDir, this.singleFiles.users);
-        return await this.writeJsonFile(filepath, []);
+        return await this.storage.writeDocument('users', []);
     }
 
     // ===============================
-    // MODULAR EMAIL OPERATIONS
+    // EMAIL OPERATIONS
     // ===============================
 
     async createEmail(emailData) {
@@ -259,11 +140,12 @@ class ModularJsonDatabase {
             body: emailData.body || '',
             htmlBody: emailData.htmlBody || null,
             snippet: emailData.snippet || null,
+            attachments: emailData.attachments || [],
             fromAddress: emailData.fromAddress || '',
             fromName: emailData.fromName || null,
             toAddress: emailData.toAddress || '',
             date: emailData.date || new Date().toISOString(),
-            category: emailData.category || EMAIL_CATEGORY.OTHER,
+            category: categoryRegistry.normalizeKey(emailData.category),
             status: EMAIL_STATUS.FETCHED,
             fetchedAt: new Date().toISOString(),
             reviewedAt: null,
@@ -273,102 +155,38 @@ class ModularJsonDatabase {
             userId: emailData.userId
         };
 
-        // Save to appropriate file based on status and category
-        const filepath = this.getEmailFilePath(email.status, email.category);
-        const emails = await this.readJsonFile(filepath);
-        emails.unshift(email);
-        await this.writeJsonFile(filepath, emails);
+        await this.storage.insertEmails([email]);
+        searchIndex.update(email);
 
         return email;
     }
 
+    /**
+     * @param {Object} filters - { status, category, userId }; without a status every email,
+     *   deleted ones included
+     */
     async getEmails(filters = {}) {
-        const results = [];
-
-        if (filters.status && filters.category) {
-            // Get from specific file
-            const filepath = this.getEmailFilePath(filters.status, filters.category);
-            const emails = await this.readJsonFile(filepath);
-            results.push(...emails.filter(email => !email.isDeleted));
-        } else if (filters.status) {
-            // Get all categories for this status
-            const status = filters.status;
-            if (status === 'DELETED') {
-                const filepath = this.getEmailFilePath(status, 'all');
-                const emails = await this.readJsonFile(filepath);
-                results.push(...emails);
-            } else {
-                const categories = ['customer_inquiry', 'invoice', 'other'];
-                for (const category of categories) {
-                    const filepath = this.getEmailFilePath(status, category);
-                    const emails = await this.readJsonFile(filepath);
-                    results.push(...emails.filter(email => !email.isDeleted));
-                }
-            }
-        } else {
-            // Get all emails from all files
-            const statuses = ['FETCHED', 'REVIEW', 'MANAGED', 'DELETED'];
-            for (const status of statuses) {
-                if (status === 'DELETED') {
-                    const filepath = this.getEmailFilePath(status, 'all');
-                    const emails = await this.readJsonFile(filepath);
-                    results.push(...emails);
-                } else {
-                    const categories = ['customer_inquiry', 'invoice', 'other'];
-                    for (const category of categories) {
-                        const filepath = this.getEmailFilePath(status, category);
-                        const emails = await this.readJsonFile(filepath);
-                        results.push(...emails.filter(email => !email.isDeleted));
-                    }
-                }
-            }
-        }
-
-        // Apply additional filters
-        let filtered = results;
-        if (filters.category && !filters.status) {
-            filtered = filtered.filter(email => email.category === filters.category);
-        }
-        if (filters.userId) {
-            filtered = filtered.filter(email => email.userId === filters.userId);
-        }
-
-        return filtered;
+        return await this.storage.getEmails(filters);
     }
 
     async getEmailById(emailId) {
-        // Search across all email files
-        const statuses = ['FETCHED', 'REVIEW', 'MANAGED', 'DELETED'];
-
-        for (const status of statuses) {
-            if (status === 'DELETED') {
-                const filepath = this.getEmailFilePath(status, 'all');
-                const emails = await this.readJsonFile(filepath);
-                const found = emails.find(email => email.id === emailId);
-                if (found) return found;
-            } else {
-                const categories = ['customer_inquiry', 'invoice', 'other'];
-                for (const category of categories) {
-                    const filepath = this.getEmailFilePath(status, category);
-                    const emails = await this.readJsonFile(filepath);
-                    const found = emails.find(email => email.id === emailId && !email.isDeleted);
-                    if (found) return found;
-                }
-            }
-        }
+        return await this.storage.getEmailById(emailId);
+    }
 
-        return null;
+    /**
+     * @param {Array<string>} emailIds - Ids to look up
+     * @returns {Promise<Map>} - emailId -> email, for the ids that exist
+     */
+    async getEmailsByIds(emailIds) {
+        if (emailIds.length === 0) return new Map();
+        const emails = await this.storage.getEmailsByIds(emailIds);
+        return new Map(emails.map(email => [email.id, email]));
     }
 
     async updateEmail(emailId, updates) {
         const email = await this.getEmailById(emailId);
         if (!email) return null;
 
-        const oldStatus = email.status;
-        const oldCategory = email.category;
-        const newStatus = updates.status || oldStatus;
-        const newCategory = updates.category || oldCategory;
-
         // Update email object
         const updatedEmail = {
             ...email,
@@ -376,39 +194,21 @@ class ModularJsonDatabase {
             updatedAt: new Date().toISOString()
         };
 
-        // If status or category changed, move to new file
-        if (oldStatus !== newStatus || oldCategory !== newCategory) {
-            // Remove from old file
-            await this.removeEmailFromFile(emailId, oldStatus, oldCategory);
-
-            // Add to new file
-            const newFilepath = this.getEmailFilePath(newStatus, newCategory);
-            const emails = await this.readJsonFile(newFilepath);
-            emails.unshift(updatedEmail);
-            await this.writeJsonFile(newFilepath, emails);
-        } else {
-            // Update in same file
-            const filepath = this.getEmailFilePath(oldStatus, oldCategory);
-            const emails = await this.readJsonFile(filepath);
-            const emailIndex = emails.findIndex(e => e.id === emailId);
-
-            if (emailIndex !== -1) {
-                emails[emailIndex] = updatedEmail;
-                await this.writeJsonFile(filepath, emails);
-            }
-        }
+        // A changed status or category moves the email (to another file with JSON storage)
+        await this.storage.saveEmail(updatedEmail, email);
+        await this.indexEmail(updatedEmail);
 
         return updatedEmail;
     }
 
-    async removeEmailFromFile(emailId, status, category) {
-        const filepath = this.getEmailFilePath(status, category);
-        const emails = await this.readJsonFile(filepath);
-        const filtered = emails.filter(email => email.id !== emailId);
-        await this.writeJsonFile(filepath, filtered);
+    /**
+     * Gmail ids of the emails already stored (any stage), so syncs skip them
+     * @returns {Promise<Set<string>>}
+     */
+    async getStoredGmailIds() {
+        return await this.storage.getGmailIds(['FETCHED', 'REVIEW', 'MANAGED']);
     }
 
-    // Continue with other methods...
     async addMultipleFetchedEmails(emails) {
         if (!Array.isArray(emails) || emails.length === 0) {
             return [];
@@ -416,25 +216,8 @@ class ModularJsonDatabase {
 
         const results = [];
 
-        // Group emails by category for efficient file operations
-        const emailsByCategory = {
-            customer_inquiry: [],
-            invoice: [],
-            other: []
-        };
-
         // Get existing Gmail IDs to check for duplicates across ALL statuses
-        const existingGmailIds = new Set();
-        const categories = ['customer_inquiry', 'invoice', 'other'];
-        const statuses = ['FETCHED', 'REVIEW', 'MANAGED'];
-
-        for (const status of statuses) {
-            for (const category of categories) {
-                const filepath = this.getEmailFilePath(status, category);
-                const existingEmails = await this.readJsonFile(filepath);
-                existingEmails.forEach(email => existingGmailIds.add(email.gmailId));
-            }
-        }
+        const existingGmailIds = await this.getStoredGmailIds();
 
         for (const emailData of emails) {
             // Skip duplicates based on Gmail ID
@@ -451,11 +234,14 @@ class ModularJsonDatabase {
                     body: emailData.body || '',
                     htmlBody: emailData.htmlBody || null,
                     snippet: emailData.snippet || null,
+                    attachments: emailData.attachments || [],
                     fromAddress: emailData.fromAddress || '',
                     fromName: emailData.fromName || null,
                     toAddress: emailData.toAddress || '',
                     date: emailData.date || new Date().toISOString(),
-                    category: emailData.category || EMAIL_CATEGORY.OTHER,
+                    category: categoryRegistry.normalizeKey(emailData.category),
+                    matchedRule: emailData.matchedRule || null,
+                    labelIds: emailData.labelIds || [],
                     status: EMAIL_STATUS.FETCHED,
                     fetchedAt: new Date().toISOString(),
                     reviewedAt: null,
@@ -465,13 +251,6 @@ class ModularJsonDatabase {
                     userId: emailData.userId || 'single-user'
                 };
 
-                const category = email.category.toLowerCase();
-                if (emailsByCategory[category]) {
-                    emailsByCategory[category].push(email);
-                } else {
-                    emailsByCategory.other.push(email);
-                }
-
                 results.push(email);
                 existingGmailIds.add(emailData.gmailId);
 
@@ -480,14 +259,9 @@ class ModularJsonDatabase {
             }
         }
 
-        // Save emails to their respective category files
-        for (const [category, categoryEmails] of Object.entries(emailsByCategory)) {
-            if (categoryEmails.length > 0) {
-                const filepath = this.getEmailFilePath('FETCHED', category);
-                const existingEmails = await this.readJsonFile(filepath);
-                existingEmails.unshift(...categoryEmails);
-                await this.writeJsonFile(filepath, existingEmails);
-            }
+        if (results.length > 0) {
+            await this.storage.insertEmails(results);
+            results.forEach(email => searchIndex.update(email));
         }
 
         return results;
@@ -505,14 +279,29 @@ class ModularJsonDatabase {
         const emails = await this.getEmails({ status: EMAIL_STATUS.REVIEW, userId });
 
         // Join with extracted data
-        return Promise.all(emails.map(async email => {
-            const extractedData = await this.getExtractedDataByEmailId(email.id);
+        const records = await Promise.all(emails.map(email => this.getExtractedDataByEmailId(email.id)));
+
+        // Only the emails flagged duplicates point to are looked up
+        const referenced = records.flatMap(record => (record && Array.isArray(record.possibleDuplicates)
+            ? record.possibleDuplicates.map(match => match.emailId)
+            : []));
+        const statuses = new Map(Array.from(await this.getEmailsByIds(referenced))
+            .map(([emailId, email]) => [emailId, email.status]));
+
+        return emails.map((email, index) => {
+            const extractedData = records[index];
             if (extractedData) {
-                const { id, emailId, extractedAt, isDeleted, jsonBlob, greekFields, ...extractedFields } = extractedData;
+                const { id, emailId, category, extractedAt, isDeleted, jsonBlob, greekFields, ...extractedFields } = extractedData;
+                if (Array.isArray(extractedFields.possibleDuplicates)) {
+                    // Originals may have moved on (approved, deleted) since detection
+                    extractedFields.possibleDuplicates = extractedFields.possibleDuplicates
+                        .filter(match => statuses.has(match.emailId) && statuses.get(match.emailId) !== EMAIL_STATUS.DELETED)
+                        .map(match => ({ ...match, status: statuses.get(match.emailId) }));
+                }
                 return { ...email, ...extractedFields };
             }
             return email;
-        }));
+        });
     }
 
     async getManagedEmails(userId = null) {
@@ -522,7 +311,7 @@ class ModularJsonDatabase {
         return Promise.all(emails.map(async email => {
             const extractedData = await this.getExtractedDataByEmailId(email.id);
             if (extractedData) {
-                const { id, emailId, extractedAt, isDeleted, jsonBlob, greekFields, ...extractedFields } = extractedData;
+                const { id, emailId, category, extractedAt, isDeleted, jsonBlob, greekFields, ...extractedFields } = extractedData;
                 return { ...email, ...extractedFields };
             }
             return email;
@@ -534,6 +323,23 @@ class ModularJsonDatabase {
         return await this.getManagedEmails(userId);
     }
 
+    /**
+     * Stamp managed emails as exported (the "exported" list filter), in one storage write
+     * @param {Array<string>} emailIds - Emails included in an export
+     * @returns {Promise<number>} - Number of emails stamped
+     */
+    async markExported(emailIds) {
+        const ids = new Set(emailIds);
+        const exportedAt = new Date().toISOString();
+        const emails = (await this.getEmails({ status: EMAIL_STATUS.MANAGED }))
+            .filter(email => ids.has(email.id))
+            .map(email => ({ ...email, exportedAt, updatedAt: exportedAt }));
+
+        // Status, category and indexed text are unchanged: the search index stays as it is
+        await this.storage.updateEmails(emails);
+        return emails.length;
+    }
+
     // ===============================
     // EXTRACTED DATA OPERATIONS
     // ===============================
@@ -543,21 +349,21 @@ class ModularJsonDatabase {
             id: uuidv4(),
             jsonBlob: JSON.stringify(extractedDataInfo.rawData || {}),
             greekFields: JSON.stringify(extractedDataInfo.greekFields || {}),
-            // Customer inquiry fields
-            customerName: extractedDataInfo.customerName || null,
-            customerEmail: extractedDataInfo.customerEmail || null,
-            customerPhone: extractedDataInfo.customerPhone || null,
-            company: extractedDataInfo.company || null,
-            serviceInterest: extractedDataInfo.serviceInterest || null,
-            // Invoice fields
-            invoiceNumber: extractedDataInfo.invoiceNumber || null,
-            invoiceDate: extractedDataInfo.invoiceDate || null,
-            invoiceClient: extractedDataInfo.invoiceClient || null,
-            invoiceAmount: extractedDataInfo.invoiceAmount || null,
-            invoiceVAT: extractedDataInfo.invoiceVAT || null,
             // Metadata
+            category: null,
+            validationIssues: extractedDataInfo.validationIssues || [],
+            parseOutcome: extractedDataInfo.parseOutcome || null,
+            fieldConfidence: extractedDataInfo.fieldConfidence || {},
+            sourceEmailIds: extractedDataInfo.sourceEmailIds || null,
+            lineItems: extractedDataInfo.lineItems || null,
+            checkIssues: extractedDataInfo.checkIssues || [],
+            checksResolution: extractedDataInfo.checksResolution || null,
+            attachmentHashes: extractedDataInfo.attachmentHashes || [],
+            mergedEmailIds: extractedDataInfo.mergedEmailIds || [],
+            normalizedFields: extractedDataInfo.normalizedFields || {},
+            possibleDuplicates: [],
             extractedAt: new Date().toISOString(),
-            confidence: extractedDataInfo.confidence || null,
+            confidence: extractedDataInfo.confidence ?? null,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString(),
             isDeleted: false,
@@ -565,31 +371,295 @@ class ModularJsonDatabase {
             emailId: extractedDataInfo.emailId
         };
 
-        // Determine category based on data fields
-        const category = extractedDataInfo.invoiceNumber ? 'invoice' : 'customer_inquiry';
-        const filepath = this.getExtractedDataFilePath(category);
+        // Determine category: explicit when known, otherwise inferred from the data fields
+        const category = extractedDataInfo.category
+            ? categoryRegistry.normalizeKey(extractedDataInfo.category)
+            : (extractedDataInfo.invoiceNumber ? 'invoice' : 'customer_inquiry');
+        extractedData.category = category;
 
-        // Remove existing data for this email (one-to-one relationship)
-        const existingData = await this.readJsonFile(filepath);
-        const filtered = existingData.filter(data => data.emailId !== extractedDataInfo.emailId);
-        filtered.unshift(extractedData);
-        await this.writeJsonFile(filepath, filtered);
+        // Data fields come from the category's extraction schema
+        extractionSchema.getFields(category).forEach(field => {
+            extractedData[field.name] = extractedDataInfo[field.name] ?? null;
+        });
+
+        // Replaces any existing data for this email (one-to-one relationship)
+        if (duplicateDetector.appliesTo(category)) {
+            const otherData = (await this.storage.getExtractedData(category))
+                .filter(data => data.emailId !== extractedDataInfo.emailId);
+            extractedData.possibleDuplicates = await this.findPossibleDuplicates(extractedData, otherData);
+        }
+        await this.storage.saveExtractedData(extractedData);
+
+        const email = await this.getEmailById(extractedData.emailId);
+        if (email) {
+            await this.indexEmail(email, extractedData);
+        }
+
+        if (contactMatcher.appliesTo(category)) {
+            await this.syncContactFromRecord(extractedData);
+        }
 
         return extractedData;
     }
 
+    /**
+     * Earlier invoices an invoice may duplicate (see duplicate-detector.js)
+     * @param {Object} record - Extracted data about to be saved
+     * @param {Array} existingData - The other records of its category
+     * @returns {Promise<Array>} - Possible duplicates with the reasons
+     */
+    async findPossibleDuplicates(record, existingData) {
+        const related = new Set([...(record.sourceEmailIds || []), ...record.mergedEmailIds]);
+
+        const similar = existingData
+            .filter(data => !data.isDeleted && !related.has(data.emailId))
+            // Invoices already flagged as duplicates of this one are not its originals
+            .filter(data => !(data.possibleDuplicates || []).some(match => match.emailId === record.emailId))
+            .filter(data => duplicateDetector.compare(record, data).length > 0);
+
+        // Only the emails of invoices that look alike are looked up
+        const emails = await this.getEmailsByIds(similar.map(data => data.emailId));
+        const candidates = similar
+            .map(data => ({ record: data, email: emails.get(data.emailId) }))
+            .filter(candidate => candidate.email && !candidate.email.isDeleted);
+
+        const matches = duplicateDetector.find(record, candidates);
+        if (matches.length > 0) {
+            console.log(`🧾 Invoice of email ${record.emailId} may duplicate ${matches.map(match => match.emailId).join(', ')}`);
+        }
+        return matches;
+    }
+
     async getExtractedDataByEmailId(emailId) {
-        // Check both customer inquiry and invoice files
-        const categories = ['customer_inquiry', 'invoice'];
+        return await this.storage.getExtractedDataByEmailId(emailId);
+    }
 
-        for (const category of categories) {
-            const filepath = this.getExtractedDataFilePath(category);
-            const data = await this.readJsonFile(filepath);
-            const found = data.find(item => item.emailId === emailId && !item.isDeleted);
-            if (found) return found;
+    /**
+     * Extracted data (invoices, customer records...) carrying a VAT ID in any VAT ID field
+     * @param {string} value - VAT ID in any written form ("094019245", "EL 094 019 245")
+     * @returns {Promise<Array|null>} - Matches, newest first, each with matchedFields; null when the VAT ID is not valid
+     */
+    async findExtractedDataByVatId(value) {
+        const target = vatId.normalize(value);
+        if (!target) return null;
+
+        const matches = [];
+        for (const category of categoryRegistry.getExtractable()) {
+            const fields = extractionSchema.getFields(category.key).filter(field => field.type === 'vatId');
+            if (fields.length === 0) continue;
+
+            const data = await this.storage.getExtractedData(category.key);
+            for (const item of data) {
+                if (item.isDeleted) continue;
+                const matchedFields = fields.filter(field => item[field.name] === target).map(field => field.name);
+                if (matchedFields.length > 0) {
+                    matches.push({ ...item, matchedFields });
+                }
+            }
         }
 
-        return null;
+        return matches.sort((a, b) => new Date(b.extractedAt) - new Date(a.extractedAt));
+    }
+
+    // ===============================
+    // CONTACT OPERATIONS
+    // ===============================
+
+    async getContacts() {
+        return (await this.storage.readDocument('contacts')) || [];
+    }
+
+    /**
+     * Add an extracted data record to the contact registry: the contact it is already
+     * linked to, or the contact it matches (email, phone, VAT ID, similar name), gets
+     * its missing values filled in; otherwise a new contact is created
+     * @param {Object} record - Extracted data (customer inquiry or invoice)
+     * @returns {Promise<Object|null>} - The contact, or null when the record names nobody
+     */
+    async syncContactFromRecord(record) {
+        try {
+            const contacts = await this.getContacts();
+            const contact = this.applyRecordToContacts(contacts, record, new Date().toISOString());
+            if (contact) {
+                await this.storage.writeDocument('contacts', contacts);
+            }
+            return contact;
+        } catch (error) {
+            console.error('Failed to update contacts:', error);
+            return null;
+        }
+    }
+
+    applyRecordToContacts(contacts, record, now) {
+        const details = contactMatcher.fromRecord(record);
+        const linked = contacts.find(contact => contact.sources.some(source => source.emailId === record.emailId));
+        if (!details) {
+            return linked || null;
+        }
+
+        let contact = linked;
+        if (!contact) {
+            const match = contactMatcher.match(details, contacts);
+            contact = match ? match.contact : null;
+        }
+
+        if (contact) {
+            if (contactMatcher.fillGaps(contact, details).length > 0) {
+                contact.updatedAt = now;
+            }
+        } else {
+            contact = contactMatcher.create(details, uuidv4(), now);
+            contacts.push(contact);
+        }
+        contactMatcher.addSource(contact, record, now);
+
+        return contact;
+    }
+
+    /**
+     * Rebuild the contact registry from all extracted customer inquiries and invoices, oldest first
+     * @returns {Promise<number>} - Number of contacts
+     */
+    async rebuildContacts() {
+        const records = [];
+        for (const category of categoryRegistry.getExtractable()) {
+            if (!contactMatcher.appliesTo(category.key)) continue;
+            const data = await this.storage.getExtractedData(category.key);
+            records.push(...data.filter(record => !record.isDeleted));
+        }
+        records.sort((a, b) => new Date(a.extractedAt) - new Date(b.extractedAt));
+
+        const contacts = [];
+        for (const record of records) {
+            this.applyRecordToContacts(contacts, record, record.extractedAt || new Date().toISOString());
+        }
+
+        await this.storage.writeDocument('contacts', contacts);
+        console.log(`👥 Contact registry rebuilt: ${contacts.length} contact(s) from ${records.length} record(s)`);
+        return contacts.length;
+    }
+
+    /**
+     * Contacts with the number of inquiries and invoices of each, optionally filtered
+     * @param {string} query - Matched against name, company, emails, phones and VAT ID
+     */
+    async listContacts(query = '') {
+        const contacts = await this.getContacts();
+        const needle = contactMatcher.normalizeName(query);
+        const phoneNeedle = contactMatcher.normalizePhone(query);
+
+        return contacts
+            .filter(contact => !needle || [contact.name, contact.company, contact.vatId, ...contact.emails, ...contact.phones]
+                .some(value => value && contactMatcher.normalizeName(value).includes(needle)) ||
+                (phoneNeedle && contact.phones.some(phone => contactMatcher.normalizePhone(phone) === phoneNeedle)))
+            .map(contact => ({
+                ...contact,
+                inquiryCount: contact.sources.filter(source => source.category === 'customer_inquiry').length,
+                invoiceCount: contact.sources.filter(source => source.category === 'invoice').length
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * A contact with all their inquiries and invoices. Invoices are the ones linked to
+     * the contact, plus (for people) those addressed to their company or VAT ID.
+     * @returns {Promise<Object|null>} - { contact, inquiries, invoices } or null when not found
+     */
+    async getContactProfile(id) {
+        const contact = (await this.getContacts()).find(item => item.id === id);
+        if (!contact) return null;
+
+        const emails = new Map((await this.getEmails()).map(email => [email.id, email]));
+        const linked = new Set(contact.sources.map(source => source.emailId));
+        const entries = (records, category) => records
+            .filter(record => !record.isDeleted && emails.has(record.emailId) && !emails.get(record.emailId).isDeleted)
+            .map(record => {
+                const email = emails.get(record.emailId);
+                const entry = { emailId: record.emailId, subject: email.subject, date: email.date, status: email.status };
+                extractionSchema.getFields(category).forEach(field => {
+                    entry[field.name] = record[field.name] ?? null;
+                });
+                return entry;
+            })
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+        const inquiries = (await this.storage.getExtractedData('customer_inquiry'))
+            .filter(record => linked.has(record.emailId));
+        const invoices = (await this.storage.getExtractedData('invoice'))
+            .filter(record => linked.has(record.emailId) ||
+                (contact.vatId && record.clientVatId === contact.vatId) ||
+                (contact.type === 'person' && contact.company && record.invoiceClient &&
+                    contactMatcher.nameSimilarity(contact.company, record.invoiceClient) >= contactMatcher.NAME_MATCH_THRESHOLD));
+
+        return {
+            contact,
+            inquiries: entries(inquiries, 'customer_inquiry'),
+            invoices: entries(invoices, 'invoice')
+        };
+    }
+
+    // ===============================
+    // SEARCH
+    // ===============================
+
+    /**
+     * Index every email with its extracted data (startup)
+     */
+    async rebuildSearchIndex() {
+        const records = new Map();
+        for (const category of categoryRegistry.getExtractable()) {
+            (await this.storage.getExtractedData(category.key))
+                .filter(record => !record.isDeleted)
+                .forEach(record => records.set(record.emailId, record));
+        }
+
+        searchIndex.build(await this.getEmails(), records);
+        const stats = searchIndex.getStats();
+        console.log(`🔎 Search index built: ${stats.emails} email(s), ${stats.terms} term(s)`);
+    }
+
+    /**
+     * Re-index an email after it or its extracted data was saved
+     * @param {Object} email - Email as saved
+     * @param {Object} record - Its extracted data; looked up when not given
+     */
+    async indexEmail(email, record) {
+        if (record === undefined) {
+            record = await this.getExtractedDataByEmailId(email.id);
+        }
+        searchIndex.update(email, record || null);
+    }
+
+    /**
+     * Full-text search over subjects, senders, bodies, attachment text and extracted fields
+     * @param {string} query - Words to find (accents and case are ignored)
+     * @param {Object} options - { statuses (default: all but DELETED), limit, offset }
+     * @returns {Promise<Object>} - { total, results: [{ id, subject, fromName, fromAddress,
+     *   date, status, category, score, snippets }] }, best matches first
+     */
+    async search(query, { statuses = null, limit = 20, offset = 0 } = {}) {
+        const matches = searchIndex.search(query, { statuses });
+        const results = [];
+
+        for (const { emailId, score } of matches.slice(offset, offset + limit)) {
+            const email = await this.getEmailById(emailId);
+            if (!email) continue;
+
+            const record = await this.getExtractedDataByEmailId(emailId);
+            results.push({
+                id: email.id,
+                subject: email.subject,
+                fromName: email.fromName,
+                fromAddress: email.fromAddress,
+                date: email.date,
+                status: email.status,
+                category: email.category,
+                score,
+                snippets: searchIndex.getSnippets(searchIndex.getFields(email, record), query)
+            });
+        }
+
+        return { total: matches.length, results };
     }
 
     // ===============================
@@ -611,18 +681,13 @@ class ModularJsonDatabase {
             userId: notificationData.userId
         };
 
-        const filepath = this.getNotificationsFilePath();
-        const notifications = await this.readJsonFile(filepath);
-        notifications.unshift(notification);
-        await this.writeJsonFile(filepath, notifications);
+        await this.storage.insertNotification(notification);
 
         return notification;
     }
 
     async getNotifications(userId, onlyUnread = false) {
-        const filepath = this.getNotificationsFilePath();
-        const notifications = await this.readJsonFile(filepath);
-        let filtered = notifications.filter(notif => notif.userId === userId && !notif.isDeleted);
+        let filtered = await this.storage.getNotifications(userId);
 
         if (onlyUnread) {
             filtered = filtered.filter(notif => !notif.isRead);
@@ -660,29 +725,201 @@ class ModularJsonDatabase {
             deletedAt: new Date().toISOString()
         };
 
-        // Remove from current file
-        await this.removeEmailFromFile(emailId, email.status, email.category);
-
-        // Add to deleted file
-        const deletedFilepath = this.getEmailFilePath('DELETED', 'all');
-        const deletedEmails = await this.readJsonFile(deletedFilepath);
-        deletedEmails.unshift(updatedEmail);
-        await this.writeJsonFile(deletedFilepath, deletedEmails);
+        // Moves to the recycle bin (deleted/all.json with JSON storage)
+        await this.storage.saveEmail(updatedEmail, email);
+        await this.indexEmail(updatedEmail);
 
         return updatedEmail;
     }
 
+    /**
+     * Apply deletions and label changes reported by the Gmail History API.
+     * Emails deleted in Gmail before anyone processed them go to the recycle bin;
+     * emails already in review or managed keep their data and are only flagged.
+     * @param {Object} changes - { deletedIds: [gmailId], labelChanges: { gmailId: labelIds } }
+     * @returns {Promise<Object>} - { deleted, flagged, relabelled }
+     */
+    async applyGmailChanges({ deletedIds = [], labelChanges = {} }) {
+        const result = { deleted: 0, flagged: 0, relabelled: 0 };
+        const deleted = new Set(deletedIds);
+        if (deleted.size === 0 && Object.keys(labelChanges).length === 0) {
+            return result;
+        }
+
+        const emails = (await this.getEmails()).filter(email =>
+            !email.isDeleted && (deleted.has(email.gmailId) || labelChanges[email.gmailId]));
+
+        for (const email of emails) {
+            if (deleted.has(email.gmailId)) {
+                if (email.status === EMAIL_STATUS.FETCHED) {
+                    await this.updateEmail(email.id, { deletedInGmail: true });
+                    await this.softDeleteEmail(email.id);
+                    result.deleted++;
+                } else {
+                    await this.updateEmail(email.id, { deletedInGmail: true });
+                    result.flagged++;
+                }
+                continue;
+            }
+
+            await this.updateEmail(email.id, { labelIds: labelChanges[email.gmailId] });
+            result.relabelled++;
+        }
+
+        return result;
+    }
+
     // Settings management
     async getSettings() {
-        const filepath = path.join(this.dataDir, this.singleFiles.settings);
-        return await this.readJsonFile(filepath) || this.getDefaultSettings();
+        return (await this.storage.readDocument('settings')) || this.getDefaultSettings();
     }
 
-    async updateSettings(newSettings) {
+    /**
+     * Merge keys into the settings. Updates run one at a time, so concurrent ones
+     * (sync position, backfill checkpoint, category, rule and view saves) each read
+     * the settings the previous one wrote instead of dropping its keys.
+     */
+    updateSettings(newSettings) {
+        const run = this.settingsQueue.then(() => this.mergeSettings(newSettings));
+        this.settingsQueue = run.catch(() => {});
+        return run;
+    }
+
+    async mergeSettings(newSettings) {
         const currentSettings = await this.getSettings();
         const updatedSettings = { ...currentSettings, ...newSettings };
-        const filepath = path.join(this.dataDir, this.singleFiles.settings);
-        return await this.writeJsonFile(filepath, updatedSettings);
+        const success = await this.storage.writeDocument('settings', updatedSettings);
+
+        // Category changes need the registry reloaded and their storage files created
+        if (success && newSettings.customCategories) {
+            categoryRegistry.load(updatedSettings.customCategories);
+            await this.storage.ensureCategories();
+        }
+
+        // Rules reference categories, so they are revalidated after either changes
+        if (success && (newSettings.categoryRules || newSettings.customCategories)) {
+            rulesEngine.load(updatedSettings.categoryRules || []);
+        }
+
+        return success;
+    }
+
+    // ===============================
+    // CUSTOM CATEGORY MANAGEMENT
+    // ===============================
+
+    async saveCustomCategory(definition) {
+        const settings = await this.getSettings();
+        const customCategories = (settings.customCategories || []).filter(c => c.key !== definition.key);
+
+        customCategories.push({
+            key: definition.key,
+            label: definition.label,
+            description: definition.description,
+            fields: categoryRegistry.normalizeDefinition(definition).fields,
+            updatedAt: new Date().toISOString()
+        });
+
+        const success = await this.updateSettings({ customCategories });
+        return success ? categoryRegistry.get(definition.key) : null;
+    }
+
+    async countEmailsInCategory(category) {
+        let count = 0;
+        for (const status of ['FETCHED', 'REVIEW', 'MANAGED']) {
+            const emails = await this.getEmails({ status, category });
+            count += emails.length;
+        }
+        return count;
+    }
+
+    async removeCustomCategory(key) {
+        const settings = await this.getSettings();
+        const customCategories = settings.customCategories || [];
+        if (!customCategories.some(c => c.key === key)) {
+            return null;
+        }
+
+        return await this.updateSettings({
+            customCategories: customCategories.filter(c => c.key !== key)
+        });
+    }
+
+    // ===============================
+    // CATEGORIZATION RULES
+    // ===============================
+
+    async saveCategoryRule(rule) {
+        const settings = await this.getSettings();
+        const categoryRules = settings.categoryRules || [];
+        const existing = categoryRules.find(r => r.id === rule.id);
+        const now = new Date().toISOString();
+
+        const stored = {
+            ...rulesEngine.normalizeRule(rule),
+            id: rule.id || uuidv4(),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        const updatedRules = existing
+            ? categoryRules.map(r => (r.id === stored.id ? stored : r))
+            : [...categoryRules, stored];
+
+        const success = await this.updateSettings({ categoryRules: updatedRules });
+        return success ? stored : null;
+    }
+
+    async removeCategoryRule(id) {
+        const settings = await this.getSettings();
+        const categoryRules = settings.categoryRules || [];
+        if (!categoryRules.some(r => r.id === id)) {
+            return null;
+        }
+
+        return await this.updateSettings({
+            categoryRules: categoryRules.filter(r => r.id !== id)
+        });
+    }
+
+    // ===============================
+    // SAVED VIEWS
+    // ===============================
+
+    async getSavedViews() {
+        const settings = await this.getSettings();
+        return settings.savedViews || [];
+    }
+
+    async saveView(view) {
+        const views = await this.getSavedViews();
+        const existing = views.find(v => v.id === view.id);
+        const now = new Date().toISOString();
+
+        const stored = {
+            ...savedViews.normalizeView(view),
+            id: view.id || uuidv4(),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        const updatedViews = existing
+            ? views.map(v => (v.id === stored.id ? stored : v))
+            : [...views, stored];
+
+        const success = await this.updateSettings({ savedViews: updatedViews });
+        return success ? stored : null;
+    }
+
+    async removeView(id) {
+        const views = await this.getSavedViews();
+        if (!views.some(v => v.id === id)) {
+            return null;
+        }
+
+        return await this.updateSettings({
+            savedViews: views.filter(v => v.id !== id)
+        });
     }
 
     // ===============================
@@ -707,8 +944,7 @@ class ModularJsonDatabase {
         console.log(`Changing category from ${oldCategory} to ${newCategory}`);
 
         // Validate new category
-        const validCategories = ['customer_inquiry', 'invoice', 'other'];
-        if (!validCategories.includes(newCategory.toLowerCase())) {
+        if (!categoryRegistry.has(newCategory)) {
             console.log('Invalid category provided');
             return null;
         }
@@ -721,9 +957,22 @@ class ModularJsonDatabase {
         });
 
         console.log(`Category update result: ${result ? 'SUCCESS' : 'FAILED'}`);
+
+        if (result && oldCategory !== newCategory.toLowerCase()) {
+            await this.recordCategoryCorrection(email, newCategory.toLowerCase());
+        }
+
         return result;
     }
 
+    /**
+     * Remember a manual category change as a few-shot example for future categorization
+     */
+    async recordCategoryCorrection(email, newCategory) {
+        const corrections = correctionMemory.add(correctionMemory.createCorrection(email, newCategory));
+        return await this.storage.writeDocument('corrections', corrections);
+    }
+
     // ===============================
     // EMAIL APPROVAL WORKFLOW
     // ===============================
@@ -743,65 +992,73 @@ class ModularJsonDatabase {
         console.log(`Moved to REVIEW stage: ${result ? 'SUCCESS' : 'FAILED'}`);
 
         // Trigger AI extraction using the dedicated extraction agent
+        await this.extractAndSave(email, id);
+
+        return result;
+    }
+
+    /**
+     * Run the extraction agent and store the result for an email
+     * @param {Object} source - Email (or combined thread context) to extract from
+     * @param {string} emailId - Email the extracted data belongs to
+     * @param {Array} sourceEmailIds - Thread messages the context was built from
+     */
+    async extractAndSave(source, emailId, sourceEmailIds = null) {
         try {
             const aiExtractor = require('./ai-extractor');
-            const extractionResult = await aiExtractor.extractData(email);
+            const extractionResult = await aiExtractor.extractData(source);
 
             console.log('AI extraction result:', JSON.stringify(extractionResult, null, 2));
 
             if (extractionResult.success && extractionResult.extractedData) {
                 console.log('=== SAVING EXTRACTED DATA ===');
+                // Attachment text read for the extraction becomes searchable
+                if (extractionResult.attachmentText) {
+                    await this.updateEmail(emailId, {
+                        attachmentText: extractionResult.attachmentText.substring(0, MAX_ATTACHMENT_TEXT)
+                    });
+                }
                 // Map the extracted data to database schema
-                const mappedData = this.mapExtractedDataToSchema(extractionResult.extractedData, email.category, id);
+                const mappedData = this.mapExtractedDataToSchema(extractionResult.extractedData, source.category, emailId);
+                mappedData.parseOutcome = extractionResult.parseOutcome || null;
+                mappedData.sourceEmailIds = sourceEmailIds;
+                if (duplicateDetector.appliesTo(mappedData.category)) {
+                    mappedData.attachmentHashes = await aiExtractor.hashAttachments(source);
+                }
+                confidenceScorer.applyToRecord(mappedData, extractionResult.fieldConfidence || {});
 
                 console.log('Mapped data for database:', JSON.stringify(mappedData, null, 2));
                 const savedData = await this.createExtractedData(mappedData);
                 console.log('Extracted data saved:', savedData ? 'SUCCESS' : 'FAILED');
-            } else {
-                console.log('No extracted data or extraction failed:', extractionResult.error || 'Unknown error');
+                return savedData;
             }
+
+            console.log('No extracted data or extraction failed:', extractionResult.error || 'Unknown error');
         } catch (error) {
             console.error('Failed to extract data during approval:', error);
             console.error('Error stack:', error.stack);
         }
-
-        return result;
+        return null;
     }
 
     mapExtractedDataToSchema(extractedData, category, emailId) {
-        const mappedData = {
-            emailId: emailId
+        // Coerce values to the declared field types and record missing/invalid fields
+        const { data, issues } = extractionSchema.validate(category, extractedData);
+
+        const mapped = {
+            emailId: emailId,
+            category: category,
+            ...data,
+            validationIssues: issues
         };
 
-        if (category === 'customer_inquiry') {
-            // Map customer inquiry fields
-            mappedData.customerName = extractedData.customerName || null;
-            mappedData.customerEmail = extractedData.customerEmail || null;
-            mappedData.customerPhone = extractedData.customerPhone || null;
-            mappedData.company = extractedData.company || null;
-            mappedData.serviceInterest = extractedData.serviceInterest || null;
-
-            // Additional customer fields
-            mappedData.location = extractedData.location || null;
-            mappedData.budget = extractedData.budget || null;
-            mappedData.timeline = extractedData.timeline || null;
-            mappedData.additionalNotes = extractedData.additionalNotes || null;
-        } else if (category === 'invoice') {
-            // Map invoice fields
-            mappedData.invoiceNumber = extractedData.invoiceNumber || null;
-            mappedData.invoiceDate = extractedData.invoiceDate || null;
-            mappedData.invoiceClient = extractedData.customerName || null;
-            mappedData.invoiceAmount = extractedData.totalAmount || null;
-            mappedData.invoiceVAT = extractedData.vatAmount || null;
-
-            // Additional invoice fields
-            mappedData.currency = extractedData.currency || null;
-            mappedData.dueDate = extractedData.dueDate || null;
-            mappedData.paymentStatus = extractedData.paymentStatus || null;
-            mappedData.description = extractedData.description || null;
-        }
-
-        return mappedData;
+        // Invoices must add up; open check issues block approval to managed
+        if (invoiceChecks.appliesTo(category)) {
+            invoiceChecks.normalize(mapped);
+            mapped.checkIssues = invoiceChecks.check(mapped);
+        }
+
+        return mapped;
     }
 
     async removeFetchedEmail(id) {
@@ -818,12 +1075,117 @@ class ModularJsonDatabase {
         return result;
     }
 
+    /**
+     * Invoice check issues that still block approval of a review email
+     * @returns {Promise<Array>} - Open issues (empty when none or resolved)
+     */
+    async getBlockingChecks(emailId) {
+        const extractedData = await this.getExtractedDataByEmailId(emailId);
+        if (!extractedData || !Array.isArray(extractedData.checkIssues) || extractedData.checksResolution) {
+            return [];
+        }
+        return invoiceChecks.getBlocking(extractedData.checkIssues);
+    }
+
+    /**
+     * Accept failed invoice checks as they are (e.g. a discount the lines do not show)
+     * @param {string} emailId - Review email
+     * @param {string} note - Why the data is correct anyway
+     * @returns {Promise<Object|null>} - The resolution, or null when there is nothing to resolve
+     */
+    async resolveChecks(emailId, note, userId = 'single-user') {
+        const email = await this.getEmailById(emailId);
+        if (!email || email.status !== EMAIL_STATUS.REVIEW) {
+            return null;
+        }
+
+        const issues = await this.getBlockingChecks(emailId);
+        if (issues.length === 0) {
+            return null;
+        }
+
+        const record = await this.getExtractedDataByEmailId(emailId);
+        record.checksResolution = { resolvedAt: new Date().toISOString(), userId, note };
+        record.updatedAt = new Date().toISOString();
+        await this.storage.saveExtractedData(record);
+        await auditLogger.logCheckResolution(emailId, issues, note, userId);
+
+        return record.checksResolution;
+    }
+
+    /**
+     * Merge a duplicate invoice into its original: the original keeps its values and gets
+     * the ones it is missing from the duplicate; the duplicate email goes to the recycle bin
+     * @returns {Promise<Object|null>} - { originalEmailId, filled } or null when the email is
+     *   not in review or not a possible duplicate of that original
+     */
+    async mergeDuplicate(emailId, originalEmailId, userId = 'single-user') {
+        const email = await this.getEmailById(emailId);
+        const original = await this.getEmailById(originalEmailId);
+        if (!email || email.status !== EMAIL_STATUS.REVIEW || !original || original.isDeleted) {
+            return null;
+        }
+
+        const duplicateData = await this.getExtractedDataByEmailId(emailId);
+        const record = await this.getExtractedDataByEmailId(originalEmailId);
+        const flagged = duplicateData && (duplicateData.possibleDuplicates || []).some(match => match.emailId === originalEmailId);
+        if (!flagged || !record || record.category !== duplicateData.category) {
+            return null;
+        }
+
+        const filled = duplicateDetector.merge(record, duplicateData, extractionSchema.getFields(record.category));
+        if (invoiceChecks.appliesTo(record.category) && filled.length > 0) {
+            const previousIssues = record.checkIssues;
+            record.checkIssues = invoiceChecks.check(record);
+            if (record.checksResolution && !invoiceChecks.sameIssues(previousIssues, record.checkIssues)) {
+                record.checksResolution = null;
+            }
+        }
+        record.updatedAt = new Date().toISOString();
+        await this.storage.saveExtractedData(record);
+        await this.indexEmail(original, record);
+        if (contactMatcher.appliesTo(record.category)) {
+            await this.syncContactFromRecord(record);
+        }
+
+        await this.softDeleteEmail(emailId);
+        await auditLogger.logDuplicateResolution(emailId, originalEmailId, 'merge', userId, { filled });
+
+        return { originalEmailId, filled };
+    }
+
+    /**
+     * Discard a duplicate invoice: the email goes to the recycle bin, the original is unchanged
+     * @returns {Promise<Object|null>} - Deleted email, or null when it is not a possible duplicate in review
+     */
+    async declineDuplicate(emailId, userId = 'single-user') {
+        const email = await this.getEmailById(emailId);
+        if (!email || email.status !== EMAIL_STATUS.REVIEW) {
+            return null;
+        }
+
+        const extractedData = await this.getExtractedDataByEmailId(emailId);
+        const matches = extractedData ? extractedData.possibleDuplicates || [] : [];
+        if (matches.length === 0) {
+            return null;
+        }
+
+        const result = await this.softDeleteEmail(emailId);
+        await auditLogger.logDuplicateResolution(emailId, matches[0].emailId, 'decline', userId);
+        return result;
+    }
+
     async approveReviewEmail(id) {
         const email = await this.getEmailById(id);
         if (!email || email.status !== this.EMAIL_STATUS.REVIEW) {
             return null;
         }
 
+        // Invoices whose checks failed wait until they are corrected or resolved
+        if ((await this.getBlockingChecks(id)).length > 0) {
+            return null;
+        }
+
         // Move to MANAGED stage
         const result = await this.moveEmailToManaged(id);
 
@@ -839,12 +1201,36 @@ class ModularJsonDatabase {
         }
 
         try {
-            // Update or create extracted data
-            await this.createExtractedData({
-                emailId: id,
-                ...extractedData,
-                extractedAt: new Date().toISOString()
+            // Update or create extracted data, keeping how the original model output was parsed
+            const existing = await this.getExtractedDataByEmailId(id);
+            const mappedData = this.mapExtractedDataToSchema(extractedData, email.category, id);
+            mappedData.parseOutcome = existing ? existing.parseOutcome || null : null;
+            mappedData.sourceEmailIds = existing ? existing.sourceEmailIds || null : null;
+            mappedData.attachmentHashes = existing ? existing.attachmentHashes || [] : [];
+            mappedData.mergedEmailIds = existing ? existing.mergedEmailIds || [] : [];
+            // The form shows normalized values; unchanged ones keep the text they were extracted from
+            Object.entries(mappedData.normalizedFields || {}).forEach(([name, normalized]) => {
+                const previous = existing && existing.normalizedFields && existing.normalizedFields[name];
+                if (previous && existing[name] === mappedData[name]) {
+                    normalized.raw = previous.raw;
+                }
             });
+            if (extractedData.lineItems === undefined) {
+                // Edits without a lines table keep the extracted lines
+                mappedData.lineItems = existing ? existing.lineItems || null : null;
+                if (invoiceChecks.appliesTo(email.category)) {
+                    mappedData.checkIssues = invoiceChecks.check(mappedData);
+                }
+            }
+            // A resolution covers the issues it was given for, not new ones
+            if (existing && existing.checksResolution && invoiceChecks.sameIssues(existing.checkIssues, mappedData.checkIssues)) {
+                mappedData.checksResolution = existing.checksResolution;
+            }
+            confidenceScorer.applyToRecord(
+                mappedData,
+                confidenceScorer.mergeReviewerEdits(existing, mappedData, email.category)
+            );
+            await this.createExtractedData(mappedData);
 
             // Update email timestamp
             const result = await this.updateEmail(id, {
@@ -857,6 +1243,103 @@ class ModularJsonDatabase {
         }
     }
 
+    // ===============================
+    // THREAD OPERATIONS
+    // ===============================
+
+    /**
+     * Messages of a conversation (threadId, or the email id for emails without one)
+     * @returns {Promise<Array>} - Non-deleted emails, oldest first
+     */
+    async getThreadEmails(threadId) {
+        const emails = await this.getEmails();
+        return emails
+            .filter(email => !email.isDeleted && threadBuilder.getThreadKey(email) === threadId)
+            .sort(threadBuilder.byDate);
+    }
+
+    /**
+     * Move the fetched messages of a thread to review and extract once over the
+     * whole conversation. The result is stored on the primary message: the
+     * earliest message in review with an extractable category.
+     * @returns {Promise<Object|null>} - { threadId, primaryEmailId, moved } or null when nothing was fetched
+     */
+    async approveFetchedThread(threadId, userId = 'single-user') {
+        const messages = await this.getThreadEmails(threadId);
+        const fetched = messages.filter(email => email.status === EMAIL_STATUS.FETCHED);
+        if (fetched.length === 0) {
+            return null;
+        }
+
+        for (const email of fetched) {
+            await this.moveEmailToReview(email.id);
+            await auditLogger.logEmailStateChange(email.id, EMAIL_STATUS.FETCHED, EMAIL_STATUS.REVIEW, userId, { threadId, via: 'thread' });
+        }
+
+        const thread = await this.getThreadEmails(threadId);
+        const inReview = thread.filter(email => email.status === EMAIL_STATUS.REVIEW);
+        const primary = inReview.find(email => categoryRegistry.get(email.category)?.extractable) || inReview[0];
+
+        for (const email of inReview) {
+            if (email.threadPrimaryId !== primary.id) {
+                await this.updateEmail(email.id, { threadPrimaryId: primary.id });
+            }
+        }
+
+        const saved = await this.extractAndSave(
+            threadBuilder.buildContext(thread, primary),
+            primary.id,
+            thread.map(email => email.id)
+        );
+
+        return { threadId, primaryEmailId: primary.id, moved: fetched.length, extracted: !!saved };
+    }
+
+    /**
+     * Decline every fetched message of a thread (recycle bin)
+     */
+    async declineFetchedThread(threadId, userId = 'single-user') {
+        const fetched = (await this.getThreadEmails(threadId)).filter(email => email.status === EMAIL_STATUS.FETCHED);
+        if (fetched.length === 0) {
+            return null;
+        }
+
+        for (const email of fetched) {
+            await this.softDeleteEmail(email.id);
+            await auditLogger.logEmailStateChange(email.id, EMAIL_STATUS.FETCHED, EMAIL_STATUS.DELETED, userId, { threadId, via: 'thread' });
+        }
+
+        return { threadId, declined: fetched.length };
+    }
+
+    /**
+     * Approve every message of a thread that is in review (move to managed)
+     */
+    async approveReviewThread(threadId, userId = 'single-user') {
+        const inReview = (await this.getThreadEmails(threadId)).filter(email => email.status === EMAIL_STATUS.REVIEW);
+        if (inReview.length === 0) {
+            return null;
+        }
+
+        const blocked = [];
+        for (const email of inReview) {
+            const issues = await this.getBlockingChecks(email.id);
+            if (issues.length > 0) {
+                blocked.push({ emailId: email.id, issues });
+            }
+        }
+        if (blocked.length > 0) {
+            return { threadId, approved: 0, blocked };
+        }
+
+        for (const email of inReview) {
+            await this.moveEmailToManaged(email.id);
+            await auditLogger.logEmailStateChange(email.id, EMAIL_STATUS.REVIEW, EMAIL_STATUS.MANAGED, userId, { threadId, via: 'thread' });
+        }
+
+        return { threadId, approved: inReview.length };
+    }
+
     // ===============================
     // BULK OPERATIONS
     // ===============================
@@ -909,6 +1392,12 @@ class ModularJsonDatabase {
 
         for (const emailId of emailIds) {
             try {
+                const blocking = await this.getBlockingChecks(emailId);
+                if (blocking.length > 0) {
+                    errors.push({ emailId, error: 'Invoice checks must be resolved before approval', issues: blocking });
+                    continue;
+                }
+
                 const result = await this.approveReviewEmail(emailId);
                 if (result) {
                     results.push({ emailId, success: true, email: result });
@@ -957,4 +1446,4 @@ class ModularJsonDatabase {
     }
 }
 
-module.exports = new ModularJsonDatabase();
+module.exports = new EmailDatabase();
@@ -0,0 +1,200 @@
+/**
+ * Duplicate Detector
+ * Finds invoices that were already received in another email (a reminder, a
+ * forward, the same PDF sent again). An invoice is a possible duplicate of an
+ * earlier one when:
+ * - the invoice numbers match (ignoring case, spaces, punctuation, leading zeros
+ *   and prefixes such as "INV") and so does the supplier VAT ID (or, without VAT IDs, the amount)
+ * - the amounts match and the invoice dates are at most DUPLICATE_DATE_WINDOW_DAYS
+ *   apart, with no different invoice number or VAT ID telling them apart
+ * - they share an attachment with identical content (SHA-256)
+ * Gmail ids only catch the same message fetched twice; this compares extracted data.
+ */
+
+const DEFAULT_DATE_WINDOW_DAYS = 3;
+const AMOUNT_TOLERANCE = 0.01;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function positiveInt(value, fallback) {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number >= 0 ? number : fallback;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function sameAmount(a, b) {
+    return isNumber(a) && isNumber(b) && Math.abs(a - b) <= AMOUNT_TOLERANCE;
+}
+
+// Two values that are both known and differ
+function conflict(a, b) {
+    return Boolean(a) && Boolean(b) && a !== b;
+}
+
+class DuplicateDetector {
+    constructor() {
+        this.dateWindowDays = positiveInt(process.env.DUPLICATE_DATE_WINDOW_DAYS, DEFAULT_DATE_WINDOW_DAYS);
+    }
+
+    appliesTo(category) {
+        return category === 'invoice';
+    }
+
+    /**
+     * Comparable form of an invoice number: "ΤΙΜ-0042" / "τιμ 42" -> "ΤΙΜ42"
+     */
+    normalizeInvoiceNumber(value) {
+        if (value === null || value === undefined) return null;
+
+        const normalized = String(value)
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .toUpperCase()
+            .replace(/[^\p{L}\p{N}]/gu, '')
+            .replace(/(^|\D)0+(?=\d)/g, '$1');
+        return normalized || null;
+    }
+
+    /**
+     * Whether two normalized invoice numbers are the same number; a prefix is
+     * often dropped when an invoice is quoted in a reminder ("INV42" / "42"),
+     * but two different prefixes are different series ("A5" / "B5")
+     */
+    sameInvoiceNumber(a, b) {
+        if (!a || !b) return false;
+        const bare = /^\d+$/;
+        const prefixed = /^\D+(\d+)$/;
+        if (a === b) return true;
+        if (bare.test(a) && prefixed.test(b)) return b.match(prefixed)[1] === a;
+        if (bare.test(b) && prefixed.test(a)) return a.match(prefixed)[1] === b;
+        return false;
+    }
+
+    /**
+     * Earlier invoices the record may duplicate
+     * @param {Object} record - Extracted invoice data (with attachmentHashes when known)
+     * @param {Array} candidates - [{ record, email }]: other invoices and their emails
+     * @returns {Array} - [{ emailId, status, subject, fromAddress, date, invoiceNumber,
+     *   invoiceDate, invoiceAmount, reasons: [{ code, message }] }], strongest match first
+     */
+    find(record, candidates) {
+        const matches = [];
+
+        for (const candidate of candidates) {
+            const reasons = this.compare(record, candidate.record);
+            if (reasons.length === 0) continue;
+
+            const { email } = candidate;
+            matches.push({
+                emailId: candidate.record.emailId,
+                status: email ? email.status : null,
+                subject: email ? email.subject : null,
+                fromAddress: email ? email.fromAddress : null,
+                date: email ? email.date : null,
+                invoiceNumber: candidate.record.invoiceNumber ?? null,
+                invoiceDate: candidate.record.invoiceDate ?? null,
+                invoiceAmount: candidate.record.invoiceAmount ?? null,
+                reasons
+            });
+        }
+
+        return matches.sort((a, b) => b.reasons.length - a.reasons.length);
+    }
+
+    /**
+     * Why two invoices look like the same invoice
+     * @returns {Array} - [{ code, message }]; empty when they look different
+     */
+    compare(a, b) {
+        const reasons = [];
+        const numberA = this.normalizeInvoiceNumber(a.invoiceNumber);
+        const numberB = this.normalizeInvoiceNumber(b.invoiceNumber);
+        const vatConflict = conflict(a.supplierVatId, b.supplierVatId) || conflict(a.clientVatId, b.clientVatId);
+
+        const numbersDiffer = Boolean(numberA) && Boolean(numberB) && !this.sameInvoiceNumber(numberA, numberB);
+
+        if (this.sameInvoiceNumber(numberA, numberB) && !vatConflict) {
+            if (a.supplierVatId && a.supplierVatId === b.supplierVatId) {
+                reasons.push({
+                    code: 'invoice_number',
+                    message: `Same invoice number ${b.invoiceNumber} from supplier ${b.supplierVatId}`
+                });
+            } else if (sameAmount(a.invoiceAmount, b.invoiceAmount)) {
+                reasons.push({
+                    code: 'invoice_number',
+                    message: `Same invoice number ${b.invoiceNumber} and amount ${b.invoiceAmount.toFixed(2)}`
+                });
+            }
+        }
+
+        if (!vatConflict && !numbersDiffer && sameAmount(a.invoiceAmount, b.invoiceAmount)) {
+            const days = this.daysApart(a.invoiceDate, b.invoiceDate);
+            if (days !== null && days <= this.dateWindowDays) {
+                reasons.push({
+                    code: 'amount_date',
+                    message: days === 0
+                        ? `Same amount ${b.invoiceAmount.toFixed(2)} on the same date`
+                        : `Same amount ${b.invoiceAmount.toFixed(2)}, dated ${days} day(s) apart`
+                });
+            }
+        }
+
+        const hashesB = new Map((b.attachmentHashes || []).map(hash => [hash.sha256, hash.filename]));
+        const shared = (a.attachmentHashes || []).find(hash => hashesB.has(hash.sha256));
+        if (shared) {
+            reasons.push({
+                code: 'attachment',
+                message: `Identical attachment ${shared.filename}${hashesB.get(shared.sha256) !== shared.filename ? ` (${hashesB.get(shared.sha256)})` : ''}`
+            });
+        }
+
+        return reasons;
+    }
+
+    daysApart(a, b) {
+        if (!a || !b) return null;
+        const difference = Math.abs(new Date(a) - new Date(b));
+        return Number.isFinite(difference) ? Math.round(difference / DAY_MS) : null;
+    }
+
+    /**
+     * Fill the original's missing values from the duplicate; values the original
+     * already has are kept
+     * @param {Object} original - Extracted data of the original (changed in place)
+     * @param {Object} duplicate - Extracted data of the duplicate
+     * @param {Array} fields - Schema fields of the category
+     * @returns {Array} - Names of the fields that were filled
+     */
+    merge(original, duplicate, fields) {
+        const filled = [];
+
+        for (const field of fields) {
+            const isEmpty = original[field.name] === null || original[field.name] === undefined || original[field.name] === '';
+            const value = duplicate[field.name];
+            if (isEmpty && value !== null && value !== undefined && value !== '') {
+                original[field.name] = value;
+                filled.push(field.name);
+                if (duplicate.normalizedFields && duplicate.normalizedFields[field.name]) {
+                    original.normalizedFields = { ...original.normalizedFields, [field.name]: duplicate.normalizedFields[field.name] };
+                }
+            }
+        }
+
+        if ((!Array.isArray(original.lineItems) || original.lineItems.length === 0) &&
+            Array.isArray(duplicate.lineItems) && duplicate.lineItems.length > 0) {
+            original.lineItems = duplicate.lineItems;
+            filled.push('lineItems');
+        }
+
+        const hashes = new Map([...(duplicate.attachmentHashes || []), ...(original.attachmentHashes || [])]
+            .map(hash => [hash.sha256, hash]));
+        original.attachmentHashes = Array.from(hashes.values());
+        original.mergedEmailIds = [...new Set([...(original.mergedEmailIds || []), duplicate.emailId])];
+
+        return filled;
+    }
+}
+
+module.exports = new DuplicateDetector();
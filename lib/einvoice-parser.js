@@ -0,0 +1,268 @@
+const { JSDOM } = require('jsdom');
+const vatId = require('./vat-id');
+
+/**
+ * E-Invoice Parser
+ * Deterministic parsing of structured e-invoice XML attachments:
+ * - UBL 2.1 Invoice / CreditNote, including Peppol BIS Billing 3.0 (UBL with a Peppol CustomizationID)
+ * - Greek myDATA (AADE) InvoicesDoc
+ * Supplier and customer VAT IDs are read as written and normalized by the extraction schema.
+ * Values are read from fixed element paths, so they need no model and no confidence
+ * guessing; each field records the path it came from as its evidence.
+ * Elements are matched by local name, so namespace prefixes do not matter.
+ */
+
+const XML_MIME_TYPES = ['application/xml', 'text/xml'];
+// E-invoices are small; larger XML files are something else (exports, feeds)
+const MAX_XML_SIZE = 2 * 1024 * 1024;
+
+// myDATA VAT categories (vatCategory) and their rates
+const MYDATA_VAT_RATES = { 1: 24, 2: 13, 3: 6, 4: 17, 5: 9, 6: 4, 7: 0, 8: 0, 9: 3, 10: 4 };
+
+class EInvoiceParser {
+    /**
+     * Whether an attachment may be an e-invoice XML
+     */
+    isXMLAttachment(attachment) {
+        const mimeType = (attachment.mimeType || '').toLowerCase();
+        const isXML = XML_MIME_TYPES.includes(mimeType) || /\.xml$/i.test(attachment.filename || '');
+        return isXML && (attachment.size || 0) <= MAX_XML_SIZE;
+    }
+
+    /**
+     * XML text from attachment bytes, using the encoding in the XML declaration
+     * (Greek documents are sometimes ISO-8859-7 / windows-1253), UTF-8 otherwise
+     */
+    decode(buffer) {
+        const declaration = buffer.subarray(0, 200).toString('latin1');
+        const match = declaration.match(/^\s*<\?xml[^>]*encoding\s*=\s*["']([^"']+)["']/i);
+        let encoding = match ? match[1].toLowerCase() : 'utf-8';
+
+        try {
+            new TextDecoder(encoding);
+        } catch (error) {
+            encoding = 'utf-8';
+        }
+        // TextDecoder drops the BOM
+        return new TextDecoder(encoding).decode(buffer);
+    }
+
+    /**
+     * Parse an e-invoice XML document
+     * @param {string} xml - XML text
+     * @returns {Object|null} - { format, documentType, data, lineItems, evidence } or null
+     *   when the XML is not a supported e-invoice
+     */
+    parse(xml) {
+        let document;
+        try {
+            document = new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+        } catch (error) {
+            console.warn('🧾 Attachment is not well-formed XML:', error.message);
+            return null;
+        }
+
+        const root = document.documentElement;
+        if (!root) return null;
+
+        switch (root.localName) {
+            case 'Invoice':
+            case 'CreditNote':
+                return this.parseUBL(root);
+            case 'InvoicesDoc':
+                return this.parseMyDATA(root);
+            default:
+                return null;
+        }
+    }
+
+    // ===============================
+    // UBL 2.1 / PEPPOL BIS
+    // ===============================
+
+    parseUBL(root) {
+        const documentType = root.localName === 'CreditNote' ? 'credit-note' : 'invoice';
+        const customizationId = this.text(root, 'CustomizationID') || '';
+        const currency = this.text(root, 'DocumentCurrencyCode');
+        const reader = this.createReader(root);
+
+        reader.read('invoiceNumber', 'ID');
+        reader.read('invoiceDate', 'IssueDate');
+        reader.read('dueDate', 'DueDate', 'PaymentMeans/PaymentDueDate');
+        reader.read('invoiceClient',
+            'AccountingCustomerParty/Party/PartyLegalEntity/RegistrationName',
+            'AccountingCustomerParty/Party/PartyName/Name');
+        reader.read('supplierVatId',
+            'AccountingSupplierParty/Party/PartyTaxScheme/CompanyID',
+            'AccountingSupplierParty/Party/PartyLegalEntity/CompanyID');
+        reader.read('clientVatId',
+            'AccountingCustomerParty/Party/PartyTaxScheme/CompanyID',
+            'AccountingCustomerParty/Party/PartyLegalEntity/CompanyID');
+        reader.read('currency', 'DocumentCurrencyCode');
+        reader.readAmount('invoiceAmount', 'LegalMonetaryTotal/PayableAmount', 'LegalMonetaryTotal/TaxInclusiveAmount');
+        reader.readAmount('invoiceNetAmount', 'LegalMonetaryTotal/TaxExclusiveAmount');
+        reader.readAmount('invoiceVAT', this.documentTaxTotalPath(root, currency));
+
+        const lineTag = documentType === 'credit-note' ? 'CreditNoteLine' : 'InvoiceLine';
+        const quantityTag = documentType === 'credit-note' ? 'CreditedQuantity' : 'InvoicedQuantity';
+        const lineItems = this.children(root, lineTag).map(line => ({
+            description: this.text(line, 'Item/Name') || this.text(line, 'Item/Description'),
+            quantity: this.amount(line, quantityTag),
+            unitPrice: this.amount(line, 'Price/PriceAmount'),
+            vatRate: this.amount(line, 'Item/ClassifiedTaxCategory/Percent'),
+            lineTotal: this.amount(line, 'LineExtensionAmount')
+        }));
+
+        return {
+            format: /peppol/i.test(customizationId) ? 'peppol' : 'ubl',
+            documentType,
+            data: reader.data,
+            lineItems,
+            evidence: reader.evidence
+        };
+    }
+
+    /**
+     * Path of the document-level TaxTotal in the document currency (UBL allows a
+     * second TaxTotal in the tax currency, without subtotals)
+     */
+    documentTaxTotalPath(root, currency) {
+        const taxTotals = this.children(root, 'TaxTotal');
+        const index = taxTotals.findIndex(taxTotal => {
+            const amount = this.find(taxTotal, 'TaxAmount');
+            return amount && (!currency || amount.getAttribute('currencyID') === currency);
+        });
+        return `TaxTotal[${Math.max(index, 0)}]/TaxAmount`;
+    }
+
+    // ===============================
+    // GREEK myDATA
+    // ===============================
+
+    parseMyDATA(root) {
+        const invoices = this.children(root, 'invoice');
+        if (invoices.length === 0) return null;
+        if (invoices.length > 1) {
+            console.log(`🧾 myDATA document holds ${invoices.length} invoices, using the first`);
+        }
+
+        const invoice = invoices[0];
+        const reader = this.createReader(invoice);
+        const series = this.text(invoice, 'invoiceHeader/series');
+        const number = this.text(invoice, 'invoiceHeader/aa');
+
+        if (number) {
+            const invoiceNumber = series && series !== '0' ? `${series}-${number}` : number;
+            reader.set('invoiceNumber', invoiceNumber, 'invoiceHeader/series + invoiceHeader/aa');
+        }
+        reader.read('invoiceDate', 'invoiceHeader/issueDate');
+        reader.read('invoiceClient', 'counterpart/name', 'counterpart/vatNumber');
+        reader.read('supplierVatId', 'issuer/vatNumber');
+        const counterpartVat = this.text(invoice, 'counterpart/vatNumber');
+        const counterpartCountry = (this.text(invoice, 'counterpart/country') || 'GR').toUpperCase();
+        if (counterpartCountry === 'GR') {
+            reader.read('clientVatId', 'counterpart/vatNumber');
+        } else if (counterpartVat && vatId.EU_VAT_FORMATS[counterpartCountry]) {
+            // vatNumber carries no prefix; other EU counterparts get their country code
+            // (tax numbers from outside the EU are not VAT IDs and are left out)
+            const prefixed = /^[A-Z]{2}/i.test(counterpartVat) ? counterpartVat : `${counterpartCountry}${counterpartVat}`;
+            reader.set('clientVatId', prefixed, 'counterpart/country + counterpart/vatNumber');
+        }
+        reader.read('currency', 'invoiceHeader/currency');
+        if (!reader.data.currency) {
+            // myDATA omits the currency for EUR
+            reader.set('currency', 'EUR', 'invoiceHeader (default currency)');
+        }
+        reader.readAmount('invoiceAmount', 'invoiceSummary/totalGrossValue');
+        reader.readAmount('invoiceNetAmount', 'invoiceSummary/totalNetValue');
+        reader.readAmount('invoiceVAT', 'invoiceSummary/totalVatAmount');
+
+        const lineItems = this.children(invoice, 'invoiceDetails').map(line => {
+            const vatCategory = this.text(line, 'vatCategory');
+            const quantity = this.amount(line, 'quantity');
+            const lineTotal = this.amount(line, 'netValue');
+            return {
+                description: this.text(line, 'itemDescr'),
+                quantity,
+                unitPrice: quantity && lineTotal !== null ? Math.round((lineTotal / quantity) * 100) / 100 : null,
+                vatRate: vatCategory in MYDATA_VAT_RATES ? MYDATA_VAT_RATES[vatCategory] : null,
+                lineTotal
+            };
+        });
+
+        return {
+            format: 'mydata',
+            documentType: 'invoice',
+            data: reader.data,
+            lineItems,
+            evidence: reader.evidence
+        };
+    }
+
+    // ===============================
+    // XML HELPERS
+    // ===============================
+
+    /**
+     * Collects field values with the path each came from; the first path with a value wins
+     */
+    createReader(context) {
+        const reader = {
+            data: {},
+            evidence: {},
+            set: (field, value, path) => {
+                if (value === null || value === undefined || value === '') return;
+                reader.data[field] = value;
+                reader.evidence[field] = `${path} = ${value}`;
+            },
+            read: (field, ...paths) => {
+                const path = paths.find(candidate => this.text(context, candidate));
+                if (path) reader.set(field, this.text(context, path), path);
+            },
+            readAmount: (field, ...paths) => {
+                const path = paths.find(candidate => this.amount(context, candidate) !== null);
+                if (path) reader.set(field, this.amount(context, path), path);
+            }
+        };
+        return reader;
+    }
+
+    /**
+     * Direct child elements with a local name
+     */
+    children(element, localName) {
+        return Array.from(element.children).filter(child => child.localName === localName);
+    }
+
+    /**
+     * Element at a path of local names below an element ("Party/PartyName/Name");
+     * a step may pick the n-th match with "Name[n]"
+     */
+    find(element, path) {
+        let current = element;
+        for (const step of path.split('/')) {
+            const [, name, index] = step.match(/^([^[]+)(?:\[(\d+)\])?$/);
+            current = this.children(current, name)[parseInt(index || '0', 10)];
+            if (!current) return null;
+        }
+        return current;
+    }
+
+    text(element, path) {
+        const found = this.find(element, path);
+        const value = found ? found.textContent.trim() : '';
+        return value || null;
+    }
+
+    amount(element, path) {
+        const value = this.text(element, path);
+        if (value === null) return null;
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? Math.round(number * 100) / 100 : null;
+    }
+}
+
+const einvoiceParser = new EInvoiceParser();
+einvoiceParser.XML_MIME_TYPES = XML_MIME_TYPES;
+
+module.exports = einvoiceParser;
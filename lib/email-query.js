@@ -0,0 +1,311 @@
+const categoryRegistry = require('./category-registry');
+const extractionSchema = require('./extraction-schema');
+const searchIndex = require('./search-index');
+
+/**
+ * Email Query
+ * Search, filters, sorting and cursor pagination for the email list endpoints
+ * (GET /api/emails/fetched, /review, /processed, /deleted):
+ * - q: words that must all appear (case and accent insensitive) in the subject, sender,
+ *   body, attachment text or extracted fields
+ * - category: one or more category keys, comma separated
+ * - dateFrom / dateTo: email date range, inclusive; a date without a time covers the whole day
+ * - dateRange: a range relative to today (today, last7days, last30days, thisMonth, lastMonth,
+ *   thisYear), so saved views keep meaning "this month"; not together with dateFrom / dateTo
+ * - hasAttachment: true / false
+ * - exported: true / false, whether the email was in a managed export (exportedAt)
+ * - senderDomain: sender's domain or one of its subdomains
+ * - sort: date, subject, sender, category or confidence; order: asc / desc
+ * - limit / cursor: page size and the nextCursor of the previous page
+ *
+ * Without limit and cursor the endpoints return the whole list as before; with them
+ * a page: { emails, total, nextCursor }. The cursor holds the sort value and id of the
+ * last email, so emails added or removed meanwhile do not shift the following pages.
+ */
+
+const FILTER_KEYS = ['q', 'category', 'dateRange', 'dateFrom', 'dateTo', 'hasAttachment', 'exported', 'senderDomain'];
+const DATE_RANGES = ['today', 'last7days', 'last30days', 'thisMonth', 'lastMonth', 'thisYear'];
+const SORT_KEYS = ['date', 'subject', 'sender', 'category', 'confidence'];
+// Least certain extractions first, newest emails first, the rest alphabetically
+const DEFAULT_ORDER = { date: 'desc', confidence: 'asc' };
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_QUERY_LENGTH = 200;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)*$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class EmailQuery {
+    /**
+     * Read the query parameters of a list request
+     * @param {Object} query - req.query
+     * @returns {Object} - { options, errors }; errors is empty when the query is valid
+     */
+    parse(query = {}) {
+        const errors = [];
+        const param = name => (typeof query[name] === 'string' ? query[name].trim() : '');
+        const options = {};
+
+        const text = param('q');
+        if (text.length > MAX_QUERY_LENGTH) {
+            errors.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+        } else if (text) {
+            options.terms = this.fold(text).split(/\s+/).filter(Boolean);
+        }
+
+        const categories = param('category').split(',').map(key => key.trim().toLowerCase()).filter(Boolean);
+        const unknown = categories.filter(key => !categoryRegistry.has(key));
+        if (unknown.length > 0) {
+            errors.push(`category "${unknown.join('", "')}" is not a known category`);
+        } else if (categories.length > 0) {
+            options.categories = categories;
+        }
+
+        ['dateFrom', 'dateTo'].forEach(name => {
+            const value = param(name);
+            if (!value) return;
+            const time = Date.parse(value);
+            if (Number.isNaN(time)) {
+                errors.push(`${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+                return;
+            }
+            // dateTo of a day includes the whole day
+            options[name] = name === 'dateTo' && DATE_ONLY.test(value) ? time + DAY_MS - 1 : time;
+        });
+        if (options.dateFrom !== undefined && options.dateTo !== undefined && options.dateFrom > options.dateTo) {
+            errors.push('dateFrom must not be after dateTo');
+        }
+
+        const dateRange = param('dateRange');
+        if (dateRange) {
+            if (!DATE_RANGES.includes(dateRange)) {
+                errors.push(`dateRange must be one of ${DATE_RANGES.join(', ')}`);
+            } else if (param('dateFrom') || param('dateTo')) {
+                errors.push('dateRange cannot be combined with dateFrom or dateTo');
+            } else {
+                Object.assign(options, this.resolveDateRange(dateRange));
+            }
+        }
+
+        ['hasAttachment', 'exported'].forEach(name => {
+            const value = param(name);
+            if (!value) return;
+            if (value !== 'true' && value !== 'false') {
+                errors.push(`${name} must be true or false`);
+            } else {
+                options[name] = value === 'true';
+            }
+        });
+
+        const domain = param('senderDomain').toLowerCase().replace(/^@/, '');
+        if (domain && !DOMAIN_PATTERN.test(domain)) {
+            errors.push('senderDomain must be a domain name (example.gr)');
+        } else if (domain) {
+            options.senderDomain = domain;
+        }
+
+        options.sort = param('sort') || 'date';
+        if (!SORT_KEYS.includes(options.sort)) {
+            errors.push(`sort must be one of ${SORT_KEYS.join(', ')}`);
+        }
+        options.order = param('order') || DEFAULT_ORDER[options.sort] || 'asc';
+        if (options.order !== 'asc' && options.order !== 'desc') {
+            errors.push('order must be asc or desc');
+        }
+
+        const limit = param('limit');
+        const cursor = param('cursor');
+        if (limit || cursor) {
+            options.limit = limit ? Number(limit) : DEFAULT_LIMIT;
+            if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+                errors.push(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+            }
+        }
+        if (cursor) {
+            options.cursor = this.decodeCursor(cursor);
+            if (!options.cursor) {
+                errors.push('cursor is not valid');
+            } else if (options.cursor.sort !== options.sort || options.cursor.order !== options.order) {
+                errors.push('cursor belongs to another sort; start again without it');
+            }
+        }
+
+        return { options, errors };
+    }
+
+    /**
+     * Filter, sort and page a list of emails
+     * @param {Array} emails - With their extracted fields joined (review, managed)
+     * @param {Object} options - From parse()
+     * @returns {Array|Object} - The sorted list, or { emails, total, nextCursor } when paging
+     */
+    apply(emails, options) {
+        const matching = emails
+            .filter(email => this.matches(email, options))
+            .map(email => ({ email, value: this.sortValue(email, options.sort) }));
+
+        const direction = options.order === 'desc' ? -1 : 1;
+        const compare = (a, b) => this.compareValues(a.value, b.value) * direction ||
+            this.compareValues(a.email.id, b.email.id);
+        matching.sort(compare);
+
+        if (options.limit === undefined) {
+            return matching.map(entry => entry.email);
+        }
+
+        const cursor = options.cursor;
+        const start = cursor
+            ? matching.findIndex(entry => compare(entry, { value: cursor.value, email: { id: cursor.id } }) > 0)
+            : 0;
+        const page = start === -1 ? [] : matching.slice(start, start + options.limit);
+        const last = page[page.length - 1];
+        const hasMore = start !== -1 && start + options.limit < matching.length;
+
+        return {
+            emails: page.map(entry => entry.email),
+            total: matching.length,
+            nextCursor: hasMore ? this.encodeCursor(options, last) : null
+        };
+    }
+
+    matches(email, options) {
+        if (options.categories && !options.categories.includes((email.category || '').toLowerCase())) {
+            return false;
+        }
+
+        if (options.dateFrom !== undefined || options.dateTo !== undefined) {
+            const time = Date.parse(email.date);
+            if (Number.isNaN(time)) return false;
+            if (options.dateFrom !== undefined && time < options.dateFrom) return false;
+            if (options.dateTo !== undefined && time > options.dateTo) return false;
+        }
+
+        if (options.hasAttachment !== undefined &&
+            (Array.isArray(email.attachments) && email.attachments.length > 0) !== options.hasAttachment) {
+            return false;
+        }
+
+        if (options.exported !== undefined && Boolean(email.exportedAt) !== options.exported) {
+            return false;
+        }
+
+        if (options.senderDomain) {
+            const senderDomain = this.getSenderAddress(email).split('@')[1] || '';
+            if (senderDomain !== options.senderDomain && !senderDomain.endsWith(`.${options.senderDomain}`)) {
+                return false;
+            }
+        }
+
+        if (options.terms) {
+            const haystack = this.fold(this.searchableText(email));
+            if (!options.terms.every(term => haystack.includes(term))) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Bounds of a relative date range, in server time
+     * @returns {Object} - { dateFrom, dateTo } timestamps
+     */
+    resolveDateRange(range, now = new Date()) {
+        const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const dateTo = now.getTime();
+
+        switch (range) {
+            case 'today':
+                return { dateFrom: startOfDay.getTime(), dateTo };
+            case 'last7days':
+                return { dateFrom: startOfDay.getTime() - 6 * DAY_MS, dateTo };
+            case 'last30days':
+                return { dateFrom: startOfDay.getTime() - 29 * DAY_MS, dateTo };
+            case 'thisMonth':
+                return { dateFrom: new Date(now.getFullYear(), now.getMonth(), 1).getTime(), dateTo };
+            case 'lastMonth':
+                return {
+                    dateFrom: new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime(),
+                    dateTo: new Date(now.getFullYear(), now.getMonth(), 1).getTime() - 1
+                };
+            case 'thisYear':
+                return { dateFrom: new Date(now.getFullYear(), 0, 1).getTime(), dateTo };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Subject, sender, body, attachment text and the extracted fields of the email's category
+     */
+    searchableText(email) {
+        const extracted = extractionSchema.getFields(email.category)
+            .map(field => email[field.name])
+            .filter(value => value !== null && value !== undefined);
+
+        return [email.subject, email.fromName, email.fromAddress, email.body, email.attachmentText, ...extracted]
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    sortValue(email, sort) {
+        switch (sort) {
+            case 'date': {
+                const time = Date.parse(email.date);
+                return Number.isNaN(time) ? 0 : time;
+            }
+            case 'subject':
+                return this.fold(email.subject);
+            case 'sender':
+                return this.fold(email.fromName || email.fromAddress);
+            case 'category':
+                return (email.category || '').toLowerCase();
+            case 'confidence':
+                return email.confidence ?? 0;
+            default:
+                return 0;
+        }
+    }
+
+    compareValues(a, b) {
+        if (a < b) return -1;
+        if (a > b) return 1;
+        return 0;
+    }
+
+    /**
+     * Lower case without accents, so "Τιμολόγιο" is found by "τιμολογιο"
+     */
+    fold(value) {
+        return searchIndex.fold(value);
+    }
+
+    getSenderAddress(email) {
+        const from = (email.fromAddress || '').toString();
+        const match = from.match(/<([^>]+)>/);
+        return (match ? match[1] : from).trim().toLowerCase();
+    }
+
+    encodeCursor(options, entry) {
+        const cursor = { sort: options.sort, order: options.order, value: entry.value, id: entry.email.id };
+        return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+    }
+
+    decodeCursor(value) {
+        try {
+            const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+            const validValue = typeof cursor.value === 'string' || typeof cursor.value === 'number';
+            return cursor && validValue && typeof cursor.id === 'string' ? cursor : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+const emailQuery = new EmailQuery();
+emailQuery.FILTER_KEYS = FILTER_KEYS;
+emailQuery.DATE_RANGES = DATE_RANGES;
+emailQuery.SORT_KEYS = SORT_KEYS;
+emailQuery.MAX_LIMIT = MAX_LIMIT;
+
+module.exports = emailQuery;
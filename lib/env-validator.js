@@ -14,6 +14,9 @@ class EnvironmentValidator {
 
     this.optionalVars = [
       'OPENAI_API_KEY',
+      'LLM_PROVIDER',
+      'LLM_BASE_URL',
+      'STORAGE_BACKEND',
       'PORT',
       'NODE_ENV',
       'SESSION_TIMEOUT',
@@ -59,6 +62,28 @@ class EnvironmentValidator {
         message: 'OPENAI_API_KEY must be a valid OpenAI API key starting with sk-',
         optional: true
       },
+      'LLM_PROVIDER': {
+        validator: (value) => ['openai', 'openai-compatible', 'rule-based'].includes(value.toLowerCase()),
+        message: 'LLM_PROVIDER must be one of: openai, openai-compatible, rule-based',
+        optional: true
+      },
+      'LLM_BASE_URL': {
+        validator: (value) => {
+          try {
+            const url = new URL(value);
+            return url.protocol === 'http:' || url.protocol === 'https:';
+          } catch {
+            return false;
+          }
+        },
+        message: 'LLM_BASE_URL must be an http(s) URL such as http://localhost:11434/v1',
+        optional: true
+      },
+      'STORAGE_BACKEND': {
+        validator: (value) => ['sqlite', 'json'].includes(value.toLowerCase()),
+        message: 'STORAGE_BACKEND must be one of: sqlite, json',
+        default: 'sqlite'
+      },
       'PORT': {
         validator: (value) => {
           const port = parseInt(value);
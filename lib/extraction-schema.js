@@ -0,0 +1,369 @@
+const categoryRegistry = require('./category-registry');
+const vatId = require('./vat-id');
+const phoneNumber = require('./phone-number');
+const addressParser = require('./address-parser');
+
+/**
+ * Extraction Schema
+ * Turns a category's declared fields (lib/schemas/*.json for built-ins,
+ * settings.customCategories for user categories) into the extraction prompt,
+ * validates/coerces extracted values and describes the export columns
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_FIRST_DATE_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+// More lines than this are almost certainly a misread table, not an invoice
+const MAX_LINE_ITEMS = 100;
+
+const TYPE_HINTS = {
+    string: '',
+    text: '',
+    number: 'as a number without currency symbols',
+    date: 'in YYYY-MM-DD format',
+    email: 'as an email address',
+    phone: 'as written, including country/area code',
+    vatId: 'as written, e.g. 094019245 (Greek ΑΦΜ) or DE123456789',
+    address: 'as written, with street, postal code and city',
+    enum: ''
+};
+// Field types named differently in validation messages
+const TYPE_NAMES = {
+    vatId: 'VAT number'
+};
+// Address parts exported as their own columns
+const ADDRESS_PARTS = [
+    { part: 'street', labels: { en: 'Street', el: 'Οδός' } },
+    { part: 'city', labels: { en: 'City', el: 'Πόλη' } },
+    { part: 'postalCode', labels: { en: 'Postal Code', el: 'ΤΚ' } },
+    { part: 'country', labels: { en: 'Country', el: 'Χώρα' } }
+];
+
+class ExtractionSchema {
+    /**
+     * Fields declared for a category (empty for non-extractable categories)
+     * @param {string} category - Category key
+     * @returns {Array} - Field definitions
+     */
+    getFields(category) {
+        const definition = categoryRegistry.get(category);
+        return definition && definition.extractable ? definition.fields : [];
+    }
+
+    /**
+     * Columns of the category's line items (invoice lines), empty when it has none
+     * @param {string} category - Category key
+     * @returns {Array} - Field definitions
+     */
+    getLineItemFields(category) {
+        const definition = categoryRegistry.get(category);
+        return definition && definition.extractable && definition.lineItems ? definition.lineItems.fields : [];
+    }
+
+    hasLineItems(category) {
+        return this.getLineItemFields(category).length > 0;
+    }
+
+    /**
+     * Object with every declared field set to null (and no line items)
+     */
+    emptyData(category) {
+        const data = this.getFields(category).reduce((acc, field) => {
+            acc[field.name] = null;
+            return acc;
+        }, {});
+        if (this.hasLineItems(category)) {
+            data.lineItems = [];
+        }
+        return data;
+    }
+
+    /**
+     * Prompt lines describing the JSON keys the model must return
+     * @param {string} category - Category key
+     * @returns {string} - One line per field with type hint and Greek/English labels
+     */
+    buildFieldList(category) {
+        const lines = this.getFields(category).map(field => {
+            const hints = [TYPE_HINTS[field.type]];
+            if (field.type === 'enum') {
+                hints.push(`one of: ${field.values.join(', ')}`);
+            }
+            const labels = field.labels.el !== field.labels.en
+                ? ` (${field.labels.el}/${field.labels.en})`
+                : ` (${field.labels.en})`;
+            const hint = hints.filter(Boolean).join(', ');
+
+            return `- "${field.name}": ${field.description || field.name}${labels}${hint ? ` ${hint}` : ''}${field.required ? ' [required]' : ''} or null`;
+        });
+
+        if (this.hasLineItems(category)) {
+            const columns = this.getLineItemFields(category)
+                .map(field => `"${field.name}" (${field.description}${TYPE_HINTS[field.type] ? `, ${TYPE_HINTS[field.type]}` : ''})`)
+                .join(', ');
+            lines.push(`- "lineItems": list of the individual lines, each an object with ${columns}; use null for a missing column and [] when no lines are listed`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Validate and coerce raw values against the category schema.
+     * Unknown keys are dropped; values that cannot be coerced become null.
+     * Categories with line items also get data.lineItems (see validateLineItems).
+     * Phone and address fields also get data.normalizedFields[name] (see normalizeField).
+     * @param {string} category - Category key
+     * @param {Object} rawData - Values from the model or the review form
+     * @returns {Object} - { data, issues: [{ field, code: 'missing'|'invalid', message }] }
+     */
+    validate(category, rawData = {}) {
+        const data = {};
+        const issues = [];
+        const normalizedFields = {};
+
+        for (const field of this.getFields(category)) {
+            const raw = rawData ? rawData[field.name] : undefined;
+            const isEmpty = raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '');
+
+            if (isEmpty) {
+                data[field.name] = null;
+                if (field.required) {
+                    issues.push({ field: field.name, code: 'missing', message: `${field.labels.en} is required` });
+                }
+                continue;
+            }
+
+            const value = this.coerceValue(field, raw);
+            if (value === null) {
+                data[field.name] = null;
+                issues.push({ field: field.name, code: 'invalid', message: `${field.labels.en} is not a valid ${TYPE_NAMES[field.type] || field.type}: "${raw}"` });
+                continue;
+            }
+
+            data[field.name] = value;
+            const normalized = this.normalizeField(field, raw);
+            if (normalized) {
+                normalizedFields[field.name] = normalized;
+            }
+        }
+
+        if (this.hasLineItems(category)) {
+            const lines = this.validateLineItems(category, rawData ? rawData.lineItems : null);
+            data.lineItems = lines.items;
+            issues.push(...lines.issues);
+        }
+        data.normalizedFields = normalizedFields;
+
+        return { data, issues };
+    }
+
+    /**
+     * Validate and coerce line items; empty rows are dropped
+     * @param {string} category - Category key
+     * @param {Array} rawItems - Lines from the model, the e-invoice parser or the review form
+     * @returns {Object} - { items, issues } with issue fields like "lineItems[0].quantity"
+     */
+    validateLineItems(category, rawItems) {
+        const items = [];
+        const issues = [];
+
+        if (rawItems === undefined || rawItems === null) {
+            return { items, issues };
+        }
+        if (!Array.isArray(rawItems)) {
+            issues.push({ field: 'lineItems', code: 'invalid', message: 'Line items must be a list' });
+            return { items, issues };
+        }
+
+        const fields = this.getLineItemFields(category);
+        for (const rawItem of rawItems.slice(0, MAX_LINE_ITEMS)) {
+            if (!rawItem || typeof rawItem !== 'object') continue;
+
+            const item = {};
+            const itemIssues = [];
+            for (const field of fields) {
+                const raw = rawItem[field.name];
+                if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+                    item[field.name] = null;
+                    continue;
+                }
+
+                const value = this.coerceValue(field, raw);
+                item[field.name] = value;
+                if (value === null) {
+                    itemIssues.push({ field: field.name, raw });
+                }
+            }
+
+            if (fields.every(field => item[field.name] === null) && itemIssues.length === 0) continue;
+
+            const line = items.length;
+            items.push(item);
+            itemIssues.forEach(({ field, raw }) => {
+                const definition = fields.find(candidate => candidate.name === field);
+                issues.push({
+                    field: `lineItems[${line}].${field}`,
+                    code: 'invalid',
+                    message: `Line ${line + 1}: ${definition.labels.en} is not a valid ${TYPE_NAMES[definition.type] || definition.type}: "${raw}"`
+                });
+            });
+        }
+
+        return { items, issues };
+    }
+
+    /**
+     * Coerce a single non-empty value to the field type
+     * @returns {*} - Coerced value, or null when the value does not fit the type
+     */
+    coerceValue(field, raw) {
+        switch (field.type) {
+            case 'number':
+                return this.parseNumber(raw);
+            case 'date':
+                return this.parseDate(raw);
+            case 'email': {
+                const email = String(raw).trim().toLowerCase();
+                return EMAIL_PATTERN.test(email) ? email : null;
+            }
+            case 'vatId':
+                // Canonical "EL094019245"; Greek ΑΦΜ must pass the check digit
+                return vatId.normalize(raw);
+            case 'phone':
+                // E.164 "+306941234567"; a number that cannot be read is kept as written
+                return phoneNumber.normalize(raw) || String(raw).trim();
+            case 'enum': {
+                const value = String(raw).trim().toLowerCase();
+                return field.values.find(allowed => allowed.toLowerCase() === value) || null;
+            }
+            default:
+                return typeof raw === 'object' ? JSON.stringify(raw) : String(raw).trim();
+        }
+    }
+
+    /**
+     * Raw and normalized forms of a phone or address value
+     * @param {Object} field - Field definition
+     * @param {*} raw - Value as extracted or entered
+     * @returns {Object|null} - phone: { raw, e164, country, type, extension } (e164 null when it
+     *   cannot be read); address: { raw, street, city, postalCode, country }; null for other types
+     */
+    normalizeField(field, raw) {
+        const text = String(raw).trim();
+
+        switch (field.type) {
+            case 'phone': {
+                const parsed = phoneNumber.parse(text);
+                return { raw: text, ...(parsed || { e164: null, country: null, type: null, extension: null }) };
+            }
+            case 'address':
+                return { raw: text, ...addressParser.parse(text) };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Parse amounts written either way: 1.500,00 (Greek) or 1,500.00 (English). With a
+     * single kind of separator, a repeated one or one followed by exactly three digits
+     * groups thousands (1,500 and 1.500 are 1500; 1,5 and 1.25 are decimals).
+     */
+    parseNumber(raw) {
+        if (typeof raw === 'number') {
+            return Number.isFinite(raw) ? raw : null;
+        }
+
+        let text = String(raw).replace(/[^\d.,-]/g, '');
+        const lastComma = text.lastIndexOf(',');
+        const lastDot = text.lastIndexOf('.');
+
+        if (lastComma !== -1 && lastDot !== -1) {
+            // Both separators: the last one is the decimal separator
+            text = lastComma > lastDot
+                ? text.replace(/\./g, '').replace(',', '.')
+                : text.replace(/,/g, '');
+        } else if (lastComma !== -1 || lastDot !== -1) {
+            const separator = lastComma !== -1 ? ',' : '.';
+            const parts = text.split(separator);
+            const isThousands = parts.length > 2 ||
+                (parts[1].length === 3 && !/^-?0?$/.test(parts[0]));
+            text = parts.join(isThousands ? '' : '.');
+        }
+
+        if (!/^-?\d+(\.\d+)?$/.test(text)) {
+            return null;
+        }
+        return parseFloat(text);
+    }
+
+    /**
+     * Normalize dates to YYYY-MM-DD; numeric dates are read day-first (15/01/2024)
+     */
+    parseDate(raw) {
+        const text = String(raw).trim();
+        let year, month, day;
+
+        const iso = text.match(ISO_DATE_PATTERN);
+        const dayFirst = text.match(DAY_FIRST_DATE_PATTERN);
+        if (iso) {
+            [, year, month, day] = iso.map(Number);
+        } else if (dayFirst) {
+            [, day, month, year] = dayFirst.map(Number);
+        } else {
+            return null;
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Export columns for a category: [{ field, header }]; address fields are followed
+     * by one column per address part ({ field, part, header })
+     * @param {string} category - Category key
+     * @param {string} language - 'en' or 'el'
+     */
+    getColumns(category, language = 'en') {
+        return this.getFields(category).flatMap(field => {
+            const header = field.labels[language] || field.labels.en;
+            const column = { field: field.name, header };
+            if (field.type !== 'address') {
+                return [column];
+            }
+
+            return [column, ...ADDRESS_PARTS.map(({ part, labels }) => ({
+                field: field.name,
+                part,
+                header: `${header}: ${labels[language] || labels.en}`
+            }))];
+        });
+    }
+
+    /**
+     * Value of an export column in an extracted data record
+     * @param {Object} record - Extracted data (or an email joined with it)
+     * @param {Object} column - From getColumns()
+     */
+    getColumnValue(record, column) {
+        if (column.part) {
+            const normalized = record.normalizedFields && record.normalizedFields[column.field];
+            return normalized ? normalized[column.part] ?? '' : '';
+        }
+        return record[column.field] ?? '';
+    }
+
+    /**
+     * Export columns for a category's line items: [{ field, header }]
+     */
+    getLineItemColumns(category, language = 'en') {
+        return this.getLineItemFields(category).map(field => ({
+            field: field.name,
+            header: field.labels[language] || field.labels.en
+        }));
+    }
+}
+
+module.exports = new ExtractionSchema();
@@ -2,6 +2,18 @@ const { google } = require('googleapis');
 const db = require('./database');
 const aiService = require('./ai');
 const retryUtils = require('./retry-utils');
+const categoryRegistry = require('./category-registry');
+const rulesEngine = require('./rules-engine');
+const mimeParser = require('./mime-parser');
+
+// Upper bound on history pages read in one sync (500 records each)
+const MAX_HISTORY_PAGES = 20;
+// Gmail returns at most 500 messages per list page
+const MAX_PAGE_SIZE = 500;
+
+function isNotFound(error) {
+    return error.code === 404 || error.status === 404 || (error.response && error.response.status === 404);
+}
 
 class GmailService {
     constructor() {
@@ -90,6 +102,10 @@ class GmailService {
         return true;
     }
 
+    /**
+     * Fetch up to maxResults messages matching a search query, leaving out those already stored
+     * @returns {Promise<Object>} - { emails, skipped } (skipped: listed messages already stored)
+     */
     async fetchEmails(maxResults = 50, query = 'is:unread') {
         const isInitialized = await this.initializeFromStoredTokens();
         if (!isInitialized) {
@@ -98,63 +114,225 @@ class GmailService {
 
         try {
             const gmail = google.gmail({ version: 'v1', auth: this.oauth2Client });
+            const limit = parseInt(maxResults) || 50;
+            const messageIds = [];
+            let pageToken;
+
+            // Follow nextPageToken until enough messages are listed
+            do {
+                const page = await this.listMessagePage(gmail, query, Math.min(limit - messageIds.length, MAX_PAGE_SIZE), pageToken);
+                messageIds.push(...page.messageIds);
+                pageToken = page.nextPageToken;
+            } while (pageToken && messageIds.length < limit);
+
+            // Messages already stored are neither fetched nor categorized again
+            const newIds = await this.filterNewMessageIds(messageIds);
+            const skipped = messageIds.length - newIds.length;
+
+            if (newIds.length === 0) {
+                return { emails: [], skipped };
+            }
 
-            // Get list of messages with retry logic
-            const { data: messagesList } = await retryUtils.withRetry(
-                async () => await gmail.users.messages.list({
-                    userId: 'me',
-                    maxResults,
-                    q: query
-                }),
-                {
-                    maxAttempts: 3,
-                    initialDelay: 1000,
-                    onRetry: (error, attempt) => {
-                        console.log(`Gmail message list retry attempt ${attempt}: ${error.message}`);
-                        // Log quota exceeded errors specifically
-                        if (error.code === 429 || error.message.includes('quota')) {
-                            console.error('Gmail API quota exceeded:', error.message);
-                        }
-                    },
-                    shouldRetry: (error) => {
-                        // Don't retry on authentication errors
-                        if (error.code === 401 || error.code === 403) {
-                            return false;
-                        }
-                        return true;
+            // Get full message details with retry logic
+            const emailPromises = newIds.map(id => this.getFullMessage(gmail, id));
+
+            const emails = await Promise.all(emailPromises);
+            return { emails: emails.filter(email => email !== null), skipped };
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    /**
+     * One page of message ids matching a search query
+     * @returns {Promise<Object>} - { messageIds, nextPageToken, resultSizeEstimate }
+     */
+    async listMessagePage(gmail, query, pageSize, pageToken = undefined) {
+        const { data: messagesList } = await retryUtils.withRetry(
+            async () => await gmail.users.messages.list({
+                userId: 'me',
+                maxResults: pageSize,
+                q: query,
+                pageToken
+            }),
+            {
+                maxAttempts: 3,
+                initialDelay: 1000,
+                onRetry: (error, attempt) => {
+                    console.log(`Gmail message list retry attempt ${attempt}: ${error.message}`);
+                    // Log quota exceeded errors specifically
+                    if (error.code === 429 || error.message.includes('quota')) {
+                        console.error('Gmail API quota exceeded:', error.message);
+                    }
+                },
+                shouldRetry: (error) => {
+                    // Don't retry on authentication errors
+                    if (error.code === 401 || error.code === 403) {
+                        return false;
                     }
+                    return true;
                 }
-            );
+            }
+        );
 
-            if (!messagesList.messages) {
-                return [];
+        return {
+            messageIds: (messagesList.messages || []).map(message => message.id),
+            nextPageToken: messagesList.nextPageToken || null,
+            resultSizeEstimate: messagesList.resultSizeEstimate || 0
+        };
+    }
+
+    /**
+     * Fetch and parse one message with retry logic
+     */
+    async getFullMessage(gmail, messageId) {
+        const { data: fullMessage } = await retryUtils.withRetry(
+            async () => await gmail.users.messages.get({
+                userId: 'me',
+                id: messageId,
+                format: 'full'
+            }),
+            {
+                maxAttempts: 3,
+                initialDelay: 500,
+                onRetry: (error, attempt) => {
+                    console.log(`Gmail message get retry for ${messageId}, attempt ${attempt}: ${error.message}`);
+                },
+                shouldRetry: (error) => !isNotFound(error)
             }
+        );
 
-            // Get full message details with retry logic
-            const emailPromises = messagesList.messages.map(async (message) => {
-                const { data: fullMessage } = await retryUtils.withRetry(
-                    async () => await gmail.users.messages.get({
+        return this.parseGmailMessage(fullMessage);
+    }
+
+    /**
+     * Message ids not yet stored, in their original order
+     */
+    async filterNewMessageIds(messageIds) {
+        if (messageIds.length === 0) {
+            return [];
+        }
+
+        const storedIds = await db.getStoredGmailIds();
+        return messageIds.filter(id => !storedIds.has(id));
+    }
+
+    /**
+     * Fetch messages by id in small batches; messages deleted since they were
+     * listed are skipped instead of failing the sync
+     */
+    async fetchMessagesByIds(gmail, messageIds, batchSize = 10) {
+        const emails = [];
+
+        for (let i = 0; i < messageIds.length; i += batchSize) {
+            const results = await Promise.allSettled(
+                messageIds.slice(i, i + batchSize).map(id => this.getFullMessage(gmail, id))
+            );
+
+            results.forEach((result, index) => {
+                if (result.status === 'fulfilled' && result.value) {
+                    emails.push(result.value);
+                } else if (result.status === 'rejected' && !isNotFound(result.reason)) {
+                    console.error(`Failed to fetch Gmail message ${messageIds[i + index]}:`, result.reason.message);
+                }
+            });
+        }
+
+        return emails;
+    }
+
+    /**
+     * Current mailbox history position, the starting point for the next incremental sync
+     */
+    async getCurrentHistoryId(gmail) {
+        const { data: profile } = await retryUtils.withRetry(
+            async () => await gmail.users.getProfile({ userId: 'me' }),
+            { maxAttempts: 3, initialDelay: 1000 }
+        );
+        return profile.historyId;
+    }
+
+    /**
+     * Changes since a stored historyId via the Gmail History API
+     * @param {Object} gmail - Gmail API client
+     * @param {string} startHistoryId - historyId saved by the previous sync
+     * @returns {Promise<Object|null>} - { historyId, addedIds, deletedIds, labelChanges },
+     *   or null when the history has expired and a full resync is needed
+     */
+    async fetchHistory(gmail, startHistoryId) {
+        const added = new Set();
+        const deleted = new Set();
+        const labelChanges = {};
+        let historyId = startHistoryId;
+        let lastRecordId = null;
+        let pageToken;
+        let pages = 0;
+
+        do {
+            let data;
+            try {
+                ({ data } = await retryUtils.withRetry(
+                    async () => await gmail.users.history.list({
                         userId: 'me',
-                        id: message.id,
-                        format: 'full'
+                        startHistoryId,
+                        historyTypes: ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved'],
+                        maxResults: 500,
+                        pageToken
                     }),
                     {
                         maxAttempts: 3,
-                        initialDelay: 500,
+                        initialDelay: 1000,
                         onRetry: (error, attempt) => {
-                            console.log(`Gmail message get retry for ${message.id}, attempt ${attempt}: ${error.message}`);
-                        }
+                            console.log(`Gmail history list retry attempt ${attempt}: ${error.message}`);
+                        },
+                        // 404 means startHistoryId is too old; 401/403 won't fix themselves
+                        shouldRetry: (error) => !isNotFound(error) && error.code !== 401 && error.code !== 403
                     }
-                );
+                ));
+            } catch (error) {
+                if (isNotFound(error)) {
+                    console.warn(`Gmail history ${startHistoryId} has expired, falling back to a full resync`);
+                    return null;
+                }
+                throw error;
+            }
 
-                return this.parseGmailMessage(fullMessage);
-            });
+            for (const record of data.history || []) {
+                (record.messagesAdded || []).forEach(({ message }) => {
+                    // Same scope as the full sync query (in:inbox)
+                    if ((message.labelIds || []).includes('INBOX')) {
+                        added.add(message.id);
+                    }
+                });
+                (record.messagesDeleted || []).forEach(({ message }) => {
+                    deleted.add(message.id);
+                    added.delete(message.id);
+                });
+                // labelIds on label events is the message's full label list after the change
+                [...(record.labelsAdded || []), ...(record.labelsRemoved || [])].forEach(({ message }) => {
+                    labelChanges[message.id] = message.labelIds || [];
+                });
+                lastRecordId = record.id;
+            }
 
-            const emails = await Promise.all(emailPromises);
-            return emails.filter(email => email !== null);
-        } catch (error) {
-            throw error;
+            historyId = data.historyId || historyId;
+            pageToken = data.nextPageToken;
+            pages++;
+        } while (pageToken && pages < MAX_HISTORY_PAGES);
+
+        // Stopped early: resume from the last record read instead of skipping ahead
+        if (pageToken && lastRecordId) {
+            historyId = lastRecordId;
         }
+
+        deleted.forEach(id => delete labelChanges[id]);
+
+        return {
+            historyId,
+            addedIds: [...added],
+            deletedIds: [...deleted],
+            labelChanges
+        };
     }
 
     async syncOldEmails(fromDate, toDate, maxResults = 100) {
@@ -162,99 +340,22 @@ class GmailService {
             const startTime = Date.now();
 
             // Build Gmail search query for date range
-            const fromFormatted = new Date(fromDate).toISOString().split('T')[0].replace(/-/g, '/');
-            const toFormatted = new Date(toDate).toISOString().split('T')[0].replace(/-/g, '/');
-            const query = `after:${fromFormatted} before:${toFormatted}`;
+            const query = this.buildDateRangeQuery(fromDate, toDate);
 
-            // Fetch emails from Gmail
-            const rawEmails = await this.fetchEmails(maxResults, query);
+            // Fetch the emails not stored yet from Gmail
+            const { emails: rawEmails, skipped: alreadyStored } = await this.fetchEmails(maxResults, query);
 
             if (rawEmails.length === 0) {
-                return { count: 0, categorized: 0, errors: 0, skipped: 0 };
+                return { count: 0, categorized: 0, errors: 0, skipped: alreadyStored };
             }
 
-            // AI Categorization Integration
-            const categorizedEmails = [];
-            const errors = [];
-            let skipped = 0;
-
-            // Process emails in batches to respect AI API limits
-            const batchSize = parseInt(process.env.AI_BATCH_SIZE) || 5;
-            const batchDelay = parseInt(process.env.AI_BATCH_DELAY) || 1000;
-
-            for (let i = 0; i < rawEmails.length; i += batchSize) {
-                const batch = rawEmails.slice(i, i + batchSize);
-
-                try {
-                    // Process batch with AI categorization
-                    const batchResults = await Promise.allSettled(
-                        batch.map(async (email) => {
-                            try {
-                                // AI Categorization
-                                const category = await aiService.categorizeEmail(
-                                    email.subject,
-                                    email.body,
-                                    email.attachments || []
-                                );
-
-                                return {
-                                    ...email,
-                                    category: category || 'other',
-                                    fromAddress: this.extractEmailAddress(email.from),
-                                    fromName: this.extractDisplayName(email.from),
-                                    toAddress: this.extractEmailAddress(email.to),
-                                    userId: 'single-user' // Single user system
-                                };
-                            } catch (error) {
-                                return {
-                                    ...email,
-                                    category: 'other', // Fallback category
-                                    fromAddress: this.extractEmailAddress(email.from),
-                                    fromName: this.extractDisplayName(email.from),
-                                    toAddress: this.extractEmailAddress(email.to),
-                                    userId: 'single-user'
-                                };
-                            }
-                        })
-                    );
-
-                    // Process results
-                    batchResults.forEach((result, index) => {
-                        if (result.status === 'fulfilled') {
-                            categorizedEmails.push(result.value);
-                        } else {
-                            errors.push({
-                                email: batch[index],
-                                error: result.reason
-                            });
-                        }
-                    });
-
-                    // Delay between batches to respect rate limits
-                    if (i + batchSize < rawEmails.length) {
-                        await new Promise(resolve => setTimeout(resolve, batchDelay));
-                    }
-
-                } catch (error) {
-                    // Add batch to errors and continue
-                    batch.forEach(email => {
-                        errors.push({ email, error });
-                        // Add without categorization as fallback
-                        categorizedEmails.push({
-                            ...email,
-                            category: 'other',
-                            fromAddress: this.extractEmailAddress(email.from),
-                            fromName: this.extractDisplayName(email.from),
-                            toAddress: this.extractEmailAddress(email.to),
-                            userId: 'single-user'
-                        });
-                    });
-                }
-            }
+            // Categorization rules first, then the AI, in rate-limited batches
+            const { categorizedEmails, errors } = await this.categorizeEmails(rawEmails);
 
             // Save categorized emails to database with duplicate check
             const savedEmails = await db.addMultipleFetchedEmails(categorizedEmails);
-            skipped = categorizedEmails.length - savedEmails.length;
+            const skipped = alreadyStored + categorizedEmails.length - savedEmails.length;
+            await this.autoApproveEmails(savedEmails);
 
             // Create notifications for successful sync
             if (savedEmails.length > 0) {
@@ -275,6 +376,181 @@ class GmailService {
         }
     }
 
+    /**
+     * Gmail search query for a date range: after:YYYY/MM/DD before:YYYY/MM/DD
+     */
+    buildDateRangeQuery(fromDate, toDate) {
+        const fromFormatted = new Date(fromDate).toISOString().split('T')[0].replace(/-/g, '/');
+        const toFormatted = new Date(toDate).toISOString().split('T')[0].replace(/-/g, '/');
+        return `after:${fromFormatted} before:${toFormatted}`;
+    }
+
+    /**
+     * Gmail API client for the connected account (call initializeFromStoredTokens first)
+     */
+    getGmailClient() {
+        return google.gmail({ version: 'v1', auth: this.oauth2Client });
+    }
+
+    /**
+     * Categorize raw Gmail messages in batches to respect AI API limits
+     * @param {Array} rawEmails - Parsed Gmail messages
+     * @returns {Promise<Object>} - { categorizedEmails, errors }
+     */
+    async categorizeEmails(rawEmails) {
+        const categorizedEmails = [];
+        const labelNames = await this.getLabelNames();
+        const errors = [];
+
+        // Process emails in batches to respect AI API limits
+        const batchSize = parseInt(process.env.AI_BATCH_SIZE) || 5;
+        const batchDelay = parseInt(process.env.AI_BATCH_DELAY) || 1000;
+
+        for (let i = 0; i < rawEmails.length; i += batchSize) {
+            const batch = rawEmails.slice(i, i + batchSize);
+
+            try {
+                // Process batch with AI categorization
+                const batchResults = await Promise.allSettled(
+                    batch.map(async (email) => {
+                        try {
+                            // Categorization rules first, AI for everything they don't decide
+                            const { category, matchedRule } = await this.categorizeEmail(email, labelNames);
+
+                            return {
+                                ...email,
+                                category: category || 'other',
+                                matchedRule,
+                                fromAddress: this.extractEmailAddress(email.from),
+                                fromName: this.extractDisplayName(email.from),
+                                toAddress: this.extractEmailAddress(email.to),
+                                userId: 'single-user' // Single user system
+                            };
+                        } catch (error) {
+                            return {
+                                ...email,
+                                category: 'other', // Fallback category
+                                fromAddress: this.extractEmailAddress(email.from),
+                                fromName: this.extractDisplayName(email.from),
+                                toAddress: this.extractEmailAddress(email.to),
+                                userId: 'single-user'
+                            };
+                        }
+                    })
+                );
+
+                // Process results
+                batchResults.forEach((result, index) => {
+                    if (result.status === 'fulfilled') {
+                        categorizedEmails.push(result.value);
+                    } else {
+                        errors.push({
+                            email: batch[index],
+                            error: result.reason
+                        });
+                    }
+                });
+
+                // Delay between batches to respect rate limits
+                if (i + batchSize < rawEmails.length) {
+                    await new Promise(resolve => setTimeout(resolve, batchDelay));
+                }
+
+            } catch (error) {
+                // Add batch to errors and continue
+                batch.forEach(email => {
+                    errors.push({ email, error });
+                    // Add without categorization as fallback
+                    categorizedEmails.push({
+                        ...email,
+                        category: 'other',
+                        fromAddress: this.extractEmailAddress(email.from),
+                        fromName: this.extractDisplayName(email.from),
+                        toAddress: this.extractEmailAddress(email.to),
+                        userId: 'single-user'
+                    });
+                });
+            }
+        }
+
+        return { categorizedEmails, errors };
+    }
+
+    /**
+     * Apply the categorization rules, falling back to the AI when no rule assigns a category
+     * @param {Object} email - Parsed Gmail message
+     * @param {Map} labelNames - Gmail label id → name
+     * @returns {Promise<Object>} - { category, matchedRule }
+     */
+    async categorizeEmail(email, labelNames = new Map()) {
+        const match = rulesEngine.evaluate({
+            ...email,
+            labelNames: (email.labelIds || []).map(id => labelNames.get(id)).filter(Boolean)
+        });
+
+        if (!match) {
+            const category = await aiService.categorizeEmail(email.subject, email.body, email.attachments || [], email.from);
+            return { category, matchedRule: null };
+        }
+
+        const matchedRule = {
+            id: match.rule.id,
+            name: match.rule.name,
+            actions: match.actions,
+            matchedAt: new Date().toISOString()
+        };
+
+        let category = match.actions.category;
+        if (!category) {
+            category = match.actions.skipAI
+                ? aiService.categorizeWithRules(email.subject, email.body, email.attachments || [])
+                : await aiService.categorizeEmail(email.subject, email.body, email.attachments || [], email.from);
+        }
+
+        console.log(`📏 Rule "${match.rule.name}" matched "${email.subject}" → ${category}`);
+        return { category, matchedRule };
+    }
+
+    /**
+     * Gmail label names by id, only fetched when a rule has a label condition
+     * (user labels appear on messages as ids like "Label_12")
+     */
+    async getLabelNames() {
+        const labelNames = new Map();
+        if (!rulesEngine.getAll().some(rule => rule.enabled && rule.conditions.gmailLabel)) {
+            return labelNames;
+        }
+
+        try {
+            const gmail = google.gmail({ version: 'v1', auth: this.oauth2Client });
+            const { data } = await gmail.users.labels.list({ userId: 'me' });
+            (data.labels || []).forEach(label => labelNames.set(label.id, label.name));
+        } catch (error) {
+            console.error('Failed to load Gmail labels for rules:', error.message);
+        }
+
+        return labelNames;
+    }
+
+    /**
+     * Move emails whose matching rule asked for auto-approval to review (runs extraction)
+     */
+    async autoApproveEmails(savedEmails) {
+        const toApprove = savedEmails.filter(email => email.matchedRule && email.matchedRule.actions.autoApprove);
+
+        for (const email of toApprove) {
+            try {
+                await db.approveFetchedEmail(email.id);
+            } catch (error) {
+                console.error(`Auto-approve failed for email ${email.id}:`, error.message);
+            }
+        }
+
+        if (toApprove.length > 0) {
+            console.log(`📏 Auto-approved ${toApprove.length} email(s) by rule`);
+        }
+    }
+
     async createOldEmailsSyncNotification(savedEmails, fromDate, toDate) {
         const categoryStats = savedEmails.reduce((acc, email) => {
             acc[email.category] = (acc[email.category] || 0) + 1;
@@ -282,12 +558,7 @@ class GmailService {
         }, {});
 
         let message = `${savedEmails.length} old emails fetched from ${fromDate} to ${toDate}`;
-        if (categoryStats.customer_inquiry) {
-            message += `, ${categoryStats.customer_inquiry} customer inquiries`;
-        }
-        if (categoryStats.invoice) {
-            message += `, ${categoryStats.invoice} invoices`;
-        }
+        message += this.formatCategoryStats(categoryStats);
 
         await db.createNotification({
             type: 'OLD_EMAILS_FETCHED',
@@ -322,23 +593,8 @@ class GmailService {
             const to = this.getHeader(headers, 'To');
             const date = this.getHeader(headers, 'Date');
 
-            // Extract body
-            let body = '';
-            let attachments = [];
-
-            if (message.payload.body && message.payload.body.data) {
-                body = this.decodeBase64(message.payload.body.data);
-            } else if (message.payload.parts) {
-                const textPart = this.findPart(message.payload.parts, 'text/plain') ||
-                    this.findPart(message.payload.parts, 'text/html');
-
-                if (textPart && textPart.body && textPart.body.data) {
-                    body = this.decodeBase64(textPart.body.data);
-                }
-
-                // Extract attachments
-                attachments = this.extractAttachments(message.payload.parts);
-            }
+            const { text, html } = mimeParser.extractBodies(message.payload);
+            const attachments = message.payload.parts ? this.extractAttachments(message.payload.parts) : [];
 
             return {
                 gmailId: message.id,
@@ -347,7 +603,8 @@ class GmailService {
                 from: from || 'Unknown Sender',
                 to: to || '',
                 date: date ? new Date(date).toISOString() : new Date().toISOString(),
-                body: this.cleanBody(body),
+                body: text,
+                htmlBody: html,
                 attachments,
                 labelIds: message.labelIds || [],
                 snippet: message.snippet || ''
@@ -362,19 +619,6 @@ class GmailService {
         return header ? header.value : null;
     }
 
-    findPart(parts, mimeType) {
-        for (const part of parts) {
-            if (part.mimeType === mimeType) {
-                return part;
-            }
-            if (part.parts) {
-                const found = this.findPart(part.parts, mimeType);
-                if (found) return found;
-            }
-        }
-        return null;
-    }
-
     extractAttachments(parts) {
         const attachments = [];
 
@@ -399,22 +643,6 @@ class GmailService {
         return attachments;
     }
 
-    decodeBase64(data) {
-        const base64 = data.replace(/-/g, '+').replace(/_/g, '/');
-        return Buffer.from(base64, 'base64').toString('utf-8');
-    }
-
-    cleanBody(body) {
-        let cleaned = body.replace(/<[^>]*>/g, '');
-        cleaned = cleaned.replace(/&nbsp;/g, ' ');
-        cleaned = cleaned.replace(/&lt;/g, '<');
-        cleaned = cleaned.replace(/&gt;/g, '>');
-        cleaned = cleaned.replace(/&amp;/g, '&');
-        cleaned = cleaned.replace(/\s+/g, ' ').trim();
-
-        return cleaned;
-    }
-
     async disconnect() {
         await db.removeUser();
         this.oauth2Client.setCredentials({});
@@ -434,119 +662,61 @@ class GmailService {
                 throw new Error('Gmail not connected or tokens expired');
             }
 
-            // Build query to fetch emails since last sync
-            let query = 'in:inbox';
-
-            // Get last sync time to fetch only new emails
+            const gmail = google.gmail({ version: 'v1', auth: this.oauth2Client });
             const settings = await db.getSettings();
-            if (settings.lastSync) {
-                const lastSyncDate = new Date(settings.lastSync);
-                const formattedDate = lastSyncDate.toISOString().split('T')[0].replace(/-/g, '/');
-                query += ` after:${formattedDate}`;
-            }
 
-            // Fetch emails from Gmail
-            const rawEmails = await this.fetchEmails(process.env.MAX_EMAILS_PER_SYNC || 50, query);
+            // Incremental sync from the stored history position when there is one
+            const history = settings.historyId ? await this.fetchHistory(gmail, settings.historyId) : null;
+            let rawEmails;
+            let nextHistoryId;
+            let gmailChanges = { deleted: 0, flagged: 0, relabelled: 0 };
+
+            if (history) {
+                rawEmails = await this.fetchMessagesByIds(gmail, await this.filterNewMessageIds(history.addedIds));
+                gmailChanges = await db.applyGmailChanges(history);
+                nextHistoryId = history.historyId;
+            } else {
+                // First sync or expired history: full resync by date. The history
+                // position is read first so nothing arriving meanwhile is missed.
+                nextHistoryId = await this.getCurrentHistoryId(gmail);
+
+                let query = 'in:inbox';
+                if (settings.lastSync) {
+                    const lastSyncDate = new Date(settings.lastSync);
+                    const formattedDate = lastSyncDate.toISOString().split('T')[0].replace(/-/g, '/');
+                    query += ` after:${formattedDate}`;
+                }
 
-            if (rawEmails.length === 0) {
-                await this.updateLastSync();
-                return { count: 0, categorized: 0, errors: 0 };
+                ({ emails: rawEmails } = await this.fetchEmails(process.env.MAX_EMAILS_PER_SYNC || 50, query));
             }
 
-            // AI Categorization Integration
-            const categorizedEmails = [];
-            const errors = [];
-
-            // Process emails in batches to respect AI API limits
-            const batchSize = parseInt(process.env.AI_BATCH_SIZE) || 5;
-            const batchDelay = parseInt(process.env.AI_BATCH_DELAY) || 1000;
-
-            for (let i = 0; i < rawEmails.length; i += batchSize) {
-                const batch = rawEmails.slice(i, i + batchSize);
-
-                try {
-                    // Process batch with AI categorization
-                    const batchResults = await Promise.allSettled(
-                        batch.map(async (email) => {
-                            try {
-                                // AI Categorization
-                                const category = await aiService.categorizeEmail(
-                                    email.subject,
-                                    email.body,
-                                    email.attachments || []
-                                );
-
-                                return {
-                                    ...email,
-                                    category: category || 'other',
-                                    fromAddress: this.extractEmailAddress(email.from),
-                                    fromName: this.extractDisplayName(email.from),
-                                    toAddress: this.extractEmailAddress(email.to),
-                                    userId: 'single-user' // Single user system
-                                };
-                            } catch (error) {
-                                return {
-                                    ...email,
-                                    category: 'other', // Fallback category
-                                    fromAddress: this.extractEmailAddress(email.from),
-                                    fromName: this.extractDisplayName(email.from),
-                                    toAddress: this.extractEmailAddress(email.to),
-                                    userId: 'single-user'
-                                };
-                            }
-                        })
-                    );
-
-                    // Process results
-                    batchResults.forEach((result, index) => {
-                        if (result.status === 'fulfilled') {
-                            categorizedEmails.push(result.value);
-                        } else {
-                            errors.push({
-                                email: batch[index],
-                                error: result.reason
-                            });
-                        }
-                    });
-
-                    // Delay between batches to respect rate limits
-                    if (i + batchSize < rawEmails.length) {
-                        await new Promise(resolve => setTimeout(resolve, batchDelay));
-                    }
-
-                } catch (error) {
-                    // Add batch to errors and continue
-                    batch.forEach(email => {
-                        errors.push({ email, error });
-                        // Add without categorization as fallback
-                        categorizedEmails.push({
-                            ...email,
-                            category: 'other',
-                            fromAddress: this.extractEmailAddress(email.from),
-                            fromName: this.extractDisplayName(email.from),
-                            toAddress: this.extractEmailAddress(email.to),
-                            userId: 'single-user'
-                        });
-                    });
-                }
+            if (rawEmails.length === 0) {
+                await this.updateLastSync(nextHistoryId);
+                return { count: 0, categorized: 0, errors: 0, mode: history ? 'incremental' : 'full', gmailChanges };
             }
 
+            // Categorization rules first, then the AI, in rate-limited batches
+            const { categorizedEmails, errors } = await this.categorizeEmails(rawEmails);
+
             // Save categorized emails to database
             const savedEmails = await db.addMultipleFetchedEmails(categorizedEmails);
+            await this.autoApproveEmails(savedEmails);
 
             // Create notifications for successful sync
             if (savedEmails.length > 0) {
                 await this.createSyncNotification(savedEmails);
             }
 
-            // Update sync statistics and last sync time
+            // Update sync statistics, last sync time and history position
             await this.updateSyncStats(savedEmails.length, errors.length);
-            await this.updateLastSync();
+            await this.updateLastSync(nextHistoryId);
 
             return {
                 count: savedEmails.length,
                 categorized: savedEmails.filter(e => e.category !== 'other').length,
                 errors: errors.length,
+                mode: history ? 'incremental' : 'full',
+                gmailChanges,
                 duration: Date.now() - startTime
             };
 
@@ -562,12 +732,7 @@ class GmailService {
         }, {});
 
         let message = `${savedEmails.length} new emails fetched`;
-        if (categoryStats.customer_inquiry) {
-            message += `, ${categoryStats.customer_inquiry} customer inquiries`;
-        }
-        if (categoryStats.invoice) {
-            message += `, ${categoryStats.invoice} invoices`;
-        }
+        message += this.formatCategoryStats(categoryStats);
 
         await db.createNotification({
             type: 'NEW_EMAIL_FETCHED',
@@ -593,9 +758,17 @@ class GmailService {
         });
     }
 
-    async updateLastSync() {
+    formatCategoryStats(categoryStats) {
+        return categoryRegistry.getAll()
+            .filter(category => category.key !== categoryRegistry.FALLBACK_CATEGORY && categoryStats[category.key])
+            .map(category => `, ${categoryStats[category.key]} ${category.label.toLowerCase()}`)
+            .join('');
+    }
+
+    async updateLastSync(historyId = null) {
         await db.updateSettings({
-            lastSync: new Date().toISOString()
+            lastSync: new Date().toISOString(),
+            ...(historyId ? { historyId: String(historyId) } : {})
         });
     }
 
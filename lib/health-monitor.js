@@ -169,21 +169,25 @@ class HealthMonitor {
             }
         });
 
-        this.registerCheck('openai_api', async () => {
-            const hasApiKey = !!process.env.OPENAI_API_KEY;
+        this.registerCheck('llm_provider', async () => {
+            const llmProvider = require('./llm-provider');
+            const provider = llmProvider.describe();
 
-            if (!hasApiKey) {
+            if (!provider.usesLLM) {
                 return {
-                    status: 'unhealthy',
-                    message: 'OpenAI API key not configured',
-                    configured: false
+                    status: 'degraded',
+                    message: 'No LLM configured, using rule-based categorization and extraction',
+                    configured: false,
+                    provider: provider.type
                 };
             }
 
             return {
                 status: 'healthy',
-                message: 'OpenAI API configured',
-                configured: true
+                message: `LLM provider configured: ${provider.type} (${provider.model})`,
+                configured: true,
+                provider: provider.type,
+                baseURL: provider.baseURL
             };
         });
 
@@ -0,0 +1,224 @@
+/**
+ * Invoice Checks
+ * Arithmetic and tax consistency checks on extracted invoice data, run whenever
+ * the data is saved (after extraction and after every review edit):
+ * - net amount + VAT = total amount
+ * - VAT rates are valid Greek rates (VALID_VAT_RATES, default 24, 13, 6 and 0 for exempt)
+ * - each line's total = quantity × unit price, and the lines add up to the net amount and the VAT
+ * Amounts arrive already parsed by the extraction schema (so "1.234,56" is 1234.56);
+ * currencies are normalized to ISO codes here. Open issues block approval to
+ * managed until the data is corrected or a reviewer resolves them; warnings
+ * (severity 'warning', e.g. a VAT that looks like a mix of rates) are only shown.
+ */
+
+const DEFAULT_VAT_RATES = [24, 13, 6, 0];
+// Rounding allowance per compared amount, plus one cent per line for sums over lines
+const TOLERANCE = 0.02;
+const LINE_TOLERANCE = 0.01;
+// Allowance (percentage points) when deriving the VAT rate from rounded amounts
+const RATE_TOLERANCE = 0.5;
+
+const CURRENCY_ALIASES = {
+    '€': 'EUR',
+    'eur': 'EUR',
+    'euro': 'EUR',
+    'euros': 'EUR',
+    'ευρω': 'EUR',
+    'ευρώ': 'EUR',
+    '$': 'USD',
+    'us$': 'USD',
+    'usd': 'USD',
+    'dollar': 'USD',
+    'dollars': 'USD',
+    '£': 'GBP',
+    'gbp': 'GBP',
+    'pound': 'GBP',
+    'pounds': 'GBP'
+};
+
+function parseRates(value) {
+    const rates = (value || '')
+        .split(',')
+        .map(rate => parseFloat(rate.trim()))
+        .filter(rate => Number.isFinite(rate) && rate >= 0 && rate < 100);
+    return rates.length > 0 ? rates : DEFAULT_VAT_RATES;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function money(value) {
+    return value.toFixed(2);
+}
+
+class InvoiceChecks {
+    constructor() {
+        this.vatRates = parseRates(process.env.VALID_VAT_RATES);
+    }
+
+    appliesTo(category) {
+        return category === 'invoice';
+    }
+
+    /**
+     * Normalize the currency to an ISO 4217 code ("€" / "ευρώ" -> "EUR")
+     * @param {Object} data - Validated invoice data (changed in place)
+     * @returns {Object} - The same data
+     */
+    normalize(data) {
+        if (typeof data.currency === 'string') {
+            const key = data.currency.trim().toLowerCase();
+            if (CURRENCY_ALIASES[key]) {
+                data.currency = CURRENCY_ALIASES[key];
+            } else if (/^[a-z]{3}$/.test(key)) {
+                data.currency = key.toUpperCase();
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Run every check on validated invoice data
+     * @param {Object} data - { invoiceAmount, invoiceNetAmount, invoiceVAT, lineItems, ... }
+     * @returns {Array} - Issues: [{ field, code, message, severity? }]; empty when everything adds up
+     */
+    check(data) {
+        const net = isNumber(data.invoiceNetAmount) ? data.invoiceNetAmount : null;
+        const vat = isNumber(data.invoiceVAT) ? data.invoiceVAT : null;
+        const total = isNumber(data.invoiceAmount) ? data.invoiceAmount : null;
+        const lines = (Array.isArray(data.lineItems) ? data.lineItems : []).filter(line => isNumber(line.lineTotal));
+        // Net amount, or what it must be given the total and the VAT
+        const netBase = net !== null ? net : (total !== null && vat !== null ? total - vat : null);
+
+        return [
+            ...this.checkTotal(net, vat, total),
+            ...this.checkLines(lines),
+            ...this.checkLineSums(lines, netBase, vat, net !== null),
+            ...this.checkVatRate(lines, netBase, vat)
+        ];
+    }
+
+    checkTotal(net, vat, total) {
+        if (net === null || vat === null || total === null || Math.abs(net + vat - total) <= TOLERANCE) {
+            return [];
+        }
+        return [{
+            field: 'invoiceAmount',
+            code: 'total_mismatch',
+            message: `Net ${money(net)} + VAT ${money(vat)} = ${money(net + vat)}, but the total is ${money(total)}`
+        }];
+    }
+
+    checkLines(lines) {
+        const issues = [];
+
+        lines.forEach((line, index) => {
+            if (isNumber(line.quantity) && isNumber(line.unitPrice)) {
+                const expected = line.quantity * line.unitPrice;
+                if (Math.abs(expected - line.lineTotal) > TOLERANCE) {
+                    issues.push({
+                        field: `lineItems[${index}].lineTotal`,
+                        code: 'line_total',
+                        message: `Line ${index + 1}: ${line.quantity} × ${money(line.unitPrice)} = ${money(expected)}, but the line total is ${money(line.lineTotal)}`
+                    });
+                }
+            }
+
+            if (isNumber(line.vatRate) && !this.isValidRate(line.vatRate)) {
+                issues.push({
+                    field: `lineItems[${index}].vatRate`,
+                    code: 'vat_rate',
+                    message: `Line ${index + 1}: VAT rate ${line.vatRate}% is not a valid rate (${this.vatRates.join(', ')}%)`
+                });
+            }
+        });
+
+        return issues;
+    }
+
+    checkLineSums(lines, netBase, vat, hasNet) {
+        if (lines.length === 0) return [];
+
+        const issues = [];
+        const tolerance = TOLERANCE + LINE_TOLERANCE * lines.length;
+        const linesNet = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+
+        if (netBase !== null && Math.abs(linesNet - netBase) > tolerance) {
+            issues.push({
+                field: hasNet ? 'invoiceNetAmount' : 'invoiceAmount',
+                code: 'lines_net',
+                message: `Lines add up to ${money(linesNet)}, but the ${hasNet ? 'net amount' : 'total minus VAT'} is ${money(netBase)}`
+            });
+        }
+
+        // VAT per line is only known when every line has a rate
+        if (vat !== null && lines.every(line => isNumber(line.vatRate))) {
+            const linesVat = lines.reduce((sum, line) => sum + line.lineTotal * line.vatRate / 100, 0);
+            if (Math.abs(linesVat - vat) > tolerance) {
+                issues.push({
+                    field: 'invoiceVAT',
+                    code: 'lines_vat',
+                    message: `VAT on the lines comes to ${money(linesVat)}, but the VAT is ${money(vat)}`
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Without rates on the lines, the VAT must be a valid rate of the net amount.
+     * A rate between two non-zero valid rates may be items at different rates (24%
+     * and 13%): a warning to check, not an error. Below the lowest non-zero rate it
+     * stays an error, since exempt items (0%) would make every lower rate look mixed.
+     */
+    checkVatRate(lines, netBase, vat) {
+        if (vat === null || netBase === null || netBase <= 0 || lines.some(line => isNumber(line.vatRate))) {
+            return [];
+        }
+
+        const rate = vat / netBase * 100;
+        if (this.vatRates.some(valid => Math.abs(rate - valid) <= RATE_TOLERANCE)) {
+            return [];
+        }
+
+        const lower = Math.max(...this.vatRates.filter(valid => valid > 0 && valid < rate));
+        const upper = Math.min(...this.vatRates.filter(valid => valid > rate));
+        if (Number.isFinite(lower) && Number.isFinite(upper)) {
+            return [{
+                field: 'invoiceVAT',
+                code: 'vat_mixed_rates',
+                severity: 'warning',
+                message: `VAT is ${rate.toFixed(1)}% of the net amount, between ${lower}% and ${upper}%: ` +
+                    `check that the ${lines.length > 0 ? 'lines are' : 'invoice is'} taxed at mixed rates`
+            }];
+        }
+        return [{
+            field: 'invoiceVAT',
+            code: 'vat_rate',
+            message: `VAT is ${rate.toFixed(1)}% of the net amount, not a valid rate (${this.vatRates.join(', ')}%)`
+        }];
+    }
+
+    isValidRate(rate) {
+        return this.vatRates.some(valid => Math.abs(rate - valid) < 0.001);
+    }
+
+    /**
+     * Issues that block approval (warnings do not)
+     */
+    getBlocking(issues = []) {
+        return issues.filter(issue => issue.severity !== 'warning');
+    }
+
+    /**
+     * Whether two issue lists describe the same problems (a resolution stays valid across edits that change nothing)
+     */
+    sameIssues(a = [], b = []) {
+        const key = issues => issues.map(issue => `${issue.field}|${issue.message}`).sort().join('\n');
+        return key(a) === key(b);
+    }
+}
+
+module.exports = new InvoiceChecks();
@@ -0,0 +1,169 @@
+const extractionSchema = require('./extraction-schema');
+
+/**
+ * JSON Output Parser
+ * Parses model output for data extraction: strips markdown fences, pulls out the
+ * first JSON object, checks it against the category schema and, when a repair
+ * callback is given, asks the model once to fix its own output.
+ *
+ * Every parse returns an outcome that is stored on the extracted data record:
+ * { status: 'parsed'|'repaired'|'invalid'|'failed', attempts, errors, initialErrors, rawOutput }
+ */
+
+const MAX_RAW_OUTPUT_LENGTH = 2000;
+
+class JsonOutputParser {
+    /**
+     * Pull the first JSON object out of model text
+     * @param {string} text - Raw model output
+     * @returns {Object} - { value, error }
+     */
+    extractJson(text) {
+        const cleaned = (text || '')
+            .toString()
+            .replace(/```(?:json|JSON)?/g, '')
+            .trim();
+
+        const candidate = this.findFirstObject(cleaned);
+        if (!candidate) {
+            return { value: null, error: 'No JSON object found in output' };
+        }
+
+        try {
+            return { value: JSON.parse(candidate), error: null };
+        } catch (error) {
+            // Common model slip: trailing commas before a closing brace/bracket
+            try {
+                return { value: JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1')), error: null };
+            } catch (retryError) {
+                return { value: null, error: `Invalid JSON: ${error.message}` };
+            }
+        }
+    }
+
+    /**
+     * Return the first balanced {...} block, ignoring braces inside strings
+     */
+    findFirstObject(text) {
+        const start = text.indexOf('{');
+        if (start === -1) return null;
+
+        let depth = 0;
+        let inString = false;
+        let escaped = false;
+
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (char === '\\') {
+                    escaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) {
+                    return text.substring(start, i + 1);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Schema errors worth a repair round: values that don't fit the field type.
+     * Missing fields are not errors - the email may simply not contain them.
+     * @returns {Array<string>} - Error messages
+     */
+    checkAgainstSchema(category, value) {
+        const { issues } = extractionSchema.validate(category, value);
+        return issues
+            .filter(issue => issue.code === 'invalid')
+            .map(issue => `"${issue.field}": ${issue.message}`);
+    }
+
+    /**
+     * Parse, validate and optionally repair model output
+     * @param {string} text - Raw model output
+     * @param {string} category - Category key whose schema applies
+     * @param {Function} repair - Optional async (errors, text) => repaired text; called at most once
+     * @returns {Promise<Object>} - { data, outcome }
+     */
+    async parse(text, category, repair = null) {
+        let attempt = this.attempt(text, category);
+        const initialErrors = attempt.errors;
+        let attempts = 1;
+        let status = 'parsed';
+
+        if (attempt.errors.length > 0 && repair) {
+            try {
+                const repairedText = await repair(attempt.errors, text);
+                const repaired = this.attempt(repairedText, category);
+                attempts++;
+
+                // Keep the repaired output when it's at least parseable
+                if (repaired.value || !attempt.value) {
+                    attempt = repaired;
+                    status = 'repaired';
+                }
+            } catch (error) {
+                console.error('JSON repair request failed:', error.message);
+            }
+        }
+
+        if (attempt.errors.length > 0) {
+            status = attempt.value ? 'invalid' : 'failed';
+        }
+
+        const outcome = {
+            status,
+            attempts,
+            errors: attempt.errors,
+            parsedAt: new Date().toISOString()
+        };
+
+        if (attempts > 1) {
+            outcome.initialErrors = initialErrors;
+        }
+
+        // Keep the model output when it couldn't be used as-is so reviewers can see it
+        if (status !== 'parsed') {
+            outcome.rawOutput = (text || '').toString().substring(0, MAX_RAW_OUTPUT_LENGTH);
+        }
+
+        return {
+            data: { ...extractionSchema.emptyData(category), ...(attempt.value || {}) },
+            outcome
+        };
+    }
+
+    /**
+     * One parse + schema check of a piece of model output
+     * @returns {Object} - { value, errors }
+     */
+    attempt(text, category) {
+        const { value, error } = this.extractJson(text);
+        if (error) {
+            return { value: null, errors: [error] };
+        }
+
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+            return { value: null, errors: ['Output must be a single JSON object'] };
+        }
+
+        return { value, errors: this.checkAgainstSchema(category, value) };
+    }
+}
+
+module.exports = new JsonOutputParser();
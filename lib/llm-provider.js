@@ -0,0 +1,346 @@
+const { ChatOpenAI } = require('@langchain/openai');
+const categoryRegistry = require('./category-registry');
+const extractionSchema = require('./extraction-schema');
+const vatId = require('./vat-id');
+
+/**
+ * LLM Provider Layer
+ * Single place where categorization and extraction get their language model:
+ * - openai: api.openai.com with OPENAI_API_KEY
+ * - openai-compatible: any OpenAI-compatible server via LLM_BASE_URL
+ *   (llama.cpp server, Ollama, vLLM, LM Studio...)
+ * - rule-based: deterministic keyword/pattern fallback, no network access
+ *
+ * LLM_PROVIDER selects the provider explicitly; when unset the first
+ * configured one wins (OPENAI_API_KEY, then LLM_BASE_URL, then rule-based).
+ */
+
+const PROVIDER_TYPES = ['openai', 'openai-compatible', 'rule-based'];
+const PLACEHOLDER_KEYS = ['your_openai_api_key_here', 'sk-your-openai-api-key-here'];
+
+// Keyword hints for the built-in categories (accent-insensitive, lowercase)
+const CATEGORY_KEYWORDS = {
+    invoice: [
+        'τιμολογιο', 'παραστατικο', 'αποδειξη', 'εξοφληση', 'πληρωμη', 'φπα', 'οφειλη',
+        'invoice', 'bill', 'receipt', 'payment', 'amount due', 'vat', 'remittance'
+    ],
+    customer_inquiry: [
+        'προσφορα', 'τιμη', 'τιμες', 'ενδιαφερ', 'πληροφορι', 'υπηρεσι', 'ερωτηση', 'θα θελαμε', 'χρειαζομαστε',
+        'quote', 'quotation', 'pricing', 'price', 'interested', 'inquiry', 'enquiry', 'information', 'services', 'could you'
+    ]
+};
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/;
+const PHONE_PATTERN = /(?:\+|00)?\d[\d\s().-]{8,}\d/;
+const DATE_PATTERN = /\b(\d{4}-\d{2}-\d{2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{4})\b/;
+const AMOUNT_PATTERN = /-?\d{1,3}(?:[.,\s]\d{3})*(?:[.,]\d{1,2})?|-?\d+(?:[.,]\d{1,2})?/;
+// Table cells: 3+ spaces or tabs (PDF columns) or " | " (HTML table rows)
+const TABLE_CELL_SEPARATOR = /\s*\|\s*|\t+| {3,}/;
+const NUMERIC_CELL = /^[-+]?(?:[€$£]\s?)?\d[\d.,\s]*(?:\s?(?:%|€|eur|euro|ευρω))?$/i;
+// Summary rows that look like lines but are not ("Σύνολο | 1.240,00")
+const SUMMARY_ROW = /^(sub-?total|total|vat|tax|net|grand total|amount due|συνολο|υποσυνολο|φπα|φ\.π\.α|καθαρη αξια|πληρωτεο)\b/;
+
+/**
+ * Lowercase and strip Greek/Latin accents so "Τιμολόγιο" matches "τιμολογιο"
+ */
+function foldText(text) {
+    return (text || '')
+        .toString()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/ς/g, 'σ');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class OpenAICompatibleProvider {
+    constructor({ type, apiKey, baseURL, model }) {
+        this.type = type;
+        this.apiKey = apiKey;
+        this.baseURL = baseURL || null;
+        this.model = model;
+    }
+
+    /**
+     * LangChain chat model for this endpoint
+     * @param {Object} options - { maxTokens, temperature }
+     */
+    createChatModel({ maxTokens = 1000, temperature = 0.1 } = {}) {
+        return new ChatOpenAI({
+            openAIApiKey: this.apiKey,
+            modelName: this.model,
+            temperature,
+            maxTokens,
+            ...(this.baseURL ? { configuration: { baseURL: this.baseURL } } : {})
+        });
+    }
+
+    describe() {
+        return {
+            type: this.type,
+            model: this.model,
+            baseURL: this.baseURL || 'https://api.openai.com/v1',
+            usesLLM: true
+        };
+    }
+}
+
+class RuleBasedProvider {
+    constructor() {
+        this.type = 'rule-based';
+    }
+
+    /**
+     * Pick the category whose keywords appear most often; subject hits count double
+     * @returns {string} - Category key ('other' when nothing matches)
+     */
+    categorize(subject, body, attachments = []) {
+        const foldedSubject = foldText(subject);
+        const foldedBody = foldText(body);
+        const attachmentNames = foldText((attachments || []).map(att => att.filename).join(' '));
+
+        let best = { key: categoryRegistry.FALLBACK_CATEGORY, score: 0 };
+
+        for (const category of categoryRegistry.getAll()) {
+            if (category.key === categoryRegistry.FALLBACK_CATEGORY) continue;
+
+            let score = 0;
+            for (const keyword of this.getKeywords(category)) {
+                if (foldedSubject.includes(keyword)) score += 2;
+                if (foldedBody.includes(keyword)) score += 1;
+                if (attachmentNames.includes(keyword)) score += 2;
+            }
+
+            if (score > best.score) {
+                best = { key: category.key, score };
+            }
+        }
+
+        return best.score >= 2 ? best.key : categoryRegistry.FALLBACK_CATEGORY;
+    }
+
+    /**
+     * Built-in keyword lists, or words from the label of a custom category
+     */
+    getKeywords(category) {
+        if (CATEGORY_KEYWORDS[category.key]) {
+            return CATEGORY_KEYWORDS[category.key];
+        }
+
+        return foldText(`${category.label} ${category.key.replace(/_/g, ' ')}`)
+            .split(/[^a-z0-9\u0370-\u03ff]+/)
+            .filter(word => word.length >= 4);
+    }
+
+    /**
+     * Fill the category schema fields from labelled lines and value patterns
+     * @param {string} category - Category key
+     * @param {string} text - Subject, body and any PDF text
+     * @returns {Object} - Raw field values (validated later against the schema)
+     */
+    extract(category, text) {
+        const data = extractionSchema.emptyData(category);
+        const content = (text || '').toString();
+
+        for (const field of extractionSchema.getFields(category)) {
+            // "VAT No: 094019245" is a VAT number, not the VAT amount
+            const accept = field.type === 'number' ? value => !vatId.normalize(value) : undefined;
+            const labelled = this.findLabelledValue(field, content, accept);
+
+            switch (field.type) {
+                case 'email': {
+                    const match = (labelled || content).match(EMAIL_PATTERN);
+                    data[field.name] = match ? match[0] : null;
+                    break;
+                }
+                case 'phone': {
+                    const match = (labelled || content).match(PHONE_PATTERN);
+                    data[field.name] = match ? match[0].trim() : null;
+                    break;
+                }
+                case 'vatId':
+                    // Only after a label: an unlabelled 9-digit number may be anything
+                    data[field.name] = labelled ? vatId.findIn(labelled) : null;
+                    break;
+                case 'date': {
+                    const match = labelled && labelled.match(DATE_PATTERN);
+                    data[field.name] = match ? match[1] : null;
+                    break;
+                }
+                case 'number': {
+                    const match = labelled && labelled.match(AMOUNT_PATTERN);
+                    data[field.name] = match ? match[0].replace(/\s/g, '') : null;
+                    break;
+                }
+                case 'enum': {
+                    const folded = foldText(labelled || content);
+                    data[field.name] = field.values.find(value => folded.includes(foldText(value))) || null;
+                    break;
+                }
+                default:
+                    data[field.name] = labelled;
+            }
+        }
+
+        if (extractionSchema.hasLineItems(category)) {
+            data.lineItems = this.extractLineItems(content);
+        }
+
+        return data;
+    }
+
+    /**
+     * Invoice lines from table rows: a description cell followed by numeric cells.
+     * The last number is the line total; with three or more numbers the first two
+     * are quantity and unit price, with two the first is the quantity; a "%" cell is the VAT rate.
+     * @returns {Array} - Raw line items (validated later against the schema)
+     */
+    extractLineItems(content) {
+        const items = [];
+
+        for (const line of content.split('\n')) {
+            const cells = line.split(TABLE_CELL_SEPARATOR).map(cell => cell.trim()).filter(Boolean);
+            if (cells.length < 3) continue;
+
+            const [description, ...values] = cells;
+            if (!/\p{L}/u.test(description) || SUMMARY_ROW.test(foldText(description))) continue;
+            if (!values.every(cell => NUMERIC_CELL.test(cell))) continue;
+
+            const rate = values.find(cell => cell.includes('%'));
+            const numbers = values.filter(cell => !cell.includes('%'));
+            if (numbers.length < 2) continue;
+
+            items.push({
+                description,
+                quantity: numbers[0],
+                unitPrice: numbers.length >= 3 ? numbers[1] : null,
+                vatRate: rate || null,
+                lineTotal: numbers[numbers.length - 1]
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * Value written after one of the field's labels or aliases: "Invoice Number: 123" / "ΦΠΑ: 24,00"
+     * @param {Function} accept - Optional filter; labelled values it rejects are skipped
+     */
+    findLabelledValue(field, content, accept = () => true) {
+        const labels = [
+            field.labels.en,
+            field.labels.el,
+            field.name.replace(/([a-z])([A-Z])/g, '$1 $2'),
+            ...(field.aliases || [])
+        ]
+            .filter(Boolean)
+            .flatMap(label => label.split('/').map(part => part.trim()))
+            .filter(label => label.length >= 2);
+
+        for (const label of labels) {
+            const pattern = new RegExp(`(?<!\\p{L})${escapeRegExp(label)}\\s*(?:#|no\\.?|αρ\\.?)?\\s*[:：]\\s*([^\\n]+)`, 'iu');
+            const match = content.match(pattern);
+            if (match && match[1].trim() && accept(match[1].trim())) {
+                return match[1].trim();
+            }
+        }
+
+        // Retry accent-insensitively ("Αριθμος τιμολογιου:")
+        const foldedContent = foldText(content);
+        for (const label of labels) {
+            const pattern = new RegExp(`(?<!\\p{L})${escapeRegExp(foldText(label))}\\s*[:：]\\s*([^\\n]+)`, 'u');
+            const match = foldedContent.match(pattern);
+            if (match && match[1].trim()) {
+                const start = match.index + match[0].length - match[1].length;
+                const value = content.substring(start, start + match[1].length).trim();
+                if (accept(value)) return value;
+            }
+        }
+
+        return null;
+    }
+
+    describe() {
+        return {
+            type: this.type,
+            model: null,
+            baseURL: null,
+            usesLLM: false
+        };
+    }
+}
+
+class LLMProviderManager {
+    constructor() {
+        this.fallback = new RuleBasedProvider();
+        this.provider = this.createFromEnv();
+
+        const info = this.describe();
+        if (info.usesLLM) {
+            console.log(`LLM provider: ${info.type} (${info.model} @ ${info.baseURL})`);
+        } else {
+            console.warn('LLM provider: no LLM configured, using rule-based categorization and extraction');
+        }
+    }
+
+    /**
+     * Build the configured provider, or null when only the rule-based fallback is available
+     */
+    createFromEnv() {
+        const requested = (process.env.LLM_PROVIDER || '').toLowerCase().trim();
+        const openaiKey = PLACEHOLDER_KEYS.includes(process.env.OPENAI_API_KEY) ? null : process.env.OPENAI_API_KEY;
+        const model = process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+
+        if (requested && !PROVIDER_TYPES.includes(requested)) {
+            console.warn(`Unknown LLM_PROVIDER "${requested}", expected one of: ${PROVIDER_TYPES.join(', ')}`);
+        }
+
+        const type = PROVIDER_TYPES.includes(requested)
+            ? requested
+            : (openaiKey ? 'openai' : (process.env.LLM_BASE_URL ? 'openai-compatible' : 'rule-based'));
+
+        if (type === 'openai') {
+            if (!openaiKey) {
+                console.error('WARNING: LLM_PROVIDER=openai but OPENAI_API_KEY is not configured');
+                return null;
+            }
+            return new OpenAICompatibleProvider({ type, apiKey: openaiKey, model });
+        }
+
+        if (type === 'openai-compatible') {
+            if (!process.env.LLM_BASE_URL) {
+                console.error('WARNING: LLM_PROVIDER=openai-compatible but LLM_BASE_URL is not set');
+                return null;
+            }
+            return new OpenAICompatibleProvider({
+                type,
+                // Local servers usually ignore the key, but the client requires one
+                apiKey: process.env.LLM_API_KEY || openaiKey || 'not-needed',
+                baseURL: process.env.LLM_BASE_URL,
+                model
+            });
+        }
+
+        return null;
+    }
+
+    hasLLM() {
+        return this.provider !== null;
+    }
+
+    /**
+     * LangChain chat model from the configured provider, or null for rule-based mode
+     */
+    getChatModel(options = {}) {
+        return this.provider ? this.provider.createChatModel(options) : null;
+    }
+
+    describe() {
+        return (this.provider || this.fallback).describe();
+    }
+}
+
+module.exports = new LLMProviderManager();
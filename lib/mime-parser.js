@@ -0,0 +1,186 @@
+const createDOMPurify = require('dompurify');
+const { JSDOM } = require('jsdom');
+
+/**
+ * MIME Parser
+ * Turns a Gmail API message payload into a plain-text and an HTML body.
+ * - Every text part is decoded with the charset from its Content-Type
+ *   (windows-1253, iso-8859-7, ...), falling back to UTF-8
+ * - Both text/plain and text/html are kept; when an email only has HTML its
+ *   text body is derived from the HTML, keeping paragraphs, list items and
+ *   table rows on their own lines
+ * - Stored HTML is sanitized (no scripts, styles, event handlers or embeds)
+ */
+
+const DEFAULT_CHARSET = 'utf-8';
+// Larger HTML bodies are not stored - the text body is still kept
+const MAX_HTML_LENGTH = 500000;
+
+const CHARSET_ALIASES = {
+    'utf8': 'utf-8',
+    'cp1253': 'windows-1253',
+    'cp1252': 'windows-1252',
+    'greek': 'iso-8859-7',
+    'iso8859-7': 'iso-8859-7',
+    'iso_8859-7': 'iso-8859-7',
+    'elot_928': 'iso-8859-7'
+};
+
+const SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'HEAD', 'TITLE', 'NOSCRIPT', 'TEMPLATE', 'SVG']);
+const BLOCK_TAGS = new Set([
+    'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'CENTER', 'DD', 'DIV', 'DL', 'DT',
+    'FIELDSET', 'FIGURE', 'FOOTER', 'FORM', 'HEADER', 'HR', 'MAIN', 'NAV', 'OL',
+    'PRE', 'SECTION', 'TABLE', 'TBODY', 'THEAD', 'TFOOT', 'UL'
+]);
+const PARAGRAPH_TAGS = new Set(['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+
+const purifier = createDOMPurify(new JSDOM('').window);
+
+class MimeParser {
+    /**
+     * Plain-text and HTML bodies of a message payload
+     * @param {Object} payload - Gmail API message.payload
+     * @returns {Object} - { text, html } (html is sanitized, or null)
+     */
+    extractBodies(payload) {
+        const textPart = this.findBodyPart(payload, 'text/plain');
+        const htmlPart = this.findBodyPart(payload, 'text/html');
+
+        const rawHtml = htmlPart ? this.decodePartBody(htmlPart) : '';
+        const text = textPart
+            ? this.normalizeText(this.decodePartBody(textPart))
+            : this.htmlToText(rawHtml);
+
+        const html = rawHtml ? this.sanitizeHtml(rawHtml) : '';
+
+        return {
+            text,
+            html: html && html.length <= MAX_HTML_LENGTH ? html : null
+        };
+    }
+
+    /**
+     * First inline part of a MIME type, depth first (attachments are skipped)
+     */
+    findBodyPart(part, mimeType) {
+        if (!part) return null;
+
+        const isAttachment = (part.filename && part.filename.length > 0) ||
+            /^attachment/i.test(this.getHeader(part, 'Content-Disposition') || '');
+
+        if (!isAttachment && (part.mimeType || '').toLowerCase() === mimeType && part.body && part.body.data) {
+            return part;
+        }
+
+        for (const child of part.parts || []) {
+            const found = this.findBodyPart(child, mimeType);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    getHeader(part, name) {
+        const header = (part.headers || []).find(h => h.name.toLowerCase() === name.toLowerCase());
+        return header ? header.value : null;
+    }
+
+    /**
+     * Charset from the part's Content-Type header, as a TextDecoder label
+     */
+    getCharset(part) {
+        const contentType = this.getHeader(part, 'Content-Type') || '';
+        const match = contentType.match(/charset\s*=\s*"?([^";\s]+)"?/i);
+        if (!match) return DEFAULT_CHARSET;
+
+        const label = match[1].trim().toLowerCase();
+        const charset = CHARSET_ALIASES[label] || label;
+
+        try {
+            new TextDecoder(charset);
+            return charset;
+        } catch (error) {
+            console.warn(`Unknown charset "${match[1]}", decoding as ${DEFAULT_CHARSET}`);
+            return DEFAULT_CHARSET;
+        }
+    }
+
+    /**
+     * Decode a part's base64url body with its charset
+     */
+    decodePartBody(part) {
+        const bytes = Buffer.from(part.body.data.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+        return new TextDecoder(this.getCharset(part)).decode(bytes);
+    }
+
+    /**
+     * Normalize line endings and blank lines, keeping the line structure
+     */
+    normalizeText(text) {
+        return (text || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\u00a0/g, ' ')
+            .split('\n')
+            .map(line => line.replace(/[ \t\f\v]+/g, ' ').trim())
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Readable text from HTML: block elements and <br> become line breaks,
+     * list items get a "- " prefix and table rows become "cell | cell" lines
+     */
+    htmlToText(html) {
+        if (!html) return '';
+
+        const { document } = new JSDOM(html).window;
+        return this.normalizeText(this.nodeToText(document.body));
+    }
+
+    nodeToText(node, inPre = false) {
+        if (!node) return '';
+
+        if (node.nodeType === 3) {
+            return inPre ? node.textContent : node.textContent.replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== 1) {
+            return '';
+        }
+
+        const tag = node.tagName.toUpperCase();
+        if (SKIP_TAGS.has(tag)) return '';
+        if (tag === 'BR') return '\n';
+
+        const childText = () => Array.from(node.childNodes)
+            .map(child => this.nodeToText(child, inPre || tag === 'PRE'))
+            .join('');
+
+        if (tag === 'TR') {
+            const cells = Array.from(node.children)
+                .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+                .map(cell => this.nodeToText(cell).replace(/\s+/g, ' ').trim())
+                .filter(Boolean);
+            return cells.length > 0 ? `\n${cells.join(' | ')}` : '';
+        }
+        if (tag === 'LI') return `\n- ${childText().trim()}`;
+        if (PARAGRAPH_TAGS.has(tag)) return `\n\n${childText()}\n\n`;
+        if (BLOCK_TAGS.has(tag)) return `\n${childText()}\n`;
+
+        return childText();
+    }
+
+    /**
+     * HTML safe to show in the email view
+     */
+    sanitizeHtml(html) {
+        return purifier.sanitize(html, {
+            FORBID_TAGS: ['style', 'form', 'input', 'button', 'select', 'textarea', 'iframe', 'object', 'embed'],
+            FORBID_ATTR: ['style', 'id', 'class']
+        }).trim();
+    }
+}
+
+const mimeParser = new MimeParser();
+mimeParser.MAX_HTML_LENGTH = MAX_HTML_LENGTH;
+
+module.exports = mimeParser;
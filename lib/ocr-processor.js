@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * OCR Processor
+ * Local OCR (tesseract.js, Greek + English) for attachments without a text layer:
+ * scanned PDFs and JPEG/PNG images. Used during data extraction only.
+ * - PDFs are rendered page by page (pdf-to-img), at most OCR_MAX_PAGES pages
+ * - Every OCR job is bounded by OCR_TIMEOUT_MS; a job that runs over is
+ *   abandoned and its worker terminated
+ * - Language data comes from the @tesseract.js-data/<lang> packages, or from
+ *   OCR_LANG_PATH; only when neither has it is it downloaded (and cached in data/ocr-cache)
+ */
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+// Skip images larger than this (scans above it are usually photos of something else)
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+// Render scale for PDF pages; ~150 DPI for an A4 page, enough for invoice text
+const PDF_RENDER_SCALE = 2;
+
+function positiveInt(value, fallback) {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+class OCRProcessor {
+    constructor() {
+        this.enabled = process.env.OCR_ENABLED !== 'false';
+        this.languages = process.env.OCR_LANGUAGES || 'eng+ell';
+        this.maxPages = positiveInt(process.env.OCR_MAX_PAGES, 3);
+        this.timeoutMs = positiveInt(process.env.OCR_TIMEOUT_MS, 60000);
+        this.langPath = process.env.OCR_LANG_PATH || null;
+        this.cachePath = path.join(__dirname, '../data/ocr-cache');
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Copy traineddata from the installed @tesseract.js-data packages into the
+     * cache, where tesseract.js looks before downloading anything
+     * @returns {Array<string>} - Language codes for createWorker
+     */
+    prepareLanguages() {
+        const codes = this.languages.split('+').filter(Boolean);
+        fs.mkdirSync(this.cachePath, { recursive: true });
+
+        for (const code of codes) {
+            const cached = path.join(this.cachePath, `${code}.traineddata`);
+            if (this.langPath || fs.existsSync(cached)) continue;
+
+            try {
+                const packageDir = path.dirname(require.resolve(`@tesseract.js-data/${code}/package.json`));
+                // LSTM-only model, matching the OEM used below
+                const gzipped = fs.readFileSync(path.join(packageDir, '4.0.0_best_int', `${code}.traineddata.gz`));
+                fs.writeFileSync(cached, zlib.gunzipSync(gzipped));
+            } catch (error) {
+                console.warn(`🔍 No local traineddata for "${code}", it will be downloaded on first use`);
+            }
+        }
+
+        return codes;
+    }
+
+    isImage(attachment) {
+        return IMAGE_MIME_TYPES.includes((attachment.mimeType || '').toLowerCase()) &&
+            (attachment.size || 0) <= MAX_IMAGE_SIZE;
+    }
+
+    /**
+     * OCR a scanned PDF
+     * @param {Buffer} pdfBuffer - PDF file
+     * @returns {Promise<Object|null>} - { text, pageTexts, confidence, pages } or null when OCR is off/failed
+     */
+    async recognizePDF(pdfBuffer) {
+        return this.run(async (worker, job) => {
+            const { pdf } = await import('pdf-to-img');
+            const document = await pdf(pdfBuffer, { scale: PDF_RENDER_SCALE });
+            const pages = [];
+
+            try {
+                const pageCount = Math.min(document.length, this.maxPages);
+                for (let pageNumber = 1; pageNumber <= pageCount && !job.timedOut; pageNumber++) {
+                    const image = await document.getPage(pageNumber);
+                    pages.push(await this.recognizePage(worker, image));
+                }
+            } finally {
+                await document.destroy();
+            }
+
+            if (document.length > this.maxPages) {
+                console.log(`🔍 OCR limited to the first ${this.maxPages} of ${document.length} pages`);
+            }
+            return pages;
+        });
+    }
+
+    /**
+     * OCR a JPEG/PNG attachment
+     * @param {Buffer} imageBuffer - Image file
+     * @returns {Promise<Object|null>} - { text, pageTexts, confidence, pages } or null when OCR is off/failed
+     */
+    async recognizeImage(imageBuffer) {
+        return this.run(async worker => [await this.recognizePage(worker, imageBuffer)]);
+    }
+
+    async recognizePage(worker, image) {
+        const { data } = await worker.recognize(image);
+        return { text: (data.text || '').trim(), confidence: data.confidence || 0 };
+    }
+
+    /**
+     * Run an OCR job with a fresh worker, bounded by the timeout
+     * @param {Function} recognize - async (worker, job) => [{ text, confidence }]
+     */
+    async run(recognize) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const startTime = Date.now();
+        const job = { timedOut: false };
+        let worker = null;
+        let timer = null;
+
+        try {
+            const { createWorker } = require('tesseract.js');
+            const languages = this.prepareLanguages();
+            // Without an errorHandler tesseract.js rethrows worker errors as uncaught exceptions
+            const options = {
+                cachePath: this.cachePath,
+                errorHandler: error => console.error('❌ OCR worker error:', error)
+            };
+            if (this.langPath) {
+                options.langPath = this.langPath;
+            }
+
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    job.timedOut = true;
+                    reject(new Error(`OCR timed out after ${this.timeoutMs}ms`));
+                }, this.timeoutMs);
+            });
+
+            const work = (async () => {
+                worker = await createWorker(languages, 1, options);
+                if (job.timedOut) {
+                    // Timed out while loading; the finally block below has already run
+                    await worker.terminate();
+                    return [];
+                }
+                return recognize(worker, job);
+            })();
+            // A job abandoned on timeout fails once its worker is terminated
+            work.catch(() => {});
+
+            const pages = await Promise.race([work, timeout]);
+
+            const recognized = pages.filter(page => page.text);
+            if (recognized.length === 0) {
+                return null;
+            }
+
+            const confidence = recognized.reduce((sum, page) => sum + page.confidence, 0) / recognized.length;
+            console.log(`🔍 OCR read ${recognized.length} page(s) in ${Date.now() - startTime}ms (confidence ${Math.round(confidence)}%)`);
+
+            return {
+                text: recognized.map(page => page.text).join('\n\n'),
+                pageTexts: recognized.map(page => page.text),
+                confidence: Math.round(confidence) / 100,
+                pages: recognized.length
+            };
+        } catch (error) {
+            console.error('❌ OCR failed:', error.message);
+            return null;
+        } finally {
+            clearTimeout(timer);
+            if (worker) {
+                await worker.terminate().catch(() => {});
+            }
+        }
+    }
+}
+
+const ocrProcessor = new OCRProcessor();
+ocrProcessor.IMAGE_MIME_TYPES = IMAGE_MIME_TYPES;
+
+module.exports = ocrProcessor;
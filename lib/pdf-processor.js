@@ -1,14 +1,48 @@
+const crypto = require('crypto');
 const pdf = require('pdf-parse');
 const { google } = require('googleapis');
+const ocrProcessor = require('./ocr-processor');
+const einvoiceParser = require('./einvoice-parser');
+
+// Characters of attachment text sent to the model (leaves room for the email content)
+const MAX_TEXT_LENGTH = 2500;
+// A partly included page keeps at least this much, otherwise it is left out
+const MIN_PAGE_EXCERPT = 300;
+// Room left for the truncation and omitted-pages notes
+const NOTE_RESERVE = 80;
+// Wide horizontal gaps between words on a line (table columns) are kept as this
+const COLUMN_SEPARATOR = '   ';
+// Attachments hashed for duplicate detection, and how many hashes of downloads are remembered
+const MAX_HASHED_SIZE = 10 * 1024 * 1024;
+const MAX_CACHED_HASHES = 500;
+
+// Page relevance for invoice extraction; matched on lowercased text without accents
+const PAGE_KEYWORDS = [
+    { pattern: /\b(grand total|total amount|amount due|balance due|total due|subtotal|sub-total)\b/g, weight: 4 },
+    { pattern: /(πληρωτεο|γενικο συνολο|συνολο|συνολικ[οη] ποσο|καθαρη αξια|υπολοιπο)/g, weight: 4 },
+    { pattern: /\b(total|vat|tax|net amount)\b/g, weight: 3 },
+    { pattern: /(φπα|φ\.π\.α)/g, weight: 3 },
+    { pattern: /\b(invoice|receipt|due date|iban)\b/g, weight: 1 },
+    { pattern: /(τιμολογιο|αποδειξη|αφμ|α\.φ\.μ|ημερομηνια)/g, weight: 1 }
+];
+// Money-like numbers (1.240,00 / 1,240.00 / 99.90)
+const AMOUNT_PATTERN = /\d[\d.,]*[.,]\d{2}\b/g;
 
 /**
  * PDF Processing Module for Data Extraction Phase Only
  * Downloads and extracts text content from PDF attachments during AI data extraction
+ * (scanned PDFs and image attachments are read with OCR, see ocr-processor.js)
  * NOT used during initial email categorization (keeps that fast)
+ * - Text is read page by page, keeping line breaks and column gaps, in any script
+ * - Long documents are cut by page: the pages most likely to hold totals and VAT
+ *   lines (plus the first page) are sent to the model, the rest are left out
  */
 class PDFProcessor {
     constructor() {
         this.oauth2Client = null;
+        // SHA-256 of downloaded attachments, by gmailId/attachmentId, so hashing
+        // after extraction does not download them again
+        this.contentHashes = new Map();
     }
 
     /**
@@ -20,38 +54,43 @@ class PDFProcessor {
     }
 
     /**
-     * Process PDF attachments for data extraction (invoices, documents)
+     * Process PDF and image attachments for data extraction (invoices, documents).
+     * PDFs without a text layer and JPEG/PNG images go through OCR.
      * @param {Array} attachments - Array of attachment objects with attachmentId
      * @param {string} gmailId - Gmail message ID
-     * @returns {Promise<string>} - Combined text content from all PDFs
+     * @returns {Promise<Object>} - { text, pdf, ocr }: combined content for the prompt,
+     *   and the text-layer and OCR parts on their own so evidence can name its source
      */
-    async extractPDFContent(attachments, gmailId) {
+    async extractAttachmentContent(attachments, gmailId) {
+        const empty = { text: '', pdf: '', ocr: '' };
         if (!attachments || attachments.length === 0) {
-            return '';
+            return empty;
         }
 
         if (!this.oauth2Client) {
             console.warn('📄 OAuth2 client not set, cannot process PDF attachments');
-            return '';
+            return empty;
         }
 
-        // Filter for PDF attachments only
-        const pdfAttachments = attachments.filter(att =>
-            att.mimeType === 'application/pdf' && att.attachmentId
-        );
+        // PDFs, plus images when OCR is enabled
+        const processable = attachments.filter(att => att.attachmentId && (
+            att.mimeType === 'application/pdf' || (ocrProcessor.isEnabled() && ocrProcessor.isImage(att))
+        ));
 
-        if (pdfAttachments.length === 0) {
-            return '';
+        if (processable.length === 0) {
+            return empty;
         }
 
-        console.log(`📄 Processing ${pdfAttachments.length} PDF attachment(s) for data extraction`);
+        console.log(`📄 Processing ${processable.length} attachment(s) for data extraction`);
 
-        const extractedTexts = [];
+        const sections = [];
+        const pdfTexts = [];
+        const ocrTexts = [];
 
-        for (const attachment of pdfAttachments) {
+        for (const attachment of processable) {
             try {
                 // Skip very large files (> 5MB) to avoid memory issues
-                if (attachment.size > 5 * 1024 * 1024) {
+                if (attachment.mimeType === 'application/pdf' && attachment.size > 5 * 1024 * 1024) {
                     console.warn(`📄 Skipping large PDF: ${attachment.filename} (${attachment.size} bytes)`);
                     continue;
                 }
@@ -59,53 +98,150 @@ class PDFProcessor {
                 console.log(`📄 Extracting text from: ${attachment.filename}`);
 
                 // Download and extract text
-                const textContent = await this.processSinglePDF(gmailId, attachment);
-
-                if (textContent) {
-                    extractedTexts.push(`--- ${attachment.filename} ---\n${textContent}`);
-                    console.log(`✅ Extracted ${textContent.length} characters from ${attachment.filename}`);
+                const result = await this.processSingleAttachment(gmailId, attachment);
+
+                if (result) {
+                    const label = result.ocr
+                        ? `${attachment.filename} (OCR, ${Math.round(result.confidence * 100)}% confidence)`
+                        : attachment.filename;
+                    sections.push(`--- ${label} ---\n${result.text}`);
+                    (result.ocr ? ocrTexts : pdfTexts).push(result.text);
+                    console.log(`✅ Extracted ${result.text.length} characters from ${attachment.filename}${result.ocr ? ' with OCR' : ''}`);
                 } else {
                     console.warn(`⚠️ No text extracted from ${attachment.filename}`);
                 }
 
             } catch (error) {
-                console.error(`❌ Error processing PDF ${attachment.filename}:`, error.message);
+                console.error(`❌ Error processing attachment ${attachment.filename}:`, error.message);
                 // Continue with other attachments even if one fails
             }
         }
 
-        const combinedText = extractedTexts.join('\n\n');
+        const combinedText = sections.join('\n\n');
 
         if (combinedText) {
-            console.log(`📄 PDF processing complete: ${extractedTexts.length} files, ${combinedText.length} total characters`);
+            console.log(`📄 Attachment processing complete: ${sections.length} files, ${combinedText.length} total characters`);
         }
 
-        return combinedText;
+        return {
+            text: combinedText,
+            pdf: pdfTexts.join('\n\n'),
+            ocr: ocrTexts.join('\n\n')
+        };
     }
 
     /**
-     * Process a single PDF attachment
+     * Look for a structured e-invoice (UBL, Peppol BIS, myDATA XML) among the attachments
+     * @param {Array} attachments - Array of attachment objects with attachmentId
+     * @param {string} gmailId - Gmail message ID
+     * @returns {Promise<Object|null>} - Parsed e-invoice (see einvoice-parser.js) with its
+     *   filename, or null when there is none
+     */
+    async extractEInvoice(attachments, gmailId) {
+        if (!attachments || !this.oauth2Client) {
+            return null;
+        }
+
+        const xmlAttachments = attachments.filter(att => att.attachmentId && einvoiceParser.isXMLAttachment(att));
+
+        for (const attachment of xmlAttachments) {
+            try {
+                const buffer = await this.downloadAttachment(gmailId, attachment.attachmentId);
+                const parsed = einvoiceParser.parse(einvoiceParser.decode(buffer));
+
+                if (parsed) {
+                    console.log(`🧾 Read ${parsed.format} e-invoice from ${attachment.filename} (${parsed.lineItems.length} line(s))`);
+                    return { ...parsed, filename: attachment.filename };
+                }
+            } catch (error) {
+                console.error(`❌ Error reading XML attachment ${attachment.filename}:`, error.message);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Process a single PDF or image attachment
      * @param {string} gmailId - Gmail message ID
      * @param {Object} attachment - Attachment object
-     * @returns {Promise<string>} - Extracted text content
+     * @returns {Promise<Object|null>} - { text, ocr, confidence } or null when nothing was read
      */
-    async processSinglePDF(gmailId, attachment) {
+    async processSingleAttachment(gmailId, attachment) {
         try {
-            // Download PDF content
-            const pdfBuffer = await this.downloadAttachment(gmailId, attachment.attachmentId);
+            const buffer = await this.downloadAttachment(gmailId, attachment.attachmentId);
 
-            if (!pdfBuffer) {
-                throw new Error('Failed to download PDF content');
+            if (!buffer) {
+                throw new Error('Failed to download attachment content');
             }
 
-            // Extract text from PDF
-            const textContent = await this.extractTextFromPDF(pdfBuffer);
-            return textContent;
+            if (attachment.mimeType !== 'application/pdf') {
+                return this.fromOCR(await ocrProcessor.recognizeImage(buffer));
+            }
+
+            // Text layer first; scanned PDFs have none and fall back to OCR
+            const textContent = await this.extractTextFromPDF(buffer);
+            if (textContent) {
+                return { text: textContent, ocr: false, confidence: 1 };
+            }
+
+            console.log(`🔍 ${attachment.filename} has no text layer, running OCR`);
+            return this.fromOCR(await ocrProcessor.recognizePDF(buffer));
 
         } catch (error) {
-            console.error(`Error processing PDF ${attachment.filename}:`, error);
+            console.error(`Error processing attachment ${attachment.filename}:`, error);
+            return null;
+        }
+    }
+
+    fromOCR(result) {
+        if (!result) {
             return null;
         }
+
+        const pages = result.pageTexts.map(text => this.cleanText(text));
+        const text = this.selectPages(pages);
+        return text ? { text, ocr: true, confidence: result.confidence } : null;
+    }
+
+    /**
+     * Content hashes of the document attachments (PDF, image, XML) for duplicate detection;
+     * attachments already downloaded during extraction are not downloaded again
+     * @param {Array} attachments - Array of attachment objects with attachmentId
+     * @param {string} gmailId - Gmail message ID
+     * @returns {Promise<Array>} - [{ filename, sha256 }]
+     */
+    async hashAttachments(attachments, gmailId) {
+        if (!attachments || !this.oauth2Client) {
+            return [];
+        }
+
+        const documents = attachments.filter(att => att.attachmentId && (att.size || 0) <= MAX_HASHED_SIZE && (
+            att.mimeType === 'application/pdf' || ocrProcessor.isImage(att) || einvoiceParser.isXMLAttachment(att)
+        ));
+
+        const hashes = [];
+        for (const attachment of documents) {
+            const key = `${gmailId}/${attachment.attachmentId}`;
+            try {
+                if (!this.contentHashes.has(key)) {
+                    await this.downloadAttachment(gmailId, attachment.attachmentId);
+                }
+                hashes.push({ filename: attachment.filename, sha256: this.contentHashes.get(key) });
+            } catch (error) {
+                console.error(`❌ Error hashing attachment ${attachment.filename}:`, error.message);
+            }
+        }
+
+        return hashes;
+    }
+
+    rememberHash(key, buffer) {
+        if (this.contentHashes.size >= MAX_CACHED_HASHES) {
+            // Oldest first (Map keeps insertion order)
+            this.contentHashes.delete(this.contentHashes.keys().next().value);
+        }
+        this.contentHashes.set(key, crypto.createHash('sha256').update(buffer).digest('hex'));
     }
 
     /**
@@ -130,7 +266,9 @@ class PDFProcessor {
 
             // Decode Gmail's base64url format
             const base64Data = response.data.data.replace(/-/g, '+').replace(/_/g, '/');
-            return Buffer.from(base64Data, 'base64');
+            const buffer = Buffer.from(base64Data, 'base64');
+            this.rememberHash(`${gmailId}/${attachmentId}`, buffer);
+            return buffer;
 
         } catch (error) {
             console.error('Gmail attachment download error:', error);
@@ -141,31 +279,18 @@ class PDFProcessor {
     /**
      * Extract text content from PDF buffer using pdf-parse
      * @param {Buffer} pdfBuffer - PDF file buffer
-     * @returns {Promise<string>} - Extracted and cleaned text content
+     * @returns {Promise<string|null>} - Cleaned text of the most relevant pages, or null without a text layer
      */
     async extractTextFromPDF(pdfBuffer) {
         try {
-            const data = await pdf(pdfBuffer);
+            const pages = (await this.extractPages(pdfBuffer)).map(text => this.cleanText(text));
 
-            if (!data.text || data.text.trim().length === 0) {
+            if (pages.every(text => text.length === 0)) {
                 console.warn('PDF contains no extractable text (might be image-based)');
                 return null;
             }
 
-            // Clean up the extracted text
-            let cleanText = data.text
-                .replace(/\s+/g, ' ')           // Replace multiple whitespace with single space
-                .replace(/\n\s*\n/g, '\n')      // Remove empty lines
-                .replace(/[^\x20-\x7E\n]/g, '') // Remove non-printable characters except newlines
-                .trim();
-
-            // Limit text length for AI processing (max ~2500 chars to leave room for email content)
-            if (cleanText.length > 2500) {
-                cleanText = cleanText.substring(0, 2500) + '\n... [PDF content truncated for AI processing]';
-                console.log('📄 PDF text truncated to 2500 characters for AI token limits');
-            }
-
-            return cleanText;
+            return this.selectPages(pages);
 
         } catch (error) {
             console.error('PDF text extraction error:', error);
@@ -174,7 +299,160 @@ class PDFProcessor {
     }
 
     /**
-     * Check if email has PDF attachments that could contain data
+     * Raw text of every page, one entry per page
+     * @param {Buffer} pdfBuffer - PDF file buffer
+     * @returns {Promise<Array<string>>}
+     */
+    async extractPages(pdfBuffer) {
+        const pages = [];
+
+        await pdf(pdfBuffer, {
+            pagerender: async pageData => {
+                const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+                const text = this.renderPageText(content.items);
+                pages.push(text);
+                return text;
+            }
+        });
+
+        return pages;
+    }
+
+    /**
+     * Lay out a page's text items as lines: items are grouped by baseline (top to
+     * bottom) and ordered left to right; wide gaps between items become COLUMN_SEPARATOR
+     * @param {Array} items - pdf.js text items ({ str, width, transform })
+     * @returns {string}
+     */
+    renderPageText(items) {
+        const lines = [];
+
+        for (const item of items) {
+            if (!item.str) continue;
+
+            const x = item.transform[4];
+            const y = item.transform[5];
+            const fontSize = Math.abs(item.transform[3]) || Math.abs(item.transform[0]) || 10;
+            // Items within a fraction of the font size share a line (sub/superscripts, mixed fonts)
+            let line = lines.find(candidate => Math.abs(candidate.y - y) <= fontSize * 0.3);
+            if (!line) {
+                line = { y, items: [] };
+                lines.push(line);
+            }
+            line.items.push({ str: item.str, x, end: x + (item.width || 0), fontSize });
+        }
+
+        return lines
+            .sort((a, b) => b.y - a.y)
+            .map(line => {
+                let text = '';
+                let previous = null;
+
+                for (const item of line.items.sort((a, b) => a.x - b.x)) {
+                    if (previous) {
+                        const gap = item.x - previous.end;
+                        if (gap > previous.fontSize * 1.5) {
+                            text = text.trimEnd() + COLUMN_SEPARATOR;
+                        } else if (gap > previous.fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+                            text += ' ';
+                        }
+                    }
+                    text += item.str;
+                    previous = item;
+                }
+                return text;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Unicode-aware cleanup: keeps every script (Greek, accented Latin, currency
+     * signs), line breaks and column gaps; drops control and invisible format characters
+     * @param {string} text - Raw page text
+     * @returns {string}
+     */
+    cleanText(text) {
+        return (text || '')
+            .normalize('NFC')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\t/g, COLUMN_SEPARATOR)
+            .replace(/\p{Zs}/gu, ' ')
+            // Control, format (soft hyphen, zero-width), private-use and unassigned characters
+            .replace(/(?!\n)[\p{Cc}\p{Cf}\p{Co}\p{Cn}]/gu, '')
+            .split('\n')
+            // Runs of 3+ spaces are column gaps, shorter runs are word spacing (justified text)
+            .map(line => line.trim().split(/ {3,}/).map(cell => cell.replace(/ {2}/g, ' ')).join(COLUMN_SEPARATOR))
+            .join('\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Relevance of a page for invoice extraction (totals, VAT, amounts)
+     * @param {string} text - Cleaned page text
+     * @returns {number}
+     */
+    scorePage(text) {
+        const folded = text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+        let score = 0;
+
+        for (const { pattern, weight } of PAGE_KEYWORDS) {
+            score += (folded.match(pattern) || []).length * weight;
+        }
+        score += Math.min((folded.match(AMOUNT_PATTERN) || []).length, 20) * 0.5;
+
+        return score;
+    }
+
+    /**
+     * Fit a document into MAX_TEXT_LENGTH by page. Short documents are returned whole;
+     * otherwise the first page (invoice number, date, parties) and then the
+     * highest-scoring pages are kept, in document order, with omitted pages noted
+     * @param {Array<string>} pages - Cleaned page texts
+     * @returns {string}
+     */
+    selectPages(pages) {
+        const numbered = pages
+            .map((text, index) => ({ text, index }))
+            .filter(page => page.text.length > 0);
+
+        if (numbered.length === 0) {
+            return '';
+        }
+
+        const header = page => pages.length > 1 ? `[Page ${page.index + 1} of ${pages.length}]\n` : '';
+        const whole = numbered.map(page => header(page) + page.text).join('\n\n');
+        if (whole.length <= MAX_TEXT_LENGTH) {
+            return whole;
+        }
+
+        const [first, ...rest] = numbered;
+        const ranked = [first, ...rest.sort((a, b) => this.scorePage(b.text) - this.scorePage(a.text) || a.index - b.index)];
+        const selected = [];
+        let remaining = MAX_TEXT_LENGTH - NOTE_RESERVE;
+
+        for (const page of ranked) {
+            const full = header(page) + page.text;
+            if (full.length <= remaining) {
+                selected.push({ index: page.index, text: full });
+                remaining -= full.length + 2;
+            } else if (remaining >= MIN_PAGE_EXCERPT) {
+                selected.push({ index: page.index, text: `${full.substring(0, remaining)}\n... [page truncated]` });
+                remaining = 0;
+            }
+        }
+
+        const omitted = numbered.length - selected.length;
+        console.log(`📄 PDF text limited to ${selected.length} of ${numbered.length} page(s) for AI token limits`);
+
+        return selected
+            .sort((a, b) => a.index - b.index)
+            .map(page => page.text)
+            .join('\n\n') + (omitted > 0 ? `\n... [${omitted} less relevant page(s) omitted]` : '');
+    }
+
+    /**
+     * Check if email has PDF (or, with OCR, image) attachments that could contain data
      * @param {Array} attachments - Array of attachment objects
      * @returns {boolean} - True if has processable PDF attachments
      */
@@ -183,11 +461,10 @@ class PDFProcessor {
             return false;
         }
 
-        return attachments.some(att =>
-            att.mimeType === 'application/pdf' &&
-            att.attachmentId &&
-            att.size < 5 * 1024 * 1024 // Under 5MB
-        );
+        return attachments.some(att => att.attachmentId && (
+            (att.mimeType === 'application/pdf' && att.size < 5 * 1024 * 1024) || // Under 5MB
+            (ocrProcessor.isEnabled() && ocrProcessor.isImage(att))
+        ));
     }
 }
 
@@ -0,0 +1,93 @@
+/**
+ * Phone Number
+ * Normalizes phone numbers to E.164 ("+302101234567") so the same number written
+ * as "694 123 4567", "+30 694-123-4567" or "0030 6941234567" is stored once.
+ * - Greek numbers: 10 digits after +30 / 0030 or without a country code;
+ *   69X mobiles, 2X landlines (210 Athens, 2310 Thessaloniki, ...), 800/801 and 70 services
+ * - Other countries: only with an explicit +/00 country code, 8-15 digits
+ */
+
+const GREEK_COUNTRY_CODE = '30';
+
+const GREEK_NUMBER_TYPES = [
+    { type: 'mobile', pattern: /^69\d{8}$/ },
+    { type: 'landline', pattern: /^2\d{9}$/ },
+    { type: 'service', pattern: /^(80[01]\d{7}|70\d{8})$/ }
+];
+
+// "ext. 12", "x12", "εσωτ. 12" at the end of the number
+const EXTENSION_PATTERN = /\s*(?:ext\.?|x|εσωτ\.?|εσ\.)\s*(\d{1,6})\s*$/iu;
+// "Τηλ.:", "Κιν.", "Tel:", "Mobile" in front of the number
+const LABEL_PATTERN = /^(?:τηλ(?:έφωνο)?|κιν(?:ητό)?|tel|phone|mob(?:ile)?)\.?\s*:?\s*/iu;
+
+class PhoneNumber {
+    /**
+     * E.164 form of a phone number, or null when it cannot be read
+     * @param {string} raw - As written
+     * @returns {string|null} - e.g. "+306941234567"
+     */
+    normalize(raw) {
+        const parsed = this.parse(raw);
+        return parsed ? parsed.e164 : null;
+    }
+
+    /**
+     * Parse a phone number
+     * @param {string} raw - As written ("694 123 4567", "+30 210-123 4567", "(0030) 2310 123456 εσωτ. 12")
+     * @returns {Object|null} - { e164, country, type, extension }; country "GR" and type
+     *   mobile/landline/service for Greek numbers, null for others. Null when it is not a phone number.
+     */
+    parse(raw) {
+        if (raw === null || raw === undefined) return null;
+
+        let text = String(raw).trim().replace(LABEL_PATTERN, '');
+        let extension = null;
+        const extensionMatch = text.match(EXTENSION_PATTERN);
+        if (extensionMatch) {
+            extension = extensionMatch[1];
+            text = text.slice(0, extensionMatch.index);
+        }
+
+        // Anything besides digits, separators and a leading + is not a phone number
+        if (!/^[+(]?[\d\s().\-/]+$/.test(text)) return null;
+
+        const international = /^\(?(\+|00)/.test(text);
+        let digits = text.replace(/\D/g, '');
+        if (international) {
+            digits = digits.replace(/^00/, '');
+        }
+
+        let national = null;
+        if (digits.startsWith(GREEK_COUNTRY_CODE) && this.greekType(digits.slice(2))) {
+            national = digits.slice(2);
+        } else if (!international && this.greekType(digits)) {
+            national = digits;
+        }
+
+        if (national) {
+            return {
+                e164: `+${GREEK_COUNTRY_CODE}${national}`,
+                country: 'GR',
+                type: this.greekType(national),
+                extension
+            };
+        }
+
+        // Foreign numbers need their country code; a Greek-looking prefix that did not fit is a typo
+        if (!international || digits.startsWith(GREEK_COUNTRY_CODE) || digits.length < 8 || digits.length > 15) {
+            return null;
+        }
+
+        return { e164: `+${digits}`, country: null, type: null, extension };
+    }
+
+    /**
+     * Kind of a 10-digit Greek number, or null when it is not one
+     */
+    greekType(national) {
+        const match = GREEK_NUMBER_TYPES.find(candidate => candidate.pattern.test(national));
+        return match ? match.type : null;
+    }
+}
+
+module.exports = new PhoneNumber();
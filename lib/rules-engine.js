@@ -0,0 +1,294 @@
+const categoryRegistry = require('./category-registry');
+
+/**
+ * Rules Engine
+ * User-defined rules (settings.categoryRules) evaluated for every synced email
+ * before it reaches the AI. The first enabled rule whose conditions all match
+ * decides what happens:
+ * - category: assign the category directly (no AI call)
+ * - skipAI: categorize with the rule-based provider instead of the AI
+ * - autoApprove: move the email to review and run extraction right after sync
+ *
+ * Rules run in ascending priority, then in the order they were created.
+ */
+
+const CONDITION_KEYS = ['from', 'domain', 'subjectPattern', 'attachmentType', 'gmailLabel'];
+const MAX_RULES = 100;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_SUBJECT_PATTERN_LENGTH = 100;
+// +, * or {n,} at the start of the text
+const UNBOUNDED_QUANTIFIER = /^(?:[+*]|\{\d+,\})/;
+const DEFAULT_PRIORITY = 100;
+
+class RulesEngine {
+    constructor() {
+        this.rules = [];
+        // subjectPattern -> RegExp, compiled once per load()
+        this.subjectPatterns = new Map();
+    }
+
+    /**
+     * Replace the active rules
+     * @param {Array} rules - settings.categoryRules
+     */
+    load(rules = []) {
+        const valid = [];
+        const subjectPatterns = new Map();
+
+        for (const rule of rules || []) {
+            const errors = this.validateRule(rule);
+            if (errors.length > 0) {
+                console.warn(`Skipping invalid rule "${rule && rule.name}": ${errors.join('; ')}`);
+                continue;
+            }
+            const normalized = this.normalizeRule(rule);
+            const pattern = normalized.conditions.subjectPattern;
+            if (pattern && !subjectPatterns.has(pattern)) {
+                subjectPatterns.set(pattern, new RegExp(pattern, 'iu'));
+            }
+            valid.push(normalized);
+        }
+
+        // Array.prototype.sort is stable, so equal priorities keep their stored order
+        this.rules = valid.sort((a, b) => a.priority - b.priority);
+        this.subjectPatterns = subjectPatterns;
+    }
+
+    /**
+     * Validate a rule definition
+     * @param {Object} rule - { name, enabled, priority, conditions, actions }
+     * @returns {Array<string>} - Validation errors (empty when valid)
+     */
+    validateRule(rule) {
+        const errors = [];
+
+        if (!rule || typeof rule !== 'object') {
+            return ['Rule must be an object'];
+        }
+
+        if (!rule.name || typeof rule.name !== 'string' || rule.name.length > 80) {
+            errors.push('name is required (max 80 characters)');
+        }
+
+        if (rule.priority !== undefined && !Number.isInteger(rule.priority)) {
+            errors.push('priority must be an integer');
+        }
+
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+            errors.push('enabled must be true or false');
+        }
+
+        const conditions = rule.conditions || {};
+        if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+            errors.push('conditions must be an object');
+        } else {
+            const used = CONDITION_KEYS.filter(key => conditions[key] !== undefined && conditions[key] !== '');
+            if (used.length === 0) {
+                errors.push(`at least one condition is required (${CONDITION_KEYS.join(', ')})`);
+            }
+            used.forEach(key => {
+                if (typeof conditions[key] !== 'string' || conditions[key].length > MAX_PATTERN_LENGTH) {
+                    errors.push(`conditions.${key} must be a string (max ${MAX_PATTERN_LENGTH} characters)`);
+                }
+            });
+            if (typeof conditions.subjectPattern === 'string' && conditions.subjectPattern) {
+                try {
+                    new RegExp(conditions.subjectPattern, 'iu');
+                } catch (error) {
+                    errors.push(`conditions.subjectPattern is not a valid regular expression: ${error.message}`);
+                }
+                if (conditions.subjectPattern.length > MAX_SUBJECT_PATTERN_LENGTH) {
+                    errors.push(`conditions.subjectPattern must be at most ${MAX_SUBJECT_PATTERN_LENGTH} characters`);
+                }
+                if (this.hasNestedQuantifier(conditions.subjectPattern)) {
+                    errors.push('conditions.subjectPattern must not repeat a group that already contains +, * or {n,} (e.g. (a+)+): matching can hang');
+                }
+            }
+        }
+
+        const actions = rule.actions || {};
+        if (typeof actions !== 'object' || Array.isArray(actions)) {
+            errors.push('actions must be an object');
+        } else {
+            if (!actions.category && !actions.skipAI && !actions.autoApprove) {
+                errors.push('at least one action is required (category, skipAI or autoApprove)');
+            }
+            if (actions.category !== undefined && actions.category !== null && !categoryRegistry.has(actions.category)) {
+                errors.push(`actions.category "${actions.category}" is not a known category`);
+            }
+            ['skipAI', 'autoApprove'].forEach(key => {
+                if (actions[key] !== undefined && typeof actions[key] !== 'boolean') {
+                    errors.push(`actions.${key} must be true or false`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Whether a group containing an unbounded quantifier is itself repeated without
+     * bound, the usual cause of catastrophic backtracking: (a+)+, (\w*x)*, ((ab)+c){2,}
+     */
+    hasNestedQuantifier(pattern) {
+        // Per open group: whether it contains an unbounded quantifier
+        const groups = [];
+        let inClass = false;
+
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+
+            if (char === '\\') {
+                i++;
+            } else if (inClass) {
+                inClass = char !== ']';
+            } else if (char === '[') {
+                inClass = true;
+            } else if (char === '(') {
+                groups.push(false);
+            } else if (char === ')') {
+                const quantified = groups.pop();
+                if (quantified && UNBOUNDED_QUANTIFIER.test(pattern.slice(i + 1))) {
+                    return true;
+                }
+                if (quantified && groups.length > 0) {
+                    groups[groups.length - 1] = true;
+                }
+            } else if (groups.length > 0 && UNBOUNDED_QUANTIFIER.test(pattern.slice(i))) {
+                groups[groups.length - 1] = true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Rule with defaults applied and only known condition/action keys kept
+     */
+    normalizeRule(rule) {
+        const conditions = {};
+        CONDITION_KEYS.forEach(key => {
+            if (typeof rule.conditions[key] === 'string' && rule.conditions[key].trim()) {
+                conditions[key] = rule.conditions[key].trim();
+            }
+        });
+
+        return {
+            id: rule.id,
+            name: rule.name.trim(),
+            enabled: rule.enabled !== false,
+            priority: Number.isInteger(rule.priority) ? rule.priority : DEFAULT_PRIORITY,
+            conditions,
+            actions: {
+                category: rule.actions.category ? categoryRegistry.normalizeKey(rule.actions.category) : null,
+                skipAI: rule.actions.skipAI === true,
+                autoApprove: rule.actions.autoApprove === true
+            },
+            createdAt: rule.createdAt || null,
+            updatedAt: rule.updatedAt || null
+        };
+    }
+
+    getAll() {
+        return this.rules;
+    }
+
+    get(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    /**
+     * Rules whose category action points at the given category
+     */
+    getRulesForCategory(category) {
+        return this.rules.filter(rule => rule.actions.category === category);
+    }
+
+    /**
+     * First enabled rule matching the email
+     * @param {Object} email - { from/fromAddress, subject, attachments, labelIds, labelNames }
+     * @returns {Object|null} - { rule, actions } or null when no rule matches
+     */
+    evaluate(email) {
+        for (const rule of this.rules) {
+            if (!rule.enabled) continue;
+
+            if (this.matches(rule.conditions, email)) {
+                const actions = { ...rule.actions };
+                // Categories can be deleted after the rule was written
+                if (actions.category && !categoryRegistry.has(actions.category)) {
+                    actions.category = null;
+                }
+                return { rule, actions };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Every set condition must match (AND)
+     */
+    matches(conditions, email) {
+        const sender = this.getSenderAddress(email);
+
+        if (conditions.from && !sender.includes(conditions.from.toLowerCase())) {
+            return false;
+        }
+
+        if (conditions.domain) {
+            const domain = conditions.domain.toLowerCase().replace(/^@/, '');
+            const senderDomain = sender.split('@')[1] || '';
+            if (senderDomain !== domain && !senderDomain.endsWith(`.${domain}`)) {
+                return false;
+            }
+        }
+
+        if (conditions.subjectPattern && !this.getSubjectPattern(conditions.subjectPattern).test(email.subject || '')) {
+            return false;
+        }
+
+        if (conditions.attachmentType) {
+            const wanted = conditions.attachmentType.toLowerCase().replace(/^\./, '');
+            const hasType = (email.attachments || []).some(att => {
+                const mimeType = (att.mimeType || '').toLowerCase();
+                const extension = (att.filename || '').toLowerCase().split('.').pop();
+                return mimeType === wanted || extension === wanted;
+            });
+            if (!hasType) {
+                return false;
+            }
+        }
+
+        if (conditions.gmailLabel) {
+            const wanted = conditions.gmailLabel.toLowerCase();
+            const labels = [...(email.labelIds || []), ...(email.labelNames || [])].map(label => label.toLowerCase());
+            if (!labels.includes(wanted)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Compiled subjectPattern (compiled by load(); others are compiled on demand)
+     */
+    getSubjectPattern(pattern) {
+        return this.subjectPatterns.get(pattern) || new RegExp(pattern, 'iu');
+    }
+
+    /**
+     * Lowercase sender address from "Name <address>" or a plain address
+     */
+    getSenderAddress(email) {
+        const from = (email.fromAddress || email.from || '').toString();
+        const match = from.match(/<([^>]+)>/);
+        return (match ? match[1] : from).trim().toLowerCase();
+    }
+}
+
+const rulesEngine = new RulesEngine();
+rulesEngine.CONDITION_KEYS = CONDITION_KEYS;
+rulesEngine.MAX_RULES = MAX_RULES;
+
+module.exports = rulesEngine;
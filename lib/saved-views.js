@@ -0,0 +1,122 @@
+const emailQuery = require('./email-query');
+
+/**
+ * Saved Views
+ * Named email lists stored in settings.savedViews and shown as dashboard tabs next
+ * to the stage tabs ("smart folders"). A view is a stage, the list parameters of
+ * email-query.js (filters, sort, order) and the table columns to show, e.g. invoices
+ * of a supplier's domain, dateRange thisMonth, exported false. Views keep parameters,
+ * not results, so their lists and badge counts are always current.
+ */
+
+const STAGES = ['fetched', 'review', 'managed', 'deleted'];
+// Columns a view can show, in table order
+const STAGE_COLUMNS = {
+    fetched: ['date', 'subject', 'from', 'category'],
+    review: ['date', 'subject', 'category', 'confidence', 'customerInfo', 'businessDetails'],
+    managed: ['date', 'subject', 'from', 'category', 'customerInfo', 'businessDetails', 'exportedAt'],
+    deleted: ['date', 'subject', 'from', 'category', 'deletedAt']
+};
+// The stage tabs' columns
+const DEFAULT_COLUMNS = {
+    fetched: STAGE_COLUMNS.fetched,
+    review: STAGE_COLUMNS.review,
+    managed: ['date', 'subject', 'category', 'customerInfo', 'businessDetails'],
+    deleted: STAGE_COLUMNS.deleted
+};
+const MAX_VIEWS = 20;
+const MAX_NAME_LENGTH = 40;
+
+class SavedViews {
+    /**
+     * Validate a view definition
+     * @param {Object} view - { name, stage, filters, sort, order, columns }
+     * @returns {Array<string>} - Validation errors (empty when valid)
+     */
+    validateView(view) {
+        const errors = [];
+
+        if (!view || typeof view !== 'object') {
+            return ['View must be an object'];
+        }
+
+        if (!view.name || typeof view.name !== 'string' || !view.name.trim() || view.name.length > MAX_NAME_LENGTH) {
+            errors.push(`name is required (max ${MAX_NAME_LENGTH} characters)`);
+        }
+
+        if (!STAGES.includes(view.stage)) {
+            errors.push(`stage must be one of ${STAGES.join(', ')}`);
+        }
+
+        const filters = view.filters || {};
+        if (typeof filters !== 'object' || Array.isArray(filters)) {
+            errors.push('filters must be an object');
+        } else {
+            const query = { sort: view.sort, order: view.order };
+            Object.keys(filters).forEach(key => {
+                if (!emailQuery.FILTER_KEYS.includes(key)) {
+                    errors.push(`filters.${key} is not a known filter (${emailQuery.FILTER_KEYS.join(', ')})`);
+                } else if (typeof filters[key] !== 'string') {
+                    errors.push(`filters.${key} must be a string`);
+                } else {
+                    query[key] = filters[key];
+                }
+            });
+            ['sort', 'order'].forEach(key => {
+                if (view[key] !== undefined && view[key] !== null && typeof view[key] !== 'string') {
+                    errors.push(`${key} must be a string`);
+                }
+            });
+            errors.push(...emailQuery.parse(query).errors);
+        }
+
+        if (view.columns !== undefined) {
+            const columns = STAGE_COLUMNS[view.stage] || [];
+            if (!Array.isArray(view.columns) || view.columns.length === 0) {
+                errors.push('columns must be a non-empty list');
+            } else {
+                const unknown = view.columns.filter(column => !columns.includes(column));
+                if (unknown.length > 0) {
+                    errors.push(`columns "${unknown.join('", "')}" are not columns of the ${view.stage} list`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * View with empty filters dropped, columns in table order and defaults applied
+     */
+    normalizeView(view) {
+        const filters = {};
+        emailQuery.FILTER_KEYS.forEach(key => {
+            if (typeof view.filters?.[key] === 'string' && view.filters[key].trim()) {
+                filters[key] = view.filters[key].trim();
+            }
+        });
+
+        const columns = STAGE_COLUMNS[view.stage];
+        return {
+            id: view.id,
+            name: view.name.trim(),
+            stage: view.stage,
+            filters,
+            sort: view.sort || null,
+            order: view.order || null,
+            columns: Array.isArray(view.columns)
+                ? columns.filter(column => view.columns.includes(column))
+                : DEFAULT_COLUMNS[view.stage],
+            createdAt: view.createdAt || null,
+            updatedAt: view.updatedAt || null
+        };
+    }
+}
+
+const savedViews = new SavedViews();
+savedViews.STAGES = STAGES;
+savedViews.STAGE_COLUMNS = STAGE_COLUMNS;
+savedViews.DEFAULT_COLUMNS = DEFAULT_COLUMNS;
+savedViews.MAX_VIEWS = MAX_VIEWS;
+
+module.exports = savedViews;
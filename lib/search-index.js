@@ -0,0 +1,289 @@
+const extractionSchema = require('./extraction-schema');
+
+/**
+ * Search Index
+ * In-memory inverted index over email subjects, senders, bodies, attachment (PDF/OCR)
+ * text and extracted fields. Built at startup from the storage and updated whenever
+ * an email or its extracted data is saved (see database.js indexEmail()).
+ *
+ * Text is folded before indexing and searching: lower case, accents removed and final
+ * sigma as sigma, so "τιμολόγιο", "ΤΙΜΟΛΟΓΙΟ" and "τιμολογιο" are the same term.
+ * Every query word must match a word of the email (or its beginning, from 3 letters:
+ * "τιμολογ" finds "Τιμολόγιο"). Results are ranked by where the words were found
+ * (subject > sender and extracted fields > body and attachments), then newest first.
+ */
+
+const FIELD_WEIGHTS = { subject: 4, from: 2, extracted: 2, body: 1, attachments: 1 };
+const FIELD_BITS = { subject: 1, from: 2, extracted: 4, body: 8, attachments: 16 };
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 40;
+const MIN_PREFIX_LENGTH = 3;
+const MAX_QUERY_TERMS = 10;
+const SNIPPET_LENGTH = 160;
+const MAX_SNIPPETS = 3;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+class SearchIndex {
+    constructor() {
+        this.postings = new Map(); // term -> Map(emailId -> field bits)
+        this.documents = new Map(); // emailId -> { terms, status, date }
+    }
+
+    /**
+     * Lower case without accents, final sigma as sigma
+     */
+    fold(value) {
+        return String(value || '')
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '')
+            .toLowerCase()
+            .replace(/ς/g, 'σ');
+    }
+
+    tokenize(text) {
+        return this.fold(text)
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(term => term.length >= MIN_TERM_LENGTH && term.length <= MAX_TERM_LENGTH);
+    }
+
+    /**
+     * Searchable text of an email, by field
+     * @param {Object} email - Email record
+     * @param {Object|null} record - Its extracted data
+     * @returns {Array} - [{ field, name, label, text }]; field is subject, from, body,
+     *   attachments or extracted (name is then the schema field)
+     */
+    getFields(email, record = null) {
+        const fields = [
+            { field: 'subject', name: 'subject', label: 'Subject', text: email.subject },
+            { field: 'from', name: 'from', label: 'From', text: [email.fromName, email.fromAddress].filter(Boolean).join(' ') }
+        ];
+
+        if (record) {
+            extractionSchema.getFields(record.category).forEach(field => {
+                const value = record[field.name];
+                if (value !== null && value !== undefined && value !== '') {
+                    fields.push({ field: 'extracted', name: field.name, label: field.labels.en, text: String(value) });
+                }
+            });
+        }
+
+        fields.push(
+            { field: 'body', name: 'body', label: 'Body', text: email.body },
+            { field: 'attachments', name: 'attachments', label: 'Attachments', text: email.attachmentText }
+        );
+
+        return fields.filter(field => field.text);
+    }
+
+    /**
+     * Replace the index with all emails
+     * @param {Array} emails - Every email, deleted ones included
+     * @param {Map} records - emailId -> extracted data
+     */
+    build(emails, records = new Map()) {
+        this.postings.clear();
+        this.documents.clear();
+        emails.forEach(email => this.update(email, records.get(email.id) || null));
+    }
+
+    /**
+     * Index an email, replacing what was indexed for it before
+     */
+    update(email, record = null) {
+        this.remove(email.id);
+
+        const terms = new Map();
+        this.getFields(email, record).forEach(({ field, text }) => {
+            this.tokenize(text).forEach(term => {
+                terms.set(term, (terms.get(term) || 0) | FIELD_BITS[field]);
+            });
+        });
+
+        terms.forEach((bits, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(email.id, bits);
+        });
+
+        const time = Date.parse(email.date);
+        this.documents.set(email.id, {
+            terms: Array.from(terms.keys()),
+            status: email.status,
+            date: Number.isNaN(time) ? 0 : time
+        });
+    }
+
+    remove(emailId) {
+        const document = this.documents.get(emailId);
+        if (!document) return;
+
+        document.terms.forEach(term => {
+            const posting = this.postings.get(term);
+            if (!posting) return;
+            posting.delete(emailId);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        });
+        this.documents.delete(emailId);
+    }
+
+    /**
+     * Emails containing every word of the query, best first
+     * @param {string} query - Words to find
+     * @param {Object} options - { statuses: statuses to include (default: all but DELETED) }
+     * @returns {Array} - [{ emailId, score }]
+     */
+    search(query, options = {}) {
+        const words = Array.from(new Set(this.tokenize(query))).slice(0, MAX_QUERY_TERMS);
+        if (words.length === 0) return [];
+
+        const statuses = options.statuses || null;
+        let scores = null;
+
+        for (const word of words) {
+            const wordScores = new Map();
+            this.matchingTerms(word).forEach(({ term, exact }) => {
+                this.postings.get(term).forEach((bits, emailId) => {
+                    // A whole word counts more than the beginning of one
+                    const score = this.weight(bits) * (exact ? 2 : 1);
+                    wordScores.set(emailId, Math.max(wordScores.get(emailId) || 0, score));
+                });
+            });
+
+            if (scores === null) {
+                scores = wordScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, emailId) => {
+                    if (wordScores.has(emailId)) {
+                        combined.set(emailId, score + wordScores.get(emailId));
+                    }
+                });
+                scores = combined;
+            }
+            if (scores.size === 0) return [];
+        }
+
+        return Array.from(scores.entries())
+            .filter(([emailId]) => {
+                const status = this.documents.get(emailId).status;
+                return statuses ? statuses.includes(status) : status !== 'DELETED';
+            })
+            .map(([emailId, score]) => ({ emailId, score }))
+            .sort((a, b) => b.score - a.score ||
+                this.documents.get(b.emailId).date - this.documents.get(a.emailId).date);
+    }
+
+    /**
+     * Indexed terms a query word matches: itself, and longer words it begins
+     */
+    matchingTerms(word) {
+        const matches = this.postings.has(word) ? [{ term: word, exact: true }] : [];
+        if (word.length >= MIN_PREFIX_LENGTH) {
+            this.postings.forEach((posting, term) => {
+                if (term !== word && term.startsWith(word)) {
+                    matches.push({ term, exact: false });
+                }
+            });
+        }
+        return matches;
+    }
+
+    weight(bits) {
+        return Object.entries(FIELD_BITS)
+            .filter(([, bit]) => bits & bit)
+            .reduce((total, [field]) => total + FIELD_WEIGHTS[field], 0);
+    }
+
+    /**
+     * Snippets of the fields that contain the query words, with the words in <mark>
+     * @param {Array} fields - From getFields()
+     * @param {string} query - Words searched for
+     * @returns {Array} - [{ field, name, label, html }]; html is escaped apart from the marks
+     */
+    getSnippets(fields, query) {
+        const words = Array.from(new Set(this.tokenize(query)));
+
+        return fields
+            .map(field => ({ field, html: this.highlight(field.text, words) }))
+            .filter(result => result.html !== null)
+            .sort((a, b) => FIELD_WEIGHTS[b.field.field] - FIELD_WEIGHTS[a.field.field])
+            .slice(0, MAX_SNIPPETS)
+            .map(({ field, html }) => ({ field: field.field, name: field.name, label: field.label, html }));
+    }
+
+    /**
+     * Part of a text around the first match, with every matching word marked
+     * @returns {string|null} - Null when no word matches
+     */
+    highlight(text, words) {
+        text = String(text);
+
+        // Folded text, with the position in the original text of each folded character
+        let folded = '';
+        const positions = [];
+        for (let index = 0; index < text.length;) {
+            const char = String.fromCodePoint(text.codePointAt(index));
+            const foldedChar = this.fold(char);
+            folded += foldedChar;
+            for (let i = 0; i < foldedChar.length; i++) positions.push(index);
+            index += char.length;
+        }
+        positions.push(text.length);
+
+        // Words starting with a query word, marked to the end of the word
+        const ranges = [];
+        for (let start = 0; start < folded.length; start++) {
+            if (start > 0 && WORD_CHAR.test(folded[start - 1])) continue;
+            if (!words.some(word => folded.startsWith(word, start))) continue;
+
+            let end = start;
+            while (end < folded.length && WORD_CHAR.test(folded[end])) end++;
+            ranges.push([positions[start], positions[end]]);
+            start = end;
+        }
+        if (ranges.length === 0) return null;
+
+        // Window around the first match, cut at spaces
+        let from = Math.max(0, ranges[0][0] - Math.floor(SNIPPET_LENGTH / 3));
+        let to = Math.min(text.length, from + SNIPPET_LENGTH);
+        if (from > 0) {
+            const space = text.indexOf(' ', from);
+            if (space !== -1 && space < ranges[0][0]) from = space + 1;
+        }
+        if (to < text.length) {
+            const space = text.lastIndexOf(' ', to);
+            if (space > ranges[0][1]) to = space;
+        }
+
+        let html = from > 0 ? '…' : '';
+        let cursor = from;
+        ranges
+            .filter(([start, end]) => start >= from && end <= to)
+            .forEach(([start, end]) => {
+                html += this.escapeHTML(text.slice(cursor, start)) + `<mark>${this.escapeHTML(text.slice(start, end))}</mark>`;
+                cursor = end;
+            });
+        html += this.escapeHTML(text.slice(cursor, to)) + (to < text.length ? '…' : '');
+
+        return html.replace(/\s+/g, ' ').trim();
+    }
+
+    escapeHTML(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    getStats() {
+        return { emails: this.documents.size, terms: this.postings.size };
+    }
+}
+
+module.exports = new SearchIndex();
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Data Directory Lock
+ * Keeps a second server process from using the same data/ directory. The lock
+ * is a file created exclusively (data/.lock) holding the owner's pid, host and
+ * start time; it is removed when the process exits. A lock left behind by a
+ * process that is no longer running (crash, kill -9, container restart) is
+ * taken over. Locks of other hosts (shared volumes) cannot be checked and are
+ * always respected.
+ */
+
+const LOCK_FILE = '.lock';
+
+class DataDirLock {
+    constructor(dataDir) {
+        this.filepath = path.join(dataDir, LOCK_FILE);
+        this.held = false;
+        this.releaseOnExit = () => this.release();
+    }
+
+    /**
+     * Take the lock or throw when another running process holds it
+     */
+    acquire() {
+        if (this.held) return;
+        fs.mkdirSync(path.dirname(this.filepath), { recursive: true });
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                fs.writeFileSync(this.filepath, JSON.stringify({
+                    pid: process.pid,
+                    hostname: os.hostname(),
+                    startedAt: new Date().toISOString()
+                }), { flag: 'wx' });
+                this.held = true;
+                process.once('exit', this.releaseOnExit);
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const owner = this.readOwner();
+            if (owner && this.isRunning(owner)) {
+                throw new Error(
+                    `${path.dirname(this.filepath)} is in use by another AEMS process ` +
+                    `(pid ${owner.pid} on ${owner.hostname}, since ${owner.startedAt}). ` +
+                    `Stop it first, or delete ${this.filepath} if it is no longer running.`
+                );
+            }
+
+            console.warn(`🔓 Taking over stale data lock${owner ? ` of pid ${owner.pid}` : ''}`);
+            fs.rmSync(this.filepath, { force: true });
+        }
+
+        throw new Error(`Could not lock ${path.dirname(this.filepath)}`);
+    }
+
+    release() {
+        if (!this.held) return;
+        this.held = false;
+        process.removeListener('exit', this.releaseOnExit);
+
+        // Only remove the file while it is still ours
+        const owner = this.readOwner();
+        if (owner && owner.pid === process.pid && owner.hostname === os.hostname()) {
+            fs.rmSync(this.filepath, { force: true });
+        }
+    }
+
+    /**
+     * @returns {Object|null} - { pid, hostname, startedAt } or null when missing or unreadable
+     */
+    readOwner() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filepath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isRunning(owner) {
+        if (owner.hostname !== os.hostname()) return true;
+        // Our own pid in a lock we do not hold: a previous run that got the same pid (containers)
+        if (owner.pid === process.pid) return false;
+
+        try {
+            process.kill(owner.pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM: the process exists but belongs to another user
+            return error.code === 'EPERM';
+        }
+    }
+}
+
+DataDirLock.LOCK_FILE = LOCK_FILE;
+
+module.exports = DataDirLock;
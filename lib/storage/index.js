@@ -0,0 +1,38 @@
+const JsonStorage = require('./json-storage');
+
+/**
+ * Storage
+ * Picks the storage adapter from STORAGE_BACKEND:
+ * - sqlite (default): one SQLite file with indexes, see sqlite-storage.js
+ * - json: JSON files per status and category, see json-storage.js
+ *
+ * Adapters implement the same async interface: init(defaults), ensureCategories(),
+ * readDocument/writeDocument, insertEmails, getEmails, getEmailById, getEmailsByIds, saveEmail,
+ * updateEmails,
+ * getGmailIds, getExtractedData, getExtractedDataByEmailId, saveExtractedData,
+ * insertNotification, getNotifications and close().
+ */
+
+const BACKENDS = ['sqlite', 'json'];
+const DEFAULT_BACKEND = 'sqlite';
+
+/**
+ * @param {string} dataDir - Data directory
+ * @param {string} backend - 'sqlite' or 'json' (defaults to STORAGE_BACKEND)
+ */
+function createStorage(dataDir, backend = process.env.STORAGE_BACKEND) {
+    const name = (backend || DEFAULT_BACKEND).toLowerCase();
+
+    if (name === 'json') {
+        return new JsonStorage(dataDir);
+    }
+    if (name !== 'sqlite') {
+        throw new Error(`Unknown STORAGE_BACKEND "${backend}", expected one of: ${BACKENDS.join(', ')}`);
+    }
+
+    // Loaded on demand so JSON installs do not need the native module
+    const SqliteStorage = require('./sqlite-storage');
+    return new SqliteStorage(dataDir);
+}
+
+module.exports = { createStorage, BACKENDS, DEFAULT_BACKEND };
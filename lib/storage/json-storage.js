@@ -0,0 +1,595 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const writeFileAtomic = require('write-file-atomic');
+const categoryRegistry = require('../category-registry');
+
+/**
+ * JSON Storage
+ * Storage adapter keeping everything in JSON files under data/: one file per
+ * category in each email status, one per category of extracted data, and one
+ * file per document (users, settings, corrections, contacts). Every read
+ * parses a whole file and every write rewrites it, which is fine for small
+ * installs; larger ones use SqliteStorage.
+ *
+ * Writes that span files (an email moving to another status or category, new
+ * emails of several categories) and extracted-data writes go through a
+ * write-ahead journal: the change is first written to data/.journal/, then
+ * applied, then the journal entry is removed. Entries left by a crash are
+ * replayed in init(); applying an entry twice gives the same result. Every
+ * read-modify-write of an email or extracted-data file, journaled or not, runs
+ * in one queue, so no write puts back an array another write has changed.
+ */
+
+// File locking mechanism to prevent race conditions
+class FileLock {
+    constructor() {
+        this.locks = new Map();
+    }
+
+    async acquireLock(filepath, timeout = 5000) {
+        const lockKey = path.resolve(filepath);
+
+        // Wait for existing lock to be released
+        const startTime = Date.now();
+        while (this.locks.has(lockKey)) {
+            if (Date.now() - startTime > timeout) {
+                throw new Error(`Lock timeout for file: ${filepath}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+
+        // Acquire lock
+        this.locks.set(lockKey, Date.now());
+
+        return () => {
+            this.locks.delete(lockKey);
+        };
+    }
+}
+
+const fileLock = new FileLock();
+
+const DOCUMENT_FILES = {
+    users: 'users.json',
+    settings: 'settings.json',
+    corrections: 'corrections.json',
+    contacts: 'contacts.json'
+};
+
+const STATUSES = ['FETCHED', 'REVIEW', 'MANAGED', 'DELETED'];
+
+const JOURNAL_DIR = '.journal';
+
+class JsonStorage {
+    constructor(dataDir) {
+        this.name = 'json';
+        this.dataDir = dataDir;
+        this.structure = this.buildStructure();
+        this.journalDir = path.join(dataDir, JOURNAL_DIR);
+        this.journalSequence = 0;
+        // Changes to email and extracted-data files are applied one at a time, in order
+        this.applying = Promise.resolve();
+    }
+
+    // Directory layout: one file per category in each status, driven by the category registry
+    buildStructure() {
+        return {
+            emails: {
+                fetched: categoryRegistry.getFileMap(),
+                review: categoryRegistry.getFileMap(),
+                managed: categoryRegistry.getFileMap(),
+                deleted: {
+                    'all.json': 'all'
+                }
+            },
+            'extracted-data': categoryRegistry.getFileMap(true),
+            attachments: {
+                'all.json': 'all'
+            },
+            notifications: {
+                'all.json': 'all'
+            }
+        };
+    }
+
+    /**
+     * Create the data directory and the document files that do not exist yet,
+     * and finish the writes a crash interrupted (journal replay)
+     * @param {Object} defaults - Initial value per document name
+     * @returns {Promise<Array>} - Names of the documents that were created
+     */
+    async init(defaults) {
+        await fs.mkdir(this.journalDir, { recursive: true });
+        await this.replayJournal();
+
+        const created = [];
+        for (const [name, filename] of Object.entries(DOCUMENT_FILES)) {
+            const filepath = path.join(this.dataDir, filename);
+            try {
+                await fs.access(filepath);
+            } catch (error) {
+                await fs.writeFile(filepath, JSON.stringify(defaults[name] ?? [], null, 2));
+                created.push(name);
+            }
+        }
+
+        return created;
+    }
+
+    /**
+     * Create the files of categories added since startup (custom categories)
+     */
+    async ensureCategories() {
+        this.structure = this.buildStructure();
+
+        // Create modular directory structure
+        for (const [mainDir, structure] of Object.entries(this.structure)) {
+            const mainDirPath = path.join(this.dataDir, mainDir);
+
+            try {
+                await fs.access(mainDirPath);
+            } catch (error) {
+                await fs.mkdir(mainDirPath, { recursive: true });
+            }
+
+            // Create subdirectories and files
+            if (typeof structure === 'object' && !Array.isArray(structure)) {
+                for (const [subDir, files] of Object.entries(structure)) {
+                    if (typeof files === 'object') {
+                        // It's a subdirectory with files
+                        const subDirPath = path.join(mainDirPath, subDir);
+                        try {
+                            await fs.access(subDirPath);
+                        } catch (error) {
+                            await fs.mkdir(subDirPath, { recursive: true });
+                        }
+
+                        // Initialize files in subdirectory
+                        for (const filename of Object.keys(files)) {
+                            const filepath = path.join(subDirPath, filename);
+                            try {
+                                await fs.access(filepath);
+                            } catch (error) {
+                                await fs.writeFile(filepath, JSON.stringify([], null, 2));
+                            }
+                        }
+                    } else {
+                        // It's a direct file in main directory
+                        const filepath = path.join(mainDirPath, subDir);
+                        try {
+                            await fs.access(filepath);
+                        } catch (error) {
+                            await fs.writeFile(filepath, JSON.stringify([], null, 2));
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    // Helper methods to get file paths
+    getEmailFilePath(status, category) {
+        const statusDir = status.toLowerCase();
+        let filename;
+
+        if (status === 'DELETED') {
+            filename = 'all.json';
+        } else {
+            filename = categoryRegistry.getStorageFile(category);
+        }
+
+        return path.join(this.dataDir, 'emails', statusDir, filename);
+    }
+
+    getExtractedDataFilePath(category) {
+        const filename = categoryRegistry.getStorageFile(category);
+        return path.join(this.dataDir, 'extracted-data', filename);
+    }
+
+    getNotificationsFilePath() {
+        return path.join(this.dataDir, 'notifications', 'all.json');
+    }
+
+    // Generic file operations
+    async readJsonFile(filepath) {
+        try {
+            const data = await fs.readFile(filepath, 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async writeJsonFile(filepath, data) {
+        const releaseLock = await fileLock.acquireLock(filepath);
+        try {
+            // Use atomic write to prevent race conditions and data corruption
+            await writeFileAtomic(filepath, JSON.stringify(data, null, 2));
+            return true;
+        } catch (error) {
+            console.error('Error writing file:', filepath, error);
+            return false;
+        } finally {
+            releaseLock();
+        }
+    }
+
+    // ===============================
+    // WRITE-AHEAD JOURNAL
+    // ===============================
+
+    /**
+     * Apply a change through the journal: written (and synced) first, removed once applied.
+     * Only a crash leaves the entry for the next start. A write that fails while running
+     * throws, and its entry is removed: replayed later, after newer writes, its snapshot
+     * would put back data they have changed.
+     * @param {Object} entry - { type, ... } with paths relative to the data directory
+     */
+    async journaled(entry) {
+        // Sortable names: entries are replayed in the order they were written
+        const sequence = String(this.journalSequence++).padStart(6, '0');
+        const entryPath = path.join(this.journalDir, `${Date.now()}-${sequence}-${uuidv4()}.json`);
+        await writeFileAtomic(entryPath, JSON.stringify(entry));
+
+        try {
+            await this.serialized(() => this.applyJournalEntry(entry));
+        } catch (error) {
+            console.error(`Journaled ${entry.type} not applied:`, error.message);
+            throw error;
+        } finally {
+            await fs.rm(entryPath, { force: true });
+        }
+    }
+
+    /**
+     * Run a read-modify-write of data files after the changes queued before it
+     */
+    serialized(task) {
+        const run = this.applying.then(task);
+        this.applying = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Apply the journal entries a crash left behind, oldest first
+     * @returns {Promise<number>} - Number of entries replayed
+     */
+    async replayJournal() {
+        const files = (await fs.readdir(this.journalDir)).filter(file => file.endsWith('.json')).sort();
+        let replayed = 0;
+
+        for (const file of files) {
+            const entryPath = path.join(this.journalDir, file);
+            let entry;
+            try {
+                entry = JSON.parse(await fs.readFile(entryPath, 'utf8'));
+            } catch (error) {
+                // Crashed while writing the entry: the change was never applied either
+                console.warn(`Discarding unreadable journal entry ${file}`);
+                await fs.rm(entryPath, { force: true });
+                continue;
+            }
+
+            await this.applyJournalEntry(entry);
+            await fs.rm(entryPath, { force: true });
+            replayed++;
+        }
+
+        if (replayed > 0) {
+            console.log(`📒 Replayed ${replayed} journal entr${replayed === 1 ? 'y' : 'ies'}`);
+        }
+        return replayed;
+    }
+
+    /**
+     * Apply one journal entry; idempotent, so a replay after a partial apply is safe
+     */
+    async applyJournalEntry(entry) {
+        const write = async (file, data) => {
+            if (!(await this.writeJsonFile(path.join(this.dataDir, file), data))) {
+                throw new Error(`Could not write ${file}`);
+            }
+        };
+
+        switch (entry.type) {
+            case 'insertEmails':
+                // { files: { file: [emails, newest first] } }; emails already there are skipped
+                for (const [file, emails] of Object.entries(entry.files)) {
+                    const existing = await this.readJsonFile(path.join(this.dataDir, file));
+                    const ids = new Set(existing.map(email => email.id));
+                    const missing = emails.filter(email => !ids.has(email.id));
+                    if (missing.length > 0) {
+                        await write(file, [...missing, ...existing]);
+                    }
+                }
+                break;
+
+            case 'moveEmail': {
+                // { email, from, to }: written to the new file before it leaves the old one
+                const target = await this.readJsonFile(path.join(this.dataDir, entry.to));
+                const index = target.findIndex(item => item.id === entry.email.id);
+                if (index === -1) {
+                    target.unshift(entry.email);
+                } else {
+                    target[index] = entry.email;
+                }
+                await write(entry.to, target);
+
+                const source = await this.readJsonFile(path.join(this.dataDir, entry.from));
+                if (source.some(item => item.id === entry.email.id)) {
+                    await write(entry.from, source.filter(item => item.id !== entry.email.id));
+                }
+                break;
+            }
+
+            case 'saveExtractedData': {
+                // { file, record }: updated in place by id, otherwise replaces the email's earlier record
+                const records = await this.readJsonFile(path.join(this.dataDir, entry.file));
+                const index = records.findIndex(item => item.id === entry.record.id);
+                if (index !== -1) {
+                    records[index] = entry.record;
+                    await write(entry.file, records);
+                } else {
+                    await write(entry.file, [entry.record, ...records.filter(item => item.emailId !== entry.record.emailId)]);
+                }
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown journal entry type: ${entry.type}`);
+        }
+    }
+
+    relativePath(filepath) {
+        return path.relative(this.dataDir, filepath);
+    }
+
+    // ===============================
+    // DOCUMENTS
+    // ===============================
+
+    /**
+     * @returns {Promise<*>} - The document, or null when it is missing or unreadable
+     */
+    async readDocument(name) {
+        try {
+            const data = await fs.readFile(path.join(this.dataDir, DOCUMENT_FILES[name]), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async writeDocument(name, value) {
+        return await this.writeJsonFile(path.join(this.dataDir, DOCUMENT_FILES[name]), value);
+    }
+
+    // ===============================
+    // EMAILS
+    // ===============================
+
+    /**
+     * Add new emails, newest first, to the file of their status and category
+     */
+    async insertEmails(emails) {
+        const files = {};
+        for (const email of emails) {
+            const file = this.relativePath(this.getEmailFilePath(email.status, email.category));
+            (files[file] = files[file] || []).push(email);
+        }
+
+        await this.journaled({ type: 'insertEmails', files });
+    }
+
+    /**
+     * Emails by status, category and user; soft-deleted emails only with status DELETED or no status
+     * @param {Object} filters - { status, category, userId }
+     */
+    async getEmails(filters = {}) {
+        const results = [];
+
+        if (filters.status && filters.category) {
+            // Get from specific file
+            const filepath = this.getEmailFilePath(filters.status, filters.category);
+            const emails = await this.readJsonFile(filepath);
+            results.push(...emails.filter(email => filters.status === 'DELETED' || !email.isDeleted));
+        } else {
+            // Get all categories of the status, or of every status
+            const statuses = filters.status ? [filters.status] : STATUSES;
+            for (const status of statuses) {
+                if (status === 'DELETED') {
+                    const emails = await this.readJsonFile(this.getEmailFilePath(status, 'all'));
+                    results.push(...emails);
+                } else {
+                    for (const category of categoryRegistry.getKeys()) {
+                        const emails = await this.readJsonFile(this.getEmailFilePath(status, category));
+                        results.push(...emails.filter(email => !email.isDeleted));
+                    }
+                }
+            }
+        }
+
+        // Apply additional filters
+        let filtered = results;
+        if (filters.category && (!filters.status || filters.status === 'DELETED')) {
+            filtered = filtered.filter(email => email.category === filters.category);
+        }
+        if (filters.userId) {
+            filtered = filtered.filter(email => email.userId === filters.userId);
+        }
+
+        return filtered;
+    }
+
+    async getEmailById(emailId) {
+        // Search across all email files
+        for (const status of STATUSES) {
+            if (status === 'DELETED') {
+                const emails = await this.readJsonFile(this.getEmailFilePath(status, 'all'));
+                const found = emails.find(email => email.id === emailId);
+                if (found) return found;
+            } else {
+                for (const category of categoryRegistry.getKeys()) {
+                    const emails = await this.readJsonFile(this.getEmailFilePath(status, category));
+                    const found = emails.find(email => email.id === emailId && !email.isDeleted);
+                    if (found) return found;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Emails with the given ids, in no particular order; unknown ids are left out and,
+     * as in getEmails(), soft-deleted emails only with status DELETED. Stops reading
+     * files once every id is found.
+     */
+    async getEmailsByIds(emailIds) {
+        const wanted = new Set(emailIds);
+        const found = [];
+
+        for (const status of STATUSES) {
+            const categories = status === 'DELETED' ? ['all'] : categoryRegistry.getKeys();
+            for (const category of categories) {
+                if (wanted.size === 0) return found;
+
+                const emails = await this.readJsonFile(this.getEmailFilePath(status, category));
+                emails.forEach(email => {
+                    if (wanted.has(email.id) && (status === 'DELETED' || !email.isDeleted)) {
+                        found.push(email);
+                        wanted.delete(email.id);
+                    }
+                });
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Store an updated email; a changed status or category moves it to the front of its new file
+     * @param {Object} email - Updated email
+     * @param {Object} previous - The email as stored before the update
+     */
+    async saveEmail(email, previous) {
+        const filepath = this.getEmailFilePath(email.status, email.category);
+        const previousFilepath = this.getEmailFilePath(previous.status, previous.category);
+
+        if (previousFilepath !== filepath) {
+            await this.journaled({
+                type: 'moveEmail',
+                email,
+                from: this.relativePath(previousFilepath),
+                to: this.relativePath(filepath)
+            });
+            return;
+        }
+
+        // Update in same file, read and written in the queue of the journaled changes
+        await this.serialized(async () => {
+            const emails = await this.readJsonFile(filepath);
+            const emailIndex = emails.findIndex(item => item.id === email.id);
+            if (emailIndex !== -1) {
+                emails[emailIndex] = email;
+                if (!(await this.writeJsonFile(filepath, emails))) {
+                    throw new Error(`Could not write ${this.relativePath(filepath)}`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Store several updated emails whose status and category did not change,
+     * with one write per file
+     */
+    async updateEmails(emails) {
+        const files = new Map();
+        for (const email of emails) {
+            const filepath = this.getEmailFilePath(email.status, email.category);
+            if (!files.has(filepath)) files.set(filepath, new Map());
+            files.get(filepath).set(email.id, email);
+        }
+
+        await this.serialized(async () => {
+            for (const [filepath, updates] of files) {
+                const stored = await this.readJsonFile(filepath);
+                await this.writeJsonFile(filepath, stored.map(item => updates.get(item.id) || item));
+            }
+        });
+    }
+
+    /**
+     * Gmail ids of the emails in the given statuses (duplicate check for sync)
+     * @returns {Promise<Set>}
+     */
+    async getGmailIds(statuses) {
+        const gmailIds = new Set();
+        for (const status of statuses) {
+            for (const category of categoryRegistry.getKeys()) {
+                const emails = await this.readJsonFile(this.getEmailFilePath(status, category));
+                emails.forEach(email => gmailIds.add(email.gmailId));
+            }
+        }
+        return gmailIds;
+    }
+
+    // ===============================
+    // EXTRACTED DATA
+    // ===============================
+
+    async getExtractedData(category) {
+        return await this.readJsonFile(this.getExtractedDataFilePath(category));
+    }
+
+    async getExtractedDataByEmailId(emailId) {
+        // Check every category that has extracted data
+        for (const category of categoryRegistry.getExtractable()) {
+            const data = await this.readJsonFile(this.getExtractedDataFilePath(category.key));
+            const found = data.find(item => item.emailId === emailId && !item.isDeleted);
+            if (found) return found;
+        }
+
+        return null;
+    }
+
+    /**
+     * Store extracted data: an existing record with the same id is updated in place,
+     * otherwise the record replaces any earlier one of its email (one-to-one)
+     */
+    async saveExtractedData(record) {
+        await this.journaled({
+            type: 'saveExtractedData',
+            file: this.relativePath(this.getExtractedDataFilePath(record.category)),
+            record
+        });
+        return true;
+    }
+
+    // ===============================
+    // NOTIFICATIONS
+    // ===============================
+
+    async insertNotification(notification) {
+        const filepath = this.getNotificationsFilePath();
+        const notifications = await this.readJsonFile(filepath);
+        notifications.unshift(notification);
+        await this.writeJsonFile(filepath, notifications);
+    }
+
+    /**
+     * A user's notifications that are not deleted, newest first
+     */
+    async getNotifications(userId) {
+        const notifications = await this.readJsonFile(this.getNotificationsFilePath());
+        return notifications.filter(notif => notif.userId === userId && !notif.isDeleted);
+    }
+
+    // Every write is on disk when it returns
+    close() {}
+}
+
+JsonStorage.DOCUMENT_FILES = DOCUMENT_FILES;
+
+module.exports = JsonStorage;
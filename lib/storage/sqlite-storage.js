@@ -0,0 +1,400 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const JsonStorage = require('./json-storage');
+
+/**
+ * SQLite Storage
+ * Storage adapter keeping everything in one SQLite file (data/aems.sqlite).
+ * Records are stored as JSON next to indexed columns for the lookups the app
+ * makes: emails by id, gmailId, status, category and date, extracted data by
+ * email. Rows are returned newest first (by insertion, like the JSON files).
+ *
+ * On first start next to an existing JSON data tree, the tree is imported once;
+ * the JSON files are left in place as they were, but are no longer read.
+ */
+
+const DATABASE_FILE = 'aems.sqlite';
+// Ids bound per IN (...) query, below SQLite's parameter limit
+const MAX_IDS_PER_QUERY = 500;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS emails (
+        id TEXT PRIMARY KEY,
+        gmail_id TEXT,
+        status TEXT NOT NULL,
+        category TEXT,
+        date TEXT,
+        user_id TEXT,
+        is_deleted INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS emails_gmail_id ON emails (gmail_id);
+    CREATE INDEX IF NOT EXISTS emails_status_category ON emails (status, category);
+    CREATE INDEX IF NOT EXISTS emails_category ON emails (category);
+    CREATE INDEX IF NOT EXISTS emails_date ON emails (date);
+
+    CREATE TABLE IF NOT EXISTS extracted_data (
+        id TEXT PRIMARY KEY,
+        email_id TEXT NOT NULL UNIQUE,
+        category TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS extracted_data_category ON extracted_data (category);
+
+    CREATE TABLE IF NOT EXISTS notifications (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS notifications_user_id ON notifications (user_id);
+
+    CREATE TABLE IF NOT EXISTS documents (
+        name TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+`;
+
+function parseRows(rows) {
+    return rows.map(row => JSON.parse(row.data));
+}
+
+function emailRow(email) {
+    return {
+        id: email.id,
+        gmailId: email.gmailId ?? null,
+        status: email.status,
+        category: email.category ?? null,
+        date: email.date ?? null,
+        userId: email.userId ?? null,
+        isDeleted: email.isDeleted ? 1 : 0,
+        data: JSON.stringify(email)
+    };
+}
+
+class SqliteStorage {
+    constructor(dataDir) {
+        this.name = 'sqlite';
+        this.dataDir = dataDir;
+        this.filepath = path.join(dataDir, DATABASE_FILE);
+
+        fs.mkdirSync(dataDir, { recursive: true });
+        this.db = new Database(this.filepath);
+        // Readers do not wait for writers; backups go through backup(), not a file copy
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(SCHEMA);
+
+        this.statements = {
+            insertEmail: this.db.prepare(`
+                INSERT OR REPLACE INTO emails (id, gmail_id, status, category, date, user_id, is_deleted, data)
+                VALUES (@id, @gmailId, @status, @category, @date, @userId, @isDeleted, @data)`),
+            updateEmail: this.db.prepare(`
+                UPDATE emails SET gmail_id = @gmailId, status = @status, category = @category, date = @date,
+                    user_id = @userId, is_deleted = @isDeleted, data = @data
+                WHERE id = @id`),
+            getEmailById: this.db.prepare('SELECT data FROM emails WHERE id = ?'),
+            getExtractedByEmailId: this.db.prepare('SELECT data FROM extracted_data WHERE email_id = ?'),
+            getExtractedByCategory: this.db.prepare('SELECT data FROM extracted_data WHERE category = ? ORDER BY rowid DESC'),
+            updateExtracted: this.db.prepare('UPDATE extracted_data SET email_id = @emailId, category = @category, data = @data WHERE id = @id'),
+            deleteExtractedByEmailId: this.db.prepare('DELETE FROM extracted_data WHERE email_id = ?'),
+            insertExtracted: this.db.prepare('INSERT OR REPLACE INTO extracted_data (id, email_id, category, data) VALUES (@id, @emailId, @category, @data)'),
+            insertNotification: this.db.prepare('INSERT OR REPLACE INTO notifications (id, user_id, data) VALUES (@id, @userId, @data)'),
+            getNotifications: this.db.prepare('SELECT data FROM notifications WHERE user_id = ? ORDER BY rowid DESC'),
+            getDocument: this.db.prepare('SELECT data FROM documents WHERE name = ?'),
+            setDocument: this.db.prepare('INSERT OR REPLACE INTO documents (name, data) VALUES (?, ?)'),
+            getMeta: this.db.prepare('SELECT value FROM meta WHERE key = ?'),
+            setMeta: this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)')
+        };
+
+        this.insertEmailRows = this.db.transaction(emails => {
+            emails.forEach(email => this.statements.insertEmail.run(emailRow(email)));
+        });
+        this.updateEmailRows = this.db.transaction(emails => {
+            emails.forEach(email => this.statements.updateEmail.run(emailRow(email)));
+        });
+        this.replaceExtractedData = this.db.transaction(record => {
+            this.statements.deleteExtractedByEmailId.run(record.emailId);
+            this.statements.insertExtracted.run(this.extractedRow(record));
+        });
+    }
+
+    /**
+     * Import an existing JSON data tree on first start, then create the documents that do not exist yet.
+     * Runs synchronously, so nothing can read the database before the import is done.
+     * @param {Object} defaults - Initial value per document name
+     * @returns {Promise<Array>} - Names of the documents that were created
+     */
+    async init(defaults) {
+        if (!this.statements.getMeta.get('initializedAt')) {
+            if (fs.existsSync(path.join(this.dataDir, JsonStorage.DOCUMENT_FILES.settings))) {
+                this.importJsonTree();
+            }
+            this.statements.setMeta.run('initializedAt', new Date().toISOString());
+        }
+
+        const created = [];
+        for (const [name, value] of Object.entries(defaults)) {
+            if (!this.statements.getDocument.get(name)) {
+                this.statements.setDocument.run(name, JSON.stringify(value));
+                created.push(name);
+            }
+        }
+        return created;
+    }
+
+    // Tables do not depend on the categories
+    async ensureCategories() {}
+
+    /**
+     * One-time import of data/ as written by JsonStorage: documents, every email and
+     * extracted data file (including those of removed custom categories) and notifications
+     */
+    importJsonTree() {
+        const readArray = filepath => {
+            try {
+                const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+                return Array.isArray(data) ? data : [];
+            } catch (error) {
+                return [];
+            }
+        };
+        const jsonFiles = dir => {
+            try {
+                return fs.readdirSync(dir).filter(file => file.endsWith('.json')).map(file => path.join(dir, file));
+            } catch (error) {
+                return [];
+            }
+        };
+
+        const counts = { emails: 0, extractedData: 0, notifications: 0, documents: 0 };
+
+        this.db.transaction(() => {
+            for (const [name, filename] of Object.entries(JsonStorage.DOCUMENT_FILES)) {
+                const filepath = path.join(this.dataDir, filename);
+                if (!fs.existsSync(filepath)) continue;
+                try {
+                    this.statements.setDocument.run(name, JSON.stringify(JSON.parse(fs.readFileSync(filepath, 'utf8'))));
+                    counts.documents++;
+                } catch (error) {
+                    console.error(`Skipping unreadable ${filename}:`, error.message);
+                }
+            }
+
+            // Files are newest first; inserting oldest first keeps that order
+            const emailsDir = path.join(this.dataDir, 'emails');
+            for (const status of ['fetched', 'review', 'managed', 'deleted']) {
+                for (const filepath of jsonFiles(path.join(emailsDir, status))) {
+                    const emails = readArray(filepath).filter(email => email && email.id).reverse();
+                    this.insertEmailRows(emails);
+                    counts.emails += emails.length;
+                }
+            }
+
+            for (const filepath of jsonFiles(path.join(this.dataDir, 'extracted-data'))) {
+                for (const record of readArray(filepath).filter(item => item && item.id && item.emailId).reverse()) {
+                    this.replaceExtractedData(record);
+                    counts.extractedData++;
+                }
+            }
+
+            for (const notification of readArray(path.join(this.dataDir, 'notifications', 'all.json')).reverse()) {
+                if (!notification || !notification.id) continue;
+                this.statements.insertNotification.run({
+                    id: notification.id,
+                    userId: notification.userId ?? null,
+                    data: JSON.stringify(notification)
+                });
+                counts.notifications++;
+            }
+
+            this.statements.setMeta.run('importedFromJsonAt', new Date().toISOString());
+        })();
+
+        console.log(`🗄️ Imported JSON data into ${DATABASE_FILE}: ${counts.emails} email(s), ${counts.extractedData} extracted record(s), ${counts.notifications} notification(s), ${counts.documents} document(s)`);
+        return counts;
+    }
+
+    extractedRow(record) {
+        return {
+            id: record.id,
+            emailId: record.emailId,
+            category: record.category ?? null,
+            data: JSON.stringify(record)
+        };
+    }
+
+    // ===============================
+    // DOCUMENTS
+    // ===============================
+
+    async readDocument(name) {
+        const row = this.statements.getDocument.get(name);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async writeDocument(name, value) {
+        try {
+            this.statements.setDocument.run(name, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.error('Error writing document:', name, error);
+            return false;
+        }
+    }
+
+    // ===============================
+    // EMAILS
+    // ===============================
+
+    async insertEmails(emails) {
+        // Oldest first, so the first email of the list reads as the newest
+        this.insertEmailRows([...emails].reverse());
+    }
+
+    /**
+     * Emails by status, category and user; soft-deleted emails only with status DELETED or no status
+     * @param {Object} filters - { status, category, userId }
+     */
+    async getEmails(filters = {}) {
+        const conditions = [];
+        const params = {};
+
+        if (filters.status) {
+            conditions.push('status = @status');
+            params.status = filters.status;
+            if (filters.status !== 'DELETED') {
+                conditions.push('is_deleted = 0');
+            }
+        } else {
+            conditions.push("(is_deleted = 0 OR status = 'DELETED')");
+        }
+        if (filters.category) {
+            conditions.push('category = @category');
+            params.category = filters.category;
+        }
+        if (filters.userId) {
+            conditions.push('user_id = @userId');
+            params.userId = filters.userId;
+        }
+
+        const rows = this.db
+            .prepare(`SELECT data FROM emails WHERE ${conditions.join(' AND ')} ORDER BY rowid DESC`)
+            .all(params);
+        return parseRows(rows);
+    }
+
+    async getEmailById(emailId) {
+        const row = this.statements.getEmailById.get(emailId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Emails with the given ids, in no particular order; unknown ids are left out and,
+     * as in getEmails(), soft-deleted emails only with status DELETED
+     */
+    async getEmailsByIds(emailIds) {
+        const ids = Array.from(new Set(emailIds));
+        const rows = [];
+        for (let start = 0; start < ids.length; start += MAX_IDS_PER_QUERY) {
+            const chunk = ids.slice(start, start + MAX_IDS_PER_QUERY);
+            rows.push(...this.db
+                .prepare(`SELECT data FROM emails WHERE id IN (${chunk.map(() => '?').join(', ')})
+                    AND (is_deleted = 0 OR status = 'DELETED')`)
+                .all(...chunk));
+        }
+        return parseRows(rows);
+    }
+
+    /**
+     * Store an updated email; a changed status or category moves it to the front like in the JSON files
+     */
+    async saveEmail(email, previous) {
+        if (previous.status !== email.status || previous.category !== email.category) {
+            this.statements.insertEmail.run(emailRow(email));
+        } else {
+            this.statements.updateEmail.run(emailRow(email));
+        }
+    }
+
+    /**
+     * Store several updated emails whose status and category did not change, in one transaction
+     */
+    async updateEmails(emails) {
+        this.updateEmailRows(emails);
+    }
+
+    async getGmailIds(statuses) {
+        const rows = this.db
+            .prepare(`SELECT gmail_id FROM emails WHERE status IN (${statuses.map(() => '?').join(', ')})`)
+            .all(...statuses);
+        return new Set(rows.map(row => row.gmail_id));
+    }
+
+    // ===============================
+    // EXTRACTED DATA
+    // ===============================
+
+    async getExtractedData(category) {
+        return parseRows(this.statements.getExtractedByCategory.all(category));
+    }
+
+    async getExtractedDataByEmailId(emailId) {
+        const row = this.statements.getExtractedByEmailId.get(emailId);
+        const record = row ? JSON.parse(row.data) : null;
+        return record && !record.isDeleted ? record : null;
+    }
+
+    /**
+     * Store extracted data: an existing record with the same id is updated in place,
+     * otherwise the record replaces any earlier one of its email (one-to-one)
+     */
+    async saveExtractedData(record) {
+        try {
+            if (this.statements.updateExtracted.run(this.extractedRow(record)).changes === 0) {
+                this.replaceExtractedData(record);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error writing extracted data:', record.emailId, error);
+            return false;
+        }
+    }
+
+    // ===============================
+    // NOTIFICATIONS
+    // ===============================
+
+    async insertNotification(notification) {
+        this.statements.insertNotification.run({
+            id: notification.id,
+            userId: notification.userId ?? null,
+            data: JSON.stringify(notification)
+        });
+    }
+
+    async getNotifications(userId) {
+        return parseRows(this.statements.getNotifications.all(userId))
+            .filter(notif => !notif.isDeleted);
+    }
+
+    /**
+     * Consistent copy of the database while it is in use (SQLite online backup)
+     * @param {string} targetPath - File to write
+     */
+    async backup(targetPath) {
+        await this.db.backup(targetPath);
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+SqliteStorage.DATABASE_FILE = DATABASE_FILE;
+
+module.exports = SqliteStorage;
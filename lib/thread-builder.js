@@ -0,0 +1,134 @@
+/**
+ * Thread Builder
+ * Groups stored emails into conversations by Gmail threadId and builds the
+ * combined context that extraction runs over when a thread is approved.
+ * - Emails without a threadId form a thread of their own, keyed by email id
+ * - The primary message of a thread is the one that holds the thread's
+ *   extracted data; the other messages point to it with threadPrimaryId
+ */
+
+// ai-extractor sends at most 2000 characters of body to the model
+const MAX_CONTEXT_LENGTH = 1900;
+const MIN_MESSAGE_LENGTH = 150;
+// Long threads keep their first message and the most recent replies
+const MAX_CONTEXT_MESSAGES = 12;
+
+class ThreadBuilder {
+    /**
+     * Key grouping an email with the rest of its conversation
+     */
+    getThreadKey(email) {
+        return email.threadId || email.id;
+    }
+
+    byDate(a, b) {
+        return new Date(a.date) - new Date(b.date);
+    }
+
+    /**
+     * Group emails into threads, most recent activity first
+     * @param {Array} emails - Stored emails
+     * @returns {Array} - Thread summaries with their messages (oldest first)
+     */
+    group(emails) {
+        const threads = new Map();
+
+        for (const email of emails) {
+            const key = this.getThreadKey(email);
+            if (!threads.has(key)) {
+                threads.set(key, []);
+            }
+            threads.get(key).push(email);
+        }
+
+        return [...threads.entries()]
+            .map(([threadId, messages]) => this.summarize(threadId, messages))
+            .sort((a, b) => new Date(b.lastDate) - new Date(a.lastDate));
+    }
+
+    /**
+     * Thread summary; thread-level fields (category, extracted data) come from the primary message
+     */
+    summarize(threadId, messages) {
+        const sorted = [...messages].sort(this.byDate);
+        const primary = sorted.find(email => email.threadPrimaryId === email.id) || sorted[0];
+        const participants = [...new Set(sorted.map(email => email.fromName || email.fromAddress).filter(Boolean))];
+
+        return {
+            ...primary,
+            threadId,
+            primaryEmailId: primary.id,
+            subject: sorted[0].subject,
+            date: sorted[sorted.length - 1].date,
+            firstDate: sorted[0].date,
+            lastDate: sorted[sorted.length - 1].date,
+            messageCount: sorted.length,
+            participants,
+            emailIds: sorted.map(email => email.id),
+            messages: sorted.map(email => ({
+                id: email.id,
+                subject: email.subject,
+                fromAddress: email.fromAddress,
+                fromName: email.fromName,
+                date: email.date,
+                status: email.status,
+                category: email.category,
+                snippet: email.snippet
+            }))
+        };
+    }
+
+    /**
+     * Remove quoted replies ("> ..." lines and everything after "On ... wrote:")
+     * so each message only contributes what is new in it
+     */
+    stripQuotedReply(body) {
+        const lines = (body || '').split('\n');
+        const kept = [];
+
+        for (const line of lines) {
+            if (/^\s*(On .+ wrote:|Στις .+ έγραψε:|-----\s*Original Message\s*-----)\s*$/i.test(line)) {
+                break;
+            }
+            if (/^\s*>/.test(line)) {
+                continue;
+            }
+            kept.push(line);
+        }
+
+        return kept.join('\n').trim();
+    }
+
+    /**
+     * Email-shaped context for extraction: the thread's messages in order,
+     * each with its sender and date, quoted replies removed
+     * @param {Array} messages - Thread emails (any order)
+     * @param {Object} primary - Message the extraction is saved on
+     * @returns {Object} - { subject, body, category, attachments, gmailId }
+     */
+    buildContext(messages, primary) {
+        let sorted = [...messages].sort(this.byDate);
+        if (sorted.length > MAX_CONTEXT_MESSAGES) {
+            sorted = [sorted[0], ...sorted.slice(-(MAX_CONTEXT_MESSAGES - 1))];
+        }
+
+        const budget = Math.max(MIN_MESSAGE_LENGTH, Math.floor(MAX_CONTEXT_LENGTH / sorted.length));
+        const body = sorted.map((email, index) => {
+            const text = this.stripQuotedReply(email.body || email.snippet || '');
+            return `--- Message ${index + 1} of ${sorted.length} | From: ${email.fromName || email.fromAddress || 'unknown'} | ` +
+                `Date: ${email.date} ---\n${text.substring(0, budget)}`;
+        }).join('\n\n');
+
+        return {
+            id: primary.id,
+            subject: sorted[0].subject,
+            body,
+            category: primary.category,
+            from: primary.fromAddress,
+            attachments: primary.attachments || [],
+            gmailId: primary.gmailId
+        };
+    }
+}
+
+module.exports = new ThreadBuilder();
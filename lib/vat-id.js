@@ -0,0 +1,142 @@
+/**
+ * VAT ID
+ * Normalizes and validates VAT identification numbers.
+ * - Greek ΑΦΜ: 9 digits with the mod-11 check digit; written bare, or with an EL/GR prefix
+ * - Other EU countries: format check per country (VIES formats), no checksum
+ * Valid IDs are stored in one canonical form, country prefix + number without
+ * separators ("EL094019245", "DE123456789"), so records can be matched by VAT ID.
+ */
+
+const GREEK_PREFIX = 'EL';
+
+// Number part of an EU VAT ID, after the country prefix
+const EU_VAT_FORMATS = {
+    AT: /^U\d{8}$/,
+    BE: /^[01]\d{9}$/,
+    BG: /^\d{9,10}$/,
+    CY: /^\d{8}[A-Z]$/,
+    CZ: /^\d{8,10}$/,
+    DE: /^\d{9}$/,
+    DK: /^\d{8}$/,
+    EE: /^\d{9}$/,
+    EL: /^\d{9}$/,
+    ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+    FI: /^\d{8}$/,
+    FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/,
+    HR: /^\d{11}$/,
+    HU: /^\d{8}$/,
+    IE: /^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+    IT: /^\d{11}$/,
+    LT: /^(\d{9}|\d{12})$/,
+    LU: /^\d{8}$/,
+    LV: /^\d{11}$/,
+    MT: /^\d{8}$/,
+    NL: /^\d{9}B\d{2}$/,
+    PL: /^\d{10}$/,
+    PT: /^\d{9}$/,
+    RO: /^\d{2,10}$/,
+    SE: /^\d{12}$/,
+    SI: /^\d{8}$/,
+    SK: /^\d{10}$/,
+    XI: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/
+};
+
+// ISO codes written instead of the VAT prefix
+const PREFIX_ALIASES = { GR: 'EL' };
+
+// "ΑΦΜ 094019245", "VAT: DE 123 456 789", "EL-094.019.245"
+const GREEK_CANDIDATE = /(?<![\dA-Z])(?:(?:EL|GR)[\s-]?)?(\d{3}[\s.]?\d{3}[\s.]?\d{3})(?!\d)/gi;
+const EU_CANDIDATE = /(?<![A-Z0-9])([A-Z]{2})[\s-]?([0-9A-Z+*](?:[0-9A-Z+*]|[\s.-](?=[0-9A-Z])){1,14})/g;
+
+class VatId {
+    /**
+     * Canonical form of a VAT ID, or null when it is not valid
+     * @param {string} raw - As written ("094019245", "EL 094 019 245", "de123456789")
+     * @returns {string|null} - e.g. "EL094019245"
+     */
+    normalize(raw) {
+        const parsed = this.parse(raw);
+        return parsed && parsed.valid ? parsed.vatId : null;
+    }
+
+    /**
+     * Parse and validate a VAT ID
+     * @param {string} raw - VAT ID as written
+     * @returns {Object|null} - { country, number, vatId, valid, reason } or null when nothing resembles a VAT ID
+     */
+    parse(raw) {
+        if (raw === null || raw === undefined) return null;
+
+        const compact = String(raw)
+            .toUpperCase()
+            .replace(/^\s*(Α\.?Φ\.?Μ\.?|VAT(\s*(ID|NO|NUMBER))?)[\s:#.]*/u, '')
+            .replace(/[\s.\-/]/g, '');
+        if (!compact) return null;
+
+        let country = GREEK_PREFIX;
+        let number = compact;
+        const prefix = compact.match(/^([A-Z]{2})(.+)$/);
+        if (prefix) {
+            country = PREFIX_ALIASES[prefix[1]] || prefix[1];
+            number = prefix[2];
+        }
+
+        const result = { country, number, vatId: `${country}${number}`, valid: false, reason: null };
+
+        const format = EU_VAT_FORMATS[country];
+        if (!format) {
+            result.reason = `Unknown VAT country prefix "${country}"`;
+        } else if (!format.test(number)) {
+            result.reason = `Not a valid ${country} VAT number format`;
+        } else if (country === GREEK_PREFIX && !this.isValidAFM(number)) {
+            result.reason = 'ΑΦΜ check digit does not match';
+        } else {
+            result.valid = true;
+        }
+
+        return result;
+    }
+
+    /**
+     * Greek ΑΦΜ mod-11 check: the first 8 digits weighted by 2^8 ... 2^1,
+     * sum mod 11 mod 10 must equal the 9th digit
+     * @param {string} afm - 9 digits
+     */
+    isValidAFM(afm) {
+        if (!/^\d{9}$/.test(afm) || /^0+$/.test(afm)) {
+            return false;
+        }
+
+        let sum = 0;
+        for (let i = 0; i < 8; i++) {
+            sum += Number(afm[i]) * 2 ** (8 - i);
+        }
+        return (sum % 11) % 10 === Number(afm[8]);
+    }
+
+    /**
+     * First valid VAT ID written in a piece of text (Greek ΑΦΜ first, then prefixed EU IDs)
+     * @param {string} text - e.g. the rest of an "ΑΦΜ:" line
+     * @returns {string|null} - Canonical VAT ID
+     */
+    findIn(text) {
+        const content = (text || '').toString().toUpperCase();
+
+        for (const match of content.matchAll(GREEK_CANDIDATE)) {
+            const vatId = this.normalize(match[1]);
+            if (vatId) return vatId;
+        }
+
+        for (const match of content.matchAll(EU_CANDIDATE)) {
+            const vatId = this.normalize(`${match[1]}${match[2]}`);
+            if (vatId) return vatId;
+        }
+
+        return null;
+    }
+}
+
+const vatId = new VatId();
+vatId.EU_VAT_FORMATS = EU_VAT_FORMATS;
+
+module.exports = vatId;
@@ -1,4 +1,36 @@
 // AEMS Main Application
+
+// Emails loaded per request; further pages load while scrolling
+const EMAIL_PAGE_SIZE = 50;
+// Row heights (px) the virtual scroll reserves per email; detailed rows show customer/business details
+const EMAIL_ROW_HEIGHTS = { compact: 57, detailed: 120 };
+// Columns a saved view can show, in table order, and the stage tabs' columns (see lib/saved-views.js)
+const STAGE_COLUMNS = {
+    fetched: ['date', 'subject', 'from', 'category'],
+    review: ['date', 'subject', 'category', 'confidence', 'customerInfo', 'businessDetails'],
+    managed: ['date', 'subject', 'from', 'category', 'customerInfo', 'businessDetails', 'exportedAt'],
+    deleted: ['date', 'subject', 'from', 'category', 'deletedAt']
+};
+const DEFAULT_COLUMNS = {
+    fetched: STAGE_COLUMNS.fetched,
+    review: STAGE_COLUMNS.review,
+    managed: ['date', 'subject', 'category', 'customerInfo', 'businessDetails'],
+    deleted: STAGE_COLUMNS.deleted
+};
+const COLUMN_LABELS = {
+    date: 'Date',
+    subject: 'Subject',
+    from: 'From',
+    category: 'Category',
+    confidence: 'Confidence',
+    customerInfo: 'Customer Info',
+    businessDetails: 'Business Details',
+    exportedAt: 'Exported',
+    deletedAt: 'Deleted At'
+};
+// Filters of the email lists, as sent to the list endpoints (see lib/email-query.js)
+const LIST_FILTER_KEYS = ['q', 'category', 'dateRange', 'dateFrom', 'dateTo', 'senderDomain', 'hasAttachment', 'exported'];
+
 class AEMS {
     constructor() {
         this.user = null;
@@ -11,6 +43,15 @@ class AEMS {
         this.csrfToken = null;
         this.eventListeners = new Map(); // Track event listeners for cleanup
         this.confirmCallback = null; // Store callback for custom confirm dialog
+        this.categories = []; // Built-in and custom categories from /api/categories
+        this.reviewSort = null; // 'confidence' puts low-confidence extractions first
+        this.threadView = false; // Group fetched/review emails into conversations
+        this.listFilters = {}; // Search, filters and sort of the email tables (q, category, dateFrom, ...)
+        this.savedViews = []; // Saved views shown as tabs next to the stages
+        this.activeView = null; // Saved view whose tab is open
+        this.stageList = null; // Loaded page(s) of the current stage, see loadMoreEmails()
+        this.virtualScroll = null;
+        this.selectedEmailIds = new Set(); // Kept here: rows leave the DOM while scrolling
         this.init();
     }
 
@@ -367,11 +408,19 @@ class AEMS {
         // Hide dashboard buttons
         const syncBtn = document.getElementById('syncBtn');
         const recycleBinBtn = document.getElementById('recycleBinBtn');
+        const contactsBtn = document.getElementById('contactsBtn');
+        const searchBtn = document.getElementById('searchBtn');
         const signOutBtn = document.getElementById('signOutBtn');
+        const manageCategoriesBtn = document.getElementById('manageCategoriesBtn');
+        const manageRulesBtn = document.getElementById('manageRulesBtn');
 
         if (syncBtn) syncBtn.style.display = 'none';
         if (recycleBinBtn) recycleBinBtn.style.display = 'none';
+        if (contactsBtn) contactsBtn.style.display = 'none';
+        if (searchBtn) searchBtn.style.display = 'none';
         if (signOutBtn) signOutBtn.style.display = 'none';
+        if (manageCategoriesBtn) manageCategoriesBtn.style.display = 'none';
+        if (manageRulesBtn) manageRulesBtn.style.display = 'none';
     }
 
     async showDashboard() {
@@ -400,6 +449,7 @@ class AEMS {
               Managed
               <span class="badge badge-secondary" id="managedBadge">0</span>
             </button>
+            <span class="saved-view-tabs" id="savedViewTabs"></span>
           </div>
 
           <!-- Email Table Container -->
@@ -413,6 +463,10 @@ class AEMS {
                   </div>
                 </div>
                 <div class="flex gap-2" id="tableControls" style="display: none;">
+                  <button class="btn btn-outline btn-sm" id="threadViewToggle" data-action="toggleThreadView">
+                    <i class="fas fa-comments"></i>
+                    Conversations
+                  </button>
                   <button class="btn btn-outline btn-sm" id="showOtherToggle" data-show-other="false">
                     <i class="fas fa-eye-slash"></i>
                     Show Other
@@ -423,6 +477,7 @@ class AEMS {
                   </button>
                 </div>
               </div>
+              <div id="emailFilters"></div>
             </div>
             <div class="card-content">
               <div id="emailTableContainer">
@@ -454,16 +509,36 @@ class AEMS {
             // Show dashboard buttons
             const syncBtn = document.getElementById('syncBtn');
             const recycleBinBtn = document.getElementById('recycleBinBtn');
+            const contactsBtn = document.getElementById('contactsBtn');
+            const searchBtn = document.getElementById('searchBtn');
             const signOutBtn = document.getElementById('signOutBtn');
 
+            const manageCategoriesBtn = document.getElementById('manageCategoriesBtn');
+            const manageRulesBtn = document.getElementById('manageRulesBtn');
+
             if (syncBtn) syncBtn.style.display = 'block';
             if (recycleBinBtn) recycleBinBtn.style.display = 'block';
+            if (contactsBtn) contactsBtn.style.display = 'block';
+            if (searchBtn) searchBtn.style.display = 'block';
             if (signOutBtn) signOutBtn.style.display = 'block';
+            if (manageCategoriesBtn) manageCategoriesBtn.style.display = 'block';
+            if (manageRulesBtn) manageRulesBtn.style.display = 'block';
+
+            // Load categories before rendering any table
+            await this.loadCategories();
+            // The dashboard opens on the fetched tab, not on a saved view
+            if (this.activeView) {
+                this.activeView = null;
+                this.listFilters = {};
+            }
+            this.renderEmailFilters();
+            await this.loadSavedViews();
 
             // Initialize dashboard functionality
             this.bindDashboardEvents();
             this.showOtherEmails = false; // Track filter state
             this.renderNotifications(); // Initialize notification display
+            this.checkBackfillStatus(); // Reattach to a backfill still running on the server
 
             // Add direct event listener for sync old button
             const syncOldBtn = document.getElementById('syncOldBtn');
@@ -490,15 +565,15 @@ class AEMS {
         try {
             console.log('Updating all tab badges...');
 
-            // Load counts for all stages including deleted
+            // Load counts for all stages including deleted (a one-email page carries the total)
             const [fetchedResponse, reviewResponse, managedResponse, deletedResponse] = await Promise.all([
-                fetch('/api/emails/fetched'),
-                fetch('/api/emails/review'),
-                fetch('/api/emails/processed'),
-                fetch('/api/emails/deleted')
+                fetch('/api/emails/fetched?limit=1'),
+                fetch('/api/emails/review?limit=1'),
+                fetch('/api/emails/processed?limit=1'),
+                fetch('/api/emails/deleted?limit=1')
             ]);
 
-            const [fetchedEmails, reviewEmails, managedEmails, deletedEmails] = await Promise.all([
+            const [fetchedPage, reviewPage, managedPage, deletedPage] = await Promise.all([
                 fetchedResponse.json(),
                 reviewResponse.json(),
                 managedResponse.json(),
@@ -506,10 +581,10 @@ class AEMS {
             ]);
 
             console.log('Email counts:', {
-                fetched: fetchedEmails.length,
-                review: reviewEmails.length,
-                managed: managedEmails.length,
-                deleted: deletedEmails.length
+                fetched: fetchedPage.total,
+                review: reviewPage.total,
+                managed: managedPage.total,
+                deleted: deletedPage.total
             });
 
             // Update tab badges
@@ -517,12 +592,14 @@ class AEMS {
             const reviewBadge = document.getElementById('reviewBadge');
             const managedBadge = document.getElementById('managedBadge');
 
-            if (fetchedBadge) fetchedBadge.textContent = fetchedEmails.length;
-            if (reviewBadge) reviewBadge.textContent = reviewEmails.length;
-            if (managedBadge) managedBadge.textContent = managedEmails.length;
+            if (fetchedBadge) fetchedBadge.textContent = fetchedPage.total;
+            if (reviewBadge) reviewBadge.textContent = reviewPage.total;
+            if (managedBadge) managedBadge.textContent = managedPage.total;
 
             // Recycle bin badge removed - no longer showing count
 
+            await this.updateSavedViewBadges();
+
         } catch (error) {
             console.error('Failed to update tab badges:', error);
         }
@@ -551,15 +628,27 @@ class AEMS {
         };
 
         try {
-            // Build URL with query parameters for fetched emails
             let url = endpoints[stage];
-            if (stage === 'fetched') {
-                const showOther = this.showOtherEmails || false;
-                url += `?includeOther=${showOther}`;
-            }
+            let emails;
+            const asThreads = this.threadView && (stage === 'fetched' || stage === 'review');
+            if (asThreads) {
+                url = `/api/threads?stage=${stage}&includeOther=${this.showOtherEmails || false}`;
+                emails = await (await fetch(url)).json();
+                this.stageList = null;
+            } else {
+                // First page; the rest loads while scrolling (loadMoreEmails)
+                const params = this.getListParams(stage);
+                const query = new URLSearchParams(params);
+                query.set('limit', EMAIL_PAGE_SIZE);
+                const response = await fetch(`${url}?${query}`);
+                const page = await response.json();
+                if (!response.ok) {
+                    throw new Error(page.error || `Failed to load ${stage} emails`);
+                }
 
-            const response = await fetch(url);
-            const emails = await response.json();
+                emails = page.emails;
+                this.stageList = { stage, url, params, emails, total: page.total, nextCursor: page.nextCursor, loading: false };
+            }
 
             console.log(`Loading ${stage} stage:`, { url, emailCount: emails.length, emails: emails.slice(0, 2) });
 
@@ -567,12 +656,23 @@ class AEMS {
             document.getElementById('currentStageTitle').textContent = titles[stage];
             document.getElementById('currentStageDescription').textContent = descriptions[stage];
 
-            // Show/hide table controls for fetched stage
+            // Show/hide table controls: conversations for fetched/review, the rest for fetched only
             const tableControls = document.getElementById('tableControls');
             if (tableControls) {
-                tableControls.style.display = stage === 'fetched' ? 'flex' : 'none';
+                tableControls.style.display = stage === 'fetched' || stage === 'review' ? 'flex' : 'none';
+                ['showOtherToggle', 'syncOldBtn'].forEach(id => {
+                    const control = document.getElementById(id);
+                    if (control) control.style.display = stage === 'fetched' ? '' : 'none';
+                });
             }
 
+            // Conversations are not searched or filtered; only managed emails are exported
+            const filters = document.getElementById('emailFilters');
+            if (filters) filters.style.display = asThreads ? 'none' : '';
+            const exportedFilter = document.getElementById('filterExported');
+            if (exportedFilter) exportedFilter.style.display = stage === 'managed' ? '' : 'none';
+            this.updateListSummary();
+
             // Update navigation tab badges
             const badges = {
                 fetched: document.getElementById('fetchedBadge'),
@@ -581,12 +681,24 @@ class AEMS {
                 deleted: document.getElementById('deletedBadge')
             };
 
-            if (badges[stage]) {
-                badges[stage].textContent = emails.length;
+            // A filtered total is not the stage's count, but it is the open saved view's
+            if (badges[stage] && (asThreads || !this.hasListFilters())) {
+                badges[stage].textContent = asThreads
+                    ? emails.reduce((total, thread) => total + thread.messageCount, 0)
+                    : this.stageList.total;
+            }
+            const view = this.activeView;
+            if (view && view.stage === stage && !asThreads && !this.hasChangedViewFilters()) {
+                const viewBadge = document.getElementById(`viewBadge-${view.id}`);
+                if (viewBadge) viewBadge.textContent = this.stageList.total;
             }
 
             // Render email table
-            this.renderEmailTable(stage, emails);
+            if (asThreads) {
+                this.renderThreadTable(stage, emails);
+            } else {
+                this.renderEmailTable(stage, emails);
+            }
 
         } catch (error) {
             console.error(`Failed to load ${stage} emails:`, error);
@@ -629,1567 +741,3240 @@ class AEMS {
             return;
         }
 
+        if (this.virtualScroll) {
+            this.virtualScroll.destroy();
+            this.virtualScroll = null;
+        }
+
         if (emails.length === 0) {
             container.innerHTML = `
         <div class="text-center" style="padding: 2rem;">
-          <p class="text-muted">No emails in this stage</p>
+          <p class="text-muted">${this.hasListFilters() ? 'No emails match the search and filters' : 'No emails in this stage'}</p>
         </div>
       `;
             return;
         }
 
-        // Define headers based on stage
-        let headers = '';
-        if (stage === 'review') {
-            headers = `
-        <th><input type="checkbox" id="selectAll"></th>
-        <th>Date</th>
-        <th>Subject</th>
-        <th>Category</th>
-        <th>Customer Info</th>
-        <th>Business Details</th>
-        <th>Actions</th>
-      `;
-        } else if (stage === 'managed') {
-            headers = `
-        <th><input type="checkbox" id="selectAll"></th>
-        <th>Date</th>
-        <th>Subject</th>
-        <th>Category</th>
-        <th>Customer Info</th>
-        <th>Business Details</th>
-        <th>Actions</th>
-      `;
-        } else if (stage === 'deleted') {
-            headers = `
-        <th><input type="checkbox" id="selectAll"></th>
-        <th>Date</th>
-        <th>Subject</th>
-        <th>From</th>
-        <th>Category</th>
-        <th>Deleted At</th>
-        <th>Actions</th>
-      `;
-        } else {
-            headers = `
+        const columns = this.getVisibleColumns(stage);
+        const headers = `
         <th><input type="checkbox" id="selectAll"></th>
-        <th>Date</th>
-        <th>Subject</th>
-        <th>From</th>
-        <th>Category</th>
+        ${columns.map(column => this.renderColumnHeader(column)).join('')}
         <th>Actions</th>
       `;
-        }
 
         let tableHTML = `
-      <div class="table-container">
+      <div class="table-container email-list-scroll" id="emailListScroll">
         <table class="table">
           <thead>
             <tr>
               ${headers}
             </tr>
           </thead>
-          <tbody>
-            ${emails.map(email => this.renderEmailRow(stage, email)).join('')}
-          </tbody>
+          <tbody id="emailTableBody"></tbody>
         </table>
       </div>
       ${this.renderBulkActions(stage)}
     `;
 
         container.innerHTML = tableHTML;
-        this.bindTableEvents(stage);
+        this.bindTableEvents(stage, emails);
+
+        // Only the rows in view are rendered; reaching the end loads the next page
+        this.virtualScroll = window.performanceCache.setupVirtualScroll(
+            document.getElementById('emailListScroll'),
+            emails,
+            this.hasDetailColumns(columns) ? EMAIL_ROW_HEIGHTS.detailed : EMAIL_ROW_HEIGHTS.compact,
+            email => this.createEmailRowElement(stage, email, columns),
+            {
+                body: document.getElementById('emailTableBody'),
+                spacerTag: 'tr',
+                onEndReached: () => this.loadMoreEmails()
+            }
+        );
     }
 
-    renderEmailRow(stage, email) {
-        const date = new Date(email.date).toLocaleDateString();
-        const category = this.formatCategory(email.category);
-        const actions = this.getActionsForStage(stage, email.id);
-
-        if (stage === 'review') {
-            const combinedFields = this.getCombinedFields(email);
-            return `
-        <tr id="email-row-${email.id}">
-          <td><input type="checkbox" class="email-checkbox" value="${email.id}"></td>
-          <td>${date}</td>
-          <td class="truncate" style="max-width: 200px;" title="${email.subject}">${email.subject}</td>
-          <td>${category}</td>
-          <td>${combinedFields.customerInfo}</td>
-          <td>${combinedFields.businessDetails}</td>
-          <td>${actions}</td>
-        </tr>
-      `;
-        } else if (stage === 'managed') {
-            const combinedFields = this.getCombinedFields(email);
-            return `
-        <tr id="email-row-${email.id}">
-          <td><input type="checkbox" class="email-checkbox" value="${email.id}"></td>
-          <td>${date}</td>
-          <td class="truncate" style="max-width: 200px;" title="${email.subject}">${email.subject}</td>
-          <td>${category}</td>
-          <td>${combinedFields.customerInfo}</td>
-          <td>${combinedFields.businessDetails}</td>
-          <td>${actions}</td>
-        </tr>
-      `;
-        } else if (stage === 'deleted') {
-            const deletedDate = email.deletedAt ? new Date(email.deletedAt).toLocaleDateString() : 'Unknown';
-            return `
-        <tr id="email-row-${email.id}">
-          <td><input type="checkbox" class="email-checkbox" value="${email.id}"></td>
-          <td>${date}</td>
-          <td class="truncate" style="max-width: 200px;" title="${email.subject}">${email.subject}</td>
-          <td>${email.fromName || email.fromAddress}</td>
-          <td>${category}</td>
-          <td>${deletedDate}</td>
-          <td>${actions}</td>
-        </tr>
-      `;
-        } else {
-            // Fetched stage - add category selector for "other" emails
-            const categorySelector = this.renderCategorySelector(email);
-            return `
-        <tr id="email-row-${email.id}">
-          <td><input type="checkbox" class="email-checkbox" value="${email.id}"></td>
-          <td>${date}</td>
-          <td class="truncate" style="max-width: 300px;" title="${email.subject}">${email.subject}</td>
-          <td>${email.fromName || email.fromAddress}</td>
-          <td>${categorySelector}</td>
-          <td>${actions}</td>
-        </tr>
-      `;
+    /**
+     * Table row element of an email, with its selection restored
+     */
+    createEmailRowElement(stage, email, columns) {
+        const body = document.createElement('tbody');
+        body.innerHTML = this.renderEmailRow(stage, email, columns);
+        const row = body.firstElementChild;
+
+        const checkbox = row.querySelector('.email-checkbox');
+        if (checkbox) {
+            checkbox.checked = this.selectedEmailIds.has(email.id);
+            this.bindEmailCheckbox(checkbox);
         }
+
+        return row;
     }
 
-    renderExtractedDataPreview(email) {
-        // Review stage - show extracted data that can be edited
-        const category = (email.category || '').toLowerCase();
+    /**
+     * Next page of the current stage, appended to the table
+     */
+    async loadMoreEmails() {
+        const list = this.stageList;
+        if (!list || list.loading || !list.nextCursor) return;
 
-        if (category === 'customer_inquiry') {
-            return `
-        <div class="extracted-data customer-data">
-          <div class="data-field">
-            <span class="field-label">Name:</span>
-            <span class="field-value editable" data-field="customerName" data-email-id="${email.id}">
-              ${email.customerName || 'Not extracted'}
-            </span>
-          </div>
-          <div class="data-field">
-            <span class="field-label">Email:</span>
-            <span class="field-value editable" data-field="customerEmail" data-email-id="${email.id}">
-              ${email.customerEmail || 'Not extracted'}
-            </span>
-          </div>
-          <div class="data-field">
-            <span class="field-label">Phone:</span>
-            <span class="field-value editable" data-field="customerPhone" data-email-id="${email.id}">
-              ${email.customerPhone || 'Not extracted'}
-            </span>
-          </div>
-          <div class="data-field">
-            <span class="field-label">Company:</span>
-            <span class="field-value editable" data-field="company" data-email-id="${email.id}">
-              ${email.company || 'Not extracted'}
-            </span>
-          </div>
-          <div class="data-field">
-            <span class="field-label">Service:</span>
-            <span class="field-value editable" data-field="serviceInterest" data-email-id="${email.id}">
-              ${email.serviceInterest || 'Not extracted'}
-            </span>
-          </div>
-        </div>
-      `;
-        } else if (category === 'invoice') {
-            return `
-        <div class="extracted-data invoice-data">
-          <div class="data-field">
-            <span class="field-label">Invoice #:</span>
-            <span class="field-value editable" data-field="invoiceNumber" data-email-id="${email.id}">
-              ${email.invoiceNumber || 'Not extracted'}
-            </span>
-          </div>
-          <div class="data-field">
-            <span class="field-label">Date:</span>
-            <span class="field-value editable" data-field="invoiceDate" data-email-id="${email.id}">
-              ${email.invoiceDate || 'Not extracted'}
-            </span>
-          </div>
-          <div class="data-field">
-            <span class="field-label">Customer:</span>
-            <span class="field-value editable" data-field="invoiceClient" data-email-id="${email.id}">
-              ${email.invoiceClient || 'Not extracted'}
-            </span>
-          </div>
-          <div class="data-field">
-            <span class="field-label">Amount:</span>
-            <span class="field-value editable" data-field="invoiceAmount" data-email-id="${email.id}">
-              ${email.invoiceAmount || 'Not extracted'}
-            </span>
-          </div>
-          <div class="data-field">
-            <span class="field-label">VAT:</span>
-            <span class="field-value editable" data-field="invoiceVAT" data-email-id="${email.id}">
-              ${email.invoiceVAT || 'Not extracted'}
-            </span>
-          </div>
-        </div>
-      `;
-        } else {
-            return `<span class="text-muted">No extraction available</span>`;
+        list.loading = true;
+        try {
+            const query = new URLSearchParams(list.params);
+            query.set('limit', EMAIL_PAGE_SIZE);
+            query.set('cursor', list.nextCursor);
+            const response = await fetch(`${list.url}?${query}`);
+            const page = await response.json();
+            if (!response.ok) {
+                throw new Error(page.error || 'Failed to load more emails');
+            }
+
+            // The stage or the filters changed meanwhile
+            if (this.stageList !== list) return;
+
+            list.emails.push(...page.emails);
+            list.total = page.total;
+            list.nextCursor = page.nextCursor;
+            list.loading = false;
+
+            this.updateListSummary();
+            if (this.virtualScroll) this.virtualScroll.refresh();
+        } catch (error) {
+            console.error('Failed to load more emails:', error);
+        } finally {
+            list.loading = false;
         }
     }
 
-    renderProcessedDataPreview(email) {
-        // Managed stage - show final processed data
-        const category = (email.category || '').toLowerCase();
+    /**
+     * Search box, filters and sort above the email table
+     */
+    renderEmailFilters() {
+        const container = document.getElementById('emailFilters');
+        if (!container) return;
 
-        if (category === 'customer_inquiry') {
-            const name = email.customerName || 'N/A';
-            const email_addr = email.customerEmail || 'N/A';
-            const company = email.company || 'N/A';
-            return `
-        <div class="processed-data">
-          <strong>${name}</strong><br>
-          ${email_addr}<br>
-          ${company}
-        </div>
-      `;
-        } else if (category === 'invoice') {
-            const invoiceNum = email.invoiceNumber || 'N/A';
-            const amount = email.invoiceAmount || 'N/A';
-            const customer = email.invoiceClient || 'N/A';
-            return `
-        <div class="processed-data">
-          <strong>Invoice #${invoiceNum}</strong><br>
-          ${customer}<br>
-          Amount: ${amount}
+        const filters = this.listFilters;
+        const sortOptions = [
+            { value: '', label: 'Newest first' },
+            { value: 'date:asc', label: 'Oldest first' },
+            { value: 'subject:asc', label: 'Subject A-Z' },
+            { value: 'sender:asc', label: 'Sender A-Z' },
+            { value: 'category:asc', label: 'Category' }
+        ];
+        const dateRanges = [
+            { value: '', label: 'Any time' },
+            { value: 'today', label: 'Today' },
+            { value: 'last7days', label: 'Last 7 days' },
+            { value: 'last30days', label: 'Last 30 days' },
+            { value: 'thisMonth', label: 'This month' },
+            { value: 'lastMonth', label: 'Last month' },
+            { value: 'thisYear', label: 'This year' }
+        ];
+        const sort = filters.sort ? `${filters.sort}:${filters.order}` : '';
+        const activeTab = document.querySelector('.nav-tab.active');
+
+        container.innerHTML = `
+        <div class="email-filters">
+          <input type="search" id="filterQuery" class="form-input email-filter-search" maxlength="200"
+            placeholder="Search subject, sender, body or extracted data" value="${this.escapeHTML(filters.q || '')}" />
+          <select id="filterCategory" class="form-input" title="Category">
+            <option value="">All categories</option>
+            ${this.categories.map(c => `<option value="${this.escapeHTML(c.key)}" ${filters.category === c.key ? 'selected' : ''}>${this.escapeHTML(c.label)}</option>`).join('')}
+          </select>
+          <select id="filterDateRange" class="form-input" title="Period (a saved view keeps it relative to today)">
+            ${dateRanges.map(option => `<option value="${option.value}" ${(filters.dateRange || '') === option.value ? 'selected' : ''}>${option.label}</option>`).join('')}
+          </select>
+          <input type="date" id="filterDateFrom" class="form-input" title="From date" value="${this.escapeHTML(filters.dateFrom || '')}" ${filters.dateRange ? 'disabled' : ''} />
+          <input type="date" id="filterDateTo" class="form-input" title="To date" value="${this.escapeHTML(filters.dateTo || '')}" ${filters.dateRange ? 'disabled' : ''} />
+          <input type="text" id="filterSenderDomain" class="form-input" maxlength="100"
+            placeholder="Sender domain" value="${this.escapeHTML(filters.senderDomain || '')}" />
+          <select id="filterHasAttachment" class="form-input" title="Attachments">
+            <option value="">Any attachments</option>
+            <option value="true" ${filters.hasAttachment === 'true' ? 'selected' : ''}>With attachments</option>
+            <option value="false" ${filters.hasAttachment === 'false' ? 'selected' : ''}>Without attachments</option>
+          </select>
+          <select id="filterExported" class="form-input" title="Export"
+            style="${activeTab && activeTab.dataset.stage === 'managed' ? '' : 'display: none;'}">
+            <option value="">Exported or not</option>
+            <option value="true" ${filters.exported === 'true' ? 'selected' : ''}>Exported</option>
+            <option value="false" ${filters.exported === 'false' ? 'selected' : ''}>Not exported</option>
+          </select>
+          <select id="filterSort" class="form-input" title="Sort">
+            ${sortOptions.map(option => `<option value="${option.value}" ${sort === option.value ? 'selected' : ''}>${option.label}</option>`).join('')}
+          </select>
+          <button class="btn btn-ghost btn-sm" data-action="clearEmailFilters">
+            <i class="fas fa-times"></i>
+            Clear
+          </button>
+          <button class="btn btn-outline btn-sm" data-action="showSavedViewModal">
+            <i class="fas ${this.activeView ? 'fa-pen' : 'fa-folder-plus'}"></i>
+            ${this.activeView ? 'Edit View' : 'Save as View'}
+          </button>
         </div>
+        <div class="text-muted email-list-summary" id="listSummary"></div>
       `;
-        } else {
-            return `<span class="text-muted">No data</span>`;
-        }
+
+        let searchTimer = null;
+        ['filterQuery', 'filterSenderDomain'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => this.applyEmailFilters(), 300);
+            });
+        });
+        ['filterCategory', 'filterDateRange', 'filterDateFrom', 'filterDateTo', 'filterHasAttachment', 'filterExported', 'filterSort'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.applyEmailFilters());
+        });
     }
 
-    formatCategory(category) {
-        const categoryMap = {
-            'CUSTOMER_INQUIRY': { label: 'Customer Inquiry', class: 'badge-secondary' },
-            'customer_inquiry': { label: 'Customer Inquiry', class: 'badge-secondary' },
-            'INVOICE': { label: 'Invoice', class: 'badge-secondary' },
-            'invoice': { label: 'Invoice', class: 'badge-secondary' },
-            'OTHER': { label: 'Other', class: 'badge-secondary' },
-            'other': { label: 'Other', class: 'badge-secondary' }
+    async applyEmailFilters() {
+        const value = id => document.getElementById(id).value.trim();
+        const [sort, order] = value('filterSort').split(':');
+        const dateRange = value('filterDateRange');
+
+        // A period replaces the exact dates
+        ['filterDateFrom', 'filterDateTo'].forEach(id => {
+            document.getElementById(id).disabled = Boolean(dateRange);
+        });
+
+        this.listFilters = {
+            q: value('filterQuery'),
+            category: value('filterCategory'),
+            dateRange,
+            dateFrom: dateRange ? '' : value('filterDateFrom'),
+            dateTo: dateRange ? '' : value('filterDateTo'),
+            senderDomain: value('filterSenderDomain'),
+            hasAttachment: value('filterHasAttachment'),
+            exported: value('filterExported'),
+            sort: sort || '',
+            order: order || ''
         };
 
-        const cat = categoryMap[category] || categoryMap.OTHER;
-        return `<span class="badge ${cat.class}">${cat.label}</span>`;
+        const activeTab = document.querySelector('.nav-tab.active');
+        if (activeTab) {
+            await this.loadCurrentStage(activeTab.dataset.stage);
+        }
     }
 
-    getActionsForStage(stage, emailId) {
-        switch (stage) {
-            case 'fetched':
-                return `
-          <div class="btn-group">
-            <button class="btn btn-sm btn-primary" data-action="approveEmail" data-email-id="${emailId}">
-              Process
-            </button>
-            <button class="btn btn-sm btn-secondary" data-action="declineEmail" data-email-id="${emailId}">
-              Decline
-            </button>
-          </div>
-        `;
-            case 'review':
-                return `
-          <div class="btn-group">
-            <button class="btn btn-sm btn-primary" data-action="processEmail" data-email-id="${emailId}">
-              Approve
-            </button>
-            <button class="btn btn-sm btn-outline" data-action="editEmail" data-email-id="${emailId}">
-              Edit
-            </button>
-            <button class="btn btn-sm btn-secondary" data-action="deleteEmail" data-email-id="${emailId}">
-              Delete
-            </button>
-          </div>
-        `;
-            case 'managed':
-                return `
-          <div class="btn-group">
-            <button class="btn btn-sm btn-secondary" data-action="deleteEmail" data-email-id="${emailId}">
-              Delete
-            </button>
-          </div>
-        `;
-            case 'deleted':
-                return `
-          <div class="btn-group">
-            <button class="btn btn-sm btn-primary" data-action="restoreEmail" data-email-id="${emailId}">
-              Restore
-            </button>
-            <button class="btn btn-sm btn-destructive" data-action="permanentDeleteEmail" data-email-id="${emailId}">
-              Delete Permanently
-            </button>
-          </div>
-        `;
-            default:
-                return '';
-        }
+    async clearEmailFilters() {
+        this.listFilters = {};
+        this.renderEmailFilters();
+        await this.applyEmailFilters();
     }
 
-    renderBulkActions(stage) {
-        const actions = {
-            fetched: [
-                { label: 'Process Selected', action: 'bulkApprove', class: 'btn-primary' },
-                { label: 'Decline Selected', action: 'bulkDecline', class: 'btn-secondary' }
-            ],
-            review: [
-                { label: 'Approve Selected', action: 'bulkApproveReview', class: 'btn-primary' }
-            ],
-            managed: [
-                { label: 'Export All', action: 'exportManagedEmails', class: 'btn-outline', icon: 'fas fa-download' }
-            ],
-            deleted: [
-                { label: 'Restore Selected', action: 'bulkRestoreEmails', class: 'btn-primary' },
-                { label: 'Delete Permanently', action: 'bulkPermanentDeleteEmails', class: 'btn-destructive' }
-            ]
-        };
+    /**
+     * Search, filter and sort parameters for a stage's list request
+     */
+    getListParams(stage, filters = this.listFilters) {
+        const params = new URLSearchParams();
+        [...LIST_FILTER_KEYS, 'sort', 'order'].forEach(key => {
+            if (filters[key]) params.set(key, filters[key]);
+        });
+        // Only managed emails are exported
+        if (stage !== 'managed') {
+            params.delete('exported');
+        }
 
-        if (!actions[stage]) return '';
+        if (stage === 'fetched') {
+            params.set('includeOther', this.showOtherEmails || false);
+        } else if (stage === 'review' && this.reviewSort) {
+            // The confidence column's sort replaces the chosen one
+            params.set('sort', this.reviewSort);
+            params.delete('order');
+        }
 
-        return `
-      <div style="margin-top: 1rem; padding-top: 1rem; border-top: 1px solid var(--border);">
-        <div class="flex justify-between items-center">
-          <span id="selectedCount" class="text-muted">0 selected</span>
-          <div class="btn-group">
-            ${actions[stage].map(action =>
-            `<button class="btn btn-sm ${action.class}" data-action="${action.action}" ${action.action === 'exportManagedEmails' ? '' : 'disabled'}>
-                ${action.icon ? `<i class="${action.icon}"></i> ` : ''}${action.label}
-              </button>`
-        ).join('')}
-          </div>
-        </div>
-      </div>
-    `;
+        return params;
     }
 
-    bindDashboardEvents() {
-        // Navigation tab events
-        document.querySelectorAll('.nav-tab').forEach(tab => {
-            tab.addEventListener('click', () => {
-                // Remove active class from all tabs
-                document.querySelectorAll('.nav-tab').forEach(t => t.classList.remove('active'));
-                // Add active class to clicked tab
-                tab.classList.add('active');
+    hasListFilters() {
+        return LIST_FILTER_KEYS.some(key => this.listFilters[key]);
+    }
 
-                const stageName = tab.dataset.stage;
-                this.loadCurrentStage(stageName);
-            });
-        });
+    updateListSummary() {
+        const summary = document.getElementById('listSummary');
+        if (!summary) return;
 
-        // Event delegation for action buttons
-        document.addEventListener('click', (e) => {
-            const button = e.target.closest('[data-action]');
-            if (button) {
-                const action = button.dataset.action;
-                const emailId = button.dataset.emailId;
+        const list = this.stageList;
+        summary.textContent = list && list.total > 0
+            ? `Showing ${list.emails.length} of ${list.total} email${list.total === 1 ? '' : 's'}${this.hasListFilters() ? ' matching the filters' : ''}`
+            : '';
+    }
 
-                // Call the appropriate method on the app instance
-                if (this[action] && typeof this[action] === 'function') {
-                    if (emailId) {
-                        this[action](emailId);
-                    } else {
-                        this[action]();
-                    }
-                }
-            }
-        });
+    // ===============================
+    // SAVED VIEWS
+    // ===============================
 
-        // Use event delegation for dynamically created buttons
-        document.addEventListener('click', (e) => {
-            if (e.target.closest('#showOtherToggle')) {
-                e.preventDefault();
-                this.toggleOtherEmails();
-            }
-            // Note: syncOldBtn moved to main event delegation system
+    async loadSavedViews() {
+        try {
+            const response = await fetch('/api/views');
+            this.savedViews = response.ok ? await response.json() : [];
+        } catch (error) {
+            console.error('Failed to load saved views:', error);
+            this.savedViews = [];
+        }
+
+        if (this.activeView) {
+            this.activeView = this.savedViews.find(view => view.id === this.activeView.id) || null;
+        }
+        this.renderSavedViewTabs();
+    }
+
+    /**
+     * A tab per saved view after the stage tabs, with the view's count as badge
+     */
+    renderSavedViewTabs() {
+        const container = document.getElementById('savedViewTabs');
+        if (!container) return;
+
+        container.innerHTML = this.savedViews.map(view => `
+            <button class="nav-tab saved-view-tab${this.activeView && this.activeView.id === view.id ? ' active' : ''}"
+              data-stage="${view.stage}" data-view-id="${this.escapeHTML(view.id)}"
+              title="${this.escapeHTML(`${view.name} (${view.stage})`)}">
+              <i class="fas fa-folder"></i>
+              ${this.escapeHTML(view.name)}
+              <span class="badge badge-secondary" id="viewBadge-${this.escapeHTML(view.id)}">0</span>
+            </button>
+          `).join('');
+
+        container.querySelectorAll('.saved-view-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.openSavedView(tab.dataset.viewId));
         });
+    }
 
-        // Use event delegation for recycle bin button, AEMS title, and notifications
-        document.addEventListener('click', (e) => {
-            if (e.target.closest('#recycleBinBtn')) {
-                e.preventDefault();
-                this.showRecycleBin();
-            }
+    async updateSavedViewBadges() {
+        const endpoints = {
+            fetched: '/api/emails/fetched',
+            review: '/api/emails/review',
+            managed: '/api/emails/processed',
+            deleted: '/api/emails/deleted'
+        };
 
-            // Handle AEMS title click for home navigation
-            if (e.target.closest('#aemsTitle')) {
-                e.preventDefault();
+        await Promise.all(this.savedViews.map(async view => {
+            try {
+                const params = this.getListParams(view.stage, view.filters);
+                params.set('limit', 1);
+                const response = await fetch(`${endpoints[view.stage]}?${params}`);
+                const page = await response.json();
 
-                // Navigate to home (dashboard or welcome)
-                if (this.user) {
-                    this.showDashboard();
-                } else {
-                    this.showWelcome();
-                }
+                const badge = document.getElementById(`viewBadge-${view.id}`);
+                if (badge && response.ok) badge.textContent = page.total;
+            } catch (error) {
+                console.error(`Failed to count saved view ${view.name}:`, error);
             }
+        }));
+    }
 
-            // Handle notification button click
-            if (e.target.closest('#notificationBtn')) {
-                e.preventDefault();
-                const dropdown = document.getElementById('notificationDropdown');
-                if (dropdown) {
-                    dropdown.classList.toggle('active');
-                }
-            }
+    async openSavedView(viewId) {
+        const view = this.savedViews.find(v => v.id === viewId);
+        if (!view) return;
 
-            // Handle user button click
-            if (e.target.closest('#userButton')) {
-                e.preventDefault();
-                if (this.user) {
-                    // Show dropdown if already connected
-                    const dropdown = document.getElementById('userDropdown');
-                    if (dropdown) {
-                        dropdown.classList.toggle('active');
-                    }
-                } else {
-                    // Redirect to Gmail auth if not connected
-                    window.location.href = '/auth/google';
-                }
-            }
+        this.activeView = view;
+        this.listFilters = { ...view.filters, sort: view.sort || '', order: view.order || '' };
 
-            // Handle sync button click
-            if (e.target.closest('#syncBtn')) {
-                e.preventDefault();
-                if (this.currentView === 'dashboard') {
-                    this.syncEmails();
-                }
-            }
+        document.querySelectorAll('.nav-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.viewId === view.id);
+        });
 
-            // Handle sign out button click
-            if (e.target.closest('#signOutBtn')) {
-                e.preventDefault();
-                this.signOut();
-            }
+        this.renderEmailFilters();
+        await this.loadCurrentStage(view.stage);
+    }
 
-            // Handle mark all notifications as read button
-            if (e.target.closest('#markAllReadBtn')) {
-                e.preventDefault();
-                this.markAllNotificationsAsRead();
-            }
+    /**
+     * Whether the filter bar differs from the open view (its total is then not the view's count)
+     */
+    hasChangedViewFilters() {
+        const view = this.activeView;
+        if (!view) return false;
 
-            // Handle sync old emails button
-            if (e.target.closest('#syncOldBtn')) {
-                e.preventDefault();
-                this.showSyncOldModal();
-            }
+        return LIST_FILTER_KEYS.some(key => (this.listFilters[key] || '') !== (view.filters[key] || ''));
+    }
 
-            // Close dropdowns when clicking outside
-            if (!e.target.closest('.notification-dropdown')) {
-                const notificationDropdown = document.getElementById('notificationDropdown');
-                if (notificationDropdown) {
-                    notificationDropdown.classList.remove('active');
-                }
-            }
-            if (!e.target.closest('.user-dropdown')) {
-                const userDropdown = document.getElementById('userDropdown');
-                if (userDropdown) {
-                    userDropdown.classList.remove('active');
+    /**
+     * Columns of a stage's table: the open saved view's choice, or the stage's defaults
+     */
+    getVisibleColumns(stage) {
+        const view = this.activeView;
+        return view && view.stage === stage && Array.isArray(view.columns) && view.columns.length > 0
+            ? view.columns
+            : DEFAULT_COLUMNS[stage] || DEFAULT_COLUMNS.fetched;
+    }
+
+    hasDetailColumns(columns) {
+        return columns.includes('customerInfo') || columns.includes('businessDetails');
+    }
+
+    /**
+     * Save the current stage, filters and sort as a view (or edit the open view)
+     */
+    showSavedViewModal() {
+        const modal = document.getElementById('emailModal');
+        const modalTitle = document.getElementById('modalTitle');
+        const modalBody = document.getElementById('modalBody');
+        const modalFooter = document.getElementById('modalFooter');
+
+        const view = this.activeView;
+        const activeTab = document.querySelector('.nav-tab.active');
+        const stage = view ? view.stage : (activeTab ? activeTab.dataset.stage : 'fetched');
+        const columns = this.getVisibleColumns(stage);
+        const params = this.getListParams(stage);
+        params.delete('includeOther');
+        const filters = Array.from(params.entries()).map(([key, value]) => `${key}: ${value}`).join(', ');
+
+        modalTitle.textContent = view ? 'Edit View' : 'Save as View';
+
+        modalBody.innerHTML = `
+          <div class="edit-form modal-section">
+            <p class="text-sm text-muted">
+              The view shows ${this.escapeHTML(stage)} emails with the current search, filters and sort
+              (${this.escapeHTML(filters || 'none')}).
+              Its tab and count stay up to date as emails arrive.
+            </p>
+            <div class="form-group">
+              <label for="view-name">Name:</label>
+              <input type="text" id="view-name" class="form-input" maxlength="40"
+                placeholder="Supplier invoices this month" value="${this.escapeHTML(view ? view.name : '')}" />
+            </div>
+            <div class="form-group">
+              <label>Columns:</label>
+              ${STAGE_COLUMNS[stage].map(column => `
+                <label><input type="checkbox" class="view-column" value="${column}" ${columns.includes(column) ? 'checked' : ''} /> ${COLUMN_LABELS[column]}</label>
+              `).join('')}
+            </div>
+          </div>
+        `;
+
+        this.setSecureContent(modalFooter, () => {
+            const container = document.createElement('div');
+
+            container.appendChild(this.createSecureButton(
+                'Cancel',
+                'btn btn-ghost',
+                () => {
+                    document.getElementById('emailModal').style.display = 'none';
                 }
+            ));
+
+            if (view) {
+                container.appendChild(this.createSecureButton(
+                    'Delete View',
+                    'btn btn-destructive',
+                    () => this.deleteSavedView(view.id)
+                ));
             }
+
+            container.appendChild(this.createSecureButton(
+                view ? 'Save Changes' : 'Save View',
+                'btn btn-primary',
+                () => this.saveView(stage)
+            ));
+
+            return container;
         });
+
+        modal.style.display = 'flex';
     }
 
-    bindTableEvents(stage) {
-        // Select all checkbox
-        const selectAll = document.getElementById('selectAll');
-        if (selectAll) {
-            selectAll.addEventListener('change', (e) => {
-                const checkboxes = document.querySelectorAll('.email-checkbox');
-                checkboxes.forEach(cb => cb.checked = e.target.checked);
-                this.updateSelectedCount();
-            });
-        }
+    async saveView(stage) {
+        const view = this.activeView;
+        const filters = {};
+        LIST_FILTER_KEYS.forEach(key => {
+            if (this.listFilters[key] && (key !== 'exported' || stage === 'managed')) {
+                filters[key] = this.listFilters[key];
+            }
+        });
 
-        // Individual checkboxes
-        document.querySelectorAll('.email-checkbox').forEach(checkbox => {
-            checkbox.addEventListener('change', () => {
-                this.updateSelectedCount();
+        const definition = {
+            name: (document.getElementById('view-name')?.value || '').trim(),
+            stage,
+            filters,
+            sort: this.listFilters.sort || null,
+            order: this.listFilters.order || null,
+            columns: Array.from(document.querySelectorAll('.view-column:checked')).map(input => input.value)
+        };
+
+        try {
+            const response = await this.apiRequest(view ? `/api/views/${encodeURIComponent(view.id)}` : '/api/views', {
+                method: view ? 'PUT' : 'POST',
+                body: definition
             });
-        });
-    }
+            const result = await response.json();
 
-    updateSelectedCount() {
-        const selectedCheckboxes = document.querySelectorAll('.email-checkbox:checked');
-        const count = selectedCheckboxes.length;
+            if (!response.ok) {
+                const details = Array.isArray(result.details) ? `: ${result.details.join('; ')}` : '';
+                throw new Error(`${result.error || 'Failed to save view'}${details}`);
+            }
 
-        const selectedCountEl = document.getElementById('selectedCount');
-        if (selectedCountEl) {
-            selectedCountEl.textContent = `${count} selected`;
-        }
+            document.getElementById('emailModal').style.display = 'none';
+            this.addNotification('View Saved', `${result.view.name} is now a tab of the dashboard`, 'success');
 
-        // Enable/disable bulk action buttons
-        const bulkButtons = document.querySelectorAll('[data-action^="bulk"]');
-        bulkButtons.forEach(btn => {
-            btn.disabled = count === 0;
-        });
+            await this.loadSavedViews();
+            await this.openSavedView(result.view.id);
+            await this.updateSavedViewBadges();
+        } catch (error) {
+            this.addNotification('Error', error.message || 'Failed to save view', 'error');
+        }
     }
 
-    async syncEmails() {
-        const syncBtn = document.getElementById('syncBtn');
-        const originalHTML = syncBtn.innerHTML;
+    async deleteSavedView(id) {
+        const confirmed = await this.showConfirmDialog(
+            'Delete this saved view? Its emails are not affected.',
+            'Delete View',
+            'Delete',
+            'btn-destructive'
+        );
 
-        try {
-            syncBtn.innerHTML = '<div class="spinner"></div> Syncing...';
-            syncBtn.disabled = true;
+        if (!confirmed) {
+            return;
+        }
 
-            const response = await fetch('/api/emails/sync', { method: 'POST' });
+        try {
+            const response = await this.apiRequest(`/api/views/${encodeURIComponent(id)}`, {
+                method: 'DELETE'
+            });
             const result = await response.json();
 
-            if (response.ok) {
-                this.addNotification('Email Sync', `Synced ${result.count} new emails`, 'success');
-                await this.refreshCurrentView();
-            } else {
-                throw new Error(result.error || 'Sync failed');
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to delete view');
             }
 
+            document.getElementById('emailModal').style.display = 'none';
+            this.addNotification('View Deleted', 'Saved view removed', 'success');
+
+            // Back to the view's stage, unfiltered
+            const stage = this.activeView ? this.activeView.stage : 'fetched';
+            this.activeView = null;
+            this.listFilters = {};
+            await this.loadSavedViews();
+            await this.updateSavedViewBadges();
+            this.renderEmailFilters();
+
+            const stageTab = document.getElementById(`${stage}Tab`) || document.getElementById('fetchedTab');
+            document.querySelectorAll('.nav-tab').forEach(tab => tab.classList.toggle('active', tab === stageTab));
+            await this.loadCurrentStage(stageTab.dataset.stage);
         } catch (error) {
-            // Email sync failed
-        } finally {
-            syncBtn.innerHTML = originalHTML;
-            syncBtn.disabled = false;
+            this.addNotification('Error', error.message || 'Failed to delete view', 'error');
         }
     }
 
-    async refreshCurrentView() {
-        // Update all tab badges with fresh counts
-        await this.updateAllTabBadges();
+    renderColumnHeader(column) {
+        if (column === 'confidence') {
+            return `
+        <th>
+          <button class="btn btn-ghost btn-sm" data-action="toggleReviewSort" title="Show low-confidence extractions first">
+            Confidence ${this.reviewSort === 'confidence' ? '<i class="fas fa-sort-amount-up"></i>' : '<i class="fas fa-sort"></i>'}
+          </button>
+        </th>`;
+        }
+        return `<th>${COLUMN_LABELS[column]}</th>`;
+    }
 
-        // Reload current stage or current view
-        if (this.currentView === 'recycle-bin') {
-            await this.showRecycleBin();
-        } else {
-            const activeTab = document.querySelector('.nav-tab.active');
-            if (activeTab) {
-                await this.loadCurrentStage(activeTab.dataset.stage);
+    renderEmailRow(stage, email, columns = this.getVisibleColumns(stage)) {
+        const actions = this.getActionsForStage(stage, email.id);
+        const combinedFields = this.hasDetailColumns(columns) ? this.getCombinedFields(email) : null;
+        const lowConfidence = stage === 'review' && email.lowConfidence;
+
+        return `
+        <tr id="email-row-${email.id}"${lowConfidence ? ' class="low-confidence-row"' : ''}>
+          <td><input type="checkbox" class="email-checkbox" value="${email.id}"></td>
+          ${columns.map(column => this.renderEmailCell(stage, email, column, combinedFields)).join('')}
+          <td>${actions}</td>
+        </tr>
+      `;
+    }
+
+    renderEmailCell(stage, email, column, combinedFields) {
+        switch (column) {
+            case 'date':
+                return `<td>${new Date(email.date).toLocaleDateString()}</td>`;
+            case 'subject': {
+                const subject = this.escapeHTML(email.subject || '');
+                return `<td class="truncate" style="max-width: ${stage === 'fetched' ? 300 : 200}px;" title="${subject}">${subject}</td>`;
             }
+            case 'from':
+                return `<td>${this.escapeHTML(email.fromName || email.fromAddress || '')}</td>`;
+            case 'category':
+                // Fetched emails can still be recategorized, e.g. "other" ones
+                return `<td>${stage === 'fetched' ? this.renderCategorySelector(email) : this.formatCategory(email.category)}</td>`;
+            case 'confidence':
+                return `<td>${this.formatConfidence(email.confidence, email.lowConfidence)}</td>`;
+            case 'customerInfo':
+            case 'businessDetails':
+                return `<td>${combinedFields[column]}</td>`;
+            case 'exportedAt':
+                return `<td>${email.exportedAt ? new Date(email.exportedAt).toLocaleDateString() : '<span class="text-muted">Not exported</span>'}</td>`;
+            case 'deletedAt':
+                return `<td>${email.deletedAt ? new Date(email.deletedAt).toLocaleDateString() : 'Unknown'}</td>`;
+            default:
+                return '<td></td>';
         }
     }
 
-    async showRecycleBin() {
-        console.log('showRecycleBin() called');
-        this.currentView = 'recycle-bin';
-
-        try {
-            // Remove active class from all nav tabs
-            document.querySelectorAll('.nav-tab').forEach(tab => tab.classList.remove('active'));
+    /**
+     * Extracted fields for a category, with low-confidence values highlighted
+     * and the source snippet each value was taken from shown on hover
+     */
+    renderExtractedDataPreview(email) {
+        const definition = this.getCategoryDefinition(email.category);
+        if (!definition || !definition.extractable || definition.fields.length === 0) {
+            return `<span class="text-muted">No extraction available</span>`;
+        }
 
-            // Load deleted emails
-            const response = await fetch('/api/emails/deleted');
-            const emails = await response.json();
+        const fieldConfidence = email.fieldConfidence || {};
+        const lowFields = email.lowConfidenceFields || [];
 
-            // Update main content
-            const mainContent = document.getElementById('mainContent');
-            mainContent.innerHTML = `
-        <div class="container dashboard">
-          <div class="dashboard-header">
-            <div class="flex justify-between items-center">
-              <div>
-                <h2 class="dashboard-title">Recycle Bin</h2>
-                <p class="dashboard-description">Deleted emails that can be restored or permanently deleted</p>
-              </div>
-              <button class="btn btn-ghost btn-sm" id="backToDashboardBtn">
-                <i class="fas fa-arrow-left"></i>
-                Back to Dashboard
-              </button>
-            </div>
-          </div>
+        return `
+        <div class="info-grid extracted-data">
+          ${definition.fields.map(field => {
+            const value = email[field.name];
+            const score = fieldConfidence[field.name];
+            const isLow = lowFields.includes(field.name);
+            const evidence = score && score.evidence
+                ? ` title="${this.escapeHTML(`${score.source}: ${score.evidence}`)}"`
+                : '';
 
-          <div class="card">
-            <div class="card-content">
-              <div id="recycleBinTable"></div>
-            </div>
-          </div>
+            return `
+            <div class="info-item data-field${isLow ? ' low-confidence' : ''}">
+              <span class="info-label">${this.escapeHTML(field.labels.en)}:</span>
+              <span class="info-value"${evidence}>
+                ${value === null || value === undefined ? 'N/A' : this.escapeHTML(String(value))}
+                ${score ? this.formatConfidence(score.confidence, isLow) : ''}
+              </span>
+            </div>`;
+        }).join('')}
+          ${this.renderCheckIssues(email)}
+          ${this.renderDuplicates(email)}
+          ${definition.lineItems && Array.isArray(email.lineItems) && email.lineItems.length > 0 ? `
+            <div class="info-item data-field">
+              <span class="info-label">${this.escapeHTML(definition.lineItems.sheetName)}:</span>
+              <span class="info-value">${email.lineItems.length}</span>
+            </div>` : ''}
         </div>
       `;
+    }
 
-            // Bind back to dashboard button
-            const backBtn = document.getElementById('backToDashboardBtn');
-            if (backBtn) {
-                backBtn.addEventListener('click', () => {
-                    this.showDashboard();
-                });
-            }
+    /**
+     * Confidence badge (0-1 shown as a percentage)
+     */
+    formatConfidence(confidence, isLow = false) {
+        if (confidence === null || confidence === undefined) {
+            return '<span class="text-muted">-</span>';
+        }
+        const badgeClass = isLow ? 'badge-destructive' : 'badge-secondary';
+        return `<span class="badge ${badgeClass} confidence-badge">${Math.round(confidence * 100)}%</span>`;
+    }
 
-            // Render the deleted emails table
-            this.renderRecycleBinTable(emails);
+    async toggleReviewSort() {
+        this.reviewSort = this.reviewSort === 'confidence' ? null : 'confidence';
+        await this.loadCurrentStage('review');
+    }
 
-        } catch (error) {
-            console.error('Failed to load recycle bin:', error);
-            // Show error message
-            const mainContent = document.getElementById('mainContent');
-            mainContent.innerHTML = `
-        <div class="container">
-          <div class="text-center" style="padding: 2rem;">
-            <p class="text-muted">Failed to load recycle bin</p>
-            <button class="btn btn-primary" id="backToDashboardErrorBtn">Back to Dashboard</button>
-          </div>
-        </div>
-      `;
+    async toggleThreadView() {
+        this.threadView = !this.threadView;
 
-            // Bind back to dashboard button for error case
-            const backErrorBtn = document.getElementById('backToDashboardErrorBtn');
-            if (backErrorBtn) {
-                backErrorBtn.addEventListener('click', () => {
-                    this.showDashboard();
-                });
-            }
+        const toggle = document.getElementById('threadViewToggle');
+        if (toggle) {
+            toggle.innerHTML = this.threadView
+                ? '<i class="fas fa-list"></i> Messages'
+                : '<i class="fas fa-comments"></i> Conversations';
+        }
+
+        const activeTab = document.querySelector('.nav-tab.active');
+        if (activeTab) {
+            await this.loadCurrentStage(activeTab.dataset.stage);
         }
     }
 
-    renderRecycleBinTable(emails) {
-        const container = document.getElementById('recycleBinTable');
+    /**
+     * Conversation view: one row per Gmail thread, actions apply to the whole thread
+     */
+    renderThreadTable(stage, threads) {
+        const container = document.getElementById('emailTable');
+        if (!container) return;
 
-        if (emails.length === 0) {
+        if (threads.length === 0) {
             container.innerHTML = `
         <div class="text-center" style="padding: 2rem;">
-          <p class="text-muted">Recycle bin is empty</p>
+          <p class="text-muted">No conversations in this stage</p>
         </div>
       `;
             return;
         }
 
-        const tableHTML = `
+        const headers = stage === 'review'
+            ? '<th>Last Message</th><th>Conversation</th><th>Category</th><th>Confidence</th><th>Customer Info</th><th>Business Details</th><th>Actions</th>'
+            : '<th>Last Message</th><th>Conversation</th><th>Participants</th><th>Category</th><th>Actions</th>';
+
+        container.innerHTML = `
       <div class="table-container">
         <table class="table">
           <thead>
-            <tr>
-              <th><input type="checkbox" id="selectAll"></th>
-              <th>Date</th>
-              <th>Subject</th>
-              <th>From</th>
-              <th>Category</th>
-              <th>Deleted At</th>
-              <th>Actions</th>
-            </tr>
+            <tr>${headers}</tr>
           </thead>
           <tbody>
-            ${emails.map(email => this.renderEmailRow('deleted', email)).join('')}
+            ${threads.map(thread => this.renderThreadRow(stage, thread)).join('')}
           </tbody>
         </table>
       </div>
-      ${this.renderBulkActions('deleted')}
     `;
-
-        container.innerHTML = tableHTML;
-        this.bindTableEvents('deleted');
     }
 
-    async approveEmail(emailId) {
-        // Find the process button for this email
-        const processBtn = document.querySelector(`[data-action="approveEmail"][data-email-id="${emailId}"]`);
-        const originalHTML = processBtn ? processBtn.innerHTML : '';
+    renderThreadRow(stage, thread) {
+        const date = new Date(thread.lastDate).toLocaleDateString();
+        const messages = thread.messages.map(message => `
+              <li>
+                <span class="text-muted">${new Date(message.date).toLocaleString()}</span>
+                <strong>${this.escapeHTML(message.fromName || message.fromAddress || 'Unknown')}</strong>
+                <div class="thread-message-snippet">${this.escapeHTML(message.snippet || message.subject || '')}</div>
+              </li>`).join('');
+
+        const conversation = `
+          <details class="thread-messages">
+            <summary title="${this.escapeHTML(thread.subject)}">
+              ${this.escapeHTML(thread.subject)}
+              <span class="badge badge-secondary">${thread.messageCount}</span>
+            </summary>
+            <ul>${messages}</ul>
+          </details>`;
 
-        try {
-            // Show loading state
-            if (processBtn) {
-                processBtn.innerHTML = '<div class="spinner"></div> Processing...';
-                processBtn.disabled = true;
-            }
+        if (stage === 'review') {
+            const combinedFields = this.getCombinedFields(thread);
+            return `
+        <tr id="thread-row-${this.escapeHTML(thread.threadId)}"${thread.lowConfidence ? ' class="low-confidence-row"' : ''}>
+          <td>${date}</td>
+          <td style="max-width: 300px;">${conversation}</td>
+          <td>${this.formatCategory(thread.category)}</td>
+          <td>${this.formatConfidence(thread.confidence, thread.lowConfidence)}</td>
+          <td>${combinedFields.customerInfo}</td>
+          <td>${combinedFields.businessDetails}</td>
+          <td>${this.getThreadActions(stage, thread)}</td>
+        </tr>
+      `;
+        }
 
-            const response = await fetch(`/api/emails/fetched/${emailId}/approve`, {
-                method: 'POST'
-            });
+        return `
+        <tr id="thread-row-${this.escapeHTML(thread.threadId)}">
+          <td>${date}</td>
+          <td style="max-width: 300px;">${conversation}</td>
+          <td>${this.escapeHTML(thread.participants.join(', '))}</td>
+          <td>${this.formatCategory(thread.category)}</td>
+          <td>${this.getThreadActions(stage, thread)}</td>
+        </tr>
+      `;
+    }
 
-            if (response.ok) {
-                this.addNotification('Email Processed', 'Email moved to review stage for data extraction', 'success');
-                await this.refreshCurrentView();
-            } else {
-                throw new Error('Failed to approve email');
-            }
-        } catch (error) {
-            this.addNotification('Process Failed', 'Failed to process email', 'error');
-        } finally {
-            // Restore button state (if still exists after refresh)
-            if (processBtn && document.contains(processBtn)) {
-                processBtn.innerHTML = originalHTML;
-                processBtn.disabled = false;
-            }
+    getThreadActions(stage, thread) {
+        const threadId = this.escapeHTML(thread.threadId);
+
+        if (stage === 'review') {
+            return `
+          <div class="btn-group">
+            <button class="btn btn-sm btn-primary" data-action="approveReviewThread" data-thread-id="${threadId}">
+              Approve
+            </button>
+            <button class="btn btn-sm btn-outline" data-action="editEmail" data-email-id="${thread.primaryEmailId}">
+              Edit
+            </button>
+          </div>
+        `;
         }
+
+        return `
+          <div class="btn-group">
+            <button class="btn btn-sm btn-primary" data-action="approveThread" data-thread-id="${threadId}">
+              Process
+            </button>
+            <button class="btn btn-sm btn-secondary" data-action="declineThread" data-thread-id="${threadId}">
+              Decline
+            </button>
+          </div>
+        `;
     }
 
-    async declineEmail(emailId) {
-        try {
-            const response = await this.apiRequest(`/api/emails/fetched/${emailId}`, {
-                method: 'DELETE'
-            });
+    renderProcessedDataPreview(email) {
+        // Managed stage - show final processed data
+        const category = (email.category || '').toLowerCase();
 
-            if (response.ok) {
-                this.addNotification('Email Declined', 'Email moved to recycle bin', 'success');
-                await this.refreshCurrentView();
-            } else {
-                throw new Error('Failed to decline email');
-            }
-        } catch (error) {
-            this.addNotification('Decline Failed', 'Failed to decline email', 'error');
+        if (category === 'customer_inquiry') {
+            const name = email.customerName || 'N/A';
+            const email_addr = email.customerEmail || 'N/A';
+            const company = email.company || 'N/A';
+            return `
+        <div class="processed-data">
+          <strong>${name}</strong><br>
+          ${email_addr}<br>
+          ${company}
+        </div>
+      `;
+        } else if (category === 'invoice') {
+            const invoiceNum = email.invoiceNumber || 'N/A';
+            const amount = email.invoiceAmount || 'N/A';
+            const customer = email.invoiceClient || 'N/A';
+            return `
+        <div class="processed-data">
+          <strong>Invoice #${invoiceNum}</strong><br>
+          ${customer}<br>
+          Amount: ${amount}
+        </div>
+      `;
+        } else {
+            return `<span class="text-muted">No data</span>`;
         }
     }
 
-    async viewEmail(emailId) {
+    async loadCategories() {
         try {
-            // Show loading state with UI enhancements
-            if (window.uiEnhancements) {
-                window.uiEnhancements.showLoading('Loading email details...');
-            }
-
-            // Fetch email details
-            const response = await fetch(`/api/emails/managed/${emailId}`);
-            if (!response.ok) throw new Error('Failed to fetch email details');
-
-            const email = await response.json();
-
-            // Debug: Log the received email data
-            console.log('Received email data:', email);
-            console.log('Email fields:', {
-                category: email.category,
-                customerName: email.customerName,
-                customerEmail: email.customerEmail,
-                invoiceNumber: email.invoiceNumber,
-                body: email.body,
-                snippet: email.snippet,
-                htmlBody: email.htmlBody,
-                content: email.content
-            });
-
-            // Hide loading
-            if (window.uiEnhancements) {
-                window.uiEnhancements.hideLoading();
+            const response = await fetch('/api/categories');
+            if (response.ok) {
+                this.categories = await response.json();
             }
-
-            // Show email in modal
-            this.showEmailModal(email);
-
         } catch (error) {
-            console.error('Failed to view email:', error);
-            if (window.uiEnhancements) {
-                window.uiEnhancements.hideLoading();
-                window.uiEnhancements.showToast('Failed to load email details', 'error');
-            }
+            console.error('Failed to load categories:', error);
         }
     }
 
-    showEmailModal(email) {
-        const modal = document.getElementById('emailModal');
-        const modalTitle = document.getElementById('modalTitle');
-        const modalBody = document.getElementById('modalBody');
-        const modalFooter = document.getElementById('modalFooter');
-
-        if (!modal || !modalTitle || !modalBody) {
-            console.error('Modal elements not found');
-            return;
-        }
+    getCategoryDefinition(category) {
+        const key = (category || '').toLowerCase();
+        return this.categories.find(c => c.key === key) || null;
+    }
 
-        // Set modal title
-        modalTitle.textContent = email.subject || 'Email Details';
+    getCategoryLabel(category) {
+        const definition = this.getCategoryDefinition(category);
+        if (definition) return definition.label;
 
-        // Format the email date
-        const emailDate = new Date(email.date).toLocaleString();
-        const category = this.formatCategory(email.category);
+        const fallbackLabels = {
+            customer_inquiry: 'Customer Inquiry',
+            invoice: 'Invoice'
+        };
+        return fallbackLabels[(category || '').toLowerCase()] || 'Other';
+    }
 
-        // Build modal body content
-        let extractedDataHtml = '';
+    formatCategory(category) {
+        const label = this.escapeHTML(this.getCategoryLabel(category));
+        return `<span class="badge badge-secondary">${label}</span>`;
+    }
 
-        if (email.category === 'customer_inquiry' || email.category === 'CUSTOMER_INQUIRY') {
-            extractedDataHtml = `
-        <div class="modal-section">
-          <h4>Customer Information</h4>
-          <div class="info-grid">
-            <div class="info-item">
-              <span class="info-label">Name:</span>
-              <span class="info-value">${email.customerName || 'N/A'}</span>
-            </div>
-            <div class="info-item">
-              <span class="info-label">Email:</span>
-              <span class="info-value">${email.customerEmail || 'N/A'}</span>
-            </div>
-            <div class="info-item">
-              <span class="info-label">Phone:</span>
-              <span class="info-value">${email.customerPhone || 'N/A'}</span>
-            </div>
-            <div class="info-item">
-              <span class="info-label">Company:</span>
-              <span class="info-value">${email.company || 'N/A'}</span>
-            </div>
-            <div class="info-item">
-              <span class="info-label">Service Interest:</span>
-              <span class="info-value">${email.serviceInterest || 'N/A'}</span>
-            </div>
-          </div>
-        </div>
-      `;
-        } else if (email.category === 'invoice' || email.category === 'INVOICE') {
-            extractedDataHtml = `
-        <div class="modal-section">
-          <h4>Invoice Details</h4>
-          <div class="info-grid">
-            <div class="info-item">
-              <span class="info-label">Invoice Number:</span>
-              <span class="info-value">${email.invoiceNumber || 'N/A'}</span>
-            </div>
-            <div class="info-item">
-              <span class="info-label">Date:</span>
-              <span class="info-value">${email.invoiceDate || 'N/A'}</span>
-            </div>
-            <div class="info-item">
-              <span class="info-label">Client:</span>
-              <span class="info-value">${email.invoiceClient || 'N/A'}</span>
-            </div>
-            <div class="info-item">
-              <span class="info-label">Amount:</span>
-              <span class="info-value">${email.invoiceAmount || 'N/A'}</span>
-            </div>
-            <div class="info-item">
-              <span class="info-label">VAT:</span>
-              <span class="info-value">${email.invoiceVAT || 'N/A'}</span>
-            </div>
+    getActionsForStage(stage, emailId) {
+        switch (stage) {
+            case 'fetched':
+                return `
+          <div class="btn-group">
+            <button class="btn btn-sm btn-primary" data-action="approveEmail" data-email-id="${emailId}">
+              Process
+            </button>
+            <button class="btn btn-sm btn-secondary" data-action="declineEmail" data-email-id="${emailId}">
+              Decline
+            </button>
           </div>
-        </div>
-      `;
-        }
-
-        modalBody.innerHTML = `
-      <div class="modal-section">
-        <h4>Email Information</h4>
-        <div class="info-grid">
-          <div class="info-item">
-            <span class="info-label">From:</span>
-            <span class="info-value">${email.fromName || email.fromAddress || 'Unknown'}</span>
+        `;
+            case 'review':
+                return `
+          <div class="btn-group">
+            <button class="btn btn-sm btn-primary" data-action="processEmail" data-email-id="${emailId}">
+              Approve
+            </button>
+            <button class="btn btn-sm btn-outline" data-action="editEmail" data-email-id="${emailId}">
+              Edit
+            </button>
+            <button class="btn btn-sm btn-secondary" data-action="deleteEmail" data-email-id="${emailId}">
+              Delete
+            </button>
           </div>
-          <div class="info-item">
-            <span class="info-label">Date:</span>
-            <span class="info-value">${emailDate}</span>
+        `;
+            case 'managed':
+                return `
+          <div class="btn-group">
+            <button class="btn btn-sm btn-secondary" data-action="deleteEmail" data-email-id="${emailId}">
+              Delete
+            </button>
           </div>
-          <div class="info-item">
-            <span class="info-label">Category:</span>
-            <span class="info-value">${category}</span>
+        `;
+            case 'deleted':
+                return `
+          <div class="btn-group">
+            <button class="btn btn-sm btn-primary" data-action="restoreEmail" data-email-id="${emailId}">
+              Restore
+            </button>
+            <button class="btn btn-sm btn-destructive" data-action="permanentDeleteEmail" data-email-id="${emailId}">
+              Delete Permanently
+            </button>
           </div>
-          <div class="info-item">
-            <span class="info-label">Status:</span>
-            <span class="info-value"><span class="badge badge-success">Managed</span></span>
+        `;
+            default:
+                return '';
+        }
+    }
+
+    renderBulkActions(stage) {
+        const actions = {
+            fetched: [
+                { label: 'Process Selected', action: 'bulkApprove', class: 'btn-primary' },
+                { label: 'Decline Selected', action: 'bulkDecline', class: 'btn-secondary' }
+            ],
+            review: [
+                { label: 'Approve Selected', action: 'bulkApproveReview', class: 'btn-primary' }
+            ],
+            managed: [
+                { label: this.hasListFilters() ? 'Export Filtered' : 'Export All', action: 'exportManagedEmails', class: 'btn-outline', icon: 'fas fa-download' }
+            ],
+            deleted: [
+                { label: 'Restore Selected', action: 'bulkRestoreEmails', class: 'btn-primary' },
+                { label: 'Delete Permanently', action: 'bulkPermanentDeleteEmails', class: 'btn-destructive' }
+            ]
+        };
+
+        if (!actions[stage]) return '';
+
+        return `
+      <div style="margin-top: 1rem; padding-top: 1rem; border-top: 1px solid var(--border);">
+        <div class="flex justify-between items-center">
+          <span id="selectedCount" class="text-muted">0 selected</span>
+          <div class="btn-group">
+            ${actions[stage].map(action =>
+            `<button class="btn btn-sm ${action.class}" data-action="${action.action}" ${action.action === 'exportManagedEmails' ? '' : 'disabled'}>
+                ${action.icon ? `<i class="${action.icon}"></i> ` : ''}${action.label}
+              </button>`
+        ).join('')}
           </div>
         </div>
       </div>
+    `;
+    }
+
+    bindDashboardEvents() {
+        // Navigation tab events (saved view tabs bind their own, see renderSavedViewTabs)
+        document.querySelectorAll('.nav-tab:not(.saved-view-tab)').forEach(tab => {
+            tab.addEventListener('click', () => {
+                // Remove active class from all tabs
+                document.querySelectorAll('.nav-tab').forEach(t => t.classList.remove('active'));
+                // Add active class to clicked tab
+                tab.classList.add('active');
+
+                // Leaving a saved view: back to the stage's unfiltered list
+                if (this.activeView) {
+                    this.activeView = null;
+                    this.listFilters = {};
+                    this.renderEmailFilters();
+                }
+
+                const stageName = tab.dataset.stage;
+                this.loadCurrentStage(stageName);
+            });
+        });
+
+        // Event delegation for action buttons
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                const action = button.dataset.action;
+                const emailId = button.dataset.emailId || button.dataset.threadId;
+
+                // Call the appropriate method on the app instance
+                if (this[action] && typeof this[action] === 'function') {
+                    if (emailId) {
+                        this[action](emailId);
+                    } else {
+                        this[action]();
+                    }
+                }
+            }
+        });
+
+        // Use event delegation for dynamically created buttons
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('#showOtherToggle')) {
+                e.preventDefault();
+                this.toggleOtherEmails();
+            }
+            // Note: syncOldBtn moved to main event delegation system
+        });
+
+        // Use event delegation for recycle bin button, AEMS title, and notifications
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('#recycleBinBtn')) {
+                e.preventDefault();
+                this.showRecycleBin();
+            }
+
+            if (e.target.closest('#contactsBtn')) {
+                e.preventDefault();
+                this.showContacts();
+            }
+
+            if (e.target.closest('#searchBtn')) {
+                e.preventDefault();
+                this.showSearch();
+            }
+
+            // Handle AEMS title click for home navigation
+            if (e.target.closest('#aemsTitle')) {
+                e.preventDefault();
+
+                // Navigate to home (dashboard or welcome)
+                if (this.user) {
+                    this.showDashboard();
+                } else {
+                    this.showWelcome();
+                }
+            }
+
+            // Handle notification button click
+            if (e.target.closest('#notificationBtn')) {
+                e.preventDefault();
+                const dropdown = document.getElementById('notificationDropdown');
+                if (dropdown) {
+                    dropdown.classList.toggle('active');
+                }
+            }
+
+            // Handle user button click
+            if (e.target.closest('#userButton')) {
+                e.preventDefault();
+                if (this.user) {
+                    // Show dropdown if already connected
+                    const dropdown = document.getElementById('userDropdown');
+                    if (dropdown) {
+                        dropdown.classList.toggle('active');
+                    }
+                } else {
+                    // Redirect to Gmail auth if not connected
+                    window.location.href = '/auth/google';
+                }
+            }
+
+            // Handle sync button click
+            if (e.target.closest('#syncBtn')) {
+                e.preventDefault();
+                if (this.currentView === 'dashboard') {
+                    this.syncEmails();
+                }
+            }
+
+            // Handle manage categories button click
+            if (e.target.closest('#manageCategoriesBtn')) {
+                e.preventDefault();
+                this.showCategoriesModal();
+            }
+
+            // Handle manage rules button click
+            if (e.target.closest('#manageRulesBtn')) {
+                e.preventDefault();
+                this.showRulesModal();
+            }
+
+            // Handle sign out button click
+            if (e.target.closest('#signOutBtn')) {
+                e.preventDefault();
+                this.signOut();
+            }
+
+            // Handle mark all notifications as read button
+            if (e.target.closest('#markAllReadBtn')) {
+                e.preventDefault();
+                this.markAllNotificationsAsRead();
+            }
+
+            // Handle sync old emails button
+            if (e.target.closest('#syncOldBtn')) {
+                e.preventDefault();
+                this.showSyncOldModal();
+            }
+
+            // Close dropdowns when clicking outside
+            if (!e.target.closest('.notification-dropdown')) {
+                const notificationDropdown = document.getElementById('notificationDropdown');
+                if (notificationDropdown) {
+                    notificationDropdown.classList.remove('active');
+                }
+            }
+            if (!e.target.closest('.user-dropdown')) {
+                const userDropdown = document.getElementById('userDropdown');
+                if (userDropdown) {
+                    userDropdown.classList.remove('active');
+                }
+            }
+        });
+    }
+
+    bindTableEvents(stage, emails = []) {
+        this.selectedEmailIds.clear();
+
+        // Select all checkbox: every loaded email, including rows scrolled out of view
+        const selectAll = document.getElementById('selectAll');
+        if (selectAll) {
+            selectAll.addEventListener('change', (e) => {
+                emails.forEach(email => {
+                    if (e.target.checked) {
+                        this.selectedEmailIds.add(email.id);
+                    } else {
+                        this.selectedEmailIds.delete(email.id);
+                    }
+                });
+                const checkboxes = document.querySelectorAll('.email-checkbox');
+                checkboxes.forEach(cb => cb.checked = e.target.checked);
+                this.updateSelectedCount();
+            });
+        }
+
+        // Individual checkboxes
+        document.querySelectorAll('.email-checkbox').forEach(checkbox => this.bindEmailCheckbox(checkbox));
+    }
+
+    bindEmailCheckbox(checkbox) {
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) {
+                this.selectedEmailIds.add(checkbox.value);
+            } else {
+                this.selectedEmailIds.delete(checkbox.value);
+            }
+            this.updateSelectedCount();
+        });
+    }
+
+    getSelectedEmailIds() {
+        return Array.from(this.selectedEmailIds);
+    }
+
+    updateSelectedCount() {
+        const count = this.selectedEmailIds.size;
+
+        const selectedCountEl = document.getElementById('selectedCount');
+        if (selectedCountEl) {
+            selectedCountEl.textContent = `${count} selected`;
+        }
+
+        // Enable/disable bulk action buttons
+        const bulkButtons = document.querySelectorAll('[data-action^="bulk"]');
+        bulkButtons.forEach(btn => {
+            btn.disabled = count === 0;
+        });
+    }
+
+    async syncEmails() {
+        const syncBtn = document.getElementById('syncBtn');
+        const originalHTML = syncBtn.innerHTML;
+
+        try {
+            syncBtn.innerHTML = '<div class="spinner"></div> Syncing...';
+            syncBtn.disabled = true;
+
+            const response = await fetch('/api/emails/sync', { method: 'POST' });
+            const result = await response.json();
+
+            if (response.ok) {
+                this.addNotification('Email Sync', `Synced ${result.count} new emails`, 'success');
+                await this.refreshCurrentView();
+            } else {
+                throw new Error(result.error || 'Sync failed');
+            }
+
+        } catch (error) {
+            // Email sync failed
+        } finally {
+            syncBtn.innerHTML = originalHTML;
+            syncBtn.disabled = false;
+        }
+    }
+
+    async refreshCurrentView() {
+        // Update all tab badges with fresh counts
+        await this.updateAllTabBadges();
+
+        // Reload current stage or current view
+        if (this.currentView === 'recycle-bin') {
+            await this.showRecycleBin();
+        } else {
+            const activeTab = document.querySelector('.nav-tab.active');
+            if (activeTab) {
+                await this.loadCurrentStage(activeTab.dataset.stage);
+            }
+        }
+    }
+
+    async showRecycleBin() {
+        console.log('showRecycleBin() called');
+        this.currentView = 'recycle-bin';
+
+        try {
+            // Remove active class from all nav tabs
+            document.querySelectorAll('.nav-tab').forEach(tab => tab.classList.remove('active'));
+
+            // Load deleted emails
+            const response = await fetch('/api/emails/deleted');
+            const emails = await response.json();
+
+            // Update main content
+            const mainContent = document.getElementById('mainContent');
+            mainContent.innerHTML = `
+        <div class="container dashboard">
+          <div class="dashboard-header">
+            <div class="flex justify-between items-center">
+              <div>
+                <h2 class="dashboard-title">Recycle Bin</h2>
+                <p class="dashboard-description">Deleted emails that can be restored or permanently deleted</p>
+              </div>
+              <button class="btn btn-ghost btn-sm" id="backToDashboardBtn">
+                <i class="fas fa-arrow-left"></i>
+                Back to Dashboard
+              </button>
+            </div>
+          </div>
+
+          <div class="card">
+            <div class="card-content">
+              <div id="recycleBinTable"></div>
+            </div>
+          </div>
+        </div>
+      `;
+
+            // Bind back to dashboard button
+            const backBtn = document.getElementById('backToDashboardBtn');
+            if (backBtn) {
+                backBtn.addEventListener('click', () => {
+                    this.showDashboard();
+                });
+            }
+
+            // Render the deleted emails table
+            this.renderRecycleBinTable(emails);
+
+        } catch (error) {
+            console.error('Failed to load recycle bin:', error);
+            // Show error message
+            const mainContent = document.getElementById('mainContent');
+            mainContent.innerHTML = `
+        <div class="container">
+          <div class="text-center" style="padding: 2rem;">
+            <p class="text-muted">Failed to load recycle bin</p>
+            <button class="btn btn-primary" id="backToDashboardErrorBtn">Back to Dashboard</button>
+          </div>
+        </div>
+      `;
+
+            // Bind back to dashboard button for error case
+            const backErrorBtn = document.getElementById('backToDashboardErrorBtn');
+            if (backErrorBtn) {
+                backErrorBtn.addEventListener('click', () => {
+                    this.showDashboard();
+                });
+            }
+        }
+    }
+
+    renderRecycleBinTable(emails) {
+        const container = document.getElementById('recycleBinTable');
+
+        if (emails.length === 0) {
+            container.innerHTML = `
+        <div class="text-center" style="padding: 2rem;">
+          <p class="text-muted">Recycle bin is empty</p>
+        </div>
+      `;
+            return;
+        }
+
+        const tableHTML = `
+      <div class="table-container">
+        <table class="table">
+          <thead>
+            <tr>
+              <th><input type="checkbox" id="selectAll"></th>
+              <th>Date</th>
+              <th>Subject</th>
+              <th>From</th>
+              <th>Category</th>
+              <th>Deleted At</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${emails.map(email => this.renderEmailRow('deleted', email, DEFAULT_COLUMNS.deleted)).join('')}
+          </tbody>
+        </table>
+      </div>
+      ${this.renderBulkActions('deleted')}
+    `;
+
+        container.innerHTML = tableHTML;
+        this.bindTableEvents('deleted', emails);
+    }
+
+    /**
+     * Search across all stages: subjects, senders, bodies, attachment text and extracted fields
+     */
+    async showSearch(query = '') {
+        this.currentView = 'search';
+        document.querySelectorAll('.nav-tab').forEach(tab => tab.classList.remove('active'));
+
+        const mainContent = document.getElementById('mainContent');
+        mainContent.innerHTML = `
+        <div class="container dashboard">
+          <div class="dashboard-header">
+            <div class="flex justify-between items-center">
+              <div>
+                <h2 class="dashboard-title">Search</h2>
+                <p class="dashboard-description">Emails, attachments and extracted data in every stage; accents and case are ignored</p>
+              </div>
+              <button class="btn btn-ghost btn-sm" id="backToDashboardBtn">
+                <i class="fas fa-arrow-left"></i>
+                Back to Dashboard
+              </button>
+            </div>
+          </div>
+
+          <div class="card">
+            <div class="card-content">
+              <input type="search" id="globalSearch" class="form-input contact-search" maxlength="200"
+                placeholder="Search emails, attachments and extracted data" value="${this.escapeHTML(query)}" />
+              <div id="searchResults"></div>
+            </div>
+          </div>
+        </div>
+      `;
+
+        document.getElementById('backToDashboardBtn').addEventListener('click', () => this.showDashboard());
+
+        let searchTimer = null;
+        const input = document.getElementById('globalSearch');
+        input.addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.loadSearchResults(e.target.value.trim()), 300);
+        });
+        input.focus();
+
+        await this.loadSearchResults(query);
+    }
+
+    async loadSearchResults(query) {
+        const container = document.getElementById('searchResults');
+        if (!container) return;
+
+        if (!query) {
+            container.innerHTML = '';
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/search?q=${encodeURIComponent(query)}&limit=50`);
+            if (!response.ok) throw new Error('Search failed');
+            const result = await response.json();
+
+            // Answer to an older query
+            const input = document.getElementById('globalSearch');
+            if (input && input.value.trim() !== query) return;
+
+            this.renderSearchResults(container, result);
+        } catch (error) {
+            container.innerHTML = '<p class="text-muted text-center" style="padding: 2rem;">Search failed</p>';
+        }
+    }
+
+    renderSearchResults(container, { total, results }) {
+        if (results.length === 0) {
+            container.innerHTML = `
+        <div class="text-center" style="padding: 2rem;">
+          <p class="text-muted">No emails found</p>
+        </div>
+      `;
+            return;
+        }
+
+        const stageLabels = { FETCHED: 'Fetched', REVIEW: 'Review', MANAGED: 'Managed', DELETED: 'Deleted' };
+
+        // Snippet html comes escaped from the server, with the matches in <mark>
+        container.innerHTML = `
+      <p class="text-muted search-summary">${total > results.length ? `Best ${results.length} of ${total} results` : `${total} result${total === 1 ? '' : 's'}`}</p>
+      <ul class="search-results">
+        ${results.map(result => `
+        <li class="search-result">
+          <div class="flex justify-between items-center">
+            <div>
+              <span class="font-medium">${this.escapeHTML(result.subject || '(no subject)')}</span>
+              <span class="badge badge-secondary">${stageLabels[result.status] || this.escapeHTML(result.status)}</span>
+              ${this.formatCategory(result.category)}
+            </div>
+            ${result.status === 'REVIEW' ? `
+            <button class="btn btn-sm btn-outline" data-action="editEmail" data-email-id="${this.escapeHTML(result.id)}">Edit</button>` : ''}
+          </div>
+          <div class="text-muted search-result-meta">
+            ${this.escapeHTML(result.fromName || result.fromAddress || '')} · ${new Date(result.date).toLocaleDateString()}
+          </div>
+          ${result.snippets.map(snippet => `
+          <div class="search-snippet">
+            <span class="info-label">${this.escapeHTML(snippet.label)}:</span>
+            <span>${snippet.html}</span>
+          </div>`).join('')}
+        </li>`).join('')}
+      </ul>
+    `;
+    }
+
+    /**
+     * Contact registry: people and companies from extracted inquiries and invoices
+     */
+    async showContacts(query = '') {
+        this.currentView = 'contacts';
+        document.querySelectorAll('.nav-tab').forEach(tab => tab.classList.remove('active'));
+
+        const mainContent = document.getElementById('mainContent');
+        mainContent.innerHTML = `
+        <div class="container dashboard">
+          <div class="dashboard-header">
+            <div class="flex justify-between items-center">
+              <div>
+                <h2 class="dashboard-title">Contacts</h2>
+                <p class="dashboard-description">Customers and companies from extracted inquiries and invoices</p>
+              </div>
+              <div class="flex items-center gap-2">
+                <button class="btn btn-outline btn-sm" data-action="exportContacts">
+                  <i class="fas fa-file-excel"></i>
+                  Export
+                </button>
+                <button class="btn btn-ghost btn-sm" id="backToDashboardBtn">
+                  <i class="fas fa-arrow-left"></i>
+                  Back to Dashboard
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div class="card">
+            <div class="card-content">
+              <input type="search" id="contactSearch" class="form-input contact-search" maxlength="100"
+                placeholder="Search by name, company, email, phone or VAT ID" value="${this.escapeHTML(query)}" />
+              <div id="contactsTable"></div>
+            </div>
+          </div>
+        </div>
+      `;
+
+        document.getElementById('backToDashboardBtn').addEventListener('click', () => this.showDashboard());
+
+        let searchTimer = null;
+        document.getElementById('contactSearch').addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => this.loadContacts(e.target.value.trim()), 300);
+        });
+
+        await this.loadContacts(query);
+    }
+
+    async loadContacts(query = '') {
+        const container = document.getElementById('contactsTable');
+        if (!container) return;
+
+        try {
+            const response = await fetch(`/api/contacts${query ? `?q=${encodeURIComponent(query)}` : ''}`);
+            if (!response.ok) throw new Error('Failed to load contacts');
+            this.renderContactsTable(container, await response.json());
+        } catch (error) {
+            container.innerHTML = '<p class="text-muted text-center" style="padding: 2rem;">Failed to load contacts</p>';
+        }
+    }
+
+    renderContactsTable(container, contacts) {
+        if (contacts.length === 0) {
+            container.innerHTML = `
+        <div class="text-center" style="padding: 2rem;">
+          <p class="text-muted">No contacts yet. Contacts are created when inquiries and invoices are extracted.</p>
+        </div>
+      `;
+            return;
+        }
+
+        container.innerHTML = `
+      <div class="table-container">
+        <table class="table contacts-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Company</th>
+              <th>Email</th>
+              <th>Phone</th>
+              <th>VAT ID</th>
+              <th>Inquiries</th>
+              <th>Invoices</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${contacts.map(contact => `
+            <tr class="contact-row" data-contact-id="${this.escapeHTML(contact.id)}">
+              <td>
+                <span class="font-medium">${this.escapeHTML(contact.name)}</span>
+                ${contact.type === 'company' ? '<span class="badge badge-secondary">Company</span>' : ''}
+              </td>
+              <td>${this.escapeHTML(contact.company || '')}</td>
+              <td>${this.escapeHTML(contact.emails.join(', '))}</td>
+              <td>${this.escapeHTML(contact.phones.join(', '))}</td>
+              <td>${this.escapeHTML(contact.vatId || '')}</td>
+              <td>${contact.inquiryCount}</td>
+              <td>${contact.invoiceCount}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+
+        container.querySelectorAll('.contact-row').forEach(row => {
+            row.addEventListener('click', () => this.showContactProfile(row.dataset.contactId));
+        });
+    }
+
+    /**
+     * Contact profile: details, then every inquiry and invoice of the contact
+     */
+    async showContactProfile(contactId) {
+        try {
+            const response = await fetch(`/api/contacts/${encodeURIComponent(contactId)}`);
+            if (!response.ok) throw new Error('Failed to load contact');
+            const { contact, inquiries, invoices } = await response.json();
+
+            const details = [
+                ['Company', contact.company],
+                ['Email', contact.emails.join(', ')],
+                ['Phone', contact.phones.join(', ')],
+                ['VAT ID', contact.vatId],
+                ['Location', contact.location],
+                ['First seen', contact.createdAt ? new Date(contact.createdAt).toLocaleDateString() : null]
+            ].filter(([, value]) => value);
+
+            const mainContent = document.getElementById('mainContent');
+            mainContent.innerHTML = `
+        <div class="container dashboard">
+          <div class="dashboard-header">
+            <div class="flex justify-between items-center">
+              <div>
+                <h2 class="dashboard-title">${this.escapeHTML(contact.name)}</h2>
+                <p class="dashboard-description">${contact.type === 'company' ? 'Company' : 'Customer'}</p>
+              </div>
+              <button class="btn btn-ghost btn-sm" id="backToContactsBtn">
+                <i class="fas fa-arrow-left"></i>
+                Back to Contacts
+              </button>
+            </div>
+          </div>
+
+          <div class="card">
+            <div class="card-content">
+              <div class="info-grid">
+                ${details.map(([label, value]) => `
+                <div class="info-item">
+                  <span class="info-label">${label}:</span>
+                  <span class="info-value">${this.escapeHTML(value)}</span>
+                </div>`).join('')}
+              </div>
+            </div>
+          </div>
+
+          ${this.renderContactRecords('Inquiries', inquiries, 'customer_inquiry')}
+          ${this.renderContactRecords('Invoices', invoices, 'invoice')}
+        </div>
+      `;
+
+            document.getElementById('backToContactsBtn').addEventListener('click', () => this.showContacts());
+        } catch (error) {
+            this.addNotification('Error', 'Failed to load contact', 'error');
+        }
+    }
+
+    renderContactRecords(title, records, category) {
+        const definition = this.getCategoryDefinition(category);
+        const columns = definition ? definition.fields.slice(0, 4) : [];
+        const stages = { FETCHED: 'Fetched', REVIEW: 'Review', MANAGED: 'Managed' };
+
+        const body = records.length === 0
+            ? `<p class="text-muted">No ${title.toLowerCase()}</p>`
+            : `
+              <div class="table-container">
+                <table class="table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Subject</th>
+                      <th>Stage</th>
+                      ${columns.map(field => `<th>${this.escapeHTML(field.labels.en)}</th>`).join('')}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${records.map(record => `
+                    <tr>
+                      <td>${record.date ? new Date(record.date).toLocaleDateString() : ''}</td>
+                      <td class="truncate" style="max-width: 250px;" title="${this.escapeHTML(record.subject || '')}">${this.escapeHTML(record.subject || '')}</td>
+                      <td>${stages[record.status] || this.escapeHTML(record.status || '')}</td>
+                      ${columns.map(field => `<td>${this.escapeHTML(record[field.name] === null || record[field.name] === undefined ? '' : String(record[field.name]))}</td>`).join('')}
+                    </tr>`).join('')}
+                  </tbody>
+                </table>
+              </div>`;
+
+        return `
+          <div class="card contact-records">
+            <div class="card-content">
+              <h3>${title} (${records.length})</h3>
+              ${body}
+            </div>
+          </div>`;
+    }
+
+    async exportContacts() {
+        try {
+            const response = await fetch('/api/contacts/export');
+            const contentType = response.headers.get('Content-Type') || '';
+            if (!response.ok || contentType.includes('application/json')) {
+                const result = await response.json().catch(() => ({}));
+                this.addNotification('Export', result.error || 'Failed to export contacts', 'warning');
+                return;
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `aems-contacts-${new Date().toISOString().split('T')[0]}.xlsx`;
+            a.style.display = 'none';
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            this.addNotification('Error', 'Failed to export contacts', 'error');
+        }
+    }
+
+    async approveEmail(emailId) {
+        // Find the process button for this email
+        const processBtn = document.querySelector(`[data-action="approveEmail"][data-email-id="${emailId}"]`);
+        const originalHTML = processBtn ? processBtn.innerHTML : '';
+
+        try {
+            // Show loading state
+            if (processBtn) {
+                processBtn.innerHTML = '<div class="spinner"></div> Processing...';
+                processBtn.disabled = true;
+            }
+
+            const response = await fetch(`/api/emails/fetched/${emailId}/approve`, {
+                method: 'POST'
+            });
+
+            if (response.ok) {
+                this.addNotification('Email Processed', 'Email moved to review stage for data extraction', 'success');
+                await this.refreshCurrentView();
+            } else {
+                throw new Error('Failed to approve email');
+            }
+        } catch (error) {
+            this.addNotification('Process Failed', 'Failed to process email', 'error');
+        } finally {
+            // Restore button state (if still exists after refresh)
+            if (processBtn && document.contains(processBtn)) {
+                processBtn.innerHTML = originalHTML;
+                processBtn.disabled = false;
+            }
+        }
+    }
+
+    async declineEmail(emailId) {
+        try {
+            const response = await this.apiRequest(`/api/emails/fetched/${emailId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.ok) {
+                this.addNotification('Email Declined', 'Email moved to recycle bin', 'success');
+                await this.refreshCurrentView();
+            } else {
+                throw new Error('Failed to decline email');
+            }
+        } catch (error) {
+            this.addNotification('Decline Failed', 'Failed to decline email', 'error');
+        }
+    }
+
+    async approveThread(threadId) {
+        const processBtn = document.querySelector(`[data-action="approveThread"][data-thread-id="${threadId}"]`);
+        if (processBtn) {
+            processBtn.innerHTML = '<div class="spinner"></div> Processing...';
+            processBtn.disabled = true;
+        }
+
+        try {
+            const response = await this.apiRequest(`/api/threads/${encodeURIComponent(threadId)}/approve`, { method: 'POST' });
+            if (!response.ok) throw new Error('Failed to approve thread');
+
+            const result = await response.json();
+            this.addNotification('Conversation Processed', `${result.moved} email(s) moved to review, data extracted from the whole conversation`, 'success');
+            await this.refreshCurrentView();
+        } catch (error) {
+            this.addNotification('Process Failed', 'Failed to process conversation', 'error');
+            if (processBtn && document.contains(processBtn)) {
+                processBtn.innerHTML = 'Process';
+                processBtn.disabled = false;
+            }
+        }
+    }
+
+    async declineThread(threadId) {
+        try {
+            const response = await this.apiRequest(`/api/threads/${encodeURIComponent(threadId)}`, { method: 'DELETE' });
+            if (!response.ok) throw new Error('Failed to decline thread');
+
+            const result = await response.json();
+            this.addNotification('Conversation Declined', `${result.declined} email(s) moved to recycle bin`, 'success');
+            await this.refreshCurrentView();
+        } catch (error) {
+            this.addNotification('Decline Failed', 'Failed to decline conversation', 'error');
+        }
+    }
+
+    async approveReviewThread(threadId) {
+        try {
+            const response = await this.apiRequest(`/api/threads/${encodeURIComponent(threadId)}/review/approve`, { method: 'POST' });
+            if (response.status === 409) {
+                const result = await response.json().catch(() => ({}));
+                this.notifyBlockedByChecks((result.details || []).flatMap(blocked => blocked.issues || []));
+                return;
+            }
+            if (!response.ok) throw new Error('Failed to approve thread');
+
+            const result = await response.json();
+            this.addNotification('Conversation Approved', `${result.approved} email(s) moved to managed`, 'success');
+            await this.refreshCurrentView();
+        } catch (error) {
+            this.addNotification('Approval Failed', 'Failed to approve conversation', 'error');
+        }
+    }
+
+    async viewEmail(emailId) {
+        try {
+            // Show loading state with UI enhancements
+            if (window.uiEnhancements) {
+                window.uiEnhancements.showLoading('Loading email details...');
+            }
+
+            // Fetch email details
+            const response = await fetch(`/api/emails/managed/${emailId}`);
+            if (!response.ok) throw new Error('Failed to fetch email details');
+
+            const email = await response.json();
+
+            // Debug: Log the received email data
+            console.log('Received email data:', email);
+            console.log('Email fields:', {
+                category: email.category,
+                customerName: email.customerName,
+                customerEmail: email.customerEmail,
+                invoiceNumber: email.invoiceNumber,
+                body: email.body,
+                snippet: email.snippet,
+                htmlBody: email.htmlBody,
+                content: email.content
+            });
+
+            // Hide loading
+            if (window.uiEnhancements) {
+                window.uiEnhancements.hideLoading();
+            }
+
+            // Show email in modal
+            this.showEmailModal(email);
+
+        } catch (error) {
+            console.error('Failed to view email:', error);
+            if (window.uiEnhancements) {
+                window.uiEnhancements.hideLoading();
+                window.uiEnhancements.showToast('Failed to load email details', 'error');
+            }
+        }
+    }
+
+    showEmailModal(email) {
+        const modal = document.getElementById('emailModal');
+        const modalTitle = document.getElementById('modalTitle');
+        const modalBody = document.getElementById('modalBody');
+        const modalFooter = document.getElementById('modalFooter');
+
+        if (!modal || !modalTitle || !modalBody) {
+            console.error('Modal elements not found');
+            return;
+        }
+
+        // Set modal title
+        modalTitle.textContent = email.subject || 'Email Details';
+
+        // Format the email date
+        const emailDate = new Date(email.date).toLocaleString();
+        const category = this.formatCategory(email.category);
+
+        // Build modal body content
+        let extractedDataHtml = '';
+
+        const definition = this.getCategoryDefinition(email.category);
+        if (definition && definition.extractable) {
+            extractedDataHtml = `
+        <div class="modal-section">
+          <h4>${this.escapeHTML(definition.label)} Details</h4>
+          ${this.renderExtractedDataPreview(email)}
+        </div>
+      `;
+        }
+
+        modalBody.innerHTML = `
+      <div class="modal-section">
+        <h4>Email Information</h4>
+        <div class="info-grid">
+          <div class="info-item">
+            <span class="info-label">From:</span>
+            <span class="info-value">${email.fromName || email.fromAddress || 'Unknown'}</span>
+          </div>
+          <div class="info-item">
+            <span class="info-label">Date:</span>
+            <span class="info-value">${emailDate}</span>
+          </div>
+          <div class="info-item">
+            <span class="info-label">Category:</span>
+            <span class="info-value">${category}</span>
+          </div>
+          ${email.matchedRule ? `
+          <div class="info-item">
+            <span class="info-label">Matched Rule:</span>
+            <span class="info-value">${this.escapeHTML(email.matchedRule.name)}</span>
+          </div>` : ''}
+          <div class="info-item">
+            <span class="info-label">Status:</span>
+            <span class="info-value"><span class="badge badge-success">Managed</span></span>
+          </div>
+        </div>
+      </div>
+
+      ${extractedDataHtml}
+
+      <div class="modal-section">
+        <div class="email-content-header">
+          <h4>Email Content</h4>
+          ${email.htmlBody ? `
+          <button class="btn btn-outline btn-sm" data-action="toggleEmailView" id="emailViewToggle">
+            <i class="fas fa-align-left"></i> Plain Text
+          </button>` : ''}
+        </div>
+        ${email.htmlBody ? '<div class="email-content email-html-content" id="emailHtmlView"></div>' : ''}
+        <div class="email-content" id="emailTextView" ${email.htmlBody ? 'hidden' : ''}>${this.escapeHTML(email.body || email.snippet || 'No content available')}</div>
+      </div>
+
+      <div class="modal-section">
+        <h4>AI Analysis</h4>
+        <div class="ai-analysis">
+          <div class="info-item">
+            <span class="info-label">Summary:</span>
+            <span class="info-value">${email.summary || 'No summary available'}</span>
+          </div>
+          <div class="info-item">
+            <span class="info-label">Action Required:</span>
+            <span class="info-value">${email.action_required || 'None specified'}</span>
+          </div>
+        </div>
+      </div>
+    `;
+
+        if (email.htmlBody && window.securityUtils) {
+            window.securityUtils.setSecureEmailHTML(document.getElementById('emailHtmlView'), email.htmlBody);
+        }
+
+        // Add footer actions
+        modalFooter.innerHTML = `
+      <button class="btn btn-outline" onclick="window.print()">
+        <i class="fas fa-print"></i> Print
+      </button>
+      <button class="btn btn-outline" onclick="app.exportEmail('${email.id}')">
+        <i class="fas fa-download"></i> Export
+      </button>
+      <button class="btn btn-secondary" id="closeModalBtnFooter">
+        Close
+      </button>
+    `;
+
+        // Bind close button in footer
+        const closeBtn = document.getElementById('closeModalBtnFooter');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                modal.style.display = 'none';
+            });
+        }
+
+        // Show modal with animation
+        modal.style.display = 'block';
+        modal.classList.add('fade-in');
+
+        // Add click outside to close
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                modal.style.display = 'none';
+            }
+        });
+    }
+
+    /**
+     * Switch the email modal between the formatted HTML and the plain-text body
+     */
+    toggleEmailView() {
+        const htmlView = document.getElementById('emailHtmlView');
+        const textView = document.getElementById('emailTextView');
+        const toggle = document.getElementById('emailViewToggle');
+        if (!htmlView || !textView || !toggle) return;
+
+        const showText = textView.hidden;
+        textView.hidden = !showText;
+        htmlView.hidden = showText;
+        toggle.innerHTML = showText
+            ? '<i class="fas fa-code"></i> Formatted'
+            : '<i class="fas fa-align-left"></i> Plain Text';
+    }
+
+    async exportEmail(emailId) {
+        try {
+            // Show loading toast
+            let toastId;
+            if (window.uiEnhancements) {
+                toastId = window.uiEnhancements.showToast('Exporting email...', 'loading');
+            }
+
+            const response = await fetch(`/api/emails/managed/${emailId}`);
+            if (!response.ok) throw new Error('Failed to export email');
+
+            const email = await response.json();
+
+            // Create a formatted text export
+            const exportContent = this.formatEmailForExport(email);
+
+            // Download the file
+            const blob = new Blob([exportContent], { type: 'text/plain' });
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `email_${email.id}_${new Date().toISOString().split('T')[0]}.txt`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+
+            // Update toast
+            if (window.uiEnhancements && toastId) {
+                window.uiEnhancements.removeToast(toastId);
+                window.uiEnhancements.showToast('Email exported successfully', 'success');
+            }
+
+        } catch (error) {
+            console.error('Failed to export email:', error);
+            if (window.uiEnhancements) {
+                window.uiEnhancements.showToast('Failed to export email', 'error');
+            }
+        }
+    }
+
+    formatEmailForExport(email) {
+        const date = new Date(email.date).toLocaleString();
+        let content = `Email Export - ${date}\n`;
+        content += '='.repeat(50) + '\n\n';
+
+        content += `Subject: ${email.subject || 'No subject'}\n`;
+        content += `From: ${email.fromName || email.fromAddress || 'Unknown'}\n`;
+        content += `Date: ${date}\n`;
+        content += `Category: ${email.category || 'Uncategorized'}\n`;
+        content += `Status: Managed\n\n`;
+
+        if (email.category === 'customer_inquiry' || email.category === 'CUSTOMER_INQUIRY') {
+            content += 'CUSTOMER INFORMATION\n';
+            content += '-'.repeat(20) + '\n';
+            content += `Name: ${email.customerName || 'N/A'}\n`;
+            content += `Email: ${email.customerEmail || 'N/A'}\n`;
+            content += `Phone: ${email.customerPhone || 'N/A'}\n`;
+            content += `Company: ${email.company || 'N/A'}\n`;
+            content += `Service Interest: ${email.serviceInterest || 'N/A'}\n\n`;
+        } else if (email.category === 'invoice' || email.category === 'INVOICE') {
+            content += 'INVOICE DETAILS\n';
+            content += '-'.repeat(20) + '\n';
+            content += `Invoice Number: ${email.invoiceNumber || 'N/A'}\n`;
+            content += `Invoice Date: ${email.invoiceDate || 'N/A'}\n`;
+            content += `Client: ${email.invoiceClient || 'N/A'}\n`;
+            content += `Amount: ${email.invoiceAmount || 'N/A'}\n`;
+            content += `VAT: ${email.invoiceVAT || 'N/A'}\n\n`;
+        }
+
+        content += 'EMAIL CONTENT\n';
+        content += '-'.repeat(20) + '\n';
+        content += email.content || email.snippet || 'No content available';
+        content += '\n\n';
+
+        if (email.summary) {
+            content += 'AI ANALYSIS\n';
+            content += '-'.repeat(20) + '\n';
+            content += `Summary: ${email.summary}\n`;
+            if (email.action_required) {
+                content += `Action Required: ${email.action_required}\n`;
+            }
+        }
+
+        return content;
+    }
+
+    async bulkApprove() {
+        const selectedIds = this.getSelectedEmailIds();
+
+        if (selectedIds.length === 0) {
+            this.addNotification('No Selection', 'Please select emails to process', 'warning');
+            return;
+        }
+
+        // Find the bulk process button
+        const bulkBtn = document.querySelector('[data-action="bulkApprove"]');
+        const originalHTML = bulkBtn ? bulkBtn.innerHTML : '';
+
+        try {
+            // Show loading state
+            if (bulkBtn) {
+                bulkBtn.innerHTML = '<div class="spinner"></div> Processing...';
+                bulkBtn.disabled = true;
+            }
+
+            // Show notification about the process
+            this.addNotification('Processing Emails', `Processing ${selectedIds.length} email${selectedIds.length > 1 ? 's' : ''} and extracting data...`, 'info');
+
+            const response = await fetch('/api/emails/bulk-approve', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ emailIds: selectedIds })
+            });
+
+            const result = await response.json();
+
+            if (response.ok) {
+                const successCount = result.results.filter(r => r.success).length;
+                this.addNotification('Bulk Process Complete', `${successCount} email${successCount > 1 ? 's' : ''} moved to review stage`, 'success');
+                await this.refreshCurrentView();
+            } else {
+                throw new Error(result.error || 'Bulk approve failed');
+            }
+        } catch (error) {
+            this.addNotification('Bulk Process Failed', 'Failed to process selected emails', 'error');
+        } finally {
+            // Restore button state (if still exists after refresh)
+            if (bulkBtn && document.contains(bulkBtn)) {
+                bulkBtn.innerHTML = originalHTML;
+                bulkBtn.disabled = false;
+            }
+        }
+    }
+
+    async bulkDecline() {
+        const selectedIds = this.getSelectedEmailIds();
+
+        if (selectedIds.length === 0) {
+            // Please select emails first
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/emails/bulk-decline', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ emailIds: selectedIds })
+            });
+
+            const result = await response.json();
+
+            if (response.ok) {
+                const successCount = result.results.filter(r => r.success).length;
+                // Emails declined
+                await this.refreshCurrentView();
+            } else {
+                throw new Error(result.error || 'Bulk decline failed');
+            }
+        } catch (error) {
+            // Bulk decline operation failed
+        }
+    }
+
+    async bulkApproveReview() {
+        const selectedIds = this.getSelectedEmailIds();
+
+        if (selectedIds.length === 0) {
+            this.addNotification('No Selection', 'Please select emails to approve', 'warning');
+            return;
+        }
+
+        // Find the bulk approve button
+        const bulkBtn = document.querySelector('[data-action="bulkApproveReview"]');
+        const originalHTML = bulkBtn ? bulkBtn.innerHTML : '';
+
+        try {
+            // Show loading state
+            if (bulkBtn) {
+                bulkBtn.innerHTML = '<div class="spinner"></div> Approving...';
+                bulkBtn.disabled = true;
+            }
+
+            // Show notification about the process
+            this.addNotification('Approving Emails', `Approving ${selectedIds.length} email${selectedIds.length > 1 ? 's' : ''} for final processing...`, 'info');
+
+            const response = await fetch('/api/emails/bulk-approve-review', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ emailIds: selectedIds })
+            });
+
+            const result = await response.json();
+
+            if (response.ok) {
+                const blocked = ((result.results && result.results.errors) || []).filter(error => error.issues);
+                if (blocked.length > 0) {
+                    this.addNotification('Some Emails Not Approved', `${blocked.length} invoice(s) have failed checks; edit or resolve them first`, 'warning');
+                } else {
+                    this.addNotification('Bulk Approve Complete', result.message, 'success');
+                }
+                await this.refreshCurrentView();
+            } else {
+                throw new Error(result.error || 'Bulk approve failed');
+            }
+        } catch (error) {
+            this.addNotification('Bulk Approve Failed', 'Failed to approve selected emails', 'error');
+        } finally {
+            // Restore button state (if still exists after refresh)
+            if (bulkBtn && document.contains(bulkBtn)) {
+                bulkBtn.innerHTML = originalHTML;
+                bulkBtn.disabled = false;
+            }
+        }
+    }
+
+    async exportManagedEmails() {
+        try {
+            // The managed list's search and filters narrow the export
+            const activeTab = document.querySelector('.nav-tab.active');
+            const params = activeTab && activeTab.dataset.stage === 'managed'
+                ? this.getListParams('managed')
+                : new URLSearchParams();
+            params.delete('sort');
+            params.delete('order');
+
+            const response = await fetch(`/api/emails/export/managed?${params}`, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+                }
+            });
+
+            if (response.ok) {
+                const blob = await response.blob();
+                const url = window.URL.createObjectURL(blob);
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = `aems-managed-export-${new Date().toISOString().split('T')[0]}.xlsx`;
+                a.style.display = 'none';
+                document.body.appendChild(a);
+                a.click();
+                document.body.removeChild(a);
+                window.URL.revokeObjectURL(url);
+
+                // Exported emails leave the "not exported" lists and views
+                await this.updateAllTabBadges();
+                if (activeTab && activeTab.dataset.stage === 'managed') {
+                    await this.loadCurrentStage('managed');
+                }
+            } else {
+                console.error('Export failed:', response.status, response.statusText);
+                const errorText = await response.text();
+                console.error('Error details:', errorText);
+            }
+        } catch (error) {
+            console.error('Export error:', error);
+        }
+    }
+
+    // Keep the old exportData method for backward compatibility if needed
+    async exportData() {
+        await this.exportManagedEmails();
+    }
+
+    toggleOtherEmails() {
+        this.showOtherEmails = !this.showOtherEmails;
+
+        const toggle = document.getElementById('showOtherToggle');
+
+        if (toggle) {
+            if (this.showOtherEmails) {
+                toggle.innerHTML = '<i class="fas fa-eye"></i> Hide Other';
+                toggle.dataset.showOther = 'true';
+            } else {
+                toggle.innerHTML = '<i class="fas fa-eye-slash"></i> Show Other';
+                toggle.dataset.showOther = 'false';
+            }
+        }
+
+        const activeTab = document.querySelector('.nav-tab.active');
+        if (activeTab && activeTab.dataset.stage === 'fetched') {
+            this.loadCurrentStage('fetched');
+        }
+    }
+
+    showSyncOldModal() {
+        const modal = document.getElementById('emailModal');
+        const modalTitle = document.getElementById('modalTitle');
+        const modalBody = document.getElementById('modalBody');
+        const modalFooter = document.getElementById('modalFooter');
+
+        modalTitle.textContent = 'Sync Old Emails';
+
+        // Create modal body content using secure DOM manipulation
+        this.setSecureContent(modalBody, () => {
+            const container = document.createElement('div');
+
+            // From Date field
+            const fromDateDiv = document.createElement('div');
+            fromDateDiv.style.marginBottom = '1rem';
+
+            const fromDateLabel = document.createElement('label');
+            fromDateLabel.setAttribute('for', 'fromDate');
+            fromDateLabel.style.cssText = 'display: block; margin-bottom: 0.5rem; font-weight: 500;';
+            fromDateLabel.textContent = 'From Date:';
+
+            const fromDateInput = document.createElement('input');
+            fromDateInput.type = 'date';
+            fromDateInput.id = 'fromDate';
+            fromDateInput.className = 'form-input';
+            fromDateInput.style.cssText = 'width: 100%; padding: 0.5rem; border: 1px solid hsl(var(--border)); border-radius: calc(var(--radius) - 2px);';
+
+            fromDateDiv.appendChild(fromDateLabel);
+            fromDateDiv.appendChild(fromDateInput);
+
+            // To Date field
+            const toDateDiv = document.createElement('div');
+            toDateDiv.style.marginBottom = '1rem';
+
+            const toDateLabel = document.createElement('label');
+            toDateLabel.setAttribute('for', 'toDate');
+            toDateLabel.style.cssText = 'display: block; margin-bottom: 0.5rem; font-weight: 500;';
+            toDateLabel.textContent = 'To Date:';
+
+            const toDateInput = document.createElement('input');
+            toDateInput.type = 'date';
+            toDateInput.id = 'toDate';
+            toDateInput.className = 'form-input';
+            toDateInput.style.cssText = 'width: 100%; padding: 0.5rem; border: 1px solid hsl(var(--border)); border-radius: calc(var(--radius) - 2px);';
+
+            toDateDiv.appendChild(toDateLabel);
+            toDateDiv.appendChild(toDateInput);
+
+            // Info text
+            const infoDiv = document.createElement('div');
+            infoDiv.style.cssText = 'color: hsl(var(--muted-foreground)); font-size: 0.875rem;';
+
+            const infoIcon = document.createElement('i');
+            infoIcon.className = 'fas fa-info-circle';
+            infoIcon.style.marginRight = '0.5rem';
+
+            const infoText = document.createTextNode(' This will fetch every email in the specified date range, page by page, in the background. Duplicates are skipped, and an interrupted backfill resumes after a restart.');
+
+            infoDiv.appendChild(infoIcon);
+            infoDiv.appendChild(infoText);
+
+            container.appendChild(fromDateDiv);
+            container.appendChild(toDateDiv);
+            container.appendChild(infoDiv);
+
+            return container;
+        });
+
+        // Create modal footer with secure event listeners
+        this.setSecureContent(modalFooter, () => {
+            const container = document.createElement('div');
+
+            const cancelButton = this.createSecureButton(
+                'Cancel',
+                'btn btn-ghost',
+                () => {
+                    document.getElementById('emailModal').style.display = 'none';
+                }
+            );
+
+            const syncButton = this.createSecureButton(
+                'Sync Emails',
+                'btn btn-primary',
+                () => this.syncOldEmails()
+            );
+
+            container.appendChild(cancelButton);
+            container.appendChild(syncButton);
 
-      ${extractedDataHtml}
+            return container;
+        });
 
-      <div class="modal-section">
-        <h4>Email Content</h4>
-        <div class="email-content">
-          ${email.body || email.snippet || email.htmlBody || 'No content available'}
-        </div>
-      </div>
+        // Set default dates (last 30 days)
+        const toDate = new Date();
+        const fromDate = new Date(toDate.getTime() - 30 * 24 * 60 * 60 * 1000);
 
-      <div class="modal-section">
-        <h4>AI Analysis</h4>
-        <div class="ai-analysis">
-          <div class="info-item">
-            <span class="info-label">Summary:</span>
-            <span class="info-value">${email.summary || 'No summary available'}</span>
-          </div>
-          <div class="info-item">
-            <span class="info-label">Action Required:</span>
-            <span class="info-value">${email.action_required || 'None specified'}</span>
-          </div>
-        </div>
-      </div>
-    `;
+        document.getElementById('fromDate').value = fromDate.toISOString().split('T')[0];
+        document.getElementById('toDate').value = toDate.toISOString().split('T')[0];
 
-        // Add footer actions
-        modalFooter.innerHTML = `
-      <button class="btn btn-outline" onclick="window.print()">
-        <i class="fas fa-print"></i> Print
-      </button>
-      <button class="btn btn-outline" onclick="app.exportEmail('${email.id}')">
-        <i class="fas fa-download"></i> Export
-      </button>
-      <button class="btn btn-secondary" id="closeModalBtnFooter">
-        Close
-      </button>
-    `;
+        modal.style.display = 'flex';
+    }
 
-        // Bind close button in footer
-        const closeBtn = document.getElementById('closeModalBtnFooter');
-        if (closeBtn) {
-            closeBtn.addEventListener('click', () => {
-                modal.style.display = 'none';
-            });
-        }
+    async syncOldEmails() {
+        const fromDate = document.getElementById('fromDate').value;
+        const toDate = document.getElementById('toDate').value;
 
-        // Show modal with animation
-        modal.style.display = 'block';
-        modal.classList.add('fade-in');
+        if (!fromDate || !toDate) {
+            this.addNotification('Invalid Input', 'Please select both from and to dates', 'warning');
+            return;
+        }
 
-        // Add click outside to close
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) {
-                modal.style.display = 'none';
-            }
-        });
-    }
+        if (new Date(fromDate) >= new Date(toDate)) {
+            this.addNotification('Invalid Date Range', 'From date must be before to date', 'warning');
+            return;
+        }
 
-    async exportEmail(emailId) {
         try {
-            // Show loading toast
-            let toastId;
-            if (window.uiEnhancements) {
-                toastId = window.uiEnhancements.showToast('Exporting email...', 'loading');
-            }
+            // Close modal
+            document.getElementById('emailModal').style.display = 'none';
 
-            const response = await fetch(`/api/emails/managed/${emailId}`);
-            if (!response.ok) throw new Error('Failed to export email');
+            const response = await this.apiRequest('/api/emails/backfill', {
+                method: 'POST',
+                body: { fromDate, toDate }
+            });
+            const result = await response.json();
 
-            const email = await response.json();
+            if (response.ok) {
+                // Progress and completion arrive over the notification stream
+                this.addNotification('Syncing Old Emails', 'Fetching emails from the specified date range...', 'info');
+                this.handleBulkProgress({
+                    title: 'Backfilling Emails',
+                    cancellable: true,
+                    current: 0,
+                    total: 0,
+                    message: 'Starting...'
+                });
+            } else {
+                throw new Error(result.error || 'Sync failed');
+            }
 
-            // Create a formatted text export
-            const exportContent = this.formatEmailForExport(email);
+        } catch (error) {
+            console.error('Sync old emails error:', error);
+            this.addNotification('Sync Failed', error.message || 'Failed to sync old emails', 'error');
+        }
+    }
 
-            // Download the file
-            const blob = new Blob([exportContent], { type: 'text/plain' });
-            const url = window.URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `email_${email.id}_${new Date().toISOString().split('T')[0]}.txt`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            window.URL.revokeObjectURL(url);
+    async processEmail(emailId) {
+        // Find the approve button for this email in review stage
+        const approveBtn = document.querySelector(`[data-action="processEmail"][data-email-id="${emailId}"]`);
+        const originalHTML = approveBtn ? approveBtn.innerHTML : '';
 
-            // Update toast
-            if (window.uiEnhancements && toastId) {
-                window.uiEnhancements.removeToast(toastId);
-                window.uiEnhancements.showToast('Email exported successfully', 'success');
+        try {
+            // Show loading state
+            if (approveBtn) {
+                approveBtn.innerHTML = '<div class="spinner"></div> Approving...';
+                approveBtn.disabled = true;
             }
 
+            const response = await fetch(`/api/emails/review/${emailId}/approve`, {
+                method: 'POST'
+            });
+
+            if (response.ok) {
+                this.addNotification('Email Approved', 'Email moved to data management stage', 'success');
+                await this.refreshCurrentView();
+            } else if (response.status === 409) {
+                const result = await response.json().catch(() => ({}));
+                this.notifyBlockedByChecks(result.details || []);
+            } else {
+                throw new Error('Failed to process email');
+            }
         } catch (error) {
-            console.error('Failed to export email:', error);
-            if (window.uiEnhancements) {
-                window.uiEnhancements.showToast('Failed to export email', 'error');
+            this.addNotification('Approve Failed', 'Failed to approve email', 'error');
+        } finally {
+            // Restore button state (if still exists after refresh)
+            if (approveBtn && document.contains(approveBtn)) {
+                approveBtn.innerHTML = originalHTML;
+                approveBtn.disabled = false;
             }
         }
     }
 
-    formatEmailForExport(email) {
-        const date = new Date(email.date).toLocaleString();
-        let content = `Email Export - ${date}\n`;
-        content += '='.repeat(50) + '\n\n';
 
-        content += `Subject: ${email.subject || 'No subject'}\n`;
-        content += `From: ${email.fromName || email.fromAddress || 'Unknown'}\n`;
-        content += `Date: ${date}\n`;
-        content += `Category: ${email.category || 'Uncategorized'}\n`;
-        content += `Status: Managed\n\n`;
+    editEmail(emailId) {
+        // Open edit modal for the email
+        this.showEditEmailModal(emailId);
+    }
 
-        if (email.category === 'customer_inquiry' || email.category === 'CUSTOMER_INQUIRY') {
-            content += 'CUSTOMER INFORMATION\n';
-            content += '-'.repeat(20) + '\n';
-            content += `Name: ${email.customerName || 'N/A'}\n`;
-            content += `Email: ${email.customerEmail || 'N/A'}\n`;
-            content += `Phone: ${email.customerPhone || 'N/A'}\n`;
-            content += `Company: ${email.company || 'N/A'}\n`;
-            content += `Service Interest: ${email.serviceInterest || 'N/A'}\n\n`;
-        } else if (email.category === 'invoice' || email.category === 'INVOICE') {
-            content += 'INVOICE DETAILS\n';
-            content += '-'.repeat(20) + '\n';
-            content += `Invoice Number: ${email.invoiceNumber || 'N/A'}\n`;
-            content += `Invoice Date: ${email.invoiceDate || 'N/A'}\n`;
-            content += `Client: ${email.invoiceClient || 'N/A'}\n`;
-            content += `Amount: ${email.invoiceAmount || 'N/A'}\n`;
-            content += `VAT: ${email.invoiceVAT || 'N/A'}\n\n`;
-        }
+    showEditEmailModal(emailId) {
+        // Find the email in the current review emails
+        fetch('/api/emails/review')
+            .then(response => response.json())
+            .then(emails => {
+                const email = emails.find(e => e.id === emailId);
+                if (!email) {
+                    this.addNotification('Error', 'Email not found', 'error');
+                    return;
+                }
 
-        content += 'EMAIL CONTENT\n';
-        content += '-'.repeat(20) + '\n';
-        content += email.content || email.snippet || 'No content available';
-        content += '\n\n';
+                const modal = document.getElementById('emailModal');
+                const modalTitle = document.getElementById('modalTitle');
+                const modalBody = document.getElementById('modalBody');
+                const modalFooter = document.getElementById('modalFooter');
 
-        if (email.summary) {
-            content += 'AI ANALYSIS\n';
-            content += '-'.repeat(20) + '\n';
-            content += `Summary: ${email.summary}\n`;
-            if (email.action_required) {
-                content += `Action Required: ${email.action_required}\n`;
-            }
-        }
+                modalTitle.textContent = 'Edit Extracted Data';
 
-        return content;
-    }
+                const definition = this.getCategoryDefinition(email.category);
+                let formHTML = '';
 
-    async bulkApprove() {
-        const selectedIds = Array.from(document.querySelectorAll('.email-checkbox:checked'))
-            .map(cb => cb.value);
+                if (definition && definition.extractable && definition.fields.length > 0) {
+                    const issues = Array.isArray(email.validationIssues) ? email.validationIssues : [];
+                    const issuesHTML = issues.length > 0 ? `
+            <div class="validation-issues">
+              ${issues.map(issue => `<div>${this.escapeHTML(issue.message)}</div>`).join('')}
+            </div>
+          ` : '';
 
-        if (selectedIds.length === 0) {
-            this.addNotification('No Selection', 'Please select emails to process', 'warning');
-            return;
-        }
+                    formHTML = `
+            ${this.renderParseOutcome(email.parseOutcome)}
+            ${issuesHTML}
+            ${this.renderCheckIssues(email, true)}
+            ${this.renderDuplicates(email, true)}
+            <div class="edit-form">
+              ${definition.fields.map(field => this.renderSchemaField(
+                field,
+                email[field.name],
+                (email.fieldConfidence || {})[field.name],
+                (email.lowConfidenceFields || []).includes(field.name),
+                (email.normalizedFields || {})[field.name]
+            )).join('')}
+            </div>
+            ${definition.lineItems ? this.renderLineItemsEditor(definition.lineItems, email.lineItems) : ''}
+          `;
+                } else {
+                    formHTML = '<p class="text-muted">No extractable data for this email type.</p>';
+                }
 
-        // Find the bulk process button
-        const bulkBtn = document.querySelector('[data-action="bulkApprove"]');
-        const originalHTML = bulkBtn ? bulkBtn.innerHTML : '';
+                modalBody.innerHTML = formHTML;
+                this.bindLineItemsEditor(modalBody, definition);
+                this.bindDuplicateActions(modalBody, email.id);
+
+                // Create modal footer with secure event listeners
+                this.setSecureContent(modalFooter, () => {
+                    const container = document.createElement('div');
+
+                    const cancelButton = this.createSecureButton(
+                        'Cancel',
+                        'btn btn-ghost',
+                        () => {
+                            document.getElementById('emailModal').style.display = 'none';
+                        }
+                    );
+
+                    const saveButton = this.createSecureButton(
+                        'Save Changes',
+                        'btn btn-primary',
+                        () => this.saveExtractedDataEdits(emailId)
+                    );
+
+                    container.appendChild(cancelButton);
+                    container.appendChild(saveButton);
+
+                    return container;
+                });
+
+                modal.style.display = 'flex';
+            })
+            .catch(error => {
+                this.addNotification('Error', 'Failed to load email for editing', 'error');
+            });
+    }
 
+    async saveExtractedDataEdits(emailId) {
         try {
-            // Show loading state
-            if (bulkBtn) {
-                bulkBtn.innerHTML = '<div class="spinner"></div> Processing...';
-                bulkBtn.disabled = true;
-            }
+            const category = await this.getEmailCategory(emailId);
+            const definition = this.getCategoryDefinition(category);
+            const extractedData = {};
 
-            // Show notification about the process
-            this.addNotification('Processing Emails', `Processing ${selectedIds.length} email${selectedIds.length > 1 ? 's' : ''} and extracting data...`, 'info');
+            (definition ? definition.fields : []).forEach(field => {
+                extractedData[field.name] = document.getElementById(`edit-${field.name}`)?.value || null;
+            });
+            if (definition && definition.lineItems) {
+                extractedData.lineItems = this.readLineItems(definition.lineItems);
+            }
 
-            const response = await fetch('/api/emails/bulk-approve', {
-                method: 'POST',
+            const response = await fetch(`/api/emails/review/${emailId}/extracted-data`, {
+                method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ emailIds: selectedIds })
+                body: JSON.stringify({ extractedData })
             });
 
-            const result = await response.json();
-
             if (response.ok) {
-                const successCount = result.results.filter(r => r.success).length;
-                this.addNotification('Bulk Process Complete', `${successCount} email${successCount > 1 ? 's' : ''} moved to review stage`, 'success');
+                document.getElementById('emailModal').style.display = 'none';
+                this.addNotification('Success', 'Extracted data updated successfully', 'success');
                 await this.refreshCurrentView();
             } else {
-                throw new Error(result.error || 'Bulk approve failed');
+                const result = await response.json().catch(() => ({}));
+                const details = Array.isArray(result.details) ? result.details.map(issue => issue.message).join('; ') : '';
+                throw new Error(details || 'Failed to save extracted data changes');
             }
         } catch (error) {
-            this.addNotification('Bulk Process Failed', 'Failed to process selected emails', 'error');
-        } finally {
-            // Restore button state (if still exists after refresh)
-            if (bulkBtn && document.contains(bulkBtn)) {
-                bulkBtn.innerHTML = originalHTML;
-                bulkBtn.disabled = false;
-            }
+            this.addNotification('Error', error.message || 'Failed to save extracted data changes', 'error');
         }
     }
 
-    async bulkDecline() {
-        const selectedIds = Array.from(document.querySelectorAll('.email-checkbox:checked'))
-            .map(cb => cb.value);
+    /**
+     * Failed invoice checks (totals, VAT, lines). Open issues block approval;
+     * in the edit dialog they can be resolved with a note instead of an edit.
+     * Warnings (e.g. mixed VAT rates) are shown apart and do not block.
+     */
+    renderCheckIssues(email, resolvable = false) {
+        const allIssues = Array.isArray(email.checkIssues) ? email.checkIssues : [];
+        const issues = allIssues.filter(issue => issue.severity !== 'warning');
+        const warnings = allIssues.filter(issue => issue.severity === 'warning');
+        const warningList = warnings.length > 0 ? `
+            <div class="check-issues warning">
+              <div class="font-medium">Please check</div>
+              ${warnings.map(issue => `<div>${this.escapeHTML(issue.message)}</div>`).join('')}
+            </div>` : '';
+        if (issues.length === 0) {
+            return warningList;
+        }
 
-        if (selectedIds.length === 0) {
-            // Please select emails first
+        const list = issues.map(issue => `<div>${this.escapeHTML(issue.message)}</div>`).join('');
+        if (email.checksResolution) {
+            return `
+            <div class="check-issues resolved">
+              <div class="font-medium">Invoice checks resolved: ${this.escapeHTML(email.checksResolution.note || '')}</div>
+              ${list}
+            </div>${warningList}`;
+        }
+
+        const resolveForm = resolvable ? `
+              <div class="check-resolution">
+                <input type="text" id="checksResolutionNote" class="form-input" maxlength="500"
+                  placeholder="Why the data is correct as it is (e.g. discount not shown on the lines)" />
+                <button type="button" class="btn btn-outline btn-sm" data-action="resolveChecks" data-email-id="${this.escapeHTML(email.id)}">
+                  Resolve
+                </button>
+              </div>` : '';
+
+        return `
+            <div class="check-issues">
+              <div class="font-medium">Invoice checks failed - fix the data or resolve before approving</div>
+              ${list}
+              ${resolveForm}
+            </div>${warningList}`;
+    }
+
+    async resolveChecks(emailId) {
+        const note = (document.getElementById('checksResolutionNote')?.value || '').trim();
+        if (!note) {
+            this.addNotification('Note Required', 'Add a note explaining why the data is correct', 'warning');
             return;
         }
 
         try {
-            const response = await fetch('/api/emails/bulk-decline', {
+            const response = await this.apiRequest(`/api/emails/review/${encodeURIComponent(emailId)}/checks/resolve`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ emailIds: selectedIds })
+                body: { note }
             });
+            if (!response.ok) throw new Error('Failed to resolve checks');
 
-            const result = await response.json();
-
-            if (response.ok) {
-                const successCount = result.results.filter(r => r.success).length;
-                // Emails declined
-                await this.refreshCurrentView();
-            } else {
-                throw new Error(result.error || 'Bulk decline failed');
-            }
+            document.getElementById('emailModal').style.display = 'none';
+            this.addNotification('Checks Resolved', 'The invoice can now be approved', 'success');
+            await this.refreshCurrentView();
         } catch (error) {
-            // Bulk decline operation failed
+            this.addNotification('Error', 'Failed to resolve invoice checks', 'error');
         }
     }
 
-    async bulkApproveReview() {
-        const selectedIds = Array.from(document.querySelectorAll('.email-checkbox:checked'))
-            .map(cb => cb.value);
+    notifyBlockedByChecks(issues) {
+        const first = issues[0] ? issues[0].message : '';
+        const more = issues.length > 1 ? ` (+${issues.length - 1} more)` : '';
+        this.addNotification('Invoice Checks Failed', `${first}${more}. Edit the data or resolve the checks first.`, 'warning');
+    }
 
-        if (selectedIds.length === 0) {
-            this.addNotification('No Selection', 'Please select emails to approve', 'warning');
-            return;
+    /**
+     * Earlier invoices this one may duplicate, with why; in the edit dialog the
+     * duplicate can be merged into an original or declined
+     */
+    renderDuplicates(email, actionable = false) {
+        const matches = Array.isArray(email.possibleDuplicates) ? email.possibleDuplicates : [];
+        if (matches.length === 0) {
+            return '';
         }
 
-        // Find the bulk approve button
-        const bulkBtn = document.querySelector('[data-action="bulkApproveReview"]');
-        const originalHTML = bulkBtn ? bulkBtn.innerHTML : '';
+        const stages = { FETCHED: 'fetched', REVIEW: 'in review', MANAGED: 'managed' };
+        const list = matches.map(match => {
+            const summary = [
+                match.invoiceNumber ? `Invoice ${match.invoiceNumber}` : null,
+                match.invoiceAmount !== null && match.invoiceAmount !== undefined ? match.invoiceAmount : null,
+                match.invoiceDate
+            ].filter(value => value !== null && value !== undefined).join(' · ');
+            const actions = actionable ? `
+                <div class="duplicate-actions">
+                  ${match.status === 'REVIEW' ? `<button type="button" class="btn btn-ghost btn-sm" data-duplicate-action="open" data-original-id="${this.escapeHTML(match.emailId)}">Open original</button>` : ''}
+                  <button type="button" class="btn btn-outline btn-sm" data-duplicate-action="merge" data-original-id="${this.escapeHTML(match.emailId)}">Merge into original</button>
+                </div>` : '';
 
-        try {
-            // Show loading state
-            if (bulkBtn) {
-                bulkBtn.innerHTML = '<div class="spinner"></div> Approving...';
-                bulkBtn.disabled = true;
+            return `
+              <div class="duplicate-match">
+                <div>
+                  <span class="font-medium">${this.escapeHTML(match.subject || 'Original email')}</span>
+                  <span class="text-muted">${this.escapeHTML([match.fromAddress, match.date ? new Date(match.date).toLocaleDateString() : null, stages[match.status]].filter(Boolean).join(', '))}</span>
+                </div>
+                ${summary ? `<div class="text-sm">${this.escapeHTML(summary)}</div>` : ''}
+                ${match.reasons.map(reason => `<div class="text-sm text-muted">${this.escapeHTML(reason.message)}</div>`).join('')}
+                ${actions}
+              </div>`;
+        }).join('');
+
+        return `
+            <div class="duplicate-warning">
+              <div class="font-medium">Possible duplicate of an invoice already received</div>
+              ${list}
+              ${actionable ? `<button type="button" class="btn btn-secondary btn-sm" data-duplicate-action="decline">Decline duplicate</button>` : ''}
+            </div>`;
+    }
+
+    bindDuplicateActions(container, emailId) {
+        const warning = container.querySelector('.duplicate-warning');
+        if (!warning) return;
+
+        warning.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-duplicate-action]');
+            if (!button) return;
+
+            switch (button.dataset.duplicateAction) {
+                case 'open':
+                    this.showEditEmailModal(button.dataset.originalId);
+                    break;
+                case 'merge':
+                    this.mergeDuplicate(emailId, button.dataset.originalId);
+                    break;
+                case 'decline':
+                    this.declineDuplicate(emailId);
+                    break;
             }
+        });
+    }
 
-            // Show notification about the process
-            this.addNotification('Approving Emails', `Approving ${selectedIds.length} email${selectedIds.length > 1 ? 's' : ''} for final processing...`, 'info');
+    async mergeDuplicate(emailId, originalId) {
+        const confirmed = await this.showConfirmDialog(
+            'The original invoice keeps its data and gets any values it is missing from this email. This email moves to the recycle bin.',
+            'Merge Duplicate',
+            'Merge'
+        );
+        if (!confirmed) return;
 
-            const response = await fetch('/api/emails/bulk-approve-review', {
+        try {
+            const response = await this.apiRequest(`/api/emails/review/${encodeURIComponent(emailId)}/duplicate/merge`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ emailIds: selectedIds })
+                body: { originalId }
             });
+            if (!response.ok) throw new Error('Failed to merge duplicate');
 
             const result = await response.json();
-
-            if (response.ok) {
-                this.addNotification('Bulk Approve Complete', result.message, 'success');
-                await this.refreshCurrentView();
-            } else {
-                throw new Error(result.error || 'Bulk approve failed');
-            }
+            document.getElementById('emailModal').style.display = 'none';
+            const filled = result.filled && result.filled.length > 0 ? ` (${result.filled.length} value(s) added to the original)` : '';
+            this.addNotification('Duplicate Merged', `Merged into the original invoice${filled}`, 'success');
+            await this.refreshCurrentView();
         } catch (error) {
-            this.addNotification('Bulk Approve Failed', 'Failed to approve selected emails', 'error');
-        } finally {
-            // Restore button state (if still exists after refresh)
-            if (bulkBtn && document.contains(bulkBtn)) {
-                bulkBtn.innerHTML = originalHTML;
-                bulkBtn.disabled = false;
-            }
+            this.addNotification('Error', 'Failed to merge duplicate invoice', 'error');
         }
     }
 
-    async exportManagedEmails() {
+    async declineDuplicate(emailId) {
+        const confirmed = await this.showConfirmDialog(
+            'This email moves to the recycle bin; the original invoice is unchanged.',
+            'Decline Duplicate',
+            'Decline',
+            'btn-secondary'
+        );
+        if (!confirmed) return;
+
         try {
-            const response = await fetch('/api/emails/export/managed', {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-                }
+            const response = await this.apiRequest(`/api/emails/review/${encodeURIComponent(emailId)}/duplicate/decline`, {
+                method: 'POST'
             });
+            if (!response.ok) throw new Error('Failed to decline duplicate');
 
-            if (response.ok) {
-                const blob = await response.blob();
-                const url = window.URL.createObjectURL(blob);
-                const a = document.createElement('a');
-                a.href = url;
-                a.download = `aems-managed-export-${new Date().toISOString().split('T')[0]}.xlsx`;
-                a.style.display = 'none';
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                window.URL.revokeObjectURL(url);
-            } else {
-                console.error('Export failed:', response.status, response.statusText);
-                const errorText = await response.text();
-                console.error('Error details:', errorText);
-            }
+            document.getElementById('emailModal').style.display = 'none';
+            this.addNotification('Duplicate Declined', 'The duplicate was moved to the recycle bin', 'success');
+            await this.refreshCurrentView();
         } catch (error) {
-            console.error('Export error:', error);
+            this.addNotification('Error', 'Failed to decline duplicate invoice', 'error');
         }
     }
 
-    // Keep the old exportData method for backward compatibility if needed
-    async exportData() {
-        await this.exportManagedEmails();
-    }
+    /**
+     * Explain how the model output behind the extracted data was parsed
+     */
+    renderParseOutcome(parseOutcome) {
+        if (!parseOutcome || parseOutcome.status === 'parsed') {
+            return '';
+        }
 
-    toggleOtherEmails() {
-        this.showOtherEmails = !this.showOtherEmails;
+        const formats = { ubl: 'UBL', peppol: 'Peppol BIS', mydata: 'myDATA' };
+        const messages = {
+            'rule-based': 'Extracted with rule-based matching (no AI model was used).',
+            structured: `Read from the ${formats[parseOutcome.format] || 'XML'} e-invoice ${parseOutcome.attachment || 'attachment'} (no AI model was used).`,
+            repaired: 'The AI output needed a repair round before it could be used.',
+            invalid: 'The AI output contained values that do not fit the schema; they were cleared.',
+            failed: 'The AI output could not be parsed; the fields were left empty.'
+        };
 
-        const toggle = document.getElementById('showOtherToggle');
+        const errors = (parseOutcome.initialErrors || parseOutcome.errors || [])
+            .map(error => `<div>${this.escapeHTML(error)}</div>`)
+            .join('');
+        const rawOutput = parseOutcome.rawOutput ? `
+              <details>
+                <summary>Model output</summary>
+                <pre class="text-sm" style="white-space: pre-wrap;">${this.escapeHTML(parseOutcome.rawOutput)}</pre>
+              </details>` : '';
 
-        if (toggle) {
-            if (this.showOtherEmails) {
-                toggle.innerHTML = '<i class="fas fa-eye"></i> Hide Other';
-                toggle.dataset.showOther = 'true';
-            } else {
-                toggle.innerHTML = '<i class="fas fa-eye-slash"></i> Show Other';
-                toggle.dataset.showOther = 'false';
-            }
-        }
+        return `
+            <div class="validation-issues">
+              <div class="font-medium">${this.escapeHTML(messages[parseOutcome.status] || parseOutcome.status)}</div>
+              ${errors}
+              ${rawOutput}
+            </div>
+          `;
+    }
 
-        const activeTab = document.querySelector('.nav-tab.active');
-        if (activeTab && activeTab.dataset.stage === 'fetched') {
-            this.loadCurrentStage('fetched');
+    /**
+     * Render one edit-form input from a category schema field,
+     * with its confidence, the source snippet it was extracted from and,
+     * for phones and addresses, how the value was written and parsed
+     */
+    renderSchemaField(field, value, score = null, isLow = false, normalized = null) {
+        const id = `edit-${field.name}`;
+        const safeValue = this.escapeHTML(value === null || value === undefined ? '' : String(value));
+        const label = `${this.escapeHTML(field.labels.en)}${field.required ? ' *' : ''}:`;
+        const hint = field.labels.el && field.labels.el !== field.labels.en
+            ? ` title="${this.escapeHTML(field.labels.el)}"`
+            : '';
+
+        let input;
+        switch (field.type) {
+            case 'text':
+                input = `<textarea id="${id}" class="form-input" rows="3">${safeValue}</textarea>`;
+                break;
+            case 'date':
+                input = `<input type="date" id="${id}" class="form-input" value="${safeValue}" />`;
+                break;
+            case 'email':
+                input = `<input type="email" id="${id}" class="form-input" value="${safeValue}" />`;
+                break;
+            case 'phone':
+                input = `<input type="tel" id="${id}" class="form-input" value="${safeValue}" />`;
+                break;
+            case 'number':
+                input = `<input type="text" inputmode="decimal" id="${id}" class="form-input" value="${safeValue}" />`;
+                break;
+            case 'enum':
+                input = `
+                <select id="${id}" class="form-input">
+                  <option value=""></option>
+                  ${field.values.map(option => `<option value="${this.escapeHTML(option)}" ${option === value ? 'selected' : ''}>${this.escapeHTML(option)}</option>`).join('')}
+                </select>`;
+                break;
+            default:
+                input = `<input type="text" id="${id}" class="form-input" value="${safeValue}" />`;
         }
-    }
 
-    showSyncOldModal() {
-        const modal = document.getElementById('emailModal');
-        const modalTitle = document.getElementById('modalTitle');
-        const modalBody = document.getElementById('modalBody');
-        const modalFooter = document.getElementById('modalFooter');
+        const evidence = score ? `
+                <div class="field-evidence text-sm text-muted">
+                  ${this.formatConfidence(score.confidence, isLow)}
+                  ${score.source === 'ocr' ? '<span class="badge badge-secondary" title="Read with OCR from a scanned attachment">OCR</span>' : ''}
+                  ${score.source === 'xml' ? '<span class="badge badge-secondary" title="Read from a structured e-invoice attachment">XML</span>' : ''}
+                  ${score.evidence ? `${this.escapeHTML(score.source)}: &ldquo;${this.escapeHTML(score.evidence)}&rdquo;` : this.escapeHTML(score.source === 'reviewer' ? 'Edited by reviewer' : 'Not found in the email')}
+                </div>` : '';
 
-        modalTitle.textContent = 'Sync Old Emails';
+        return `
+              <div class="form-group${isLow ? ' low-confidence' : ''}">
+                <label for="${id}"${hint}>${label}</label>
+                ${input}
+                ${this.renderNormalizedField(field, value, normalized)}
+                ${evidence}
+              </div>`;
+    }
 
-        // Create modal body content using secure DOM manipulation
-        this.setSecureContent(modalBody, () => {
-            const container = document.createElement('div');
+    /**
+     * Raw text of a normalized phone, or the parts of a parsed address
+     */
+    renderNormalizedField(field, value, normalized) {
+        if (!normalized) return '';
+
+        if (field.type === 'phone') {
+            const notes = [];
+            if (normalized.raw && normalized.raw !== value) notes.push(`As written: ${normalized.raw}`);
+            if (!normalized.e164) notes.push('Not a recognised phone number');
+            if (normalized.type) notes.push(normalized.type);
+            if (normalized.extension) notes.push(`ext. ${normalized.extension}`);
+            return notes.length > 0
+                ? `<div class="field-normalized text-sm text-muted">${this.escapeHTML(notes.join(' · '))}</div>`
+                : '';
+        }
 
-            // From Date field
-            const fromDateDiv = document.createElement('div');
-            fromDateDiv.style.marginBottom = '1rem';
+        if (field.type === 'address') {
+            const parts = [
+                ['Street', normalized.street],
+                ['City', normalized.city],
+                ['Postal code', normalized.postalCode],
+                ['Country', normalized.country]
+            ].filter(([, part]) => part);
+            return parts.length > 0
+                ? `<div class="field-normalized text-sm text-muted">${parts.map(([name, part]) => `${name}: ${this.escapeHTML(part)}`).join(' · ')}</div>`
+                : '';
+        }
 
-            const fromDateLabel = document.createElement('label');
-            fromDateLabel.setAttribute('for', 'fromDate');
-            fromDateLabel.style.cssText = 'display: block; margin-bottom: 0.5rem; font-weight: 500;';
-            fromDateLabel.textContent = 'From Date:';
+        return '';
+    }
 
-            const fromDateInput = document.createElement('input');
-            fromDateInput.type = 'date';
-            fromDateInput.id = 'fromDate';
-            fromDateInput.className = 'form-input';
-            fromDateInput.style.cssText = 'width: 100%; padding: 0.5rem; border: 1px solid hsl(var(--border)); border-radius: calc(var(--radius) - 2px);';
+    /**
+     * Editable table of line items (invoice lines); one input per column
+     */
+    renderLineItemsEditor(lineItems, items = []) {
+        const rows = (Array.isArray(items) ? items : []).map(item => this.renderLineItemRow(lineItems.fields, item)).join('');
 
-            fromDateDiv.appendChild(fromDateLabel);
-            fromDateDiv.appendChild(fromDateInput);
+        return `
+            <div class="line-items-editor">
+              <div class="line-items-header">
+                <h4>${this.escapeHTML(lineItems.sheetName)}</h4>
+                <button type="button" class="btn btn-outline btn-sm" data-line-action="add">Add line</button>
+              </div>
+              <table class="table line-items-table">
+                <thead>
+                  <tr>
+                    ${lineItems.fields.map(field => `<th title="${this.escapeHTML(field.labels.el || '')}">${this.escapeHTML(field.labels.en)}</th>`).join('')}
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+              </table>
+            </div>
+          `;
+    }
 
-            // To Date field
-            const toDateDiv = document.createElement('div');
-            toDateDiv.style.marginBottom = '1rem';
+    renderLineItemRow(fields, item = {}) {
+        return `
+                  <tr>
+                    ${fields.map(field => {
+            const value = item[field.name];
+            const safeValue = this.escapeHTML(value === null || value === undefined ? '' : String(value));
+            const inputMode = field.type === 'number' ? ' inputmode="decimal"' : '';
+            return `<td><input type="text"${inputMode} class="form-input" data-line-field="${field.name}" value="${safeValue}" /></td>`;
+        }).join('')}
+                    <td><button type="button" class="btn btn-ghost btn-sm" data-line-action="remove" title="Remove line">&times;</button></td>
+                  </tr>`;
+    }
 
-            const toDateLabel = document.createElement('label');
-            toDateLabel.setAttribute('for', 'toDate');
-            toDateLabel.style.cssText = 'display: block; margin-bottom: 0.5rem; font-weight: 500;';
-            toDateLabel.textContent = 'To Date:';
+    bindLineItemsEditor(container, definition) {
+        const editor = container.querySelector('.line-items-editor');
+        if (!editor || !definition || !definition.lineItems) return;
 
-            const toDateInput = document.createElement('input');
-            toDateInput.type = 'date';
-            toDateInput.id = 'toDate';
-            toDateInput.className = 'form-input';
-            toDateInput.style.cssText = 'width: 100%; padding: 0.5rem; border: 1px solid hsl(var(--border)); border-radius: calc(var(--radius) - 2px);';
+        editor.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-line-action]');
+            if (!button) return;
 
-            toDateDiv.appendChild(toDateLabel);
-            toDateDiv.appendChild(toDateInput);
+            if (button.dataset.lineAction === 'add') {
+                editor.querySelector('tbody').insertAdjacentHTML('beforeend', this.renderLineItemRow(definition.lineItems.fields));
+            } else if (button.dataset.lineAction === 'remove') {
+                button.closest('tr').remove();
+            }
+        });
+    }
 
-            // Max Results field
-            const maxResultsDiv = document.createElement('div');
-            maxResultsDiv.style.marginBottom = '1rem';
+    readLineItems(lineItems) {
+        return Array.from(document.querySelectorAll('.line-items-table tbody tr')).map(row => {
+            const item = {};
+            lineItems.fields.forEach(field => {
+                item[field.name] = row.querySelector(`[data-line-field="${field.name}"]`)?.value || null;
+            });
+            return item;
+        });
+    }
 
-            const maxResultsLabel = document.createElement('label');
-            maxResultsLabel.setAttribute('for', 'maxResults');
-            maxResultsLabel.style.cssText = 'display: block; margin-bottom: 0.5rem; font-weight: 500;';
-            maxResultsLabel.textContent = 'Max Results:';
+    async getEmailCategory(emailId) {
+        try {
+            const response = await fetch('/api/emails/review');
+            const emails = await response.json();
+            const email = emails.find(e => e.id === emailId);
+            return email ? (email.category || '').toLowerCase() : 'other';
+        } catch (error) {
+            return 'other';
+        }
+    }
 
-            const maxResultsInput = document.createElement('input');
-            maxResultsInput.type = 'number';
-            maxResultsInput.id = 'maxResults';
-            maxResultsInput.value = '100';
-            maxResultsInput.min = '1';
-            maxResultsInput.max = '500';
-            maxResultsInput.className = 'form-input';
-            maxResultsInput.style.cssText = 'width: 100%; padding: 0.5rem; border: 1px solid hsl(var(--border)); border-radius: calc(var(--radius) - 2px);';
+    renderCategorySelector(email) {
+        const currentCategory = (email.category || '').toLowerCase();
 
-            maxResultsDiv.appendChild(maxResultsLabel);
-            maxResultsDiv.appendChild(maxResultsInput);
+        // If it's not "other", just show the category badge
+        if (currentCategory !== 'other') {
+            return this.formatCategory(email.category);
+        }
 
-            // Info text
-            const infoDiv = document.createElement('div');
-            infoDiv.style.cssText = 'color: hsl(var(--muted-foreground)); font-size: 0.875rem;';
+        // For "other" emails, show a select dropdown ("other" first, then every other category)
+        const categories = this.categories.length > 0
+            ? [...this.categories].sort((a, b) => (a.key === 'other' ? -1 : b.key === 'other' ? 1 : 0))
+            : [{ key: 'other', label: 'Other' }, { key: 'customer_inquiry', label: 'Customer Inquiry' }, { key: 'invoice', label: 'Invoice' }];
 
-            const infoIcon = document.createElement('i');
-            infoIcon.className = 'fas fa-info-circle';
-            infoIcon.style.marginRight = '0.5rem';
+        return `
+      <select class="category-selector" data-email-id="${email.id}" onchange="window.app.changeEmailCategory('${email.id}', this.value)">
+        ${categories.map(c => `<option value="${c.key}" ${currentCategory === c.key ? 'selected' : ''}>${this.escapeHTML(c.label)}</option>`).join('')}
+      </select>
+    `;
+    }
 
-            const infoText = document.createTextNode(' This will fetch emails from the specified date range. Duplicates will be automatically skipped.');
+    showCategoriesModal() {
+        const modal = document.getElementById('emailModal');
+        const modalTitle = document.getElementById('modalTitle');
+        const modalBody = document.getElementById('modalBody');
+        const modalFooter = document.getElementById('modalFooter');
 
-            infoDiv.appendChild(infoIcon);
-            infoDiv.appendChild(infoText);
+        modalTitle.textContent = 'Email Categories';
 
-            container.appendChild(fromDateDiv);
-            container.appendChild(toDateDiv);
-            container.appendChild(maxResultsDiv);
-            container.appendChild(infoDiv);
+        const rows = this.categories.map(category => `
+          <div class="data-field" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
+            <div>
+              <div class="font-medium">${this.escapeHTML(category.label)} <span class="text-muted text-sm">(${category.key})</span></div>
+              <div class="text-sm text-muted-foreground">${this.escapeHTML(category.description)}</div>
+            </div>
+            ${category.builtIn ? '<span class="badge badge-secondary">Built-in</span>' : `
+            <button class="btn btn-sm btn-secondary" data-action="deleteCategory" data-email-id="${category.key}">
+              Delete
+            </button>`}
+          </div>
+        `).join('');
 
-            return container;
-        });
+        modalBody.innerHTML = `
+          <div class="modal-section">${rows}</div>
+          <div class="edit-form modal-section">
+            <h4>Add Category</h4>
+            <div class="form-group">
+              <label for="category-key">Key:</label>
+              <input type="text" id="category-key" class="form-input" placeholder="purchase_order" />
+            </div>
+            <div class="form-group">
+              <label for="category-label">Label:</label>
+              <input type="text" id="category-label" class="form-input" placeholder="Purchase Order" />
+            </div>
+            <div class="form-group">
+              <label for="category-description">Description for the AI:</label>
+              <textarea id="category-description" class="form-input" rows="2" placeholder="Emails containing purchase orders from customers"></textarea>
+            </div>
+            <div class="form-group">
+              <label for="category-fields">Extraction fields (one per line, "name (type): description"):</label>
+              <textarea id="category-fields" class="form-input" rows="4" placeholder="orderNumber: Purchase order number&#10;orderTotal (number): Order total&#10;deliveryDate (date): Requested delivery date"></textarea>
+            </div>
+          </div>
+        `;
 
-        // Create modal footer with secure event listeners
         this.setSecureContent(modalFooter, () => {
             const container = document.createElement('div');
 
-            const cancelButton = this.createSecureButton(
-                'Cancel',
+            const closeButton = this.createSecureButton(
+                'Close',
                 'btn btn-ghost',
                 () => {
                     document.getElementById('emailModal').style.display = 'none';
                 }
             );
 
-            const syncButton = this.createSecureButton(
-                'Sync Emails',
+            const addButton = this.createSecureButton(
+                'Add Category',
                 'btn btn-primary',
-                () => this.syncOldEmails()
+                () => this.createCategory()
             );
 
-            container.appendChild(cancelButton);
-            container.appendChild(syncButton);
+            container.appendChild(closeButton);
+            container.appendChild(addButton);
 
             return container;
         });
 
-        // Set default dates (last 30 days)
-        const toDate = new Date();
-        const fromDate = new Date(toDate.getTime() - 30 * 24 * 60 * 60 * 1000);
-
-        document.getElementById('fromDate').value = fromDate.toISOString().split('T')[0];
-        document.getElementById('toDate').value = toDate.toISOString().split('T')[0];
-
         modal.style.display = 'flex';
     }
 
-    async syncOldEmails() {
-        const fromDate = document.getElementById('fromDate').value;
-        const toDate = document.getElementById('toDate').value;
-        const maxResults = parseInt(document.getElementById('maxResults').value) || 50;
-
-        if (!fromDate || !toDate) {
-            this.addNotification('Invalid Input', 'Please select both from and to dates', 'warning');
-            return;
-        }
+    async createCategory() {
+        const fields = (document.getElementById('category-fields')?.value || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                // "name (type): description" - the type is optional and defaults to string
+                const [head, ...description] = line.split(':');
+                const match = head.trim().match(/^(\S+)\s*(?:\((\w+)\))?$/) || [];
+                return {
+                    name: match[1] || head.trim(),
+                    ...(match[2] ? { type: match[2].toLowerCase() } : {}),
+                    description: description.join(':').trim()
+                };
+            });
 
-        if (new Date(fromDate) >= new Date(toDate)) {
-            this.addNotification('Invalid Date Range', 'From date must be before to date', 'warning');
-            return;
-        }
+        const definition = {
+            key: (document.getElementById('category-key')?.value || '').trim(),
+            label: (document.getElementById('category-label')?.value || '').trim(),
+            description: (document.getElementById('category-description')?.value || '').trim(),
+            fields
+        };
 
         try {
-            // Close modal
-            document.getElementById('emailModal').style.display = 'none';
-
-            // Show loading notification
-            this.addNotification('Syncing Old Emails', 'Fetching emails from the specified date range...', 'info');
-
-            const response = await this.apiRequest('/api/emails/sync-old', {
+            const response = await this.apiRequest('/api/categories', {
                 method: 'POST',
-                body: JSON.stringify({ fromDate, toDate, maxResults })
+                body: definition
             });
+            const result = await response.json();
 
             if (response.ok) {
-                const result = await response.json();
-                let message = `Synced ${result.count} old emails`;
-                if (result.skipped > 0) {
-                    message += ` (${result.skipped} duplicates skipped)`;
-                }
-                this.addNotification('Old Email Sync Complete', message, 'success');
+                this.addNotification('Category Added', `${definition.label} is now available`, 'success');
+                await this.loadCategories();
+                this.showCategoriesModal();
                 await this.refreshCurrentView();
             } else {
-                const result = await response.json();
-                throw new Error(result.error || 'Sync failed');
+                const details = Array.isArray(result.details) ? `: ${result.details.join('; ')}` : '';
+                throw new Error(`${result.error || 'Failed to add category'}${details}`);
             }
-
         } catch (error) {
-            console.error('Sync old emails error:', error);
-            this.addNotification('Sync Failed', error.message || 'Failed to sync old emails', 'error');
+            this.addNotification('Error', error.message || 'Failed to add category', 'error');
         }
     }
 
-    async processEmail(emailId) {
-        // Find the approve button for this email in review stage
-        const approveBtn = document.querySelector(`[data-action="processEmail"][data-email-id="${emailId}"]`);
-        const originalHTML = approveBtn ? approveBtn.innerHTML : '';
+    async deleteCategory(key) {
+        const confirmed = await this.showConfirmDialog(
+            `Delete the "${this.getCategoryLabel(key)}" category? Categories that still contain emails cannot be deleted.`,
+            'Delete Category',
+            'Delete',
+            'btn-destructive'
+        );
 
-        try {
-            // Show loading state
-            if (approveBtn) {
-                approveBtn.innerHTML = '<div class="spinner"></div> Approving...';
-                approveBtn.disabled = true;
-            }
+        if (!confirmed) {
+            return;
+        }
 
-            const response = await fetch(`/api/emails/review/${emailId}/approve`, {
-                method: 'POST'
+        try {
+            const response = await this.apiRequest(`/api/categories/${encodeURIComponent(key)}`, {
+                method: 'DELETE'
             });
+            const result = await response.json();
 
             if (response.ok) {
-                this.addNotification('Email Approved', 'Email moved to data management stage', 'success');
-                await this.refreshCurrentView();
+                this.addNotification('Category Deleted', 'Category removed', 'success');
+                await this.loadCategories();
+                this.showCategoriesModal();
             } else {
-                throw new Error('Failed to process email');
+                throw new Error(result.error || 'Failed to delete category');
             }
         } catch (error) {
-            this.addNotification('Approve Failed', 'Failed to approve email', 'error');
-        } finally {
-            // Restore button state (if still exists after refresh)
-            if (approveBtn && document.contains(approveBtn)) {
-                approveBtn.innerHTML = originalHTML;
-                approveBtn.disabled = false;
-            }
+            this.addNotification('Error', error.message || 'Failed to delete category', 'error');
         }
     }
 
+    async showRulesModal() {
+        let rules = [];
+        let report = null;
+        try {
+            const [rulesResponse, reportResponse] = await Promise.all([
+                fetch('/api/rules'),
+                fetch('/api/categories/corrections/report?limit=5')
+            ]);
+            if (rulesResponse.ok) {
+                rules = await rulesResponse.json();
+            }
+            if (reportResponse.ok) {
+                report = await reportResponse.json();
+            }
+        } catch (error) {
+            console.error('Failed to load rules:', error);
+        }
 
-    editEmail(emailId) {
-        // Open edit modal for the email
-        this.showEditEmailModal(emailId);
-    }
-
-    showEditEmailModal(emailId) {
-        // Find the email in the current review emails
-        fetch('/api/emails/review')
-            .then(response => response.json())
-            .then(emails => {
-                const email = emails.find(e => e.id === emailId);
-                if (!email) {
-                    this.addNotification('Error', 'Email not found', 'error');
-                    return;
-                }
-
-                const modal = document.getElementById('emailModal');
-                const modalTitle = document.getElementById('modalTitle');
-                const modalBody = document.getElementById('modalBody');
-                const modalFooter = document.getElementById('modalFooter');
-
-                modalTitle.textContent = 'Edit Extracted Data';
+        const modal = document.getElementById('emailModal');
+        const modalTitle = document.getElementById('modalTitle');
+        const modalBody = document.getElementById('modalBody');
+        const modalFooter = document.getElementById('modalFooter');
 
-                const category = (email.category || '').toLowerCase();
-                let formHTML = '';
+        modalTitle.textContent = 'Categorization Rules';
+
+        const describeConditions = conditions => Object.entries(conditions)
+            .map(([key, value]) => `${key}: ${value}`)
+            .join(', ');
+        const describeActions = actions => [
+            actions.category ? `category → ${this.getCategoryLabel(actions.category)}` : null,
+            actions.skipAI ? 'skip AI' : null,
+            actions.autoApprove ? 'auto-approve' : null
+        ].filter(Boolean).join(', ');
+
+        const rows = rules.length > 0 ? rules.map(rule => `
+          <div class="data-field" style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.5rem;">
+            <div>
+              <div class="font-medium">${this.escapeHTML(rule.name)} <span class="text-muted text-sm">(priority ${rule.priority}${rule.enabled ? '' : ', disabled'})</span></div>
+              <div class="text-sm text-muted-foreground">If ${this.escapeHTML(describeConditions(rule.conditions))}</div>
+              <div class="text-sm text-muted-foreground">Then ${this.escapeHTML(describeActions(rule.actions))}</div>
+            </div>
+            <button class="btn btn-sm btn-secondary" data-action="deleteRule" data-email-id="${rule.id}">
+              Delete
+            </button>
+          </div>
+        `).join('') : '<p class="text-muted">No rules yet. Every email is categorized by the AI.</p>';
+
+        const categoryOptions = this.categories
+            .map(c => `<option value="${c.key}">${this.escapeHTML(c.label)}</option>`)
+            .join('');
+
+        // Senders/domains corrected by hand most often are good rule candidates
+        const corrected = report && report.total > 0 ? `
+          <div class="modal-section">
+            <h4>Frequently Corrected</h4>
+            ${[...report.domains.map(entry => ({ ...entry, kind: 'Domain' })), ...report.senders.map(entry => ({ ...entry, kind: 'Sender' }))]
+                .filter(entry => entry.count > 1)
+                .map(entry => `
+              <div class="text-sm">
+                ${entry.kind} <span class="font-medium">${this.escapeHTML(entry.key)}</span>:
+                corrected ${entry.count} times, usually to ${this.escapeHTML(this.getCategoryLabel(entry.suggestedCategory))}
+              </div>`).join('') || '<p class="text-sm text-muted">No sender has been corrected more than once.</p>'}
+          </div>
+        ` : '';
 
-                if (category === 'customer_inquiry') {
-                    formHTML = `
-            <div class="edit-form">
-              <div class="form-group">
-                <label for="edit-customerName">Customer Name:</label>
-                <input type="text" id="edit-customerName" class="form-input" value="${email.customerName || ''}" />
-              </div>
-              <div class="form-group">
-                <label for="edit-customerEmail">Email:</label>
-                <input type="email" id="edit-customerEmail" class="form-input" value="${email.customerEmail || ''}" />
-              </div>
-              <div class="form-group">
-                <label for="edit-customerPhone">Phone:</label>
-                <input type="text" id="edit-customerPhone" class="form-input" value="${email.customerPhone || ''}" />
-              </div>
-              <div class="form-group">
-                <label for="edit-company">Company:</label>
-                <input type="text" id="edit-company" class="form-input" value="${email.company || ''}" />
-              </div>
-              <div class="form-group">
-                <label for="edit-serviceInterest">Service Interest:</label>
-                <textarea id="edit-serviceInterest" class="form-input" rows="3">${email.serviceInterest || ''}</textarea>
-              </div>
+        modalBody.innerHTML = `
+          <div class="modal-section">${rows}</div>
+          ${corrected}
+          <div class="edit-form modal-section">
+            <h4>Add Rule</h4>
+            <p class="text-sm text-muted">All filled-in conditions must match. The first matching rule (lowest priority number) wins.</p>
+            <div class="form-group">
+              <label for="rule-name">Name:</label>
+              <input type="text" id="rule-name" class="form-input" placeholder="Accountant invoices" />
             </div>
-          `;
-                } else if (category === 'invoice') {
-                    formHTML = `
-            <div class="edit-form">
-              <div class="form-group">
-                <label for="edit-invoiceNumber">Invoice Number:</label>
-                <input type="text" id="edit-invoiceNumber" class="form-input" value="${email.invoiceNumber || ''}" />
-              </div>
-              <div class="form-group">
-                <label for="edit-invoiceDate">Invoice Date:</label>
-                <input type="date" id="edit-invoiceDate" class="form-input" value="${email.invoiceDate || ''}" />
-              </div>
-              <div class="form-group">
-                <label for="edit-invoiceClient">Customer:</label>
-                <input type="text" id="edit-invoiceClient" class="form-input" value="${email.invoiceClient || ''}" />
-              </div>
-              <div class="form-group">
-                <label for="edit-invoiceAmount">Amount:</label>
-                <input type="text" id="edit-invoiceAmount" class="form-input" value="${email.invoiceAmount || ''}" />
-              </div>
-              <div class="form-group">
-                <label for="edit-invoiceVAT">VAT:</label>
-                <input type="text" id="edit-invoiceVAT" class="form-input" value="${email.invoiceVAT || ''}" />
-              </div>
+            <div class="form-group">
+              <label for="rule-from">Sender address contains:</label>
+              <input type="text" id="rule-from" class="form-input" placeholder="accountant@example.gr" />
             </div>
-          `;
-                } else {
-                    formHTML = '<p class="text-muted">No extractable data for this email type.</p>';
-                }
-
-                modalBody.innerHTML = formHTML;
+            <div class="form-group">
+              <label for="rule-domain">Sender domain:</label>
+              <input type="text" id="rule-domain" class="form-input" placeholder="example.gr" />
+            </div>
+            <div class="form-group">
+              <label for="rule-subjectPattern">Subject matches (regular expression):</label>
+              <input type="text" id="rule-subjectPattern" class="form-input" placeholder="τιμολόγιο|invoice" />
+            </div>
+            <div class="form-group">
+              <label for="rule-attachmentType">Has attachment of type:</label>
+              <input type="text" id="rule-attachmentType" class="form-input" placeholder="pdf or application/pdf" />
+            </div>
+            <div class="form-group">
+              <label for="rule-gmailLabel">Gmail label:</label>
+              <input type="text" id="rule-gmailLabel" class="form-input" placeholder="Accounting" />
+            </div>
+            <div class="form-group">
+              <label for="rule-category">Assign category:</label>
+              <select id="rule-category" class="form-input">
+                <option value="">Let the AI decide</option>
+                ${categoryOptions}
+              </select>
+            </div>
+            <div class="form-group">
+              <label><input type="checkbox" id="rule-skipAI" /> Skip the AI (use keyword matching when no category is assigned)</label>
+            </div>
+            <div class="form-group">
+              <label><input type="checkbox" id="rule-autoApprove" /> Auto-approve to review and extract data</label>
+            </div>
+            <div class="form-group">
+              <label for="rule-priority">Priority:</label>
+              <input type="number" id="rule-priority" class="form-input" value="100" step="1" />
+            </div>
+          </div>
+        `;
 
-                // Create modal footer with secure event listeners
-                this.setSecureContent(modalFooter, () => {
-                    const container = document.createElement('div');
+        this.setSecureContent(modalFooter, () => {
+            const container = document.createElement('div');
 
-                    const cancelButton = this.createSecureButton(
-                        'Cancel',
-                        'btn btn-ghost',
-                        () => {
-                            document.getElementById('emailModal').style.display = 'none';
-                        }
-                    );
+            const closeButton = this.createSecureButton(
+                'Close',
+                'btn btn-ghost',
+                () => {
+                    document.getElementById('emailModal').style.display = 'none';
+                }
+            );
 
-                    const saveButton = this.createSecureButton(
-                        'Save Changes',
-                        'btn btn-primary',
-                        () => this.saveExtractedDataEdits(emailId)
-                    );
+            const addButton = this.createSecureButton(
+                'Add Rule',
+                'btn btn-primary',
+                () => this.createRule()
+            );
 
-                    container.appendChild(cancelButton);
-                    container.appendChild(saveButton);
+            container.appendChild(closeButton);
+            container.appendChild(addButton);
 
-                    return container;
-                });
+            return container;
+        });
 
-                modal.style.display = 'flex';
-            })
-            .catch(error => {
-                this.addNotification('Error', 'Failed to load email for editing', 'error');
-            });
+        modal.style.display = 'flex';
     }
 
-    async saveExtractedDataEdits(emailId) {
-        try {
-            const category = await this.getEmailCategory(emailId);
-            let extractedData = {};
-
-            if (category === 'customer_inquiry') {
-                extractedData = {
-                    customerName: document.getElementById('edit-customerName')?.value || null,
-                    customerEmail: document.getElementById('edit-customerEmail')?.value || null,
-                    customerPhone: document.getElementById('edit-customerPhone')?.value || null,
-                    company: document.getElementById('edit-company')?.value || null,
-                    serviceInterest: document.getElementById('edit-serviceInterest')?.value || null
-                };
-            } else if (category === 'invoice') {
-                extractedData = {
-                    invoiceNumber: document.getElementById('edit-invoiceNumber')?.value || null,
-                    invoiceDate: document.getElementById('edit-invoiceDate')?.value || null,
-                    invoiceClient: document.getElementById('edit-invoiceClient')?.value || null,
-                    invoiceAmount: document.getElementById('edit-invoiceAmount')?.value || null,
-                    invoiceVAT: document.getElementById('edit-invoiceVAT')?.value || null
-                };
+    async createRule() {
+        const value = id => (document.getElementById(id)?.value || '').trim();
+        const conditions = {};
+        ['from', 'domain', 'subjectPattern', 'attachmentType', 'gmailLabel'].forEach(key => {
+            if (value(`rule-${key}`)) {
+                conditions[key] = value(`rule-${key}`);
             }
+        });
 
-            const response = await fetch(`/api/emails/review/${emailId}/extracted-data`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ extractedData })
+        const rule = {
+            name: value('rule-name'),
+            priority: parseInt(value('rule-priority'), 10) || 100,
+            conditions,
+            actions: {
+                category: value('rule-category') || null,
+                skipAI: document.getElementById('rule-skipAI')?.checked || false,
+                autoApprove: document.getElementById('rule-autoApprove')?.checked || false
+            }
+        };
+
+        try {
+            const response = await this.apiRequest('/api/rules', {
+                method: 'POST',
+                body: rule
             });
+            const result = await response.json();
 
             if (response.ok) {
-                document.getElementById('emailModal').style.display = 'none';
-                this.addNotification('Success', 'Extracted data updated successfully', 'success');
-                await this.refreshCurrentView();
+                this.addNotification('Rule Added', `${rule.name} will apply from the next sync`, 'success');
+                await this.showRulesModal();
             } else {
-                throw new Error('Failed to save changes');
+                const details = Array.isArray(result.details) ? `: ${result.details.join('; ')}` : '';
+                throw new Error(`${result.error || 'Failed to add rule'}${details}`);
             }
         } catch (error) {
-            this.addNotification('Error', 'Failed to save extracted data changes', 'error');
+            this.addNotification('Error', error.message || 'Failed to add rule', 'error');
         }
     }
 
-    async getEmailCategory(emailId) {
-        try {
-            const response = await fetch('/api/emails/review');
-            const emails = await response.json();
-            const email = emails.find(e => e.id === emailId);
-            return email ? (email.category || '').toLowerCase() : 'other';
-        } catch (error) {
-            return 'other';
+    async deleteRule(id) {
+        const confirmed = await this.showConfirmDialog(
+            'Delete this categorization rule?',
+            'Delete Rule',
+            'Delete',
+            'btn-destructive'
+        );
+
+        if (!confirmed) {
+            return;
         }
-    }
 
-    renderCategorySelector(email) {
-        const currentCategory = (email.category || '').toLowerCase();
+        try {
+            const response = await this.apiRequest(`/api/rules/${encodeURIComponent(id)}`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
 
-        // If it's not "other", just show the category badge
-        if (currentCategory !== 'other') {
-            return this.formatCategory(email.category);
+            if (response.ok) {
+                this.addNotification('Rule Deleted', 'Rule removed', 'success');
+                await this.showRulesModal();
+            } else {
+                throw new Error(result.error || 'Failed to delete rule');
+            }
+        } catch (error) {
+            this.addNotification('Error', error.message || 'Failed to delete rule', 'error');
         }
-
-        // For "other" emails, show a select dropdown
-        return `
-      <select class="category-selector" data-email-id="${email.id}" onchange="window.app.changeEmailCategory('${email.id}', this.value)">
-        <option value="other" ${currentCategory === 'other' ? 'selected' : ''}>Other</option>
-        <option value="customer_inquiry" ${currentCategory === 'customer_inquiry' ? 'selected' : ''}>Customer Inquiry</option>
-        <option value="invoice" ${currentCategory === 'invoice' ? 'selected' : ''}>Invoice</option>
-      </select>
-    `;
     }
 
     async changeEmailCategory(emailId, newCategory) {
@@ -2203,7 +3988,7 @@ class AEMS {
             });
 
             if (response.ok) {
-                this.addNotification('Success', `Email category updated to ${newCategory.replace('_', ' ')}`, 'success');
+                this.addNotification('Success', `Email category updated to ${this.getCategoryLabel(newCategory)}`, 'success');
                 await this.refreshCurrentView();
             } else {
                 throw new Error('Failed to update category');
@@ -2391,14 +4176,16 @@ class AEMS {
             document.body.appendChild(progressContainer);
         }
 
-        const percentage = Math.round((data.current / data.total) * 100);
+        const percentage = data.total > 0 ? Math.round((data.current / data.total) * 100) : 0;
         progressContainer.innerHTML = `
       <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem;">
         <div class="spinner" style="width: 16px; height: 16px;"></div>
-        <strong>AI Processing</strong>
+        <strong>${this.escapeHTML(data.title || 'AI Processing')}</strong>
+        ${data.cancellable ? `
+        <button class="btn btn-ghost btn-sm" data-action="cancelBackfill" style="margin-left: auto;">Cancel</button>` : ''}
       </div>
       <div style="margin-bottom: 0.5rem; font-size: 0.875rem; color: hsl(var(--muted-foreground));">
-        ${data.message}
+        ${this.escapeHTML(data.message)}
       </div>
       <div style="background: hsl(var(--muted)); border-radius: 4px; height: 8px; overflow: hidden;">
         <div style="background: hsl(var(--primary)); height: 100%; width: ${percentage}%; transition: width 0.3s ease;"></div>
@@ -2415,10 +4202,10 @@ class AEMS {
             progressContainer.innerHTML = `
         <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem;">
           <i class="fas fa-check-circle" style="color: hsl(var(--success));"></i>
-          <strong>Processing Complete</strong>
+          <strong>${data.title ? `${this.escapeHTML(data.title)}: ${this.escapeHTML(data.status || 'done')}` : 'Processing Complete'}</strong>
         </div>
         <div style="font-size: 0.875rem; color: hsl(var(--muted-foreground));">
-          ${data.message}
+          ${this.escapeHTML(data.message)}
         </div>
       `;
 
@@ -2430,24 +4217,61 @@ class AEMS {
             }, 3000);
         }
 
-        this.addNotification('Bulk Processing Complete', data.message, 'success');
+        const notificationType = data.status === 'failed' ? 'error' : 'success';
+        this.addNotification(data.title ? 'Old Email Sync Complete' : 'Bulk Processing Complete', data.message, notificationType);
         this.refreshCurrentView();
     }
 
+    async cancelBackfill() {
+        try {
+            const response = await this.apiRequest('/api/emails/backfill/cancel', { method: 'POST' });
+            const result = await response.json();
+
+            if (response.ok) {
+                this.addNotification('Cancelling Sync', 'The backfill will stop after the current page', 'info');
+            } else {
+                throw new Error(result.error || 'Failed to cancel backfill');
+            }
+        } catch (error) {
+            this.addNotification('Error', error.message || 'Failed to cancel backfill', 'error');
+        }
+    }
+
+    /**
+     * Show progress for a backfill still running on the server (e.g. after a page reload)
+     */
+    async checkBackfillStatus() {
+        try {
+            const response = await fetch('/api/emails/backfill');
+            if (!response.ok) return;
+
+            const { running, job } = await response.json();
+            if (running && job) {
+                this.handleBulkProgress({
+                    title: 'Backfilling Emails',
+                    cancellable: true,
+                    current: job.processed,
+                    total: Math.max(job.totalEstimate, job.processed),
+                    message: `${job.saved} new, ${job.skipped} already synced`
+                });
+            }
+        } catch (error) {
+            console.error('Failed to check backfill status:', error);
+        }
+    }
+
     handleNewEmailsNotification(data) {
         const { count, categoryStats } = data;
 
         // Only show notification for non-other categories
-        const relevantCount = (categoryStats.customer_inquiry || 0) + (categoryStats.invoice || 0);
+        const relevantCategories = Object.keys(categoryStats).filter(key => key !== 'other' && categoryStats[key] > 0);
+        const relevantCount = relevantCategories.reduce((sum, key) => sum + categoryStats[key], 0);
 
         if (relevantCount > 0) {
             let message = `${relevantCount} new email${relevantCount > 1 ? 's' : ''} fetched`;
-            if (categoryStats.customer_inquiry) {
-                message += `, ${categoryStats.customer_inquiry} customer inquir${categoryStats.customer_inquiry > 1 ? 'ies' : 'y'}`;
-            }
-            if (categoryStats.invoice) {
-                message += `, ${categoryStats.invoice} invoice${categoryStats.invoice > 1 ? 's' : ''}`;
-            }
+            relevantCategories.forEach(key => {
+                message += `, ${categoryStats[key]} ${this.getCategoryLabel(key).toLowerCase()}`;
+            });
 
             // Use the new email notification method instead of general notifications
             this.addNewEmailNotification('New Emails', message, { count: relevantCount, categoryStats });
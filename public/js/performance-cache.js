@@ -331,44 +331,82 @@ class PerformanceCache {
 
     /**
      * Virtual scrolling for large lists
+     * Only the items in view (plus a few above and below) are in the DOM; spacers keep
+     * the full scroll height. Items may be appended later (next page), then call refresh().
+     * @param {HTMLElement} container - Scrolling element
+     * @param {Array} items - Items to show
+     * @param {number} itemHeight - Height of a rendered item in px
+     * @param {Function} renderFn - item => element
+     * @param {Object} options - body: element the items go in (default: container),
+     *   spacerTag: 'tr' for table bodies, onEndReached: called when the last items come into view
+     * @returns {Object} - { refresh, destroy }
      */
-    setupVirtualScroll(container, items, itemHeight, renderFn) {
-        const scrollHandler = this.throttle(() => {
+    setupVirtualScroll(container, items, itemHeight, renderFn, options = {}) {
+        const body = options.body || container;
+        const overscan = options.overscan ?? 5;
+        let frame = null;
+
+        const createSpacer = (height) => {
+            const spacer = document.createElement(options.spacerTag || 'div');
+            if (options.spacerTag === 'tr') {
+                const cell = document.createElement('td');
+                cell.colSpan = 100;
+                cell.style.cssText = `height: ${height}px; padding: 0; border: 0;`;
+                spacer.appendChild(cell);
+            } else {
+                spacer.style.height = `${height}px`;
+            }
+            return spacer;
+        };
+
+        const render = () => {
             const scrollTop = container.scrollTop;
             const containerHeight = container.clientHeight;
 
-            const startIndex = Math.floor(scrollTop / itemHeight);
-            const endIndex = Math.ceil((scrollTop + containerHeight) / itemHeight);
-
-            const visibleItems = items.slice(startIndex, endIndex + 1);
+            const startIndex = Math.max(0, Math.floor(scrollTop / itemHeight) - overscan);
+            const endIndex = Math.min(items.length, Math.ceil((scrollTop + containerHeight) / itemHeight) + overscan);
 
-            // Clear container
-            container.innerHTML = '';
+            const fragment = document.createDocumentFragment();
 
-            // Add spacer for items above
-            const spacerTop = document.createElement('div');
-            spacerTop.style.height = `${startIndex * itemHeight}px`;
-            container.appendChild(spacerTop);
+            // Spacer for items above
+            fragment.appendChild(createSpacer(startIndex * itemHeight));
 
             // Render visible items
-            visibleItems.forEach(item => {
-                const element = renderFn(item);
-                container.appendChild(element);
+            items.slice(startIndex, endIndex).forEach(item => {
+                fragment.appendChild(renderFn(item));
             });
 
-            // Add spacer for items below
-            const spacerBottom = document.createElement('div');
-            spacerBottom.style.height = `${(items.length - endIndex - 1) * itemHeight}px`;
-            container.appendChild(spacerBottom);
-        }, 'virtual-scroll', 100);
+            // Spacer for items below
+            fragment.appendChild(createSpacer((items.length - endIndex) * itemHeight));
+
+            body.innerHTML = '';
+            body.appendChild(fragment);
+
+            if (options.onEndReached && endIndex >= items.length) {
+                options.onEndReached();
+            }
+        };
+
+        // At most one render per frame, always with the latest scroll position
+        const scrollHandler = () => {
+            if (frame) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                render();
+            });
+        };
 
         container.addEventListener('scroll', scrollHandler);
 
         // Initial render
-        scrollHandler();
+        render();
 
-        return () => {
-            container.removeEventListener('scroll', scrollHandler);
+        return {
+            refresh: render,
+            destroy: () => {
+                container.removeEventListener('scroll', scrollHandler);
+                if (frame) cancelAnimationFrame(frame);
+            }
         };
     }
 
@@ -26,6 +26,20 @@ class SecurityUtils {
       'td': ['colspan', 'rowspan'],
       'th': ['colspan', 'rowspan']
     };
+
+    // Email bodies get a stricter list: formatting only, no ids/classes/form controls
+    this.emailTags = [
+      'div', 'span', 'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+      'strong', 'em', 'i', 'b', 'u', 's', 'small', 'sub', 'sup', 'br', 'hr',
+      'ul', 'ol', 'li', 'blockquote', 'pre', 'code', 'a',
+      'table', 'caption', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th'
+    ];
+
+    // Removed together with their content
+    this.emailDroppedTags = [
+      'script', 'style', 'head', 'title', 'noscript', 'template', 'iframe',
+      'object', 'embed', 'svg', 'math', 'form', 'button', 'select', 'textarea'
+    ];
   }
 
   /**
@@ -53,6 +67,60 @@ class SecurityUtils {
     element.appendChild(sanitized);
   }
 
+  /**
+   * Render the HTML body of an email. The markup is parsed with DOMParser, so
+   * nothing in it runs or loads while parsing. Only formatting tags are kept.
+   * Links open in a new tab. Images, forms and the email's own ids/classes are dropped.
+   */
+  setSecureEmailHTML(element, htmlContent) {
+    const doc = new DOMParser().parseFromString(htmlContent || '', 'text/html');
+    element.innerHTML = '';
+    element.appendChild(this.sanitizeEmailNode(doc.body));
+  }
+
+  sanitizeEmailNode(element) {
+    const sanitized = document.createDocumentFragment();
+
+    Array.from(element.childNodes).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        sanitized.appendChild(document.createTextNode(node.textContent));
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        const tagName = node.tagName.toLowerCase();
+
+        if (this.emailDroppedTags.includes(tagName)) {
+          return;
+        }
+
+        if (!this.emailTags.includes(tagName)) {
+          sanitized.appendChild(this.sanitizeEmailNode(node));
+          return;
+        }
+
+        const newElement = document.createElement(tagName);
+        if (tagName === 'td' || tagName === 'th') {
+          ['colspan', 'rowspan'].forEach(attr => {
+            if (/^\d+$/.test(node.getAttribute(attr) || '')) {
+              newElement.setAttribute(attr, node.getAttribute(attr));
+            }
+          });
+        }
+        if (tagName === 'a') {
+          const href = (node.getAttribute('href') || '').trim();
+          if (/^(https?:|mailto:)/i.test(href)) {
+            newElement.setAttribute('href', href);
+            newElement.setAttribute('target', '_blank');
+            newElement.setAttribute('rel', 'noopener noreferrer');
+          }
+        }
+
+        newElement.appendChild(this.sanitizeEmailNode(node));
+        sanitized.appendChild(newElement);
+      }
+    });
+
+    return sanitized;
+  }
+
   /**
    * Sanitize a DOM element recursively
    */
@@ -27,6 +27,16 @@ const gmailService = require('./lib/gmail');
 const aiService = require('./lib/ai');
 const aiExtractor = require('./lib/ai-extractor');
 const healthMonitor = require('./lib/health-monitor');
+const categoryRegistry = require('./lib/category-registry');
+const extractionSchema = require('./lib/extraction-schema');
+const confidenceScorer = require('./lib/confidence-scorer');
+const rulesEngine = require('./lib/rules-engine');
+const correctionMemory = require('./lib/correction-memory');
+const backfillManager = require('./lib/backfill-manager');
+const threadBuilder = require('./lib/thread-builder');
+const vatId = require('./lib/vat-id');
+const emailQuery = require('./lib/email-query');
+const savedViews = require('./lib/saved-views');
 
 // Set up OAuth2 client for AI extractor (for PDF processing)
 const setupAIExtractorOAuth = async () => {
@@ -257,16 +267,88 @@ const validateBulkOperation = (req, res, next) => {
     next();
 };
 
+// Validate thread IDs (Gmail thread IDs, or the email UUID for emails without a thread)
+const validateThreadId = (req, res, next) => {
+    const { threadId } = req.params;
+    if (typeof threadId !== 'string' || !/^[A-Za-z0-9_-]{1,100}$/.test(threadId)) {
+        return res.status(400).json({ error: 'Invalid thread ID' });
+    }
+    next();
+};
+
+// Validate contact IDs (UUIDs)
+const validateContactId = (req, res, next) => {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(req.params.id || '')) {
+        return res.status(400).json({ error: 'Invalid contact ID' });
+    }
+    next();
+};
+
 // Validate category updates
 const validateCategory = (req, res, next) => {
     const { category } = req.body;
-    const validCategories = ['customer_inquiry', 'invoice', 'other'];
-    if (!validCategories.includes(category)) {
+    if (typeof category !== 'string' || !categoryRegistry.has(category)) {
         return res.status(400).json({
             error: 'Invalid category',
-            validCategories
+            validCategories: categoryRegistry.getKeys()
+        });
+    }
+    next();
+};
+
+// Validate custom category definitions
+const validateCategoryDefinition = (req, res, next) => {
+    const definition = { ...req.body, key: req.params.key || req.body.key };
+    const errors = categoryRegistry.validateDefinition(definition);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors
+        });
+    }
+    req.categoryDefinition = definition;
+    next();
+};
+
+// Categorization rule validation
+const validateCategoryRule = (req, res, next) => {
+    const rule = { ...req.body, id: req.params.id || undefined };
+    const errors = rulesEngine.validateRule(rule);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors
+        });
+    }
+    req.categoryRule = rule;
+    next();
+};
+
+// Saved view validation
+const validateSavedView = (req, res, next) => {
+    const view = { ...req.body, id: req.params.id || undefined };
+    const errors = savedViews.validateView(view);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors
         });
     }
+    req.savedView = view;
+    next();
+};
+
+// Search, filter, sort and page parameters of the email lists
+const validateEmailListQuery = (req, res, next) => {
+    const { options, errors } = emailQuery.parse(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors
+        });
+    }
+    req.emailQuery = options;
     next();
 };
 
@@ -463,8 +545,53 @@ app.post('/api/emails/sync-old', [
     }
 });
 
+// Start a resumable, page-by-page backfill of a date range (progress over SSE)
+app.post('/api/emails/backfill', [
+    requireAuth,
+    body('fromDate').isISO8601().withMessage('fromDate must be a valid ISO date'),
+    body('toDate').isISO8601().withMessage('toDate must be a valid ISO date'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const { fromDate, toDate } = req.body;
+        if (new Date(fromDate) >= new Date(toDate)) {
+            return res.status(400).json({ error: 'fromDate must be before toDate' });
+        }
+        if (backfillManager.running) {
+            return res.status(409).json({ error: 'A backfill is already running' });
+        }
+
+        const job = await backfillManager.start(fromDate, toDate);
+        res.status(202).json({ success: true, job });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to start backfill' });
+    }
+});
+
+// Current or last backfill job
+app.get('/api/emails/backfill', requireAuth, async (req, res) => {
+    try {
+        const job = await backfillManager.getJob();
+        res.json({ running: backfillManager.running, job });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get backfill status' });
+    }
+});
+
+// Cancel the running backfill (stops after the current page)
+app.post('/api/emails/backfill/cancel', requireAuth, (req, res) => {
+    try {
+        if (!backfillManager.cancel()) {
+            return res.status(404).json({ error: 'No backfill is running' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to cancel backfill' });
+    }
+});
+
 // Get fetched emails with optional filtering
-app.get('/api/emails/fetched', async (req, res) => {
+app.get('/api/emails/fetched', validateEmailListQuery, async (req, res) => {
     try {
         const { includeOther = 'false' } = req.query;
         const emails = await db.getFetchedEmails();
@@ -476,7 +603,7 @@ app.get('/api/emails/fetched', async (req, res) => {
                 return category !== 'other' && category !== 'OTHER';
             });
 
-        res.json(filteredEmails);
+        res.json(emailQuery.apply(filteredEmails, req.emailQuery));
     } catch (error) {
         res.status(500).json({ error: 'Failed to get fetched emails' });
     }
@@ -614,11 +741,30 @@ app.put('/api/emails/fetched/:id/category', [
 // Note: AI processing happens automatically when emails are approved from fetched → review
 // This is handled in database.js approveFetchedEmail() method
 
+// Values that don't fit the category schema (missing required fields are allowed while editing)
+function getInvalidExtractedFields(category, extractedData) {
+    const { issues } = extractionSchema.validate(category, extractedData || {});
+    return issues.filter(issue => issue.code === 'invalid');
+}
+
+// Flag fields below LOW_CONFIDENCE_THRESHOLD so the UI can highlight them
+function flagLowConfidence(emails) {
+    emails.forEach(email => {
+        email.lowConfidence = confidenceScorer.isLow(email.confidence);
+        email.lowConfidenceFields = Object.entries(email.fieldConfidence || {})
+            .filter(([, score]) => confidenceScorer.isLow(score.confidence))
+            .map(([field]) => field);
+    });
+    return emails;
+}
+
 // Get review emails
-app.get('/api/emails/review', async (req, res) => {
+app.get('/api/emails/review', validateEmailListQuery, async (req, res) => {
     try {
-        const emails = await db.getReviewEmails();
-        res.json(emails);
+        const emails = flagLowConfidence(await db.getReviewEmails());
+
+        // ?sort=confidence puts the least certain extractions first
+        res.json(emailQuery.apply(emails, req.emailQuery));
     } catch (error) {
         res.status(500).json({ error: 'Failed to get review emails' });
     }
@@ -632,6 +778,16 @@ app.put('/api/emails/review/:id', [
         const { id } = req.params;
         const { extractedData } = req.body;
 
+        const email = await db.getEmailById(id);
+        if (!email) {
+            return res.status(404).json({ error: 'Email not found' });
+        }
+
+        const invalidFields = getInvalidExtractedFields(email.category, extractedData);
+        if (invalidFields.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', details: invalidFields });
+        }
+
         const success = await db.updateReviewEmail(id, extractedData);
 
         if (!success) {
@@ -658,6 +814,11 @@ app.put('/api/emails/review/:id/extracted-data', [
             return res.status(404).json({ error: 'Email not found in review' });
         }
 
+        const invalidFields = getInvalidExtractedFields(email.category, extractedData);
+        if (invalidFields.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', details: invalidFields });
+        }
+
         const success = await db.updateReviewEmail(id, extractedData);
 
         if (!success) {
@@ -676,6 +837,12 @@ app.post('/api/emails/review/:id/approve', [
 ], async (req, res) => {
     try {
         const { id } = req.params;
+
+        const blocking = await db.getBlockingChecks(id);
+        if (blocking.length > 0) {
+            return res.status(409).json({ error: 'Invoice checks must be resolved before approval', details: blocking });
+        }
+
         const success = await db.approveReviewEmail(id);
 
         if (!success) {
@@ -688,16 +855,187 @@ app.post('/api/emails/review/:id/approve', [
     }
 });
 
+// Accept failed invoice checks without changing the data (the note says why)
+app.post('/api/emails/review/:id/checks/resolve', [
+    requireAuth,
+    validateEmailId,
+    body('note').isString().trim().isLength({ min: 1, max: 500 }).withMessage('A note of up to 500 characters is required'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const resolution = await db.resolveChecks(req.params.id, req.body.note);
+        if (!resolution) {
+            return res.status(404).json({ error: 'No open invoice checks for email in review' });
+        }
+
+        res.json({ success: true, resolution });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to resolve invoice checks' });
+    }
+});
+
+// Merge a possible duplicate invoice into its original (missing values are filled in, the duplicate is deleted)
+app.post('/api/emails/review/:id/duplicate/merge', [
+    requireAuth,
+    validateEmailId,
+    body('originalId').isUUID().withMessage('originalId must be an email ID'),
+    handleValidationErrors
+], async (req, res) => {
+    try {
+        const result = await db.mergeDuplicate(req.params.id, req.body.originalId);
+        if (!result) {
+            return res.status(404).json({ error: 'Email in review is not a possible duplicate of that invoice' });
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to merge duplicate invoice' });
+    }
+});
+
+// Decline a possible duplicate invoice (moved to the recycle bin, the original is unchanged)
+app.post('/api/emails/review/:id/duplicate/decline', [
+    requireAuth,
+    validateEmailId
+], async (req, res) => {
+    try {
+        const result = await db.declineDuplicate(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Email in review is not a possible duplicate' });
+        }
+
+        res.json({ success: true, message: 'Duplicate moved to recycle bin' });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to decline duplicate invoice' });
+    }
+});
+
+// Invoices and customer records carrying a VAT ID (any written form: "094019245", "EL 094 019 245")
+app.get('/api/vat/:vatId', requireAuth, async (req, res) => {
+    try {
+        const parsed = vatId.parse(req.params.vatId);
+        if (!parsed || !parsed.valid) {
+            return res.status(400).json({
+                error: 'Invalid VAT ID',
+                details: parsed ? parsed.reason : 'Not a VAT ID'
+            });
+        }
+
+        const records = await db.findExtractedDataByVatId(parsed.vatId);
+        res.json({ vatId: parsed.vatId, records });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to look up VAT ID' });
+    }
+});
+
+
+// ==========================================
+// THREAD ROUTES
+// ==========================================
+
+// Conversations in a stage (?stage=fetched|review|managed), grouped by Gmail threadId
+app.get('/api/threads', requireAuth, async (req, res) => {
+    try {
+        const { stage = 'fetched', includeOther = 'false' } = req.query;
+        const loaders = {
+            fetched: () => db.getFetchedEmails(),
+            review: async () => flagLowConfidence(await db.getReviewEmails()),
+            managed: () => db.getManagedEmails()
+        };
+
+        if (!loaders[stage]) {
+            return res.status(400).json({ error: 'Invalid stage', validStages: Object.keys(loaders) });
+        }
+
+        const threads = threadBuilder.group(await loaders[stage]());
+        res.json(stage === 'fetched' && includeOther !== 'true'
+            ? threads.filter(thread => (thread.category || '').toLowerCase() !== 'other')
+            : threads);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get threads' });
+    }
+});
+
+// All messages of a conversation, every stage
+app.get('/api/threads/:threadId', [
+    requireAuth,
+    validateThreadId
+], async (req, res) => {
+    try {
+        const emails = await db.getThreadEmails(req.params.threadId);
+        if (emails.length === 0) {
+            return res.status(404).json({ error: 'Thread not found' });
+        }
+
+        res.json(threadBuilder.summarize(req.params.threadId, emails));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get thread' });
+    }
+});
+
+// Process a thread: its fetched messages go to review, extraction runs over the whole conversation
+app.post('/api/threads/:threadId/approve', [
+    requireAuth,
+    validateThreadId
+], async (req, res) => {
+    try {
+        const result = await db.approveFetchedThread(req.params.threadId);
+        if (!result) {
+            return res.status(404).json({ error: 'No fetched emails in thread' });
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to approve thread' });
+    }
+});
+
+// Decline a thread: its fetched messages go to the recycle bin
+app.delete('/api/threads/:threadId', [
+    requireAuth,
+    validateThreadId
+], async (req, res) => {
+    try {
+        const result = await db.declineFetchedThread(req.params.threadId);
+        if (!result) {
+            return res.status(404).json({ error: 'No fetched emails in thread' });
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to decline thread' });
+    }
+});
+
+// Approve a reviewed thread: its messages in review move to managed
+app.post('/api/threads/:threadId/review/approve', [
+    requireAuth,
+    validateThreadId
+], async (req, res) => {
+    try {
+        const result = await db.approveReviewThread(req.params.threadId);
+        if (!result) {
+            return res.status(404).json({ error: 'No emails in review for thread' });
+        }
+        if (result.blocked) {
+            return res.status(409).json({ error: 'Invoice checks must be resolved before approval', details: result.blocked });
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to approve thread' });
+    }
+});
 
 // ==========================================
 // DATA MANAGEMENT ROUTES
 // ==========================================
 
 // Get processed emails
-app.get('/api/emails/processed', async (req, res) => {
+app.get('/api/emails/processed', validateEmailListQuery, async (req, res) => {
     try {
         const emails = await db.getProcessedEmails();
-        res.json(emails);
+        res.json(emailQuery.apply(emails, req.emailQuery));
     } catch (error) {
         res.status(500).json({ error: 'Failed to get processed emails' });
     }
@@ -705,10 +1043,10 @@ app.get('/api/emails/processed', async (req, res) => {
 
 
 // Get deleted emails (recycle bin)
-app.get('/api/emails/deleted', async (req, res) => {
+app.get('/api/emails/deleted', validateEmailListQuery, async (req, res) => {
     try {
         const emails = await db.getEmails({ status: 'DELETED' });
-        res.json(emails);
+        res.json(emailQuery.apply(emails, req.emailQuery));
     } catch (error) {
         console.error('Failed to get deleted emails:', error);
         res.status(500).json({ error: 'Failed to get deleted emails' });
@@ -836,51 +1174,89 @@ app.delete('/api/emails/:id/permanent', [
 // EXPORT ROUTES
 // ==========================================
 
+/**
+ * Append one sheet per extractable category, with columns taken from the category schema
+ * @returns {number} - Number of sheets added
+ */
+function appendCategorySheets(workbook, emails) {
+    let sheetCount = 0;
+
+    for (const category of categoryRegistry.getExtractable()) {
+        const rows = emails
+            .filter(email => (email.category || '').toLowerCase() === category.key)
+            // Thread replies share one row: the primary message holds the thread's data
+            .filter(email => !email.threadPrimaryId || email.threadPrimaryId === email.id)
+            .map(email => {
+                const row = {
+                    'Email ID': email.id,
+                    'Date': email.date ? new Date(email.date).toLocaleDateString() : '',
+                    'Subject': email.subject || ''
+                };
+                extractionSchema.getColumns(category.key).forEach(column => {
+                    row[column.header] = extractionSchema.getColumnValue(email, column);
+                });
+                return row;
+            });
+
+        if (rows.length > 0) {
+            console.log(`Creating ${category.sheetName} sheet (${rows.length} rows)`);
+            appendSheet(workbook, rows, category.sheetName);
+            sheetCount++;
+        }
+
+        // Line items get their own sheet, linked to the category rows by Email ID
+        if (category.lineItems && rows.length > 0) {
+            const lineRows = buildLineItemRows(category, emails);
+            if (lineRows.length > 0) {
+                console.log(`Creating ${category.lineItems.sheetName} sheet (${lineRows.length} rows)`);
+                appendSheet(workbook, lineRows, category.lineItems.sheetName);
+                sheetCount++;
+            }
+        }
+    }
+
+    return sheetCount;
+}
+
+function appendSheet(workbook, rows, name) {
+    const sheet = XLSX.utils.json_to_sheet(rows);
+    // Excel sheet names: max 31 chars, no []:*?/\
+    const sheetName = name.replace(/[[\]:*?/\\]/g, ' ').substring(0, 31);
+    XLSX.utils.book_append_sheet(workbook, sheet, sheetName);
+}
+
+// One row per line item; Email ID and the first schema column (e.g. invoice number) identify the parent row
+function buildLineItemRows(category, emails) {
+    const [keyColumn] = extractionSchema.getColumns(category.key);
+    const lineColumns = extractionSchema.getLineItemColumns(category.key);
+
+    return emails
+        .filter(email => (email.category || '').toLowerCase() === category.key)
+        .filter(email => !email.threadPrimaryId || email.threadPrimaryId === email.id)
+        .flatMap(email => (Array.isArray(email.lineItems) ? email.lineItems : []).map((item, index) => {
+            const row = { 'Email ID': email.id };
+            if (keyColumn) {
+                row[keyColumn.header] = email[keyColumn.field] ?? '';
+            }
+            row['Line'] = index + 1;
+            lineColumns.forEach(column => {
+                row[column.header] = item[column.field] ?? '';
+            });
+            return row;
+        }));
+}
+
 // Export to XLSX
 app.get('/api/export/xlsx', async (req, res) => {
     try {
         const processedEmails = await db.getProcessedEmails();
 
-        // Separate customers and invoices
-        const customers = processedEmails
-            .filter(email => email.extractedData && email.extractedData.name)
-            .map(email => ({
-                'Email ID': email.id,
-                'Date': email.date,
-                'Subject': email.subject,
-                'Name': email.extractedData.name,
-                'Email': email.extractedData.email,
-                'Phone': email.extractedData.phone,
-                'Company': email.extractedData.company,
-                'Service': email.extractedData.service
-            }));
-
-        const invoices = processedEmails
-            .filter(email => email.extractedData && email.extractedData.invoiceNumber)
-            .map(email => ({
-                'Email ID': email.id,
-                'Date': email.date,
-                'Subject': email.subject,
-                'Invoice Number': email.extractedData.invoiceNumber,
-                'Invoice Date': email.extractedData.date,
-                'Customer': email.extractedData.customer,
-                'Amount': email.extractedData.amount,
-                'VAT': email.extractedData.vat
-            }));
-
-        // Create workbook
+        // Create workbook with one sheet per category
         const wb = XLSX.utils.book_new();
+        appendCategorySheets(wb, processedEmails);
 
-        // Add customers sheet
-        if (customers.length > 0) {
-            const wsCustomers = XLSX.utils.json_to_sheet(customers);
-            XLSX.utils.book_append_sheet(wb, wsCustomers, 'Customers');
-        }
-
-        // Add invoices sheet
-        if (invoices.length > 0) {
-            const wsInvoices = XLSX.utils.json_to_sheet(invoices);
-            XLSX.utils.book_append_sheet(wb, wsInvoices, 'Invoices');
+        if (wb.SheetNames.length === 0) {
+            return res.status(200).json({ error: 'No extracted data to export' });
         }
 
         // Generate buffer
@@ -897,11 +1273,15 @@ app.get('/api/export/xlsx', async (req, res) => {
     }
 });
 
-// Export managed emails to XLSX
-app.get('/api/emails/export/managed', requireAuth, async (req, res) => {
+// Export managed emails to XLSX; the list's search and filters narrow the export
+app.get('/api/emails/export/managed', [
+    requireAuth,
+    validateEmailListQuery
+], async (req, res) => {
     try {
         console.log('=== EXPORTING MANAGED EMAILS ===');
-        const managedEmails = await db.getManagedEmails();
+        const { limit, cursor, ...listOptions } = req.emailQuery;
+        const managedEmails = emailQuery.apply(await db.getManagedEmails(), listOptions);
         console.log(`Found ${managedEmails.length} managed emails`);
 
         if (managedEmails.length === 0) {
@@ -909,53 +1289,13 @@ app.get('/api/emails/export/managed', requireAuth, async (req, res) => {
             return res.status(200).json({ error: 'No managed emails to export' });
         }
 
-        // Separate customers and invoices
-        const customers = managedEmails
-            .filter(email => email.category === 'customer_inquiry')
-            .map(email => ({
-                'Email ID': email.id,
-                'Date': email.date ? new Date(email.date).toLocaleDateString() : '',
-                'Subject': email.subject || '',
-                'Customer Name': email.customerName || '',
-                'Email': email.customerEmail || '',
-                'Phone': email.customerPhone || '',
-                'Company': email.company || '',
-                'Service Interest': email.serviceInterest || ''
-            }));
-
-        const invoices = managedEmails
-            .filter(email => email.category === 'invoice')
-            .map(email => ({
-                'Email ID': email.id,
-                'Date': email.date ? new Date(email.date).toLocaleDateString() : '',
-                'Subject': email.subject || '',
-                'Invoice Number': email.invoiceNumber || '',
-                'Invoice Date': email.invoiceDate || '',
-                'Client': email.invoiceClient || '',
-                'Amount': email.invoiceAmount || '',
-                'VAT': email.invoiceVAT || ''
-            }));
-
-        console.log(`Processing ${customers.length} customers, ${invoices.length} invoices`);
-
-        const XLSX = require('xlsx');
         const workbook = XLSX.utils.book_new();
 
-        // Create worksheets
-        if (customers.length > 0) {
-            console.log('Creating customer inquiries sheet');
-            const customerSheet = XLSX.utils.json_to_sheet(customers);
-            XLSX.utils.book_append_sheet(workbook, customerSheet, 'Customer Inquiries');
-        }
-
-        if (invoices.length > 0) {
-            console.log('Creating invoices sheet');
-            const invoiceSheet = XLSX.utils.json_to_sheet(invoices);
-            XLSX.utils.book_append_sheet(workbook, invoiceSheet, 'Invoices');
-        }
+        // Create one worksheet per category, columns from the category schema
+        const sheetCount = appendCategorySheets(workbook, managedEmails);
 
         // If no specific data, create a general sheet
-        if (customers.length === 0 && invoices.length === 0) {
+        if (sheetCount === 0) {
             console.log('Creating general managed emails sheet');
             const generalData = managedEmails.map(email => ({
                 'Email ID': email.id,
@@ -976,6 +1316,9 @@ app.get('/api/emails/export/managed', requireAuth, async (req, res) => {
             'Content-Disposition': `attachment; filename=aems-managed-export-${Date.now()}.xlsx`
         });
 
+        // Stamped (one storage write) before sending: the dashboard reloads its "not exported" lists on download
+        await db.markExported(managedEmails.map(email => email.id));
+
         console.log(`Sending XLSX buffer (${buffer.length} bytes)`);
         res.send(buffer);
         console.log('Export completed successfully');
@@ -1031,6 +1374,377 @@ app.put('/api/settings', async (req, res) => {
     }
 });
 
+// ==========================================
+// CATEGORY ROUTES
+// ==========================================
+
+// List built-in and custom categories
+app.get('/api/categories', (req, res) => {
+    try {
+        res.json(categoryRegistry.getAll());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get categories' });
+    }
+});
+
+// Create a custom category
+app.post('/api/categories', [
+    requireAuth,
+    validateCategoryDefinition
+], async (req, res) => {
+    try {
+        const definition = req.categoryDefinition;
+
+        if (categoryRegistry.has(definition.key)) {
+            return res.status(409).json({ error: 'Category already exists' });
+        }
+        if (categoryRegistry.getCustom().length >= categoryRegistry.MAX_CUSTOM_CATEGORIES) {
+            return res.status(400).json({ error: `At most ${categoryRegistry.MAX_CUSTOM_CATEGORIES} custom categories are allowed` });
+        }
+
+        const category = await db.saveCustomCategory(definition);
+        if (!category) {
+            return res.status(500).json({ error: 'Failed to create category' });
+        }
+
+        auditLogger.logSettingsChange('customCategories', 'create', { key: definition.key });
+        res.status(201).json({ success: true, category });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create category' });
+    }
+});
+
+// Update a custom category
+app.put('/api/categories/:key', [
+    requireAuth,
+    validateCategoryDefinition
+], async (req, res) => {
+    try {
+        const existing = categoryRegistry.get(req.params.key);
+        if (!existing || existing.builtIn) {
+            return res.status(404).json({ error: 'Custom category not found' });
+        }
+
+        const category = await db.saveCustomCategory(req.categoryDefinition);
+        if (!category) {
+            return res.status(500).json({ error: 'Failed to update category' });
+        }
+
+        auditLogger.logSettingsChange('customCategories', 'update', { key: req.params.key });
+        res.json({ success: true, category });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update category' });
+    }
+});
+
+// Delete a custom category (only when no emails use it)
+app.delete('/api/categories/:key', requireAuth, async (req, res) => {
+    try {
+        const existing = categoryRegistry.get(req.params.key);
+        if (!existing || existing.builtIn) {
+            return res.status(404).json({ error: 'Custom category not found' });
+        }
+
+        const emailCount = await db.countEmailsInCategory(existing.key);
+        if (emailCount > 0) {
+            return res.status(409).json({
+                error: 'Category is still in use',
+                emailCount
+            });
+        }
+
+        const rules = rulesEngine.getRulesForCategory(existing.key);
+        if (rules.length > 0) {
+            return res.status(409).json({
+                error: 'Category is used by categorization rules',
+                rules: rules.map(rule => rule.name)
+            });
+        }
+
+        const success = await db.removeCustomCategory(existing.key);
+        if (!success) {
+            return res.status(500).json({ error: 'Failed to delete category' });
+        }
+
+        auditLogger.logSettingsChange('customCategories', 'delete', { key: existing.key });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete category' });
+    }
+});
+
+// Senders/domains whose category gets corrected by hand most often
+app.get('/api/categories/corrections/report', requireAuth, (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        res.json(correctionMemory.buildReport(limit));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to build corrections report' });
+    }
+});
+
+// ==========================================
+// CATEGORIZATION RULE ROUTES
+// ==========================================
+
+// List rules in evaluation order
+app.get('/api/rules', requireAuth, (req, res) => {
+    try {
+        res.json(rulesEngine.getAll());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get rules' });
+    }
+});
+
+// Create a rule
+app.post('/api/rules', [
+    requireAuth,
+    validateCategoryRule
+], async (req, res) => {
+    try {
+        if (rulesEngine.getAll().length >= rulesEngine.MAX_RULES) {
+            return res.status(400).json({ error: `At most ${rulesEngine.MAX_RULES} rules are allowed` });
+        }
+
+        const rule = await db.saveCategoryRule(req.categoryRule);
+        if (!rule) {
+            return res.status(500).json({ error: 'Failed to create rule' });
+        }
+
+        auditLogger.logSettingsChange('categoryRules', 'create', { id: rule.id, name: rule.name });
+        res.status(201).json({ success: true, rule });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create rule' });
+    }
+});
+
+// Update a rule
+app.put('/api/rules/:id', [
+    requireAuth,
+    validateCategoryRule
+], async (req, res) => {
+    try {
+        if (!rulesEngine.get(req.params.id)) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        const rule = await db.saveCategoryRule(req.categoryRule);
+        if (!rule) {
+            return res.status(500).json({ error: 'Failed to update rule' });
+        }
+
+        auditLogger.logSettingsChange('categoryRules', 'update', { id: rule.id, name: rule.name });
+        res.json({ success: true, rule });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update rule' });
+    }
+});
+
+// Delete a rule
+app.delete('/api/rules/:id', requireAuth, async (req, res) => {
+    try {
+        const success = await db.removeCategoryRule(req.params.id);
+        if (success === null) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        if (!success) {
+            return res.status(500).json({ error: 'Failed to delete rule' });
+        }
+
+        auditLogger.logSettingsChange('categoryRules', 'delete', { id: req.params.id });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete rule' });
+    }
+});
+
+// ==========================================
+// SAVED VIEW ROUTES
+// ==========================================
+
+// List saved views in tab order
+app.get('/api/views', requireAuth, async (req, res) => {
+    try {
+        res.json(await db.getSavedViews());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get saved views' });
+    }
+});
+
+// Create a saved view
+app.post('/api/views', [
+    requireAuth,
+    validateSavedView
+], async (req, res) => {
+    try {
+        if ((await db.getSavedViews()).length >= savedViews.MAX_VIEWS) {
+            return res.status(400).json({ error: `At most ${savedViews.MAX_VIEWS} saved views are allowed` });
+        }
+
+        const view = await db.saveView(req.savedView);
+        if (!view) {
+            return res.status(500).json({ error: 'Failed to create saved view' });
+        }
+
+        auditLogger.logSettingsChange('savedViews', 'create', { id: view.id, name: view.name });
+        res.status(201).json({ success: true, view });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to create saved view' });
+    }
+});
+
+// Update a saved view
+app.put('/api/views/:id', [
+    requireAuth,
+    validateSavedView
+], async (req, res) => {
+    try {
+        if (!(await db.getSavedViews()).some(view => view.id === req.params.id)) {
+            return res.status(404).json({ error: 'Saved view not found' });
+        }
+
+        const view = await db.saveView(req.savedView);
+        if (!view) {
+            return res.status(500).json({ error: 'Failed to update saved view' });
+        }
+
+        auditLogger.logSettingsChange('savedViews', 'update', { id: view.id, name: view.name });
+        res.json({ success: true, view });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to update saved view' });
+    }
+});
+
+// Delete a saved view
+app.delete('/api/views/:id', requireAuth, async (req, res) => {
+    try {
+        const success = await db.removeView(req.params.id);
+        if (success === null) {
+            return res.status(404).json({ error: 'Saved view not found' });
+        }
+        if (!success) {
+            return res.status(500).json({ error: 'Failed to delete saved view' });
+        }
+
+        auditLogger.logSettingsChange('savedViews', 'delete', { id: req.params.id });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to delete saved view' });
+    }
+});
+
+// ==========================================
+// SEARCH ROUTES
+// ==========================================
+
+// Full-text search with highlighted snippets (?q=, ?status=REVIEW,MANAGED, ?limit=, ?offset=)
+app.get('/api/search', requireAuth, async (req, res) => {
+    try {
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        const statuses = typeof req.query.status === 'string' && req.query.status
+            ? req.query.status.toUpperCase().split(',').map(status => status.trim())
+            : null;
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+        const errors = [];
+        if (!query || query.length > 200) errors.push('q is required (max 200 characters)');
+        if (statuses && statuses.some(status => !Object.values(db.EMAIL_STATUS).includes(status))) {
+            errors.push(`status must be one or more of ${Object.values(db.EMAIL_STATUS).join(', ')}`);
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > 50) errors.push('limit must be an integer from 1 to 50');
+        if (!Number.isInteger(offset) || offset < 0) errors.push('offset must be a non-negative integer');
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Validation failed', details: errors });
+        }
+
+        res.json({ query, ...(await db.search(query, { statuses, limit, offset })) });
+    } catch (error) {
+        console.error('Search failed:', error);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+// ==========================================
+// CONTACT ROUTES
+// ==========================================
+
+// Contacts built from extracted inquiries and invoices (?q= filters by name, company, email, phone, VAT ID)
+app.get('/api/contacts', requireAuth, async (req, res) => {
+    try {
+        const query = typeof req.query.q === 'string' ? req.query.q.substring(0, 100) : '';
+        res.json(await db.listContacts(query));
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get contacts' });
+    }
+});
+
+// Export the contact list to XLSX
+app.get('/api/contacts/export', requireAuth, async (req, res) => {
+    try {
+        const contacts = await db.listContacts();
+        if (contacts.length === 0) {
+            return res.status(200).json({ error: 'No contacts to export' });
+        }
+
+        const workbook = XLSX.utils.book_new();
+        appendSheet(workbook, contacts.map(contact => ({
+            'Contact ID': contact.id,
+            'Name': contact.name,
+            'Type': contact.type,
+            'Company': contact.company || '',
+            'Emails': contact.emails.join(', '),
+            'Phones': contact.phones.join(', '),
+            'VAT ID': contact.vatId || '',
+            'Location': contact.location || '',
+            'Street': contact.address ? contact.address.street || '' : '',
+            'City': contact.address ? contact.address.city || '' : '',
+            'Postal Code': contact.address ? contact.address.postalCode || '' : '',
+            'Country': contact.address ? contact.address.country || '' : '',
+            'Inquiries': contact.inquiryCount,
+            'Invoices': contact.invoiceCount,
+            'First Seen': contact.createdAt ? new Date(contact.createdAt).toLocaleDateString() : '',
+            'Updated': contact.updatedAt ? new Date(contact.updatedAt).toLocaleDateString() : ''
+        })), 'Contacts');
+
+        const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+        res.set({
+            'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'Content-Disposition': `attachment; filename=aems-contacts-${Date.now()}.xlsx`
+        });
+        res.send(buffer);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to export contacts' });
+    }
+});
+
+// Rebuild the registry from all extracted data (after changing matching, or to undo wrong merges)
+app.post('/api/contacts/rebuild', [strictLimiter, requireAuth], async (req, res) => {
+    try {
+        const count = await db.rebuildContacts();
+        res.json({ success: true, contacts: count });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to rebuild contacts' });
+    }
+});
+
+// Contact profile: details plus all their inquiries and invoices
+app.get('/api/contacts/:id', [
+    requireAuth,
+    validateContactId
+], async (req, res) => {
+    try {
+        const profile = await db.getContactProfile(req.params.id);
+        if (!profile) {
+            return res.status(404).json({ error: 'Contact not found' });
+        }
+
+        res.json(profile);
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to get contact' });
+    }
+});
+
 // ==========================================
 // NOTIFICATION AND STATS ROUTES
 // ==========================================
@@ -1348,24 +2062,38 @@ cron.schedule('*/5 * * * *', async () => {
 // START SERVER
 // ==========================================
 
-const server = app.listen(PORT, () => {
-    console.log(`🚀 AEMS Server running on port ${PORT}`);
-    console.log(`📊 Environment: ${process.env.NODE_ENV}`);
-    console.log(`🔒 Security features enabled`);
+let server = null;
 
-    // Initialize database
-    db.init();
+// Open the data directory (lock, journal replay, search index) before taking requests
+db.start()
+    .then(() => {
+        server = app.listen(PORT, () => {
+            console.log(`🚀 AEMS Server running on port ${PORT}`);
+            console.log(`📊 Environment: ${process.env.NODE_ENV}`);
+            console.log(`🔒 Security features enabled`);
 
-    // Log environment info (sanitized)
-    const envInfo = envValidator.getSanitizedEnvInfo();
-    console.log('📋 Configuration:', envInfo);
-});
+            // Pick up a backfill interrupted by the last shutdown
+            backfillManager.resumeInterrupted()
+                .catch(error => console.error('Failed to resume backfill:', error.message));
+
+            // Log environment info (sanitized)
+            const envInfo = envValidator.getSanitizedEnvInfo();
+            console.log('📋 Configuration:', envInfo);
+        });
+    })
+    .catch(error => {
+        console.error(`❌ Could not open the data directory: ${error.message}`);
+        process.exit(1);
+    });
 
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
     console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
 
-    server.close((err) => {
+    // Not listening yet when the shutdown comes during startup
+    const closeServer = server ? callback => server.close(callback) : callback => callback();
+
+    closeServer((err) => {
         if (err) {
             console.error('❌ Error during server shutdown:', err);
             process.exit(1);
@@ -1378,9 +2106,9 @@ const gracefulShutdown = (signal) => {
             // Stop backup manager
             backupManager.stopBackupSchedule(),
 
-            // Close any open connections
+            // Close the storage and release the data directory lock
             new Promise(resolve => {
-                // Add any cleanup logic here
+                db.close();
                 resolve();
             })
         ]).then(() => {
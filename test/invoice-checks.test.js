@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const invoiceChecks = require('../lib/invoice-checks');
+
+function vatIssues(data) {
+    return invoiceChecks.check(data).filter(issue => issue.field === 'invoiceVAT');
+}
+
+test('a VAT rate below the lowest non-zero rate blocks approval', () => {
+    const issues = vatIssues({ invoiceAmount: 103, invoiceNetAmount: 100, invoiceVAT: 3 });
+
+    assert.deepStrictEqual(issues.map(issue => issue.code), ['vat_rate']);
+    assert.strictEqual(invoiceChecks.getBlocking(issues).length, 1);
+});
+
+test('a VAT rate between 13% and 24% is a mixed-rates warning', () => {
+    const issues = vatIssues({
+        invoiceAmount: 118.5,
+        invoiceNetAmount: 100,
+        invoiceVAT: 18.5,
+        lineItems: [{ lineTotal: 50 }, { lineTotal: 50 }]
+    });
+
+    assert.deepStrictEqual(issues.map(issue => issue.code), ['vat_mixed_rates']);
+    assert.strictEqual(issues[0].severity, 'warning');
+    assert.strictEqual(invoiceChecks.getBlocking(issues).length, 0);
+});
+
+test('a VAT rate above the highest rate blocks approval', () => {
+    const issues = vatIssues({ invoiceAmount: 130, invoiceNetAmount: 100, invoiceVAT: 30 });
+
+    assert.deepStrictEqual(issues.map(issue => issue.code), ['vat_rate']);
+    assert.strictEqual(invoiceChecks.getBlocking(issues).length, 1);
+});